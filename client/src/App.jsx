@@ -2,11 +2,20 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import { AuthProvider } from './context/AuthContext';
 import Navbar from './components/common/Navbar';
 import ProtectedRoute from './components/common/ProtectedRoute';
+import EmailVerificationBanner from './components/common/EmailVerificationBanner';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import Home from './pages/Home';
 import Game from './pages/Game';
+import Watch from './pages/Watch';
+import Analysis from './pages/Analysis';
+import Settings from './pages/Settings';
 import About from './pages/About';
+import Profile from './pages/Profile';
+import Admin from './pages/Admin';
 
 function App() {
   return (
@@ -15,11 +24,15 @@ function App() {
         {/* ✅ Apply theme background and text globally */}
         <div className="min-h-screen bg-[hsl(var(--color-background))] text-[hsl(var(--color-foreground))] transition-colors duration-300">
           <Navbar />
+          <EmailVerificationBanner />
           <main className="pt-4 pb-10 px-2 sm:px-4 md:px-6 lg:px-8">
             <Routes>
               {/* Public Routes */}
               <Route path="/login" element={<Login />} />
               <Route path="/register" element={<Register />} />
+              <Route path="/forgot-password" element={<ForgotPassword />} />
+              <Route path="/reset-password" element={<ResetPassword />} />
+              <Route path="/verify-email" element={<VerifyEmail />} />
               <Route path="/about" element={<About />} />
 
               {/* Protected Routes */}
@@ -40,6 +53,51 @@ function App() {
                 }
               />
 
+              <Route
+                path="/watch/:gameId"
+                element={
+                  <ProtectedRoute>
+                    <Watch />
+                  </ProtectedRoute>
+                }
+              />
+
+              <Route
+                path="/analysis"
+                element={
+                  <ProtectedRoute>
+                    <Analysis />
+                  </ProtectedRoute>
+                }
+              />
+
+              <Route
+                path="/profile/:username"
+                element={
+                  <ProtectedRoute>
+                    <Profile />
+                  </ProtectedRoute>
+                }
+              />
+
+              <Route
+                path="/settings"
+                element={
+                  <ProtectedRoute>
+                    <Settings />
+                  </ProtectedRoute>
+                }
+              />
+
+              <Route
+                path="/admin"
+                element={
+                  <ProtectedRoute roles={['moderator', 'admin']}>
+                    <Admin />
+                  </ProtectedRoute>
+                }
+              />
+
               {/* Fallback */}
               <Route path="*" element={<Navigate to="/" replace />} />
             </Routes>
@@ -1,15 +1,61 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
+import { Chess } from 'chess.js';
+import { useAuth } from '../../context/AuthContext';
+import { getBoardTheme, getAnimationMs } from '../../lib/preferences';
+import Piece from './Piece';
 import './ChessBoard.css';
 
-const ChessBoard = ({ position, onMove, playerColor, isMyTurn }) => {
+// Promotion choices, strongest first
+const PROMOTION_PIECES = [
+  { piece: 'q', name: 'Queen' },
+  { piece: 'r', name: 'Rook' },
+  { piece: 'b', name: 'Bishop' },
+  { piece: 'n', name: 'Knight' }
+];
+
+// Pointer travel (px) before a press becomes a drag rather than a click
+const DRAG_THRESHOLD = 4;
+
+const FILES = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
+
+// `interactive={false}` renders a read-only board (spectators)
+// `orientation` is the side shown at the bottom (defaults to playerColor;
+// review mode flips it independently of who may move)
+// `onMove(from, to, promotion?)` - promotion ('q', 'r', 'b' or 'n') is
+// picked by the player whenever a pawn reaches the last rank
+// `lastMove` ({ from, to }) is highlighted; with `allowPremoves` a move made
+// while it's not your turn is queued and played as soon as it is (if legal)
+//
+// Moves are made click-click or by drag-and-drop (pointer events, so mouse
+// and touch alike). Right-click draws circles, right-drag draws arrows;
+// any left click clears them.
+//
+// Theme, piece set, coordinates, animation speed and auto-queen come from
+// the user's preferences (AuthContext).
+const ChessBoard = ({
+  position,
+  onMove,
+  playerColor,
+  isMyTurn,
+  interactive = true,
+  orientation = playerColor,
+  lastMove = null,
+  allowPremoves = false
+}) => {
   const [selectedSquare, setSelectedSquare] = useState(null);
-  const [possibleMoves, setPossibleMoves] = useState([]);
+  const [pendingPromotion, setPendingPromotion] = useState(null); // { from, to, position }
+  const [drag, setDrag] = useState(null); // { from, x, y, startX, startY, moved, wasSelected }
+  const [drawStart, setDrawStart] = useState(null); // square the right button went down on
+  const [drawings, setDrawings] = useState({ position: null, shapes: [] }); // shapes: [{ from, to }]
+  const [premove, setPremove] = useState(null); // { from, to, promotion? }
+  const [droppedMove, setDroppedMove] = useState(null); // last drag-and-drop move - already in place, no slide
+  const { preferences } = useAuth();
 
   // Parse FEN to get piece positions
   const parseFEN = (fen) => {
     const board = Array(8).fill(null).map(() => Array(8).fill(null));
     const rows = fen.split(' ')[0].split('/');
-    
+
     rows.forEach((row, rowIndex) => {
       let colIndex = 0;
       for (let char of row) {
@@ -23,95 +69,267 @@ const ChessBoard = ({ position, onMove, playerColor, isMyTurn }) => {
         }
       }
     });
-    
+
     return board;
   };
 
   const board = parseFEN(position);
+  const chess = new Chess(position);
+
+  const getSquareNotation = (row, col) => FILES[col] + (8 - row);
+
+  const pieceAt = (square) => board[8 - Number(square[1])][FILES.indexOf(square[0])];
+
+  const isWhitePiece = (piece) => piece === piece.toUpperCase();
+
+  const isOwnPiece = (piece) => !!piece && (playerColor === 'white') === isWhitePiece(piece);
+
+  // Only the side to move has legal moves - premoves are checked when played
+  const legalMovesFrom = (square) => (isMyTurn ? chess.moves({ square, verbose: true }) : []);
 
-  // Piece Unicode characters
-  const pieceSymbols = {
-    'K': '♔', 'Q': '♕', 'R': '♖', 'B': '♗', 'N': '♘', 'P': '♙',
-    'k': '♚', 'q': '♛', 'r': '♜', 'b': '♝', 'n': '♞', 'p': '♟'
+  const possibleMoves = selectedSquare ? legalMovesFrom(selectedSquare).map(move => move.to) : [];
+
+  // Square under the pointer (the dragged piece ignores pointer events)
+  const squareAtPoint = (event) =>
+    document.elementFromPoint(event.clientX, event.clientY)?.closest('[data-square]')?.dataset.square || null;
+
+  // ⚡ Play the queued premove as soon as it's our turn - if it's still legal
+  useEffect(() => {
+    if (!premove || !isMyTurn) return;
+
+    setPremove(null);
+    const legal = new Chess(position)
+      .moves({ square: premove.from, verbose: true })
+      .some(move => move.to === premove.to);
+
+    if (legal) onMove(premove.from, premove.to, premove.promotion);
+  }, [premove, isMyTurn, position, onMove]);
+
+  const tryMove = (from, to) => {
+    setSelectedSquare(null);
+
+    if (!isMyTurn) {
+      if (allowPremoves) {
+        // Premoved pawns reaching the last rank become queens
+        const piece = pieceAt(from);
+        const promotes = piece.toLowerCase() === 'p' && (to[1] === '8' || to[1] === '1');
+        setPremove({ from, to, ...(promotes && { promotion: 'q' }) });
+      }
+      return;
+    }
+
+    const moves = legalMovesFrom(from).filter(move => move.to === to);
+    if (moves.length === 0) return; // illegal - just drop the selection
+
+    // Promotions wait for the picker (unless auto-queen is on)
+    if (moves[0].promotion && preferences.autoQueen) {
+      onMove(from, to, 'q');
+    } else if (moves[0].promotion) {
+      setPendingPromotion({ from, to, position });
+    } else {
+      onMove(from, to);
+    }
   };
 
-  const getSquareNotation = (row, col) => {
-    const files = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
-    const ranks = ['8', '7', '6', '5', '4', '3', '2', '1'];
-    return files[col] + ranks[row];
+  const handlePromotionChoice = (piece) => {
+    const { from, to } = pendingPromotion;
+    setPendingPromotion(null);
+    onMove(from, to, piece);
   };
 
-  const handleSquareClick = (row, col) => {
-    if (!isMyTurn) {
-      alert("It's not your turn!");
+  // Pieces can be picked up on your turn, or any time premoves are on
+  const canMove = interactive && (isMyTurn || allowPremoves);
+
+  // ============================================
+  // POINTER HANDLING
+  // ============================================
+  const handlePointerDown = (event, square) => {
+    // 🖍️ Right button: start a circle / arrow
+    if (event.button === 2) {
+      setDrawStart(square);
       return;
     }
+    if (event.button !== 0) return;
 
-    const square = getSquareNotation(row, col);
-    const piece = board[row][col];
-
-    // If no piece selected, select this piece
-    if (!selectedSquare) {
-      if (piece) {
-        // Check if it's the player's piece
-        const isWhitePiece = piece === piece.toUpperCase();
-        const canSelect = (playerColor === 'white' && isWhitePiece) || 
-                         (playerColor === 'black' && !isWhitePiece);
-        
-        if (canSelect) {
-          setSelectedSquare(square);
-          // Here you could calculate possible moves if you want
-        }
-      }
+    setDrawings({ position: null, shapes: [] });
+    setPremove(null);
+
+    if (!canMove) return;
+
+    const piece = pieceAt(square);
+
+    // Second click of click-click
+    if (selectedSquare && square !== selectedSquare && !isOwnPiece(piece)) {
+      tryMove(selectedSquare, square);
       return;
     }
 
-    // If same square clicked, deselect
-    if (selectedSquare === square) {
+    if (!isOwnPiece(piece)) {
       setSelectedSquare(null);
-      setPossibleMoves([]);
       return;
     }
 
-    // Try to make a move
-    onMove(selectedSquare, square);
-    setSelectedSquare(null);
-    setPossibleMoves([]);
+    // Keep receiving pointer events when the drag leaves the board
+    event.currentTarget.closest('.chess-board').setPointerCapture(event.pointerId);
+
+    setSelectedSquare(square);
+    setDrag({
+      from: square,
+      x: event.clientX,
+      y: event.clientY,
+      startX: event.clientX,
+      startY: event.clientY,
+      moved: false,
+      wasSelected: selectedSquare === square
+    });
+  };
+
+  const handlePointerMove = (event) => {
+    if (!drag) return;
+
+    const moved = drag.moved ||
+      Math.hypot(event.clientX - drag.startX, event.clientY - drag.startY) > DRAG_THRESHOLD;
+    setDrag({ ...drag, x: event.clientX, y: event.clientY, moved });
+  };
+
+  const handlePointerUp = (event) => {
+    const target = squareAtPoint(event);
+
+    if (drawStart) {
+      if (target) toggleShape(drawStart, target);
+      setDrawStart(null);
+      return;
+    }
+
+    if (!drag) return;
+    setDrag(null);
+
+    if (drag.moved) {
+      if (target && target !== drag.from) {
+        setDroppedMove({ from: drag.from, to: target });
+        tryMove(drag.from, target);
+      }
+    } else if (drag.wasSelected) {
+      // Clicking the selected piece again deselects it
+      setSelectedSquare(null);
+    }
+  };
+
+  // Same square = circle, otherwise an arrow; drawing one twice removes it
+  const toggleShape = (from, to) => {
+    const current = drawings.position === position ? drawings.shapes : [];
+    const exists = current.some(shape => shape.from === from && shape.to === to);
+
+    setDrawings({
+      position,
+      shapes: exists
+        ? current.filter(shape => shape.from !== from || shape.to !== to)
+        : [...current, { from, to }]
+    });
   };
 
   const isLightSquare = (row, col) => (row + col) % 2 === 0;
-  const isSelected = (row, col) => getSquareNotation(row, col) === selectedSquare;
 
-  // Flip board if playing as black
-  const displayBoard = playerColor === 'black' ? [...board].reverse().map(row => [...row].reverse()) : board;
+  // Flip board when Black is at the bottom
+  const flipped = orientation === 'black';
+  const displayBoard = flipped ? [...board].reverse().map(row => [...row].reverse()) : board;
+
+  // A picker left open is dropped once the position changes, drawings too
+  const promotion = pendingPromotion?.position === position ? pendingPromotion : null;
+  const shapes = drawings.position === position ? drawings.shapes : [];
+  const moverIsWhite = position.split(' ')[1] === 'w';
+  const queuedPremove = allowPremoves ? premove : null;
+
+  // King of the side to move, when in check
+  const checkSquare = chess.inCheck()
+    ? chess.findPiece({ type: 'k', color: chess.turn() })[0]
+    : null;
+
+  // Square centre in board units (0-8) for the drawing overlay
+  const squareCenter = (square) => {
+    const col = FILES.indexOf(square[0]);
+    const row = 8 - Number(square[1]);
+    return {
+      x: (flipped ? 7 - col : col) + 0.5,
+      y: (flipped ? 7 - row : row) + 0.5
+    };
+  };
+
+  const squareClasses = (square, light) => {
+    const classes = ['square', light ? 'light' : 'dark'];
+    if (square === selectedSquare) classes.push('selected');
+    if (lastMove && (square === lastMove.from || square === lastMove.to)) classes.push('last-move');
+    if (queuedPremove && (square === queuedPremove.from || square === queuedPremove.to)) classes.push('premove');
+    if (square === checkSquare) classes.push('in-check');
+    if (!interactive) classes.push('readonly');
+    else if (!canMove) classes.push('disabled');
+    return classes.join(' ');
+  };
+
+  const draggedPiece = drag?.moved ? pieceAt(drag.from) : null;
+
+  // 🎞️ The last move's piece slides in from its origin square
+  const theme = getBoardTheme(preferences.boardTheme);
+  const animationMs = getAnimationMs(preferences.animationSpeed);
+  const slide = lastMove && animationMs > 0 &&
+    !(droppedMove?.from === lastMove.from && droppedMove?.to === lastMove.to)
+    ? { from: squareCenter(lastMove.from), to: squareCenter(lastMove.to) }
+    : null;
+
+  const boardStyle = {
+    '--square-light': theme.light,
+    '--square-dark': theme.dark,
+    '--move-duration': `${animationMs}ms`
+  };
 
   return (
     <div className="chess-board-container">
-      <div className="chess-board">
+      <div
+        className="chess-board"
+        style={boardStyle}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={() => setDrag(null)}
+        onContextMenu={(e) => e.preventDefault()}
+      >
         {displayBoard.map((row, rowIndex) => (
           <div key={rowIndex} className="board-row">
             {row.map((piece, colIndex) => {
-              const actualRow = playerColor === 'black' ? 7 - rowIndex : rowIndex;
-              const actualCol = playerColor === 'black' ? 7 - colIndex : colIndex;
+              const actualRow = flipped ? 7 - rowIndex : rowIndex;
+              const actualCol = flipped ? 7 - colIndex : colIndex;
+              const square = getSquareNotation(actualRow, actualCol);
               const light = isLightSquare(actualRow, actualCol);
-              const selected = isSelected(actualRow, actualCol);
+              const dragOrigin = draggedPiece && drag.from === square;
+              const sliding = slide && square === lastMove.to;
 
               return (
                 <div
                   key={colIndex}
-                  className={`square ${light ? 'light' : 'dark'} ${selected ? 'selected' : ''} ${!isMyTurn ? 'disabled' : ''}`}
-                  onClick={() => handleSquareClick(actualRow, actualCol)}
+                  data-square={square}
+                  className={squareClasses(square, light)}
+                  onPointerDown={(e) => handlePointerDown(e, square)}
                 >
                   {piece && (
-                    <span className={`piece ${piece === piece.toUpperCase() ? 'white-piece' : 'black-piece'}`}>
-                      {pieceSymbols[piece]}
-                    </span>
+                    <div
+                      key={sliding ? `slide-${position}` : 'static'}
+                      className={`piece-slot ${sliding ? 'sliding' : ''}`}
+                      style={sliding ? {
+                        '--slide-x': slide.from.x - slide.to.x,
+                        '--slide-y': slide.from.y - slide.to.y
+                      } : undefined}
+                    >
+                      <Piece piece={piece} set={preferences.pieceSet} className={dragOrigin ? 'drag-origin' : ''} />
+                    </div>
+                  )}
+                  {/* Legal move hints */}
+                  {possibleMoves.includes(square) && (
+                    <span className={piece ? 'capture-hint' : 'move-hint'} />
                   )}
                   {/* Coordinates */}
-                  {colIndex === 0 && (
-                    <span className="rank-label">{playerColor === 'white' ? 8 - actualRow : actualRow + 1}</span>
+                  {preferences.showCoordinates && colIndex === 0 && (
+                    <span className="rank-label">{8 - actualRow}</span>
                   )}
-                  {rowIndex === 7 && (
+                  {preferences.showCoordinates && rowIndex === 7 && (
                     <span className="file-label">
                       {String.fromCharCode(97 + actualCol)}
                     </span>
@@ -121,9 +339,69 @@ const ChessBoard = ({ position, onMove, playerColor, isMyTurn }) => {
             })}
           </div>
         ))}
+
+        {/* 🖍️ CIRCLES AND ARROWS */}
+        {shapes.length > 0 && (
+          <svg className="board-drawings" viewBox="0 0 8 8">
+            <defs>
+              <marker id="board-arrowhead" markerWidth="4" markerHeight="4" refX="2" refY="2" orient="auto">
+                <path d="M0,0 L4,2 L0,4 Z" className="drawing-arrowhead" />
+              </marker>
+            </defs>
+            {shapes.map(({ from, to }) => {
+              const start = squareCenter(from);
+
+              if (from === to) {
+                return <circle key={from + to} cx={start.x} cy={start.y} r="0.45" className="drawing-circle" />;
+              }
+
+              // Stop short so the head ends near the target's centre
+              const end = squareCenter(to);
+              const length = Math.hypot(end.x - start.x, end.y - start.y);
+              const ratio = (length - 0.3) / length;
+
+              return (
+                <line
+                  key={from + to}
+                  x1={start.x}
+                  y1={start.y}
+                  x2={start.x + (end.x - start.x) * ratio}
+                  y2={start.y + (end.y - start.y) * ratio}
+                  className="drawing-arrow"
+                  markerEnd="url(#board-arrowhead)"
+                />
+              );
+            })}
+          </svg>
+        )}
+
+        {/* ♛ PROMOTION PICKER - click outside to cancel */}
+        {promotion && (
+          <div className="promotion-overlay" onClick={() => setPendingPromotion(null)}>
+            <div className="promotion-picker" onClick={(e) => e.stopPropagation()}>
+              {PROMOTION_PIECES.map(({ piece, name }) => (
+                <button
+                  key={piece}
+                  className="promotion-choice"
+                  onClick={() => handlePromotionChoice(piece)}
+                  title={name}
+                >
+                  <Piece piece={moverIsWhite ? piece.toUpperCase() : piece} set={preferences.pieceSet} />
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
       </div>
+
+      {/* Piece following the pointer while dragging */}
+      {draggedPiece && (
+        <div className="dragged-piece" style={{ left: drag.x, top: drag.y }}>
+          <Piece piece={draggedPiece} set={preferences.pieceSet} />
+        </div>
+      )}
     </div>
   );
 };
 
-export default ChessBoard;
\ No newline at end of file
+export default ChessBoard;
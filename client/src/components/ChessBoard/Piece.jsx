@@ -0,0 +1,121 @@
+/**
+ * Piece Component
+ * One chess piece in the chosen piece set (see lib/preferences.js)
+ *
+ * - classic: the Unicode chess glyphs the board has always used
+ * - minimal: flat SVG silhouettes, drawn on a 45×45 grid
+ * - letters: SVG discs with the piece letter, easy to read at any size
+ *
+ * `piece` is a FEN letter: uppercase White, lowercase Black.
+ */
+
+const GLYPHS = {
+  'K': '♔', 'Q': '♕', 'R': '♖', 'B': '♗', 'N': '♘', 'P': '♙',
+  'k': '♚', 'q': '♛', 'r': '♜', 'b': '♝', 'n': '♞', 'p': '♟'
+};
+
+const BASE = 'M11 38h23v-3H11z';
+
+// Outline paths per piece type; `details` are drawn as lines on top
+const SHAPES = {
+  p: {
+    paths: ['M12 38h21v-3c0-2-2-4-4-4H16c-2 0-4 2-4 4z', 'M17 31l2.5-11h6L28 31z'],
+    circles: [{ cx: 22.5, cy: 14, r: 5.5 }]
+  },
+  r: {
+    paths: [BASE, 'M14 35l1-17h15l1 17z', 'M12 18v-8h4v3h4.5v-3h4v3H29v-3h4v8z']
+  },
+  n: {
+    paths: [BASE, 'M15 35c0-8 3-12 7-15l-7 2c-2 0-3-2-2-4l8-8c1-3 3-4 5-4l1 3c6 2 9 9 8 26z'],
+    circles: [{ cx: 22, cy: 14, r: 1.2, detail: true }]
+  },
+  b: {
+    paths: [BASE, 'M15 35c2-5 3-8 3-11h9c0 3 1 6 3 11z'],
+    ellipses: [{ cx: 22.5, cy: 18, rx: 6, ry: 8 }],
+    circles: [{ cx: 22.5, cy: 8, r: 2.5 }],
+    details: ['M20 15l5 5']
+  },
+  q: {
+    paths: [BASE, 'M13 35L9 14l6 10 1.5-13 3.5 12 2.5-14 2.5 14 3.5-12 1.5 13 6-10-4 21z'],
+    circles: [
+      { cx: 9, cy: 12, r: 2 },
+      { cx: 16.5, cy: 9, r: 2 },
+      { cx: 22.5, cy: 7, r: 2 },
+      { cx: 28.5, cy: 9, r: 2 },
+      { cx: 36, cy: 12, r: 2 }
+    ]
+  },
+  k: {
+    paths: [BASE, 'M13 35c-3-6-3-12 2-14 3-1 6 0 7.5 3 1.5-3 4.5-4 7.5-3 5 2 5 8 2 14z'],
+    details: ['M22.5 6v10M18.5 10h8'],
+    strongDetails: true
+  }
+};
+
+const MinimalPiece = ({ type, white, className }) => {
+  const shape = SHAPES[type];
+  const fill = white ? '#ffffff' : '#262626';
+  const stroke = '#000000';
+  const detailColor = white ? '#000000' : '#ffffff';
+
+  return (
+    <svg viewBox="0 0 45 45" className={className}>
+      <g fill={fill} stroke={stroke} strokeWidth="1.5" strokeLinejoin="round">
+        {shape.paths.map((d) => <path key={d} d={d} />)}
+        {shape.ellipses?.map((e) => <ellipse key={`${e.cx}${e.cy}`} {...e} />)}
+        {shape.circles?.map(({ detail, ...c }) => (
+          <circle key={`${c.cx}${c.cy}`} {...c} {...(detail && { fill: detailColor, stroke: 'none' })} />
+        ))}
+      </g>
+      {/* The king's cross is drawn in the outline colour so it reads on both sides */}
+      {shape.details?.map((d) => (
+        <path
+          key={d}
+          d={d}
+          fill="none"
+          stroke={shape.strongDetails ? stroke : detailColor}
+          strokeWidth={shape.strongDetails ? 2.5 : 1.5}
+          strokeLinecap="round"
+        />
+      ))}
+    </svg>
+  );
+};
+
+const LetterPiece = ({ type, white, className }) => (
+  <svg viewBox="0 0 45 45" className={className}>
+    <circle cx="22.5" cy="22.5" r="17" fill={white ? '#ffffff' : '#262626'} stroke="#000000" strokeWidth="1.5" />
+    <text
+      x="22.5"
+      y="29.5"
+      textAnchor="middle"
+      fontSize="20"
+      fontWeight="bold"
+      fontFamily="sans-serif"
+      fill={white ? '#262626' : '#ffffff'}
+    >
+      {type.toUpperCase()}
+    </text>
+  </svg>
+);
+
+const Piece = ({ piece, set = 'classic', className = '' }) => {
+  const white = piece === piece.toUpperCase();
+  const type = piece.toLowerCase();
+
+  if (set === 'minimal') {
+    return <MinimalPiece type={type} white={white} className={`piece piece-svg ${className}`} />;
+  }
+
+  if (set === 'letters') {
+    return <LetterPiece type={type} white={white} className={`piece piece-svg ${className}`} />;
+  }
+
+  return (
+    <span className={`piece ${white ? 'white-piece' : 'black-piece'} ${className}`}>
+      {GLYPHS[piece]}
+    </span>
+  );
+};
+
+export default Piece;
@@ -0,0 +1,163 @@
+/**
+ * FeedbackTriage Component
+ * Admin dashboard tab: filter feedback and set status, priority and notes
+ */
+
+import { useState, useEffect } from 'react';
+import { adminAPI } from '../../services/api';
+import { Card, CardContent } from '../ui/card';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import { AlertCircle, ChevronLeft, ChevronRight, Save } from 'lucide-react';
+
+// Same values as the Feedback model enums
+const STATUSES = ['new', 'in-review', 'resolved', 'wont-fix'];
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+const TYPES = ['bug', 'feature', 'improvement', 'other'];
+
+const selectClass =
+  'rounded-md border border-[hsl(var(--color-border))] bg-[hsl(var(--color-background))] px-2 py-1 text-sm';
+
+const FeedbackEntry = ({ entry, onUpdate }) => {
+  const [notes, setNotes] = useState(entry.adminNotes || '');
+
+  return (
+    <Card>
+      <CardContent className="p-4 space-y-3">
+        <div className="flex flex-wrap items-start justify-between gap-2">
+          <div>
+            <div className="flex items-center gap-2">
+              <Badge variant="outline">{entry.type}</Badge>
+              <span className="font-semibold">{entry.title}</span>
+            </div>
+            <div className="text-xs text-[hsl(var(--color-muted-foreground))] mt-1">
+              {entry.userId?.username || entry.username} • {entry.email || entry.userId?.email || 'no email'} •{' '}
+              {new Date(entry.createdAt).toLocaleString()}
+            </div>
+          </div>
+          <div className="flex gap-2">
+            <select
+              value={entry.status}
+              onChange={(e) => onUpdate(entry._id, { status: e.target.value })}
+              className={selectClass}
+            >
+              {STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+            </select>
+            <select
+              value={entry.priority}
+              onChange={(e) => onUpdate(entry._id, { priority: e.target.value })}
+              className={selectClass}
+            >
+              {PRIORITIES.map(priority => <option key={priority} value={priority}>{priority}</option>)}
+            </select>
+          </div>
+        </div>
+
+        <p className="text-sm whitespace-pre-wrap">{entry.description}</p>
+        {entry.metadata?.url && (
+          <p className="text-xs text-[hsl(var(--color-muted-foreground))] truncate">From {entry.metadata.url}</p>
+        )}
+
+        <div className="flex gap-2">
+          <textarea
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            placeholder="Admin notes"
+            rows={2}
+            className="flex-1 rounded-md border border-[hsl(var(--color-border))] bg-[hsl(var(--color-background))] p-2 text-sm"
+          />
+          <Button
+            size="sm"
+            variant="outline"
+            disabled={notes === (entry.adminNotes || '')}
+            onClick={() => onUpdate(entry._id, { adminNotes: notes })}
+            title="Save notes"
+          >
+            <Save className="h-4 w-4" />
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+const FeedbackTriage = ({ onChange }) => {
+  const [filters, setFilters] = useState({ status: 'new', type: '' });
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const params = { page, ...(filters.status && { status: filters.status }), ...(filters.type && { type: filters.type }) };
+
+    adminAPI.getFeedback(params)
+      .then(response => setData(response.data))
+      .catch(err => setError(err.response?.data?.message || 'Failed to load feedback'));
+  }, [filters, page]);
+
+  const setFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPage(1);
+  };
+
+  const updateEntry = async (feedbackId, changes) => {
+    setError(null);
+    try {
+      const response = await adminAPI.updateFeedback(feedbackId, changes);
+      setData(prev => ({
+        ...prev,
+        feedback: prev.feedback.map(entry => (entry._id === feedbackId ? response.data.feedback : entry))
+      }));
+      onChange?.();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update feedback');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <select value={filters.status} onChange={(e) => setFilter('status', e.target.value)} className={selectClass}>
+          <option value="">All statuses</option>
+          {STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+        </select>
+        <select value={filters.type} onChange={(e) => setFilter('type', e.target.value)} className={selectClass}>
+          <option value="">All types</option>
+          {TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+        </select>
+        {data && (
+          <span className="text-sm text-[hsl(var(--color-muted-foreground))]">{data.total} entries</span>
+        )}
+      </div>
+
+      {error && (
+        <p className="flex items-center gap-2 text-sm text-red-500">
+          <AlertCircle className="h-4 w-4" />
+          {error}
+        </p>
+      )}
+
+      {data?.feedback.length === 0 && (
+        <p className="text-center py-8 text-[hsl(var(--color-muted-foreground))]">Nothing here - inbox zero!</p>
+      )}
+
+      {data?.feedback.map(entry => (
+        <FeedbackEntry key={entry._id} entry={entry} onUpdate={updateEntry} />
+      ))}
+
+      {data?.totalPages > 1 && (
+        <div className="flex items-center justify-center gap-2">
+          <Button size="sm" variant="outline" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+            <ChevronLeft className="h-4 w-4" />
+          </Button>
+          <span className="text-sm">Page {page} of {data.totalPages}</span>
+          <Button size="sm" variant="outline" disabled={page >= data.totalPages} onClick={() => setPage(page + 1)}>
+            <ChevronRight className="h-4 w-4" />
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FeedbackTriage;
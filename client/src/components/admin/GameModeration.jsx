@@ -0,0 +1,142 @@
+/**
+ * GameModeration Component
+ * Admin dashboard tab: review a game's chat, remove messages and
+ * (admins) annul the game with a rating rollback
+ */
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { adminAPI } from '../../services/api';
+import { Card, CardContent } from '../ui/card';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import { Input } from '../ui/input';
+import { AlertCircle, Ban, ExternalLink, Search, Trash2 } from 'lucide-react';
+
+const GameModeration = ({ currentUser, onChange }) => {
+  const [gameId, setGameId] = useState('');
+  const [loadedId, setLoadedId] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [annulment, setAnnulment] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadMessages = async (e) => {
+    e.preventDefault();
+    const id = gameId.trim();
+    if (!id) return;
+
+    setError(null);
+    setAnnulment(null);
+    try {
+      const response = await adminAPI.getGameMessages(id);
+      setMessages(response.data.messages);
+      setLoadedId(id);
+    } catch (err) {
+      setLoadedId(null);
+      setError(err.response?.data?.message || 'Failed to load chat');
+    }
+  };
+
+  const removeMessage = async (messageId) => {
+    setError(null);
+    try {
+      await adminAPI.removeMessage(messageId);
+      setMessages(prev => prev.filter(message => message._id !== messageId));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to remove message');
+    }
+  };
+
+  const annulGame = async () => {
+    const reason = window.prompt('Annul this game and roll back its rating changes? Reason:', '');
+    if (reason === null) return;
+
+    setError(null);
+    try {
+      const response = await adminAPI.annulGame(loadedId, reason);
+      setAnnulment(response.data.ratings);
+      onChange?.();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to annul game');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <form onSubmit={loadMessages} className="flex gap-2">
+        <Input value={gameId} onChange={(e) => setGameId(e.target.value)} placeholder="Game ID" />
+        <Button type="submit" variant="outline">
+          <Search className="h-4 w-4" />
+        </Button>
+      </form>
+
+      {error && (
+        <p className="flex items-center gap-2 text-sm text-red-500">
+          <AlertCircle className="h-4 w-4" />
+          {error}
+        </p>
+      )}
+
+      {loadedId && (
+        <div className="flex flex-wrap items-center gap-2">
+          <Link to={`/game/${loadedId}`} target="_blank">
+            <Button size="sm" variant="outline" className="gap-1">
+              <ExternalLink className="h-4 w-4" />
+              Open game
+            </Button>
+          </Link>
+          {currentUser.role === 'admin' && (
+            <Button size="sm" variant="destructive" className="gap-1" onClick={annulGame} disabled={!!annulment}>
+              <Ban className="h-4 w-4" />
+              Annul game
+            </Button>
+          )}
+        </div>
+      )}
+
+      {annulment && (
+        <Card>
+          <CardContent className="p-4 text-sm space-y-1">
+            <p className="font-semibold">Game annulled</p>
+            {Object.keys(annulment).length === 0 && <p>It was unrated - no ratings changed.</p>}
+            {Object.entries(annulment).map(([color, result]) => (
+              <p key={color} className="capitalize">
+                {color}: {result.category} rating now {result.rating} ({result.change > 0 ? '+' : ''}{result.change})
+              </p>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+
+      {loadedId && messages.length === 0 && (
+        <p className="text-center py-8 text-[hsl(var(--color-muted-foreground))]">No chat messages in this game</p>
+      )}
+
+      {messages.length > 0 && (
+        <Card>
+          <CardContent className="p-2 divide-y divide-[hsl(var(--color-border))]">
+            {messages.map(message => (
+              <div key={message._id} className="flex items-start justify-between gap-2 p-2">
+                <div className="text-sm min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="font-semibold">{message.username}</span>
+                    {message.channel === 'spectators' && <Badge variant="outline">spectator</Badge>}
+                    <span className="text-xs text-[hsl(var(--color-muted-foreground))]">
+                      {new Date(message.timestamp).toLocaleString()}
+                    </span>
+                  </div>
+                  <p className="break-words">{message.message}</p>
+                </div>
+                <Button size="sm" variant="ghost" onClick={() => removeMessage(message._id)} title="Remove message">
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default GameModeration;
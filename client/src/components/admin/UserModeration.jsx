@@ -0,0 +1,163 @@
+/**
+ * UserModeration Component
+ * Admin dashboard tab: find users, mute/ban them and (admins) change roles
+ */
+
+import { useState, useEffect } from 'react';
+import { adminAPI } from '../../services/api';
+import { Card, CardContent } from '../ui/card';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import { Input } from '../ui/input';
+import { AlertCircle, Ban, Search, VolumeX, Volume2, ShieldCheck } from 'lucide-react';
+
+const ROLES = ['user', 'moderator', 'admin'];
+
+const isBanned = (user) => !!user.bannedAt && (!user.bannedUntil || new Date(user.bannedUntil) > new Date());
+const isMuted = (user) => !!user.mutedUntil && new Date(user.mutedUntil) > new Date();
+
+const UserModeration = ({ currentUser, onChange }) => {
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [users, setUsers] = useState(null);
+  const [error, setError] = useState(null);
+
+  const isAdmin = currentUser.role === 'admin';
+
+  useEffect(() => {
+    adminAPI.getUsers({ search: query })
+      .then(response => setUsers(response.data.users))
+      .catch(err => setError(err.response?.data?.message || 'Failed to load users'));
+  }, [query]);
+
+  // Run a moderation call and swap in the updated user
+  const act = async (request) => {
+    setError(null);
+    try {
+      const response = await request();
+      setUsers(prev => prev.map(user => (user._id === response.data.user._id ? response.data.user : user)));
+      onChange?.();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Action failed');
+    }
+  };
+
+  const mute = (user) => {
+    const hours = window.prompt(`Mute ${user.username} for how many hours?`, '24');
+    if (!hours) return;
+    const reason = window.prompt('Reason (shown to staff only)', '') ?? '';
+    act(() => adminAPI.muteUser(user._id, { hours: Number(hours), reason }));
+  };
+
+  const ban = (user) => {
+    const days = window.prompt(`Ban ${user.username} for how many days? Leave empty for a permanent ban.`, '7');
+    if (days === null) return;
+    const reason = window.prompt('Reason (shown to the user when they sign in)', '') ?? '';
+    act(() => adminAPI.banUser(user._id, { reason, ...(days.trim() && { days: Number(days) }) }));
+  };
+
+  return (
+    <div className="space-y-4">
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          setQuery(search.trim());
+        }}
+        className="flex gap-2"
+      >
+        <Input value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Username or email" />
+        <Button type="submit" variant="outline">
+          <Search className="h-4 w-4" />
+        </Button>
+      </form>
+
+      {error && (
+        <p className="flex items-center gap-2 text-sm text-red-500">
+          <AlertCircle className="h-4 w-4" />
+          {error}
+        </p>
+      )}
+
+      {users?.length === 0 && (
+        <p className="text-center py-8 text-[hsl(var(--color-muted-foreground))]">No users found</p>
+      )}
+
+      {users?.map(user => {
+        const self = user._id === currentUser.id;
+        const staff = user.role !== 'user';
+
+        return (
+          <Card key={user._id}>
+            <CardContent className="p-4 flex flex-wrap items-center justify-between gap-3">
+              <div>
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="font-semibold">{user.username}</span>
+                  {staff && <Badge>{user.role}</Badge>}
+                  {isBanned(user) && (
+                    <Badge variant="destructive">
+                      Banned{user.bannedUntil ? ` until ${new Date(user.bannedUntil).toLocaleDateString()}` : ''}
+                    </Badge>
+                  )}
+                  {isMuted(user) && (
+                    <Badge variant="secondary">Muted until {new Date(user.mutedUntil).toLocaleString()}</Badge>
+                  )}
+                </div>
+                <div className="text-xs text-[hsl(var(--color-muted-foreground))]">
+                  {user.email} • {user.gamesPlayed} games • joined {new Date(user.createdAt).toLocaleDateString()}
+                </div>
+                {(user.banReason || user.muteReason) && (
+                  <div className="text-xs text-[hsl(var(--color-muted-foreground))] italic">
+                    {user.banReason || user.muteReason}
+                  </div>
+                )}
+              </div>
+
+              {!self && (
+                <div className="flex flex-wrap items-center gap-2">
+                  {!staff && (isMuted(user) ? (
+                    <Button size="sm" variant="outline" className="gap-1" onClick={() => act(() => adminAPI.unmuteUser(user._id))}>
+                      <Volume2 className="h-4 w-4" />
+                      Unmute
+                    </Button>
+                  ) : (
+                    <Button size="sm" variant="outline" className="gap-1" onClick={() => mute(user)}>
+                      <VolumeX className="h-4 w-4" />
+                      Mute
+                    </Button>
+                  ))}
+
+                  {isAdmin && !staff && (isBanned(user) ? (
+                    <Button size="sm" variant="outline" className="gap-1" onClick={() => act(() => adminAPI.unbanUser(user._id))}>
+                      <Ban className="h-4 w-4" />
+                      Unban
+                    </Button>
+                  ) : (
+                    <Button size="sm" variant="destructive" className="gap-1" onClick={() => ban(user)}>
+                      <Ban className="h-4 w-4" />
+                      Ban
+                    </Button>
+                  ))}
+
+                  {isAdmin && (
+                    <label className="flex items-center gap-1 text-sm">
+                      <ShieldCheck className="h-4 w-4" />
+                      <select
+                        value={user.role}
+                        onChange={(e) => act(() => adminAPI.setRole(user._id, e.target.value))}
+                        className="rounded-md border border-[hsl(var(--color-border))] bg-[hsl(var(--color-background))] px-2 py-1 text-sm"
+                      >
+                        {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                      </select>
+                    </label>
+                  )}
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        );
+      })}
+    </div>
+  );
+};
+
+export default UserModeration;
@@ -0,0 +1,52 @@
+/**
+ * EmailVerificationBanner Component
+ * Nudges signed-in users who haven't confirmed their email yet,
+ * with a button to mail the verification link again
+ */
+
+import { useState } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import { authAPI } from '../../services/api';
+import { MailWarning } from 'lucide-react';
+
+const EmailVerificationBanner = () => {
+  const { user } = useAuth();
+  const [status, setStatus] = useState(null); // 'sending' | 'sent' | error message
+
+  if (!user || user.emailVerified !== false) return null;
+
+  const resend = async () => {
+    setStatus('sending');
+    try {
+      await authAPI.resendVerification();
+      setStatus('sent');
+    } catch (err) {
+      setStatus(err.response?.data?.message || 'Could not send the email');
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center justify-center gap-2 px-4 py-2 text-sm bg-amber-500/15 border-b border-amber-500/30">
+      <MailWarning className="h-4 w-4 text-amber-500" />
+      <span>
+        Please confirm your email address - we sent a link to <strong>{user.email}</strong>.
+      </span>
+      {status === 'sent' ? (
+        <span className="text-green-500">Sent! Check your inbox.</span>
+      ) : (
+        <button
+          onClick={resend}
+          disabled={status === 'sending'}
+          className="font-medium text-[hsl(var(--color-primary))] hover:underline disabled:opacity-50"
+        >
+          {status === 'sending' ? 'Sending...' : 'Resend email'}
+        </button>
+      )}
+      {status && !['sending', 'sent'].includes(status) && (
+        <span className="text-red-500">{status}</span>
+      )}
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
@@ -3,12 +3,15 @@ import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import { Button } from '../ui/button';
 import { Badge } from '../ui/badge';
-import { LogOut, User, Home, Info, Menu, X } from 'lucide-react';
+import { LogOut, User, Home, Info, Menu, X, Microscope, Settings, Shield } from 'lucide-react';
+import { formatPlayerRating, getMainCategory, getCategoryLabel } from '../../lib/gameFormat';
 
 const Navbar = () => {
   const { user, logout, isAuthenticated } = useAuth();
   const navigate = useNavigate();
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+  const mainCategory = getMainCategory(user);
+  const isStaff = ['moderator', 'admin'].includes(user?.role);
 
   const handleLogout = () => {
     logout();
@@ -49,6 +52,26 @@ const Navbar = () => {
                   Home
                 </Button>
               </Link>
+              <Link to="/analysis">
+                <Button variant="ghost" size="sm" className="gap-1 hover:bg-[hsl(var(--color-muted))]">
+                  <Microscope className="h-4 w-4" />
+                  Analysis
+                </Button>
+              </Link>
+              <Link to="/settings">
+                <Button variant="ghost" size="sm" className="gap-1 hover:bg-[hsl(var(--color-muted))]">
+                  <Settings className="h-4 w-4" />
+                  Settings
+                </Button>
+              </Link>
+              {isStaff && (
+                <Link to="/admin">
+                  <Button variant="ghost" size="sm" className="gap-1 hover:bg-[hsl(var(--color-muted))]">
+                    <Shield className="h-4 w-4" />
+                    Admin
+                  </Button>
+                </Link>
+              )}
               <Link to="/about">
                 <Button variant="ghost" size="sm" className="gap-1 hover:bg-[hsl(var(--color-muted))]">
                   <Info className="h-4 w-4" />
@@ -62,18 +85,22 @@ const Navbar = () => {
           <div className="hidden md:flex items-center gap-3">
             {isAuthenticated ? (
               <>
-                <div className="flex items-center gap-3 rounded-lg px-3 py-1.5 bg-[hsl(var(--color-muted)/0.5)] border border-[hsl(var(--color-border))]">
+                <Link
+                  to={`/profile/${user?.username}`}
+                  title="Your profile"
+                  className="flex items-center gap-3 rounded-lg px-3 py-1.5 bg-[hsl(var(--color-muted)/0.5)] border border-[hsl(var(--color-border))] hover:border-[hsl(var(--color-primary)/0.5)] transition-colors"
+                >
                   <User className="h-4 w-4 text-[hsl(var(--color-muted-foreground))]" />
                   <div className="flex flex-col leading-tight">
                     <span className="font-semibold text-sm">{user?.username}</span>
                     <div className="flex items-center gap-1 text-xs text-[hsl(var(--color-muted-foreground))]">
-                      <span>Rating:</span>
+                      <span>{getCategoryLabel(mainCategory)}:</span>
                       <Badge variant="secondary" className="px-1.5 py-0.5 text-xs font-medium">
-                        {user?.rating ?? '1200'}
+                        {formatPlayerRating(user, mainCategory)}
                       </Badge>
                     </div>
                   </div>
-                </div>
+                </Link>
 
                 <Button onClick={handleLogout} variant="destructive" size="sm" className="gap-1">
                   <LogOut className="h-4 w-4" />
@@ -117,18 +144,22 @@ const Navbar = () => {
             {isAuthenticated && (
               <>
                 {/* User Info Mobile */}
-                <div className="flex items-center gap-3 px-4 py-3 rounded-lg bg-[hsl(var(--color-muted)/0.5)] border border-[hsl(var(--color-border))] mb-3">
+                <Link
+                  to={`/profile/${user?.username}`}
+                  onClick={closeMobileMenu}
+                  className="flex items-center gap-3 px-4 py-3 rounded-lg bg-[hsl(var(--color-muted)/0.5)] border border-[hsl(var(--color-border))] mb-3"
+                >
                   <User className="h-5 w-5 text-[hsl(var(--color-muted-foreground))]" />
                   <div className="flex flex-col leading-tight">
                     <span className="font-semibold text-base">{user?.username}</span>
                     <div className="flex items-center gap-1 text-sm text-[hsl(var(--color-muted-foreground))]">
-                      <span>Rating:</span>
+                      <span>{getCategoryLabel(mainCategory)}:</span>
                       <Badge variant="secondary" className="px-2 py-0.5 text-xs">
-                        {user?.rating ?? '1200'}
+                        {formatPlayerRating(user, mainCategory)}
                       </Badge>
                     </div>
                   </div>
-                </div>
+                </Link>
 
                 {/* Navigation Links */}
                 <Link to="/" onClick={closeMobileMenu}>
@@ -138,6 +169,29 @@ const Navbar = () => {
                   </button>
                 </Link>
 
+                <Link to="/analysis" onClick={closeMobileMenu}>
+                  <button className="w-full flex items-center gap-2 px-4 py-3 rounded-md text-left hover:bg-[hsl(var(--color-muted))] transition-colors">
+                    <Microscope className="h-5 w-5" />
+                    <span className="font-medium">Analysis</span>
+                  </button>
+                </Link>
+
+                <Link to="/settings" onClick={closeMobileMenu}>
+                  <button className="w-full flex items-center gap-2 px-4 py-3 rounded-md text-left hover:bg-[hsl(var(--color-muted))] transition-colors">
+                    <Settings className="h-5 w-5" />
+                    <span className="font-medium">Settings</span>
+                  </button>
+                </Link>
+
+                {isStaff && (
+                  <Link to="/admin" onClick={closeMobileMenu}>
+                    <button className="w-full flex items-center gap-2 px-4 py-3 rounded-md text-left hover:bg-[hsl(var(--color-muted))] transition-colors">
+                      <Shield className="h-5 w-5" />
+                      <span className="font-medium">Admin</span>
+                    </button>
+                  </Link>
+                )}
+
                 <Link to="/about" onClick={closeMobileMenu}>
                   <button className="w-full flex items-center gap-2 px-4 py-3 rounded-md text-left hover:bg-[hsl(var(--color-muted))] transition-colors">
                     <Info className="h-5 w-5" />
@@ -1,8 +1,9 @@
 import { Navigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 
-const ProtectedRoute = ({ children }) => {
-  const { isAuthenticated, loading } = useAuth();
+// `roles` limits a route to some account roles (e.g. the admin dashboard)
+const ProtectedRoute = ({ children, roles }) => {
+  const { user, isAuthenticated, loading } = useAuth();
 
   if (loading) {
     return (
@@ -19,6 +20,10 @@ const ProtectedRoute = ({ children }) => {
     return <Navigate to="/login" replace />;
   }
 
+  if (roles && !roles.includes(user?.role)) {
+    return <Navigate to="/" replace />;
+  }
+
   return children;
 };
 
@@ -0,0 +1,112 @@
+/**
+ * AnalysisPanel Component
+ * Computer analysis of a finished game: request button, live progress
+ * (pushed over Socket.IO while the server works) and the results -
+ * evaluation graph plus per-player accuracy.
+ *
+ * The annotated move list lives with the game's move history.
+ */
+
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
+import { Button } from '../ui/button';
+import { Cpu, Loader2, RotateCcw } from 'lucide-react';
+import EvalGraph from './EvalGraph';
+
+const SUMMARY_ROWS = [
+  { key: 'inaccuracies', label: 'Inaccuracies', className: 'text-yellow-500' },
+  { key: 'mistakes', label: 'Mistakes', className: 'text-orange-500' },
+  { key: 'blunders', label: 'Blunders', className: 'text-red-500' }
+];
+
+const PlayerSummary = ({ label, summary }) => (
+  <div className="flex-1 p-3 rounded-lg bg-[hsl(var(--color-muted)/0.5)] space-y-1">
+    <div className="text-sm font-semibold">{label}</div>
+    <div className="text-2xl font-bold tabular-nums">
+      {summary?.accuracy != null ? `${summary.accuracy}%` : '–'}
+    </div>
+    <div className="text-xs text-[hsl(var(--color-muted-foreground))]">
+      accuracy · {summary?.averageCpLoss ?? '–'} ACPL
+    </div>
+    {SUMMARY_ROWS.map(({ key, label: rowLabel, className }) => (
+      <div key={key} className="flex justify-between text-xs">
+        <span className={className}>{rowLabel}</span>
+        <span className="font-semibold tabular-nums">{summary?.[key] ?? 0}</span>
+      </div>
+    ))}
+  </div>
+);
+
+const AnalysisPanel = ({ analysis, requesting, onRequest, whiteLabel, blackLabel, initialFen, currentPly, onSelectPly }) => {
+  const pending = analysis && ['queued', 'running'].includes(analysis.status);
+  const percent = analysis?.progress?.total
+    ? Math.round((analysis.progress.done / analysis.progress.total) * 100)
+    : 0;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Cpu className="h-5 w-5" />
+          Computer Analysis
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {!analysis && (
+          <>
+            <p className="text-sm text-[hsl(var(--color-muted-foreground))]">
+              Run every position through Stockfish to find the mistakes and see each player's accuracy.
+            </p>
+            <Button onClick={onRequest} disabled={requesting} className="w-full">
+              {requesting ? (
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              ) : (
+                <Cpu className="mr-2 h-4 w-4" />
+              )}
+              Request Analysis
+            </Button>
+          </>
+        )}
+
+        {pending && (
+          <div className="space-y-2">
+            <div className="flex items-center justify-between text-sm">
+              <span className="flex items-center gap-2">
+                <Loader2 className="h-4 w-4 animate-spin" />
+                {analysis.status === 'queued' ? 'Waiting for the engine...' : 'Analysing...'}
+              </span>
+              <span className="tabular-nums text-[hsl(var(--color-muted-foreground))]">{percent}%</span>
+            </div>
+            <div className="h-2 rounded-full bg-[hsl(var(--color-muted))] overflow-hidden">
+              <div
+                className="h-full bg-[hsl(var(--color-primary))] transition-all"
+                style={{ width: `${percent}%` }}
+              />
+            </div>
+          </div>
+        )}
+
+        {analysis?.status === 'failed' && (
+          <div className="space-y-2">
+            <p className="text-sm text-red-500">The analysis could not be completed.</p>
+            <Button onClick={onRequest} disabled={requesting} variant="outline" className="w-full">
+              <RotateCcw className="mr-2 h-4 w-4" />
+              Try Again
+            </Button>
+          </div>
+        )}
+
+        {analysis?.status === 'completed' && (
+          <>
+            <EvalGraph analysis={analysis} initialFen={initialFen} currentPly={currentPly} onSelectPly={onSelectPly} />
+            <div className="flex gap-2">
+              <PlayerSummary label={`⚪ ${whiteLabel}`} summary={analysis.summary?.white} />
+              <PlayerSummary label={`⚫ ${blackLabel}`} summary={analysis.summary?.black} />
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AnalysisPanel;
@@ -15,11 +15,13 @@ import { Button } from '../ui/button';
 import { Input } from '../ui/input';
 import { MessageCircle, Send } from 'lucide-react';
 import socketService from '../../services/socketService';
-import axios from 'axios';
+import api from '../../services/api';
 
-const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+// `channel="spectators"` is the spectator-only chat (the server picks the
+// channel from the socket's role; this only changes the labels)
+const ChatPanel = ({ gameId, currentUser, channel = 'players' }) => {
+  const title = channel === 'spectators' ? 'Spectator Chat' : 'Chat';
 
-const ChatPanel = ({ gameId, currentUser }) => {
   const [messages, setMessages] = useState([]);
   const [inputMessage, setInputMessage] = useState('');
   const [isTyping, setIsTyping] = useState(false);
@@ -39,10 +41,7 @@ const ChatPanel = ({ gameId, currentUser }) => {
 
   const loadChatHistory = async () => {
     try {
-      const token = localStorage.getItem('token');
-      const response = await axios.get(`${API_URL}/messages/${gameId}`, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
+      const response = await api.get(`/messages/${gameId}`);
       setMessages(response.data.messages || []);
       setLoading(false);
       // Only scroll on initial load, not every time
@@ -169,7 +168,7 @@ const ChatPanel = ({ gameId, currentUser }) => {
         <CardHeader>
           <CardTitle className="flex items-center gap-2">
             <MessageCircle className="h-5 w-5" />
-            Chat
+            {title}
           </CardTitle>
         </CardHeader>
         <CardContent>
@@ -186,7 +185,7 @@ const ChatPanel = ({ gameId, currentUser }) => {
       <CardHeader className="flex-shrink-0">
         <CardTitle className="flex items-center gap-2">
           <MessageCircle className="h-5 w-5" />
-          Chat
+          {title}
         </CardTitle>
       </CardHeader>
 
@@ -231,7 +230,7 @@ const ChatPanel = ({ gameId, currentUser }) => {
           {opponentTyping && (
             <div className="flex justify-start">
               <div className="bg-[hsl(var(--color-muted)/0.5)] rounded-lg px-3 py-2 text-sm text-[hsl(var(--color-muted-foreground))] italic">
-                Opponent is typing...
+                {channel === 'spectators' ? 'Someone is typing...' : 'Opponent is typing...'}
               </div>
             </div>
           )}
@@ -0,0 +1,75 @@
+/**
+ * ChessClock Component
+ * Displays one side's remaining time
+ *
+ * The server is authoritative: every `game:clock` sync replaces the local
+ * value, and between syncs we only count down the side to move.
+ * With `warnLowTime` (the player's own clock) a beep sounds once when it
+ * drops under LOW_TIME.
+ */
+
+import { useState, useEffect } from 'react';
+import { Clock } from 'lucide-react';
+import soundService from '../../services/soundService';
+
+const LOW_TIME = 20000; // 20 seconds
+
+const formatClock = (ms) => {
+  const total = Math.max(0, ms);
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+
+  // Show tenths when time is critical
+  if (total < 10000) {
+    return `0:${(total / 1000).toFixed(1).padStart(4, '0')}`;
+  }
+
+  const mmss = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+  return hours > 0 ? `${hours}:${mmss.padStart(5, '0')}` : mmss;
+};
+
+const ChessClock = ({ clock, color, warnLowTime = false }) => {
+  const [now, setNow] = useState(() => Date.now());
+  const ticking = !!clock?.running && clock.turn === color;
+
+  useEffect(() => {
+    if (!ticking) return;
+
+    const interval = setInterval(() => setNow(Date.now()), 100);
+    return () => clearInterval(interval);
+  }, [ticking, clock]);
+
+  let remaining = clock?.[color] ?? 0;
+  if (ticking) {
+    const elapsed = Math.max(0, now - clock.syncedAt);
+    remaining -= Math.max(0, elapsed - clock.delayLeft);
+  }
+  remaining = Math.max(0, remaining);
+
+  const lowTime = remaining < LOW_TIME;
+  const alarm = warnLowTime && ticking && lowTime;
+
+  useEffect(() => {
+    if (alarm) soundService.play('lowTime');
+  }, [alarm]);
+
+  if (!clock) return null;
+
+  return (
+    <div
+      className={`flex items-center gap-2 px-3 py-1.5 rounded-md font-mono text-xl font-bold tabular-nums transition ${
+        ticking
+          ? lowTime
+            ? 'bg-red-500/20 text-red-500 animate-pulse'
+            : 'bg-[hsl(var(--color-primary)/0.2)] text-[hsl(var(--color-foreground))]'
+          : 'bg-[hsl(var(--color-muted)/0.5)] text-[hsl(var(--color-muted-foreground))]'
+      }`}
+    >
+      <Clock className="h-4 w-4" />
+      {formatClock(remaining)}
+    </div>
+  );
+};
+
+export default ChessClock;
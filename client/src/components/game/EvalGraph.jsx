@@ -0,0 +1,79 @@
+/**
+ * EvalGraph Component
+ * Evaluation over the course of an analysed game
+ *
+ * White's advantage is the light area: the line sits at the middle for an
+ * equal position and moves up as White's winning chances grow. Evaluations
+ * go through the same win-probability curve the server uses for accuracy,
+ * so a +8 game doesn't flatten every other swing.
+ *
+ * In review mode the shown position is marked and a click jumps to a move.
+ */
+
+import { MOVE_CLASSIFICATIONS, formatMoveNumber } from '../../lib/gameFormat';
+
+const WIDTH = 300;
+const HEIGHT = 80;
+
+// Winning chances (0-100) for White - same curve as server/utils/analysis.js
+const winPercent = (cp) => 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * cp)) - 1);
+
+// Markers only for the moves worth looking at
+const MARKED = ['inaccuracy', 'mistake', 'blunder'];
+const MARKER_COLORS = {
+  inaccuracy: '#eab308',
+  mistake: '#f97316',
+  blunder: '#ef4444'
+};
+
+const EvalGraph = ({ analysis, initialFen = null, currentPly = null, onSelectPly }) => {
+  const evals = [analysis.initialEval, ...analysis.moves.map(move => move.eval)];
+  const step = WIDTH / Math.max(1, evals.length - 1);
+
+  const points = evals.map((evaluation, ply) => ({
+    x: ply * step,
+    y: HEIGHT * (1 - winPercent(evaluation?.cp ?? 0) / 100)
+  }));
+
+  const line = points.map(({ x, y }) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+  const area = `0,${HEIGHT} ${line} ${WIDTH},${HEIGHT}`;
+
+  const handleClick = (event) => {
+    if (!onSelectPly) return;
+    const rect = event.currentTarget.getBoundingClientRect();
+    onSelectPly(Math.round(((event.clientX - rect.left) / rect.width) * (evals.length - 1)));
+  };
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      preserveAspectRatio="none"
+      className={`w-full h-24 rounded-md bg-neutral-700 ${onSelectPly ? 'cursor-pointer' : ''}`}
+      role="img"
+      aria-label="Evaluation graph"
+      onClick={handleClick}
+    >
+      <polygon points={area} fill="#f5f5f5" />
+      <line x1="0" y1={HEIGHT / 2} x2={WIDTH} y2={HEIGHT / 2} stroke="#a3a3a3" strokeWidth="0.5" strokeDasharray="3 3" />
+      <polyline points={line} fill="none" stroke="#737373" strokeWidth="1" />
+      {currentPly != null && points[currentPly] && (
+        <line x1={points[currentPly].x} y1="0" x2={points[currentPly].x} y2={HEIGHT} stroke="#3b82f6" strokeWidth="1" />
+      )}
+      {analysis.moves.map((move) =>
+        MARKED.includes(move.classification) ? (
+          <circle
+            key={move.ply}
+            cx={points[move.ply].x}
+            cy={points[move.ply].y}
+            r="2.5"
+            fill={MARKER_COLORS[move.classification]}
+          >
+            <title>{`${formatMoveNumber(move.ply - 1, initialFen)} ${move.san} - ${MOVE_CLASSIFICATIONS[move.classification].label}`}</title>
+          </circle>
+        ) : null
+      )}
+    </svg>
+  );
+};
+
+export default EvalGraph;
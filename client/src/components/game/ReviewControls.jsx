@@ -0,0 +1,67 @@
+/**
+ * ReviewControls Component
+ * Navigation bar under the board in review mode, plus the side variation
+ * being explored (if any). Driven by the useGameReview hook.
+ */
+
+import { Button } from '../ui/button';
+import { ChevronsLeft, ChevronLeft, ChevronRight, ChevronsRight, ArrowUpDown, X } from 'lucide-react';
+import { getMoveNumber, formatMoveNumber } from '../../lib/gameFormat';
+
+const ReviewControls = ({ review }) => {
+  const { variation } = review;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-center gap-2">
+        <Button size="icon" variant="outline" onClick={review.first} disabled={review.atStart} title="First move (↑)">
+          <ChevronsLeft className="h-4 w-4" />
+        </Button>
+        <Button size="icon" variant="outline" onClick={review.prev} disabled={review.atStart} title="Previous move (←)">
+          <ChevronLeft className="h-4 w-4" />
+        </Button>
+        <span className="w-20 text-center text-sm tabular-nums text-[hsl(var(--color-muted-foreground))]">
+          {variation ? 'Variation' : `${review.ply} / ${review.lastPly}`}
+        </span>
+        <Button size="icon" variant="outline" onClick={review.next} disabled={review.atEnd} title="Next move (→)">
+          <ChevronRight className="h-4 w-4" />
+        </Button>
+        <Button size="icon" variant="outline" onClick={review.last} disabled={!variation && review.ply === review.lastPly} title="Last move (↓)">
+          <ChevronsRight className="h-4 w-4" />
+        </Button>
+        <Button size="icon" variant="outline" onClick={review.flip} title="Flip board (F)">
+          <ArrowUpDown className="h-4 w-4" />
+        </Button>
+      </div>
+
+      {variation && (
+        <div className="flex items-start gap-2 p-2 rounded-lg bg-[hsl(var(--color-muted)/0.5)] text-sm">
+          <div className="flex-1 flex flex-wrap gap-x-1">
+            {variation.moves.map((move, index) => {
+              const moveIndex = variation.startPly + index;
+              const showNumber = index === 0 || getMoveNumber(moveIndex, review.initialFen).color === 'white';
+
+              return (
+                <span
+                  key={index}
+                  className={index + 1 === variation.index ? 'font-bold text-[hsl(var(--color-primary))]' : ''}
+                >
+                  {showNumber && `${formatMoveNumber(moveIndex, review.initialFen)} `}{move.san}
+                </span>
+              );
+            })}
+          </div>
+          <button
+            onClick={review.exitVariation}
+            className="text-[hsl(var(--color-muted-foreground))] hover:text-[hsl(var(--color-foreground))]"
+            title="Back to the game"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReviewControls;
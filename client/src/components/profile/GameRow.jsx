@@ -0,0 +1,99 @@
+/**
+ * GameRow Component
+ * One finished game in a profile list, from the profile owner's side
+ */
+
+import { Link, useNavigate } from 'react-router-dom';
+import { DRAW_REASONS, formatTimeControl, getCategoryLabel, getGameCategory } from '../../lib/gameFormat';
+import { Badge } from '../ui/badge';
+
+const OUTCOME_STYLES = {
+  win: { label: 'Won', className: 'text-green-500' },
+  loss: { label: 'Lost', className: 'text-red-500' },
+  draw: { label: 'Draw', className: 'text-[hsl(var(--color-muted-foreground))]' }
+};
+
+// How the game ended, when the stored game says (resignations and mates don't)
+const describeEnding = (game) => {
+  if (game.result === '1/2-1/2') return DRAW_REASONS[game.drawReason] || 'Draw';
+  if (game.flaggedBy) return 'On time';
+  if (game.abandonedBy) return 'Abandoned';
+  return null;
+};
+
+const GameRow = ({ game, showOpponent = true, onHeadToHead }) => {
+  const navigate = useNavigate();
+  const outcome = OUTCOME_STYLES[game.outcome];
+  const opponentColor = game.color === 'white' ? 'black' : 'white';
+  const ending = describeEnding(game);
+
+  return (
+    <div
+      onClick={() => navigate(`/game/${game._id}`)}
+      className="p-3 rounded-lg border cursor-pointer transition-all hover:shadow-md border-[hsl(var(--color-border))] bg-[hsl(var(--color-card))] hover:border-[hsl(var(--color-primary)/0.5)]"
+    >
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex flex-wrap items-center gap-2">
+          <span className={`font-semibold w-10 ${outcome.className}`}>{outcome.label}</span>
+          <span title={`Played ${game.color}`}>{game.color === 'white' ? '⚪' : '⚫'}</span>
+          {showOpponent && (
+            game.opponent?.username ? (
+              <span className="flex items-center gap-1">
+                vs
+                <Link
+                  to={`/profile/${game.opponent.username}`}
+                  onClick={(e) => e.stopPropagation()}
+                  className="font-semibold hover:underline"
+                >
+                  {game.opponent.username}
+                </Link>
+                {game.playerRatings?.[opponentColor] != null && (
+                  <span className="text-sm text-[hsl(var(--color-muted-foreground))]">
+                    ({game.playerRatings[opponentColor]})
+                  </span>
+                )}
+              </span>
+            ) : (
+              <span>vs <span className="font-semibold">Stockfish</span></span>
+            )
+          )}
+          {!game.rated && <Badge variant="outline">Casual</Badge>}
+        </div>
+
+        {onHeadToHead && game.opponent?.username && (
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              onHeadToHead(game.opponent.username);
+            }}
+            className="text-xs text-[hsl(var(--color-primary))] hover:underline"
+          >
+            Head-to-head
+          </button>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mt-1 text-xs text-[hsl(var(--color-muted-foreground))]">
+        <span>{new Date(game.startedAt).toLocaleDateString()}</span>
+        <span>•</span>
+        <span>{getCategoryLabel(getGameCategory(game))} {formatTimeControl(game.timeControl)}</span>
+        <span>•</span>
+        <span>{Math.ceil(game.plies / 2)} moves</span>
+        {game.opening && (
+          <>
+            <span>•</span>
+            <span>{game.opening}</span>
+          </>
+        )}
+        {ending && (
+          <>
+            <span>•</span>
+            <span>{ending}</span>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default GameRow;
@@ -0,0 +1,94 @@
+/**
+ * HeadToHead Component
+ * The profile owner's record against one opponent and their latest games
+ */
+
+import { useState, useEffect } from 'react';
+import { userAPI } from '../../services/api';
+import GameRow from './GameRow';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { AlertCircle, Search } from 'lucide-react';
+
+// Wins - losses - draws, from the profile owner's side
+const RecordLine = ({ label, record }) => (
+  <div className="flex items-center justify-between text-sm">
+    <span className="text-[hsl(var(--color-muted-foreground))]">{label}</span>
+    <span>
+      <span className="text-green-500 font-semibold">{record.wins}</span>
+      {' - '}
+      <span className="text-red-500 font-semibold">{record.losses}</span>
+      {' - '}
+      <span className="font-semibold">{record.draws}</span>
+    </span>
+  </div>
+);
+
+const HeadToHead = ({ username, opponent, onOpponentChange }) => {
+  const [search, setSearch] = useState(opponent || '');
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  // The opponent can also be picked from the games list
+  useEffect(() => {
+    setSearch(opponent || '');
+    setData(null);
+    setError(null);
+    if (!opponent) return;
+
+    userAPI.getHeadToHead(username, opponent)
+      .then(response => setData(response.data))
+      .catch(err => setError(err.response?.data?.message || 'Failed to load head-to-head'));
+  }, [username, opponent]);
+
+  return (
+    <div className="space-y-4">
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          onOpponentChange(search.trim());
+        }}
+        className="flex gap-2"
+      >
+        <Input value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Opponent's username" />
+        <Button type="submit" variant="outline">
+          <Search className="h-4 w-4" />
+        </Button>
+      </form>
+
+      {error && (
+        <p className="flex items-center gap-2 text-sm text-red-500">
+          <AlertCircle className="h-4 w-4" />
+          {error}
+        </p>
+      )}
+
+      {data && (
+        data.results.total.games === 0 ? (
+          <p className="text-center py-4 text-sm text-[hsl(var(--color-muted-foreground))]">
+            {username} and {data.opponent.username} haven't finished a game yet
+          </p>
+        ) : (
+          <>
+            <div className="space-y-1">
+              <p className="text-sm">
+                <strong>{username}</strong> vs <strong>{data.opponent.username}</strong> -{' '}
+                {data.results.total.games} games, last on {new Date(data.lastPlayedAt).toLocaleDateString()}
+              </p>
+              <RecordLine label="Overall (W - L - D)" record={data.results.total} />
+              <RecordLine label="With White" record={data.results.white} />
+              <RecordLine label="With Black" record={data.results.black} />
+            </div>
+            <div className="space-y-2">
+              {data.games.map(game => (
+                <GameRow key={game._id} game={game} showOpponent={false} />
+              ))}
+            </div>
+          </>
+        )
+      )}
+    </div>
+  );
+};
+
+export default HeadToHead;
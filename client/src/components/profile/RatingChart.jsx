@@ -0,0 +1,60 @@
+/**
+ * RatingChart Component
+ * A player's rating after each rated game, oldest on the left
+ *
+ * The vertical range hugs the data (with a little padding) so small swings
+ * stay visible; the lowest and highest ratings are labelled at the side.
+ */
+
+const WIDTH = 300;
+const HEIGHT = 100;
+const PADDING = 8;
+
+const RatingChart = ({ history }) => {
+  if (history.length < 2) {
+    return (
+      <p className="text-center py-8 text-sm text-[hsl(var(--color-muted-foreground))]">
+        Play a few rated games to see a chart
+      </p>
+    );
+  }
+
+  const ratings = history.map(entry => entry.rating);
+  const min = Math.min(...ratings);
+  const max = Math.max(...ratings);
+  const span = Math.max(1, max - min);
+  const step = WIDTH / (history.length - 1);
+
+  const points = history.map((entry, i) => ({
+    x: i * step,
+    y: PADDING + (HEIGHT - 2 * PADDING) * (1 - (entry.rating - min) / span),
+    entry
+  }));
+
+  const line = points.map(({ x, y }) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+
+  return (
+    <div className="flex gap-2">
+      <div className="flex flex-col justify-between text-xs text-[hsl(var(--color-muted-foreground))] py-1">
+        <span>{max}</span>
+        <span>{min}</span>
+      </div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        preserveAspectRatio="none"
+        className="flex-1 h-40 rounded-md bg-[hsl(var(--color-muted)/0.4)]"
+        role="img"
+        aria-label="Rating history"
+      >
+        <polyline points={line} fill="none" stroke="hsl(var(--color-primary))" strokeWidth="1.5" />
+        {points.map(({ x, y, entry }) => (
+          <circle key={entry.game} cx={x} cy={y} r="1.5" fill="hsl(var(--color-primary))">
+            <title>{`${entry.rating} (${entry.change > 0 ? '+' : ''}${entry.change}) - ${new Date(entry.date).toLocaleDateString()}`}</title>
+          </circle>
+        ))}
+      </svg>
+    </div>
+  );
+};
+
+export default RatingChart;
@@ -1,5 +1,7 @@
 import { createContext, useState, useContext, useEffect } from 'react';
-import { authAPI } from '../services/api';
+import { authAPI, userAPI } from '../services/api';
+import { DEFAULT_PREFERENCES } from '../lib/preferences';
+import soundService from '../services/soundService';
 
 const AuthContext = createContext(null);
 
@@ -81,11 +83,43 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
+  // Board/game preferences - applied at once, saved in the background
+  const updatePreferences = async (changes) => {
+    const previous = user?.preferences;
+    const applyPreferences = (preferences) => {
+      setUser(prev => {
+        if (!prev) return prev;
+        const updated = { ...prev, preferences };
+        localStorage.setItem('user', JSON.stringify(updated));
+        return updated;
+      });
+    };
+
+    applyPreferences({ ...previous, ...changes });
+
+    try {
+      const response = await userAPI.updatePreferences(changes);
+      applyPreferences(response.data.preferences);
+      return { success: true };
+    } catch (err) {
+      console.error('Failed to save preferences:', err);
+      applyPreferences(previous);
+      return { success: false, error: err.response?.data?.message || 'Could not save preferences' };
+    }
+  };
+
+  const logout = async () => {
     // Disconnect socket
     import('../services/socketService').then(module => {
       module.default.disconnect();
     });
+
+    // End the server session (and its refresh cookie); log out locally regardless
+    try {
+      await authAPI.logout();
+    } catch (err) {
+      console.error('Logout request failed:', err);
+    }
     
     localStorage.removeItem('token');
     localStorage.removeItem('user');
@@ -93,6 +127,13 @@ export const AuthProvider = ({ children }) => {
     window.location.href = '/login';
   };
 
+  const preferences = { ...DEFAULT_PREFERENCES, ...user?.preferences };
+
+  // 🔊 Keep the sound service in step with the saved volume / mute
+  useEffect(() => {
+    soundService.setPreferences({ enabled: preferences.soundEnabled, volume: preferences.soundVolume });
+  }, [preferences.soundEnabled, preferences.soundVolume]);
+
   const value = {
     user,
     loading,
@@ -101,6 +142,8 @@ export const AuthProvider = ({ children }) => {
     login,
     logout,
     refreshUser, 
+    preferences,
+    updatePreferences,
     isAuthenticated: !!user,
   };
 
@@ -0,0 +1,152 @@
+/**
+ * useGameReview Hook
+ * Step through a finished game and try out side variations
+ *
+ * - Positions are rebuilt from the stored SAN moves with chess.js, from
+ *   `initialFen` for games started from an imported position
+ * - `ply` 0 is the start position, `moves.length` the final one
+ *   (null = "follow the end", so a longer move list keeps you at the end)
+ * - Playing a move on the board starts a local variation from the shown
+ *   position; playing the game's own next move just steps forward.
+ *   Nothing here is ever sent to the server.
+ */
+
+import { useState, useMemo, useEffect } from 'react';
+import { Chess } from 'chess.js';
+
+const opposite = (color) => (color === 'white' ? 'black' : 'white');
+
+export const useGameReview = (moves, { playerColor = 'white', keyboard = true, initialFen = null } = {}) => {
+  const [ply, setPly] = useState(null);
+  const [variation, setVariation] = useState(null); // { startPly, moves: [{ san, fen, from, to }], index }
+  const [flipped, setFlipped] = useState(false);
+
+  // Every position of the main line, with the move that led to it
+  const line = useMemo(() => {
+    const chess = new Chess(initialFen || undefined);
+    const positions = [{ fen: chess.fen(), from: null, to: null }];
+    for (const san of moves) {
+      const { from, to } = chess.move(san);
+      positions.push({ fen: chess.fen(), from, to });
+    }
+    return positions;
+  }, [moves, initialFen]);
+
+  const lastPly = line.length - 1;
+  const currentPly = ply == null ? lastPly : Math.min(ply, lastPly);
+
+  const shown = variation && variation.index > 0
+    ? variation.moves[variation.index - 1]
+    : line[variation ? variation.startPly : currentPly];
+  const { fen } = shown;
+
+  const goTo = (target) => {
+    setVariation(null);
+    setPly(Math.max(0, Math.min(target, lastPly)));
+  };
+
+  const first = () => goTo(0);
+  const last = () => goTo(lastPly);
+
+  const prev = () => {
+    if (!variation) return goTo(currentPly - 1);
+
+    // Stepping back past the first variation move returns to the main line
+    if (variation.index <= 1) {
+      setVariation(null);
+    } else {
+      setVariation({ ...variation, index: variation.index - 1 });
+    }
+  };
+
+  const next = () => {
+    if (!variation) return goTo(currentPly + 1);
+
+    if (variation.index < variation.moves.length) {
+      setVariation({ ...variation, index: variation.index + 1 });
+    }
+  };
+
+  /**
+   * Play a move on the shown position
+   * @returns {boolean} false if the move is illegal
+   */
+  const playMove = (from, to, promotion) => {
+    const chess = new Chess(fen);
+    let move;
+    try {
+      move = chess.move({ from, to, promotion });
+    } catch {
+      return false;
+    }
+
+    // The game's own move - just follow the main line
+    if (!variation && moves[currentPly] === move.san) {
+      goTo(currentPly + 1);
+      return true;
+    }
+
+    const entry = { san: move.san, fen: chess.fen(), from: move.from, to: move.to };
+
+    if (variation) {
+      // Playing from the middle of a variation replaces what came after
+      const kept = variation.moves.slice(0, variation.index);
+      setVariation({ ...variation, moves: [...kept, entry], index: kept.length + 1 });
+    } else {
+      setPly(currentPly);
+      setVariation({ startPly: currentPly, moves: [entry], index: 1 });
+    }
+    return true;
+  };
+
+  const exitVariation = () => setVariation(null);
+  const flip = () => setFlipped(value => !value);
+
+  // ← → step, ↑ ↓ jump to start / end, F flips
+  useEffect(() => {
+    if (!keyboard) return;
+
+    const handleKeyDown = (event) => {
+      const tag = event.target.tagName;
+      if (tag === 'INPUT' || tag === 'TEXTAREA' || event.target.isContentEditable) return;
+
+      const actions = {
+        ArrowLeft: prev,
+        ArrowRight: next,
+        ArrowUp: first,
+        ArrowDown: last,
+        f: flip
+      };
+
+      const action = actions[event.key];
+      if (action) {
+        event.preventDefault();
+        action();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  return {
+    fen,
+    initialFen,
+    lastMove: shown.from ? { from: shown.from, to: shown.to } : null,
+    ply: currentPly,
+    lastPly,
+    variation,
+    orientation: flipped ? opposite(playerColor) : playerColor,
+    turn: fen.split(' ')[1] === 'w' ? 'white' : 'black',
+    atStart: !variation && currentPly === 0,
+    atEnd: variation ? variation.index === variation.moves.length : currentPly === lastPly,
+    goTo,
+    first,
+    prev,
+    next,
+    last,
+    playMove,
+    exitVariation,
+    flip
+  };
+};
@@ -0,0 +1,123 @@
+// Display helpers shared by the game and spectator pages
+
+import { Chess } from 'chess.js';
+
+export const DRAW_REASONS = {
+  'agreement': 'Draw by agreement',
+  'stalemate': 'Stalemate',
+  'insufficient-material': 'Insufficient material',
+  'threefold-repetition': 'Threefold repetition',
+  'fifty-move-rule': '50-move rule',
+  'fivefold-repetition': 'Fivefold repetition',
+  'seventy-five-move-rule': '75-move rule'
+};
+
+// "3+2" style label for a stored time control (ms)
+export const formatTimeControl = (timeControl) => {
+  if (!timeControl?.initial) return 'Untimed';
+  let label = `${timeControl.initial / 60000}+${timeControl.increment / 1000}`;
+  if (timeControl.delay) label += ` (${timeControl.delay / 1000}s delay)`;
+  return label;
+};
+
+// Glicko-2 convention: "1500?" while the rating is still provisional
+export const formatRating = (rating, provisional = false) =>
+  rating == null ? '' : `${rating}${provisional ? '?' : ''}`;
+
+export const RATING_CATEGORIES = [
+  { value: 'bullet', label: 'Bullet' },
+  { value: 'blitz', label: 'Blitz' },
+  { value: 'rapid', label: 'Rapid' },
+  { value: 'classical', label: 'Classical' },
+  { value: 'bot', label: 'Bot' }
+];
+
+export const getCategoryLabel = (category) =>
+  RATING_CATEGORIES.find(c => c.value === category)?.label || category;
+
+// Same split as server/utils/ratingCategory.js (estimated length = initial + 40 × increment)
+export const getRatingCategory = (timeControl, isBot = false) => {
+  if (isBot) return 'bot';
+  if (!timeControl?.initial) return 'classical';
+
+  const estimated = timeControl.initial + 40 * (timeControl.increment || 0);
+  if (estimated < 3 * 60000) return 'bullet';
+  if (estimated < 8 * 60000) return 'blitz';
+  if (estimated < 25 * 60000) return 'rapid';
+  return 'classical';
+};
+
+// Category a game counts towards (older games have no stored category)
+export const getGameCategory = (game) =>
+  game?.ratingCategory || getRatingCategory(game?.timeControl, game?.isBot);
+
+// A player's rating in one category, e.g. "1500?"
+export const formatPlayerRating = (player, category) => {
+  const entry = player?.ratings?.[category];
+  return formatRating(entry?.rating ?? 1200, entry?.provisional ?? true);
+};
+
+// The category a user has played most - their headline rating
+export const getMainCategory = (user) => {
+  let main = 'blitz';
+  for (const { value } of RATING_CATEGORIES) {
+    if ((user?.ratings?.[value]?.gamesPlayed || 0) > (user?.ratings?.[main]?.gamesPlayed || 0)) {
+      main = value;
+    }
+  }
+  return main;
+};
+
+// Move number of moves[index] - games imported from a FEN may start with
+// Black to move, at any move number (same numbering as server/utils/pgn.js)
+export const getMoveNumber = (index, initialFen) => {
+  const [, turn, , , , fullmove] = (initialFen || '').split(' ');
+  const ply = index + (turn === 'b' ? 1 : 0);
+  return {
+    number: (parseInt(fullmove, 10) || 1) + Math.floor(ply / 2),
+    color: ply % 2 === 0 ? 'white' : 'black'
+  };
+};
+
+// { from, to } of the last move, for the board's highlight (null before the first move)
+export const getLastMove = (moves, initialFen) => {
+  if (!moves?.length) return null;
+  const chess = new Chess(initialFen || undefined);
+  moves.forEach(san => chess.move(san));
+  const { from, to } = chess.history({ verbose: true }).at(-1);
+  return { from, to };
+};
+
+// "12." before White's move, "12..." before Black's
+export const formatMoveNumber = (index, initialFen) => {
+  const { number, color } = getMoveNumber(index, initialFen);
+  return `${number}${color === 'white' ? '.' : '...'}`;
+};
+
+// Import box text -> request body: a FEN (8 ranks) or else a PGN
+const FEN_PATTERN = /^([1-8pnbrqk]+\/){7}[1-8pnbrqk]+(\s|$)/i;
+
+export const toImportBody = (text) => {
+  const value = text.trim();
+  return FEN_PATTERN.test(value) ? { fen: value } : { pgn: value };
+};
+
+// Engine evaluation (White's view, see server/utils/analysis.js): "+1.25", "#3", "#-2"
+export const formatEval = (evaluation) => {
+  if (!evaluation) return '';
+  if (evaluation.mate != null) {
+    if (evaluation.mate === 0) return '#';
+    return `#${evaluation.mate}`;
+  }
+  const pawns = evaluation.cp / 100;
+  return `${pawns > 0 ? '+' : ''}${pawns.toFixed(2)}`;
+};
+
+// Move quality from post-game analysis
+export const MOVE_CLASSIFICATIONS = {
+  best: { label: 'Best', symbol: '', className: 'text-green-500' },
+  good: { label: 'Good', symbol: '', className: '' },
+  inaccuracy: { label: 'Inaccuracy', symbol: '?!', className: 'text-yellow-500' },
+  mistake: { label: 'Mistake', symbol: '?', className: 'text-orange-500' },
+  blunder: { label: 'Blunder', symbol: '??', className: 'text-red-500' }
+};
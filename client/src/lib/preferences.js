@@ -0,0 +1,39 @@
+// Board and game preferences - same option lists as server/utils/preferences.js
+
+export const BOARD_THEMES = [
+  { value: 'brown', label: 'Brown', light: '#f0d9b5', dark: '#b58863' },
+  { value: 'blue', label: 'Blue', light: '#dee3e6', dark: '#8ca2ad' },
+  { value: 'green', label: 'Green', light: '#ffffdd', dark: '#86a666' },
+  { value: 'gray', label: 'Gray', light: '#d9d9d9', dark: '#8f8f8f' },
+  { value: 'purple', label: 'Purple', light: '#e8e0f0', dark: '#9070a8' }
+];
+
+export const PIECE_SETS = [
+  { value: 'classic', label: 'Classic' },
+  { value: 'minimal', label: 'Minimal' },
+  { value: 'letters', label: 'Letters' }
+];
+
+// Duration of the piece slide after a move
+export const ANIMATION_SPEEDS = [
+  { value: 'none', label: 'Off', ms: 0 },
+  { value: 'fast', label: 'Fast', ms: 120 },
+  { value: 'normal', label: 'Normal', ms: 200 },
+  { value: 'slow', label: 'Slow', ms: 350 }
+];
+
+export const DEFAULT_PREFERENCES = {
+  boardTheme: 'brown',
+  pieceSet: 'classic',
+  showCoordinates: true,
+  animationSpeed: 'normal',
+  soundEnabled: true,
+  soundVolume: 70,
+  autoQueen: false
+};
+
+export const getBoardTheme = (value) =>
+  BOARD_THEMES.find(theme => theme.value === value) || BOARD_THEMES[0];
+
+export const getAnimationMs = (value) =>
+  ANIMATION_SPEEDS.find(speed => speed.value === value)?.ms ?? 200;
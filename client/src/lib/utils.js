@@ -3,4 +3,19 @@ import { twMerge } from "tailwind-merge"
 
 export function cn(...inputs) {
   return twMerge(clsx(inputs))
-}
\ No newline at end of file
+}
+
+// Save a blob response (e.g. a PGN download) under the server's file name
+export function saveDownload(response, fallbackName) {
+  const disposition = response.headers?.["content-disposition"] || ""
+  const match = disposition.match(/filename="?([^";]+)"?/)
+  const url = URL.createObjectURL(response.data)
+
+  const link = document.createElement("a")
+  link.href = url
+  link.download = match ? match[1] : fallbackName
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
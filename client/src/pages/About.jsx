@@ -45,7 +45,7 @@ const About = () => {
             <Badge>React</Badge>
             <Badge>Node.js</Badge>
             <Badge>Stockfish</Badge>
-            <Badge>ELO Rating</Badge>
+            <Badge>Glicko-2 Rating</Badge>
           </div>
         </div>
 
@@ -59,7 +59,7 @@ const About = () => {
               ChessMaster is a professional-grade online chess platform that allows players
               to compete against each other or challenge an AI opponent powered by Stockfish.
               Built with modern web technologies, it provides a seamless and enjoyable chess
-              experience with real-time move validation and ELO rating system.
+              experience with real-time move validation and Glicko-2 rating system.
             </p>
             <p>
               Whether you're a beginner learning the game or a seasoned player looking for
@@ -74,8 +74,8 @@ const About = () => {
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
           {[
             { icon: Gamepad2, title: "Play Online", desc: "Challenge players worldwide in real-time matches with instant move validation and automatic game state management." },
-            { icon: Bot, title: "AI Opponent", desc: "Practice against Stockfish engine that adjusts difficulty based on your rating. Perfect for improving your skills." },
-            { icon: TrendingUp, title: "ELO Rating System", desc: "Track your progress with our accurate ELO rating system. Watch your rating climb as you improve and win matches." },
+            { icon: Bot, title: "AI Opponent", desc: "Practice against eight bot levels, each with its own fixed rating. Rated bot games count towards a separate bot rating." },
+            { icon: TrendingUp, title: "Glicko-2 Rating System", desc: "Track your progress with Glicko-2 ratings that settle quickly for new players and show how certain they are. Watch your rating climb as you improve and win matches." },
             { icon: Zap, title: "Valid Moves Only", desc: "Powered by chess.js library, ensuring all moves follow official chess rules with automatic checkmate detection." },
             { icon: Shield, title: "Secure & Private", desc: "Your account is protected with industry-standard JWT authentication and encrypted passwords." },
             { icon: Trophy, title: "Track Progress", desc: "Monitor your rating, wins, losses, and complete game history. Analyze your games and improve your strategy." },
@@ -0,0 +1,87 @@
+// client/src/pages/Admin.jsx - moderation dashboard for moderators and admins
+
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { adminAPI } from '../services/api';
+import FeedbackTriage from '../components/admin/FeedbackTriage';
+import UserModeration from '../components/admin/UserModeration';
+import GameModeration from '../components/admin/GameModeration';
+import { Card, CardContent } from '../components/ui/card';
+import { MessageSquare, Users, Swords } from 'lucide-react';
+
+const TABS = [
+  { value: 'feedback', label: 'Feedback', icon: <MessageSquare className="h-4 w-4" /> },
+  { value: 'users', label: 'Users', icon: <Users className="h-4 w-4" /> },
+  { value: 'games', label: 'Games', icon: <Swords className="h-4 w-4" /> }
+];
+
+const STAT_LABELS = [
+  { key: 'users', label: 'Users' },
+  { key: 'bannedUsers', label: 'Banned' },
+  { key: 'mutedUsers', label: 'Muted' },
+  { key: 'activeGames', label: 'Active games' },
+  { key: 'newFeedback', label: 'New feedback' }
+];
+
+const tabClass = (active) =>
+  `flex items-center gap-2 px-4 py-2 rounded-lg border-2 transition ${
+    active
+      ? 'border-[hsl(var(--color-primary))] bg-[hsl(var(--color-primary)/0.1)]'
+      : 'border-[hsl(var(--color-border))] hover:border-[hsl(var(--color-primary)/0.5)]'
+  }`;
+
+const Admin = () => {
+  const { user } = useAuth();
+  const [tab, setTab] = useState('feedback');
+  const [stats, setStats] = useState(null);
+
+  // Re-run after every moderation action so the counters stay honest
+  const loadStats = useCallback(() => {
+    adminAPI.getStats()
+      .then(response => setStats(response.data.stats))
+      .catch(err => console.error('Failed to load admin stats:', err));
+  }, []);
+
+  useEffect(() => {
+    loadStats();
+  }, [loadStats]);
+
+  return (
+    <div className="min-h-screen py-8 px-4">
+      <div className="max-w-5xl mx-auto space-y-6">
+        <div className="text-center space-y-2">
+          <h1 className="text-4xl font-bold">Admin</h1>
+          <p className="text-[hsl(var(--color-muted-foreground))]">
+            Signed in as {user?.username} ({user?.role})
+          </p>
+        </div>
+
+        <div className="grid grid-cols-2 sm:grid-cols-5 gap-3">
+          {STAT_LABELS.map(({ key, label }) => (
+            <Card key={key}>
+              <CardContent className="p-4 text-center">
+                <div className="text-2xl font-bold">{stats ? stats[key] : '–'}</div>
+                <div className="text-xs text-[hsl(var(--color-muted-foreground))]">{label}</div>
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+
+        <div className="flex flex-wrap justify-center gap-2">
+          {TABS.map(({ value, label, icon }) => (
+            <button key={value} onClick={() => setTab(value)} className={tabClass(tab === value)}>
+              {icon}
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {tab === 'feedback' && <FeedbackTriage onChange={loadStats} />}
+        {tab === 'users' && <UserModeration currentUser={user} onChange={loadStats} />}
+        {tab === 'games' && <GameModeration currentUser={user} onChange={loadStats} />}
+      </div>
+    </div>
+  );
+};
+
+export default Admin;
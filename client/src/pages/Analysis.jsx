@@ -0,0 +1,210 @@
+// client/src/pages/Analysis.jsx - analysis board for an imported PGN or FEN
+
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { gameAPI } from '../services/api';
+import { useGameReview } from '../hooks/useGameReview';
+import ChessBoard from '../components/ChessBoard/ChessBoard';
+import ReviewControls from '../components/game/ReviewControls';
+import { toImportBody, getMoveNumber, formatMoveNumber } from '../lib/gameFormat';
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Upload, Loader2, Copy, Swords, AlertCircle, RotateCcw } from 'lucide-react';
+
+const NO_MOVES = [];
+
+// PGN tags worth showing above the move list
+const SHOWN_HEADERS = ['White', 'Black', 'Event', 'Date', 'Result'];
+
+const Analysis = () => {
+  const navigate = useNavigate();
+
+  const [text, setText] = useState('');
+  const [board, setBoard] = useState(null); // { startFen, moves, headers } from the server
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  // Board starts at the standard position until something is imported
+  const review = useGameReview(board?.moves || NO_MOVES, {
+    initialFen: board?.startFen
+  });
+
+  const handleImport = async () => {
+    if (!text.trim()) return;
+
+    try {
+      setImporting(true);
+      setError(null);
+      const response = await gameAPI.importPosition(toImportBody(text));
+      setBoard(response.data.board);
+      review.first();
+    } catch (err) {
+      console.error('❌ Error importing position:', err);
+      setError(err.response?.data?.message || 'Could not read this PGN or FEN');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleReset = () => {
+    setBoard(null);
+    setText('');
+    setError(null);
+    review.first();
+  };
+
+  const handleCopyFen = async () => {
+    try {
+      await navigator.clipboard.writeText(review.fen);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (err) {
+      console.error('❌ Error copying FEN:', err);
+    }
+  };
+
+  // The new game dialog on the home page picks opponent, colour and clock
+  const handlePlayFromHere = () => {
+    navigate('/', { state: { startPosition: review.fen } });
+  };
+
+  const headers = SHOWN_HEADERS.filter(name => board?.headers?.[name]);
+
+  return (
+    <div className="min-h-screen py-8 px-4">
+      <div className="max-w-7xl mx-auto space-y-6">
+        <div className="text-center space-y-2">
+          <h1 className="text-4xl font-bold">Analysis Board</h1>
+          <p className="text-[hsl(var(--color-muted-foreground))]">
+            Paste a PGN or FEN, step through it, try your own moves and play it out
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Chess Board */}
+          <div className="lg:col-span-2 flex justify-center">
+            <Card className="p-6">
+              {/* Both sides can move - that's how variations start */}
+              <ChessBoard
+                position={review.fen}
+                onMove={review.playMove}
+                playerColor={review.turn}
+                orientation={review.orientation}
+                lastMove={review.lastMove}
+                isMyTurn
+              />
+              <ReviewControls review={review} />
+            </Card>
+          </div>
+
+          {/* Sidebar */}
+          <div className="space-y-4">
+            {/* Import */}
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <Upload className="h-5 w-5" />
+                  Import
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                <textarea
+                  value={text}
+                  onChange={(e) => setText(e.target.value)}
+                  placeholder={'1. e4 e5 2. Nf3 Nc6 ...\nor\n8/8/8/4k3/8/8/4P3/4K3 w - - 0 1'}
+                  rows={6}
+                  className="w-full rounded-md border border-[hsl(var(--color-border))] bg-[hsl(var(--color-background))] p-2 font-mono text-xs"
+                  disabled={importing}
+                />
+                {error && (
+                  <p className="flex items-center gap-2 text-sm text-red-500">
+                    <AlertCircle className="h-4 w-4 shrink-0" />
+                    {error}
+                  </p>
+                )}
+                <div className="flex gap-2">
+                  <Button onClick={handleImport} disabled={importing || !text.trim()} className="flex-1">
+                    {importing ? (
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    ) : (
+                      <Upload className="mr-2 h-4 w-4" />
+                    )}
+                    Load
+                  </Button>
+                  <Button onClick={handleReset} variant="outline" disabled={importing} title="Back to the starting position">
+                    <RotateCcw className="h-4 w-4" />
+                  </Button>
+                </div>
+              </CardContent>
+            </Card>
+
+            {/* From the shown position */}
+            <Card>
+              <CardContent className="pt-6 space-y-2">
+                <Button onClick={handlePlayFromHere} className="w-full">
+                  <Swords className="mr-2 h-4 w-4" />
+                  Play From This Position
+                </Button>
+                <Button onClick={handleCopyFen} variant="outline" className="w-full">
+                  <Copy className="mr-2 h-4 w-4" />
+                  {copied ? 'Copied!' : 'Copy FEN'}
+                </Button>
+              </CardContent>
+            </Card>
+
+            {/* Moves */}
+            <Card>
+              <CardHeader>
+                <CardTitle>Moves</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                {headers.length > 0 && (
+                  <div className="text-xs space-y-0.5">
+                    {headers.map(name => (
+                      <div key={name} className="flex justify-between gap-2">
+                        <span className="text-[hsl(var(--color-muted-foreground))]">{name}</span>
+                        <span className="font-semibold truncate">{board.headers[name]}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {review.lastPly === 0 ? (
+                  <p className="text-sm italic text-[hsl(var(--color-muted-foreground))]">
+                    No moves yet...
+                  </p>
+                ) : (
+                  <div className="max-h-60 overflow-y-auto space-y-1">
+                    {board.moves.map((move, index) => {
+                      const current = !review.variation && review.ply === index + 1;
+
+                      return (
+                        <div
+                          key={index}
+                          onClick={() => review.goTo(index + 1)}
+                          className={`flex items-center text-sm rounded px-1 cursor-pointer hover:bg-[hsl(var(--color-muted)/0.5)] ${
+                            current ? 'bg-[hsl(var(--color-primary)/0.2)]' : ''
+                          }`}
+                        >
+                          <span className="w-12 font-mono text-[hsl(var(--color-muted-foreground))]">
+                            {index === 0 || getMoveNumber(index, board.startFen).color === 'white'
+                              ? formatMoveNumber(index, board.startFen)
+                              : ''}
+                          </span>
+                          <span className="font-semibold">{move}</span>
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Analysis;
@@ -0,0 +1,105 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import { MailCheck } from 'lucide-react';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [sent, setSent] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      await authAPI.forgotPassword(email);
+      setSent(true);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not send the reset email');
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-[hsl(var(--color-background))] p-4">
+      <div className="w-full max-w-md">
+        <div className="text-center mb-8">
+          <h1 className="text-5xl font-bold mb-2">♟️ ChessMaster</h1>
+          <p className="text-[hsl(var(--color-muted-foreground))]">
+            Locked out? It happens to the best of us.
+          </p>
+        </div>
+
+        <Card>
+          {sent ? (
+            <CardHeader className="text-center">
+              <MailCheck className="h-12 w-12 mx-auto text-[hsl(var(--color-primary))]" />
+              <CardTitle>Check your inbox</CardTitle>
+              <CardDescription>
+                If an account uses <strong>{email}</strong>, we've sent it a link to reset the
+                password. The link works for an hour.
+              </CardDescription>
+            </CardHeader>
+          ) : (
+            <>
+              <CardHeader>
+                <CardTitle>Forgot Password</CardTitle>
+                <CardDescription>
+                  Enter your account email and we'll send you a reset link
+                </CardDescription>
+              </CardHeader>
+
+              <CardContent>
+                {error && (
+                  <div className="mb-4 p-3 rounded-md text-sm text-[hsl(var(--color-destructive-foreground))] bg-[hsl(var(--color-destructive)/0.15)] border border-[hsl(var(--color-destructive))]">
+                    {error}
+                  </div>
+                )}
+
+                <form onSubmit={handleSubmit} className="space-y-4">
+                  <div className="space-y-2">
+                    <label htmlFor="email" className="text-sm font-medium">
+                      Email
+                    </label>
+                    <Input
+                      id="email"
+                      name="email"
+                      type="email"
+                      required
+                      value={email}
+                      onChange={(e) => setEmail(e.target.value)}
+                      placeholder="you@example.com"
+                    />
+                  </div>
+
+                  <Button type="submit" className="w-full" disabled={loading}>
+                    {loading ? 'Sending...' : 'Send Reset Link'}
+                  </Button>
+                </form>
+              </CardContent>
+            </>
+          )}
+
+          <CardContent>
+            <div className="text-center text-sm">
+              <Link
+                to="/login"
+                className="text-[hsl(var(--color-primary))] hover:underline font-medium"
+              >
+                Back to sign in
+              </Link>
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
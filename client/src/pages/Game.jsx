@@ -1,22 +1,29 @@
 // client/src/pages/Game.jsx - FIXED VERSION
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { Chess } from 'chess.js';
 import { gameAPI } from '../services/api';
 import { useAuth } from '../context/AuthContext';
 import socketService from '../services/socketService';
+import soundService from '../services/soundService';
 import ChessBoard from '../components/ChessBoard/ChessBoard';
 import ChatPanel from '../components/game/ChatPanel';
+import ChessClock from '../components/game/ChessClock';
+import AnalysisPanel from '../components/game/AnalysisPanel';
+import ReviewControls from '../components/game/ReviewControls';
+import { useGameReview } from '../hooks/useGameReview';
+import { saveDownload } from '../lib/utils';
+import { DRAW_REASONS, formatTimeControl, formatPlayerRating, getGameCategory, formatEval, MOVE_CLASSIFICATIONS, getMoveNumber, formatMoveNumber, getLastMove } from '../lib/gameFormat';
 import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
 import { Button } from '../components/ui/button';
 import { Badge } from '../components/ui/badge';
-import { Trophy, Clock, Target, Flag, Bot, User, AlertCircle, AlertTriangle, XCircle, Loader2, Wifi, WifiOff } from 'lucide-react';
+import { Trophy, Clock, Target, Flag, Bot, User, AlertCircle, AlertTriangle, XCircle, Loader2, Wifi, WifiOff, Handshake, Scale, Undo2, Eye, Download, Copy } from 'lucide-react';
 
 // ============================================
 // 🎯 ENHANCED GAME OVER MODAL
 // ============================================
-const GameOverModal = ({ show, winner, reason, onClose }) => {
+const GameOverModal = ({ show, winner, reason, onClose, onReview }) => {
   if (!show) return null;
 
   const getModalStyle = () => {
@@ -70,12 +77,17 @@ const GameOverModal = ({ show, winner, reason, onClose }) => {
           <Button onClick={onClose} className="w-full" size="lg">
             Return to Home
           </Button>
+          <Button onClick={onReview} variant="outline" className="w-full">
+            Review Game
+          </Button>
         </CardContent>
       </Card>
     </div>
   );
 };
 
+const NO_MOVES = [];
+
 const Game = () => {
   const { gameId } = useParams();
   const navigate = useNavigate();
@@ -90,6 +102,12 @@ const Game = () => {
   const [botThinking, setBotThinking] = useState(false);
   const [timeoutWarning, setTimeoutWarning] = useState(null);
   const [remainingTime, setRemainingTime] = useState(null);
+  const [clock, setClock] = useState(null);
+  const [drawClaim, setDrawClaim] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [spectators, setSpectators] = useState(0);
+  const [analysis, setAnalysis] = useState(null);
+  const [requestingAnalysis, setRequestingAnalysis] = useState(false);
   
   // ✅ CENTRALIZED GAME OVER STATE
   const [gameOverModal, setGameOverModal] = useState({
@@ -98,11 +116,30 @@ const Game = () => {
     reason: ''
   });
 
+  // Short-lived message for declined offers / rejected requests
+  const flashNotice = (message) => {
+    setNotice(message);
+    setTimeout(() => setNotice(null), 3000);
+  };
+
+  // Apply a game document that changed the position (e.g. takeback)
+  const applyGameUpdate = (gameData) => {
+    setGame(gameData);
+    chess.load(gameData.fen);
+    setPosition(gameData.fen);
+  };
+
+  // ⏰ Store a server clock snapshot with the local time it arrived
+  const syncClock = (snapshot) => {
+    setClock(snapshot ? { ...snapshot, syncedAt: Date.now() } : null);
+  };
+
   // ============================================
   // 🎯 UNIFIED GAME OVER HANDLER
   // ============================================
-  const showGameOverModal = (winner, reason) => {
+  const showGameOverModal = (winner, reason, { sound = true } = {}) => {
     console.log('🏁 Showing Game Over Modal:', { winner, reason });
+    if (sound) soundService.play('gameEnd');
     
     // Force modal to show with a small delay to ensure state updates
     setTimeout(() => {
@@ -191,14 +228,61 @@ const Game = () => {
   // Socket event handlers
   const setupSocketListeners = () => {
     try {
-      socketService.onMoveMade(({ playerId }) => {
-        if (playerId !== user.id) {
-          fetchGame();
+      // Server-validated moves carry the canonical game state
+      socketService.onMoveMade((data) => {
+        if (data.playerId !== user.id) {
+          applyGameUpdate(data.game);
+          setDrawClaim(data.gameStatus?.drawClaim || null);
           setTimeoutWarning(null);
           setRemainingTime(null);
+
+          if (data.game.status === 'completed') {
+            determineWinnerAndShowModal(data.game);
+          }
+        }
+      });
+
+      socketService.onClockUpdate(syncClock);
+
+      // 👀 Live spectator count
+      socketService.onSpectatorCount(({ count }) => setSpectators(count));
+
+      // 🤝 Draw offers
+      socketService.onDrawOffered((data) => {
+        setGame(prev => prev && { ...prev, drawOffer: data.by });
+      });
+
+      socketService.onDrawDeclined((data) => {
+        setGame(prev => prev && { ...prev, drawOffer: null });
+        if (data.username !== user.username) {
+          flashNotice(`${data.username} declined the draw offer`);
+        }
+      });
+
+      // ↩️ Takebacks
+      socketService.onTakebackRequested((data) => {
+        setGame(prev => prev && { ...prev, takebackRequest: data.by });
+      });
+
+      socketService.onTakebackDeclined((data) => {
+        setGame(prev => prev && { ...prev, takebackRequest: null });
+        if (data.username !== user.username) {
+          flashNotice(`${data.username} declined the takeback`);
         }
       });
 
+      socketService.onTakebackAccepted((data) => {
+        applyGameUpdate(data.game);
+        if (data.clock) syncClock(data.clock);
+        setDrawClaim(null);
+      });
+
+      socketService.onDraw((data) => {
+        setGame(data.game);
+        setDrawClaim(null);
+        showGameOverModal('Draw', data.message);
+      });
+
       socketService.onGameStateUpdate((gameData) => {
         setGame(gameData);
         chess.load(gameData.fen);
@@ -207,6 +291,7 @@ const Game = () => {
 
       socketService.getSocket().on('game:timeout', (data) => {
         console.log('⏰ Game timed out:', data);
+        if (data.clock) syncClock(data.clock);
         
         const myColor = getPlayerColor();
         let winner;
@@ -257,10 +342,53 @@ const Game = () => {
         socket.off('game:timeout-warning');
         socket.off('game:timeout');
         socket.off('game:timeout-warning-cleared');
+        socket.off('game:clock');
+        socket.off('game:draw-offered');
+        socket.off('game:draw-declined');
+        socket.off('game:draw');
+        socket.off('game:takeback-requested');
+        socket.off('game:takeback-declined');
+        socket.off('game:takeback-accepted');
+        socket.off('game:spectators');
       }
     };
   }, []);
 
+  // 🔬 Existing analysis of a finished game
+  useEffect(() => {
+    if (game?.status !== 'completed') return;
+
+    gameAPI.getAnalysis(gameId)
+      .then(response => setAnalysis(response.data.analysis))
+      .catch(err => console.error('❌ Error loading analysis:', err));
+  }, [gameId, game?.status]);
+
+  // 🔬 Live analysis progress (sent to both players)
+  useEffect(() => {
+    if (!socketConnected) return;
+
+    socketService.onAnalysisProgress((data) => {
+      if (data.gameId !== gameId) return;
+      setAnalysis(prev => prev && {
+        ...prev,
+        status: 'running',
+        progress: { done: data.done, total: data.total }
+      });
+    });
+
+    socketService.onAnalysisCompleted((data) => {
+      if (data.gameId === gameId) setAnalysis(data.analysis);
+    });
+
+    socketService.onAnalysisFailed((data) => {
+      if (data.gameId !== gameId) return;
+      setAnalysis(prev => prev && { ...prev, status: 'failed' });
+      flashNotice(data.message);
+    });
+
+    return () => socketService.removeAnalysisListeners();
+  }, [gameId, socketConnected]);
+
   // Countdown timer
   useEffect(() => {
     if (remainingTime && timeoutWarning) {
@@ -287,13 +415,18 @@ const Game = () => {
       setGame(gameData);
       chess.load(gameData.fen);
       setPosition(gameData.fen);
+      syncClock(response.data.clock);
+      setDrawClaim(response.data.drawClaim || null);
       setLoading(false);
 
-      // ✅ CHECK IF GAME IS ALREADY OVER WHEN LOADING
+      // ✅ CHECK IF GAME IS ALREADY OVER WHEN LOADING (quietly - it ended before we got here)
       if (gameData.status === 'completed') {
         setTimeout(() => {
-          determineWinnerAndShowModal(gameData);
+          determineWinnerAndShowModal(gameData, { sound: false });
         }, 500);
+      } else if (loading && gameData.status === 'active' && gameData.moves.length === 0) {
+        // First load of a fresh game (refetches after a failed move have loading=false)
+        soundService.play('gameStart');
       }
     } catch (error) {
       console.error('❌ Error fetching game:', error);
@@ -303,17 +436,22 @@ const Game = () => {
       if (error.response?.status === 404) {
         setTimeout(() => navigate('/'), 2000);
       }
+
+      // Not a player - open the spectator view instead
+      if (error.response?.status === 403) {
+        navigate(`/watch/${gameId}`, { replace: true });
+      }
     }
   };
 
   // ✅ NEW: Helper to determine winner from completed game
-  const determineWinnerAndShowModal = (gameData) => {
+  const determineWinnerAndShowModal = (gameData, options) => {
     let winner = 'Unknown';
     let reason = 'Game ended';
 
     if (gameData.result === '1/2-1/2') {
       winner = 'Draw';
-      reason = 'Game ended in a draw';
+      reason = DRAW_REASONS[gameData.drawReason] || 'Game ended in a draw';
     } else if (gameData.winner) {
       const winnerId = gameData.winner._id || gameData.winner;
       
@@ -329,14 +467,16 @@ const Game = () => {
         }
       }
 
-      if (gameData.abandonedBy) {
+      if (gameData.flaggedBy) {
+        reason = `${gameData.flaggedBy.toUpperCase()}'s clock ran out!`;
+      } else if (gameData.abandonedBy) {
         reason = `${gameData.abandonedBy.toUpperCase()} ran out of time!`;
       } else {
         reason = 'Checkmate! Game over.';
       }
     }
 
-    showGameOverModal(winner, reason);
+    showGameOverModal(winner, reason, options);
   };
 
   const isMyTurn = () => {
@@ -362,17 +502,23 @@ const Game = () => {
   // ============================================
   // 🎯 HANDLE MOVE - WITH MODAL INTEGRATION
   // ============================================
-  const handleMove = async (from, to) => {
-    const move = { from, to, promotion: 'q' };
-    
-    const testChess = new Chess(position);
-    const testMove = testChess.move(move);
-    
-    if (!testMove) {
+  const handleMove = async (from, to, promotion) => {
+    // The board's picker supplies the piece for promotions (the server checks it)
+    const move = promotion ? { from, to, promotion } : { from, to };
+
+    let played;
+    try {
+      played = new Chess(position).move(move);
+    } catch {
       console.error('❌ Invalid move locally:', move);
       return;
     }
 
+    // 🔊 Bot replies come over REST, so sound our move now rather than after the bot's
+    if (game.isBot) {
+      soundService.playMove(played);
+    }
+
     try {
       if (game.isBot) {
         setBotThinking(true);
@@ -381,18 +527,24 @@ const Game = () => {
       let response;
       if (game.isBot) {
         response = await gameAPI.makeBotMove(gameId, move);
+        if (response.data.botMove) {
+          soundService.playMove(response.data.botMove, response.data.gameStatus);
+        }
+      } else if (socketConnected) {
+        // Server validates either way; the socket path also broadcasts to the
+        // room, and that game:move-made plays the move sound
+        response = { data: await socketService.makeMove(gameId, move) };
       } else {
         response = await gameAPI.makeMove(gameId, move);
-        
-        if (socketConnected) {
-          socketService.notifyMove(gameId, move);
-        }
+        soundService.playMove(played, response.data.gameStatus);
       }
       
       const newGame = response.data.game;
       setGame(newGame);
       chess.load(newGame.fen);
       setPosition(newGame.fen);
+      if (response.data.clock) syncClock(response.data.clock);
+      setDrawClaim(response.data.gameStatus.drawClaim || null);
 
       // ✅ CHECKMATE - USE MODAL
       if (response.data.gameStatus.isCheckmate) {
@@ -427,9 +579,12 @@ const Game = () => {
       else if (response.data.gameStatus.isDraw) {
         console.log('🤝 Draw detected, showing modal...');
         
-        let drawReason = 'Stalemate';
-        if (chess.isInsufficientMaterial()) drawReason = 'Insufficient material';
-        if (chess.isThreefoldRepetition()) drawReason = 'Threefold repetition';
+        let drawReason = DRAW_REASONS[response.data.gameStatus.drawReason];
+        if (!drawReason) {
+          drawReason = 'Stalemate';
+          if (chess.isInsufficientMaterial()) drawReason = 'Insufficient material';
+          if (chess.isThreefoldRepetition()) drawReason = 'Threefold repetition';
+        }
         
         showGameOverModal('Draw', drawReason);
       }
@@ -504,6 +659,132 @@ const Game = () => {
     }
   };
 
+  // ============================================
+  // 🤝 DRAW OFFERS & CLAIMS
+  // ============================================
+  const handleDrawResult = (response) => {
+    const updatedGame = response.data.game;
+    setGame(updatedGame);
+
+    if (updatedGame.status === 'completed') {
+      setDrawClaim(null);
+      showGameOverModal('Draw', DRAW_REASONS[updatedGame.drawReason] || 'Game ended in a draw');
+    }
+  };
+
+  const handleOfferDraw = async () => {
+    try {
+      handleDrawResult(await gameAPI.offerDraw(gameId));
+    } catch (error) {
+      console.error('❌ Error offering draw:', error);
+      flashNotice(error.response?.data?.message || 'Failed to offer draw');
+    }
+  };
+
+  const handleRespondToDraw = async (accept) => {
+    try {
+      const response = accept
+        ? await gameAPI.acceptDraw(gameId)
+        : await gameAPI.declineDraw(gameId);
+      handleDrawResult(response);
+    } catch (error) {
+      console.error('❌ Error responding to draw:', error);
+      flashNotice(error.response?.data?.message || 'Failed to respond to draw offer');
+    }
+  };
+
+  const handleClaimDraw = async () => {
+    if (!window.confirm(`Claim a draw by ${DRAW_REASONS[drawClaim]}?`)) return;
+
+    try {
+      handleDrawResult(await gameAPI.claimDraw(gameId));
+    } catch (error) {
+      console.error('❌ Error claiming draw:', error);
+      setDrawClaim(null);
+      flashNotice(error.response?.data?.message || 'Draw claim rejected');
+    }
+  };
+
+  // ============================================
+  // ↩️ TAKEBACKS
+  // ============================================
+  const handleTakeback = async () => {
+    try {
+      const response = await gameAPI.requestTakeback(gameId);
+      if (response.data.accepted) {
+        applyGameUpdate(response.data.game);
+        if (response.data.clock) syncClock(response.data.clock);
+        setDrawClaim(null);
+      } else {
+        setGame(response.data.game);
+      }
+    } catch (error) {
+      console.error('❌ Error requesting takeback:', error);
+      flashNotice(error.response?.data?.message || 'Failed to request takeback');
+    }
+  };
+
+  const handleRespondToTakeback = async (accept) => {
+    try {
+      const response = accept
+        ? await gameAPI.acceptTakeback(gameId)
+        : await gameAPI.declineTakeback(gameId);
+
+      if (accept) {
+        applyGameUpdate(response.data.game);
+        if (response.data.clock) syncClock(response.data.clock);
+        setDrawClaim(null);
+      } else {
+        setGame(response.data.game);
+      }
+    } catch (error) {
+      console.error('❌ Error responding to takeback:', error);
+      flashNotice(error.response?.data?.message || 'Failed to respond to takeback');
+    }
+  };
+
+  const handleRequestAnalysis = async () => {
+    try {
+      setRequestingAnalysis(true);
+      const response = await gameAPI.analyzeGame(gameId);
+      setAnalysis(response.data.analysis);
+    } catch (error) {
+      console.error('❌ Error requesting analysis:', error);
+      flashNotice(error.response?.data?.message || 'Failed to start analysis');
+    } finally {
+      setRequestingAnalysis(false);
+    }
+  };
+
+  // 📥 PGN with full headers (built by the server)
+  const handleDownloadPgn = async () => {
+    try {
+      const response = await gameAPI.downloadPgn(gameId);
+      saveDownload(response, `${gameId}.pgn`);
+    } catch (error) {
+      console.error('❌ Error downloading PGN:', error);
+      flashNotice('Failed to download PGN');
+    }
+  };
+
+  const handleCopyFen = async (fen) => {
+    try {
+      await navigator.clipboard.writeText(fen);
+      flashNotice('FEN copied to clipboard');
+    } catch {
+      flashNotice(fen);
+    }
+  };
+
+  // 🔍 Review mode - step through a finished game without touching it
+  const reviewing = game?.status === 'completed';
+  const review = useGameReview(game?.moves || NO_MOVES, {
+    playerColor: getPlayerColor(),
+    keyboard: reviewing && !gameOverModal.show,
+    initialFen: game?.initialFen
+  });
+  const lastMove = useMemo(() => getLastMove(game?.moves, game?.initialFen), [game?.moves, game?.initialFen]);
+
   // Error state
   if (error && !gameOverModal.show) {
     return (
@@ -539,6 +820,11 @@ const Game = () => {
   const myColor = getPlayerColor();
   const myTurn = isMyTurn();
   const canAbort = game.moves.length < 2;
+  const opponentOffersDraw = game.status === 'active' && game.drawOffer && game.drawOffer !== myColor;
+  const canTakeBack = game.status === 'active' && !game.rated && game.allowTakebacks;
+  const hasMoveToTakeBack = game.moves.length >= (myColor === 'white' ? 1 : 2);
+  const opponentRequestsTakeback = canTakeBack && game.takebackRequest && game.takebackRequest !== myColor;
+  const analysedMoves = analysis?.status === 'completed' ? analysis.moves : null;
 
   return (
     <div className="min-h-screen py-8 px-4 text-[hsl(var(--color-foreground))] bg-[hsl(var(--color-background))]">
@@ -564,6 +850,48 @@ const Game = () => {
           </div>
         )}
 
+        {/* 🤝 Draw Offer Banner */}
+        {opponentOffersDraw && (
+          <div className="bg-blue-500/10 border-2 border-blue-500 rounded-lg p-4">
+            <div className="flex items-center gap-3 flex-wrap">
+              <Handshake className="h-6 w-6 text-blue-500" />
+              <p className="flex-1 font-semibold">Your opponent offers a draw</p>
+              <div className="flex gap-2">
+                <Button size="sm" onClick={() => handleRespondToDraw(true)}>
+                  Accept
+                </Button>
+                <Button size="sm" variant="outline" onClick={() => handleRespondToDraw(false)}>
+                  Decline
+                </Button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* ↩️ Takeback Request Banner */}
+        {opponentRequestsTakeback && (
+          <div className="bg-purple-500/10 border-2 border-purple-500 rounded-lg p-4">
+            <div className="flex items-center gap-3 flex-wrap">
+              <Undo2 className="h-6 w-6 text-purple-500" />
+              <p className="flex-1 font-semibold">Your opponent asks to take back their last move</p>
+              <div className="flex gap-2">
+                <Button size="sm" onClick={() => handleRespondToTakeback(true)}>
+                  Accept
+                </Button>
+                <Button size="sm" variant="outline" onClick={() => handleRespondToTakeback(false)}>
+                  Decline
+                </Button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {notice && (
+          <div className="bg-[hsl(var(--color-muted)/0.5)] border border-[hsl(var(--color-border))] rounded-lg p-3 text-sm">
+            {notice}
+          </div>
+        )}
+
         {/* Connection Status */}
         <div className="flex justify-between items-center flex-wrap gap-2">
           <div className="flex gap-2">
@@ -587,6 +915,17 @@ const Game = () => {
                 Bot Game
               </Badge>
             )}
+
+            <Badge variant="outline">
+              {game.rated ? 'Rated' : 'Casual'}
+            </Badge>
+
+            {spectators > 0 && (
+              <Badge variant="outline">
+                <Eye className="mr-1 h-3 w-3" />
+                {spectators} watching
+              </Badge>
+            )}
           </div>
 
           {/* Turn Indicator */}
@@ -617,12 +956,29 @@ const Game = () => {
           {/* Chess Board */}
           <div className="lg:col-span-2 flex justify-center">
             <Card className="p-6">
-              <ChessBoard
-                position={position}
-                onMove={handleMove}
-                playerColor={myColor}
-                isMyTurn={myTurn && !botThinking}
-              />
+              {reviewing ? (
+                <>
+                  {/* Both sides can move - that's how variations start */}
+                  <ChessBoard
+                    position={review.fen}
+                    onMove={review.playMove}
+                    playerColor={review.turn}
+                    orientation={review.orientation}
+                    lastMove={review.lastMove}
+                    isMyTurn
+                  />
+                  <ReviewControls review={review} />
+                </>
+              ) : (
+                <ChessBoard
+                  position={position}
+                  onMove={handleMove}
+                  playerColor={myColor}
+                  isMyTurn={myTurn && !botThinking}
+                  lastMove={lastMove}
+                  allowPremoves={game.status === 'active'}
+                />
+              )}
             </Card>
           </div>
 
@@ -657,10 +1013,11 @@ const Game = () => {
                           ⚪ {game.players.white?.username || 'Stockfish'}
                         </div>
                         <div className="text-sm text-[hsl(var(--color-muted-foreground))]">
-                          ⭐ {game.players.white?.rating || 'AI'}
+                          ⭐ {game.players.white ? formatPlayerRating(game.players.white, getGameCategory(game)) : (game.botRating || 'AI')}
                         </div>
                       </div>
                     </div>
+                    <ChessClock clock={clock} color="white" warnLowTime={getPlayerColor() === 'white'} />
                     {game.currentTurn === 'white' && game.status === 'active' && !botThinking && (
                       <div className="text-green-500 text-2xl animate-pulse">●</div>
                     )}
@@ -687,10 +1044,11 @@ const Game = () => {
                           ⚫ {game.players.black?.username || 'Stockfish'}
                         </div>
                         <div className="text-sm text-[hsl(var(--color-muted-foreground))]">
-                          ⭐ {game.players.black?.rating || 'AI'}
+                          ⭐ {game.players.black ? formatPlayerRating(game.players.black, getGameCategory(game)) : (game.botRating || 'AI')}
                         </div>
                       </div>
                     </div>
+                    <ChessClock clock={clock} color="black" warnLowTime={getPlayerColor() === 'black'} />
                     {game.currentTurn === 'black' && game.status === 'active' && !botThinking && (
                       <div className="text-green-500 text-2xl animate-pulse">●</div>
                     )}
@@ -712,6 +1070,12 @@ const Game = () => {
                   <div className="text-sm text-[hsl(var(--color-muted-foreground))]">Status</div>
                   <div className="font-semibold capitalize">{game.status}</div>
                 </div>
+                {!game.isBot && (
+                  <div>
+                    <div className="text-sm text-[hsl(var(--color-muted-foreground))]">Time Control</div>
+                    <div className="font-semibold">{formatTimeControl(game.timeControl)}</div>
+                  </div>
+                )}
                 <div>
                   <div className="text-sm text-[hsl(var(--color-muted-foreground))]">Moves</div>
                   <div className="font-semibold">{game.moves.length}</div>
@@ -723,6 +1087,20 @@ const Game = () => {
               </CardContent>
             </Card>
 
+            {/* Export */}
+            {reviewing && (
+              <div className="flex gap-2">
+                <Button onClick={handleDownloadPgn} variant="outline" className="flex-1">
+                  <Download className="mr-2 h-4 w-4" />
+                  Download PGN
+                </Button>
+                <Button onClick={() => handleCopyFen(review.fen)} variant="outline" className="flex-1">
+                  <Copy className="mr-2 h-4 w-4" />
+                  Copy FEN
+                </Button>
+              </div>
+            )}
+
             {/* Action Buttons */}
             {game.status === 'active' && (
               <div className="space-y-2">
@@ -737,9 +1115,54 @@ const Game = () => {
                     Resign Game
                   </Button>
                 )}
+
+                {!game.isBot && !canAbort && !opponentOffersDraw && (
+                  <Button
+                    onClick={handleOfferDraw}
+                    variant="outline"
+                    className="w-full"
+                    disabled={game.drawOffer === myColor}
+                  >
+                    <Handshake className="mr-2 h-4 w-4" />
+                    {game.drawOffer === myColor ? 'Draw Offered' : 'Offer Draw'}
+                  </Button>
+                )}
+
+                {canTakeBack && hasMoveToTakeBack && !opponentRequestsTakeback && (
+                  <Button
+                    onClick={handleTakeback}
+                    variant="outline"
+                    className="w-full"
+                    disabled={botThinking || game.takebackRequest === myColor}
+                  >
+                    <Undo2 className="mr-2 h-4 w-4" />
+                    {game.takebackRequest === myColor ? 'Takeback Requested' : 'Takeback'}
+                  </Button>
+                )}
+
+                {!game.isBot && drawClaim && (
+                  <Button onClick={handleClaimDraw} variant="outline" className="w-full">
+                    <Scale className="mr-2 h-4 w-4" />
+                    Claim Draw ({DRAW_REASONS[drawClaim]})
+                  </Button>
+                )}
               </div>
             )}
 
+            {/* 🔬 Computer Analysis */}
+            {game.status === 'completed' && game.moves.length > 0 && (
+              <AnalysisPanel
+                analysis={analysis}
+                requesting={requestingAnalysis}
+                onRequest={handleRequestAnalysis}
+                whiteLabel={game.players.white?.username || 'Stockfish'}
+                blackLabel={game.players.black?.username || 'Stockfish'}
+                initialFen={game.initialFen}
+                currentPly={review.variation ? null : review.ply}
+                onSelectPly={review.goTo}
+              />
+            )}
+
             {/* Move History */}
             <Card>
               <CardHeader>
@@ -755,14 +1178,42 @@ const Game = () => {
                   </p>
                 ) : (
                   <div className="space-y-1">
-                    {game.moves.map((move, index) => (
-                      <div key={index} className="flex items-center text-sm">
-                        <span className="w-12 font-mono text-[hsl(var(--color-muted-foreground))]">
-                          {index % 2 === 0 ? `${Math.floor(index / 2) + 1}.` : ''}
-                        </span>
-                        <span className="font-semibold">{move}</span>
-                      </div>
-                    ))}
+                    {game.moves.map((move, index) => {
+                      const annotation = analysedMoves?.[index];
+                      const quality = annotation && MOVE_CLASSIFICATIONS[annotation.classification];
+                      const current = reviewing && !review.variation && review.ply === index + 1;
+
+                      return (
+                        <div
+                          key={index}
+                          onClick={reviewing ? () => review.goTo(index + 1) : undefined}
+                          className={`flex items-center text-sm rounded px-1 ${
+                            reviewing ? 'cursor-pointer hover:bg-[hsl(var(--color-muted)/0.5)]' : ''
+                          } ${current ? 'bg-[hsl(var(--color-primary)/0.2)]' : ''}`}
+                        >
+                          <span className="w-12 font-mono text-[hsl(var(--color-muted-foreground))]">
+                            {index === 0 || getMoveNumber(index, game.initialFen).color === 'white'
+                              ? formatMoveNumber(index, game.initialFen)
+                              : ''}
+                          </span>
+                          <span className={`font-semibold ${quality?.className || ''}`} title={quality?.label}>
+                            {move}{quality?.symbol}
+                          </span>
+                          {annotation && (
+                            <>
+                              {annotation.bestMove && annotation.classification !== 'best' && annotation.classification !== 'good' && (
+                                <span className="ml-2 text-xs text-[hsl(var(--color-muted-foreground))]">
+                                  best {annotation.bestMove}
+                                </span>
+                              )}
+                              <span className="ml-auto font-mono text-xs tabular-nums text-[hsl(var(--color-muted-foreground))]">
+                                {formatEval(annotation.eval)}
+                              </span>
+                            </>
+                          )}
+                        </div>
+                      );
+                    })}
                   </div>
                 )}
               </CardContent>
@@ -784,6 +1235,7 @@ const Game = () => {
           winner={gameOverModal.winner}
           reason={gameOverModal.reason}
           onClose={() => navigate('/')}
+          onReview={() => setGameOverModal(prev => ({ ...prev, show: false }))}
         />
       </div>
     </div>
@@ -1,8 +1,19 @@
 import { useState, useEffect, useMemo, useCallback } from 'react';
 import socketService from '../services/socketService';
-import { useNavigate, useLocation } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { gameAPI, userAPI } from '../services/api';
+import { gameAPI, userAPI, challengeAPI } from '../services/api';
+import {
+  formatTimeControl,
+  formatPlayerRating,
+  getRatingCategory,
+  getGameCategory,
+  getMainCategory,
+  getCategoryLabel,
+  toImportBody,
+  RATING_CATEGORIES
+} from '../lib/gameFormat';
+import { saveDownload } from '../lib/utils';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
 import { Button } from '../components/ui/button';
 import { Input } from '../components/ui/input';
@@ -20,12 +31,31 @@ import {
   ChevronUp,
   ChevronDown,
   AlertCircle,
-  Bell 
+  Bell,
+  Eye,
+  Radio,
+  Zap,
+  Swords,
+  Check,
+  Medal,
+  Download
 } from 'lucide-react';
 
+// Short description of a challenge's settings, e.g. "3+2 • Rated • you play White"
+// (`color` is the challenger's choice, so the opponent gets the other one)
+const describeChallenge = (challenge, asOpponent) => {
+  let colorLabel = 'random colors';
+  if (challenge.color !== 'random') {
+    const myColor = asOpponent === (challenge.color === 'white') ? 'Black' : 'White';
+    colorLabel = `you play ${myColor}`;
+  }
+  const position = challenge.initialFen ? ' • custom position' : '';
+  return `${formatTimeControl(challenge.timeControl)} • ${challenge.rated ? 'Rated' : 'Casual'} • ${colorLabel}${position}`;
+};
+
 // ✅ SIMPLE TOAST NOTIFICATION COMPONENT
-const GameInviteToast = ({ show, challenger, gameId, onAccept, onDismiss }) => {
-  if (!show) return null;
+const GameInviteToast = ({ challenge, onAccept, onDecline, onDismiss }) => {
+  if (!challenge) return null;
 
   return (
     <div className="fixed top-20 right-4 z-50 animate-in slide-in-from-right duration-300">
@@ -39,20 +69,30 @@ const GameInviteToast = ({ show, challenger, gameId, onAccept, onDismiss }) => {
               New Game Challenge!
             </p>
             <p className="text-sm text-[hsl(var(--color-muted-foreground))] mt-1">
-              <strong>{challenger}</strong> has challenged you to a game!
+              <strong>{challenge.challenger.username}</strong> ({formatPlayerRating(challenge.challenger, challenge.ratingCategory)}) has challenged you to a game!
+            </p>
+            <p className="text-xs text-[hsl(var(--color-muted-foreground))] mt-1">
+              {describeChallenge(challenge, true)}
             </p>
             <div className="flex gap-2 mt-3">
               <button
                 onClick={onAccept}
                 className="flex-1 px-3 py-1.5 rounded-md bg-blue-500 hover:bg-blue-600 text-white font-medium text-sm transition"
               >
-                View Game
+                Accept
               </button>
               <button
-                onClick={onDismiss}
+                onClick={onDecline}
                 className="px-3 py-1.5 rounded-md border border-[hsl(var(--color-border))] hover:bg-[hsl(var(--color-muted))] text-sm transition"
               >
-                Dismiss
+                Decline
+              </button>
+              <button
+                onClick={onDismiss}
+                className="px-2 py-1.5 rounded-md hover:bg-[hsl(var(--color-muted))] text-sm transition"
+                aria-label="Dismiss"
+              >
+                <X className="h-4 w-4" />
               </button>
             </div>
           </div>
@@ -62,9 +102,87 @@ const GameInviteToast = ({ show, challenger, gameId, onAccept, onDismiss }) => {
   );
 };
 
+// 🎮 Pending challenges - incoming can be answered, outgoing withdrawn
+const ChallengesSection = ({ incoming, outgoing, onAccept, onDecline, onCancel }) => {
+  if (incoming.length === 0 && outgoing.length === 0) return null;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Swords className="h-5 w-5" />
+          Challenges
+        </CardTitle>
+        <CardDescription>Unanswered challenges expire after 5 minutes</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {incoming.map((challenge) => (
+          <div
+            key={challenge._id}
+            className="p-4 rounded-lg border flex items-center justify-between gap-3 flex-wrap border-blue-500/50 bg-blue-500/5"
+          >
+            <div>
+              <div className="font-semibold">
+                {challenge.challenger.username} ({formatPlayerRating(challenge.challenger, challenge.ratingCategory)}) challenges you
+              </div>
+              <div className="text-sm text-[hsl(var(--color-muted-foreground))]">
+                {describeChallenge(challenge, true)}
+              </div>
+            </div>
+            <div className="flex gap-2">
+              <Button size="sm" onClick={() => onAccept(challenge._id)}>
+                <Check className="mr-1 h-4 w-4" />
+                Accept
+              </Button>
+              <Button size="sm" variant="outline" onClick={() => onDecline(challenge._id)}>
+                Decline
+              </Button>
+            </div>
+          </div>
+        ))}
+
+        {outgoing.map((challenge) => (
+          <div
+            key={challenge._id}
+            className="p-4 rounded-lg border flex items-center justify-between gap-3 flex-wrap border-[hsl(var(--color-border))]"
+          >
+            <div>
+              <div className="font-semibold flex items-center gap-2">
+                <Loader2 className="h-4 w-4 animate-spin" />
+                Waiting for {challenge.opponent.username} ({formatPlayerRating(challenge.opponent, challenge.ratingCategory)})
+              </div>
+              <div className="text-sm text-[hsl(var(--color-muted-foreground))]">
+                {describeChallenge(challenge, false)}
+              </div>
+            </div>
+            <Button size="sm" variant="outline" onClick={() => onCancel(challenge._id)}>
+              <X className="mr-1 h-4 w-4" />
+              Cancel
+            </Button>
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+};
+
 const CollapsibleGamesSection = ({ games, getGameStatus, navigate, user }) => {
   const [isExpanded, setIsExpanded] = useState(false);
   const [displayCount, setDisplayCount] = useState(5);
+  const [exporting, setExporting] = useState(false);
+
+  // 📥 Every finished game as one PGN file (for desktop databases)
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const response = await gameAPI.exportMyGames();
+      saveDownload(response, 'games.pgn');
+    } catch (error) {
+      console.error('❌ Error exporting games:', error);
+    } finally {
+      setExporting(false);
+    }
+  };
 
   // Show only first 5 games initially, or all if expanded
   const visibleGames = isExpanded ? games : games.slice(0, displayCount);
@@ -84,21 +202,34 @@ const CollapsibleGamesSection = ({ games, getGameStatus, navigate, user }) => {
             </CardDescription>
           </div>
           
-          {hasMoreGames && (
-            <button
-              onClick={() => setIsExpanded(!isExpanded)}
-              className="flex items-center gap-2 px-4 py-2 rounded-lg hover:bg-[hsl(var(--color-muted))] transition-colors"
-            >
-              <span className="text-sm font-medium">
-                {isExpanded ? 'Show Less' : `Show All (${games.length})`}
-              </span>
-              {isExpanded ? (
-                <ChevronUp className="h-4 w-4" />
-              ) : (
-                <ChevronDown className="h-4 w-4" />
-              )}
-            </button>
-          )}
+          <div className="flex items-center gap-2">
+            {games.some(game => game.status === 'completed') && (
+              <Button size="sm" variant="outline" onClick={handleExport} disabled={exporting}>
+                {exporting ? (
+                  <Loader2 className="mr-1 h-4 w-4 animate-spin" />
+                ) : (
+                  <Download className="mr-1 h-4 w-4" />
+                )}
+                Export PGN
+              </Button>
+            )}
+  
+            {hasMoreGames && (
+              <button
+                onClick={() => setIsExpanded(!isExpanded)}
+                className="flex items-center gap-2 px-4 py-2 rounded-lg hover:bg-[hsl(var(--color-muted))] transition-colors"
+              >
+                <span className="text-sm font-medium">
+                  {isExpanded ? 'Show Less' : `Show All (${games.length})`}
+                </span>
+                {isExpanded ? (
+                  <ChevronUp className="h-4 w-4" />
+                ) : (
+                  <ChevronDown className="h-4 w-4" />
+                )}
+              </button>
+            )}
+          </div>
         </div>
       </CardHeader>
 
@@ -163,6 +294,313 @@ const CollapsibleGamesSection = ({ games, getGameStatus, navigate, user }) => {
   );
 };
 
+// 👀 Ongoing games anyone can spectate, strongest first
+const LiveGamesSection = ({ navigate }) => {
+  const [liveGames, setLiveGames] = useState([]);
+
+  useEffect(() => {
+    const fetchLiveGames = async () => {
+      try {
+        const response = await gameAPI.getLiveGames(5);
+        setLiveGames(response.data.games);
+      } catch (error) {
+        console.error('❌ Error fetching live games:', error);
+      }
+    };
+
+    fetchLiveGames();
+    const interval = setInterval(fetchLiveGames, 30000);
+    return () => clearInterval(interval);
+  }, []);
+
+  if (liveGames.length === 0) return null;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Radio className="h-5 w-5 text-red-500 animate-pulse" />
+          Live Games
+        </CardTitle>
+        <CardDescription>Watch the highest rated games being played right now</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {liveGames.map((game) => (
+          <div
+            key={game._id}
+            onClick={() => navigate(`/watch/${game._id}`)}
+            className="p-4 rounded-lg border cursor-pointer transition-all hover:shadow-md border-[hsl(var(--color-border))] bg-[hsl(var(--color-card))] hover:border-[hsl(var(--color-primary)/0.5)]"
+          >
+            <div className="flex items-center justify-between gap-3 flex-wrap">
+              <div className="flex items-center gap-3 flex-wrap">
+                <span className="font-semibold">
+                  ⚪ {game.players.white.username} ({formatPlayerRating(game.players.white, getGameCategory(game))})
+                </span>
+                <span className="text-[hsl(var(--color-muted-foreground))]">vs</span>
+                <span className="font-semibold">
+                  ⚫ {game.players.black.username} ({formatPlayerRating(game.players.black, getGameCategory(game))})
+                </span>
+              </div>
+              <div className="flex items-center gap-2 text-sm text-[hsl(var(--color-muted-foreground))]">
+                <span>{game.moves.length} moves</span>
+                <Badge variant="outline">
+                  <Eye className="h-3 w-3 mr-1" />
+                  {game.spectators}
+                </Badge>
+              </div>
+            </div>
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+};
+
+// 🏆 Top players in one rating category
+const LeaderboardSection = ({ user }) => {
+  const [category, setCategory] = useState('blitz');
+  const [leaders, setLeaders] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchLeaders = async () => {
+      setLoading(true);
+      try {
+        const response = await userAPI.getAllUsers({ sort: category, includeSelf: true });
+        setLeaders(response.data.users.slice(0, 10));
+      } catch (error) {
+        console.error('❌ Error fetching leaderboard:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchLeaders();
+  }, [category]);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Medal className="h-5 w-5 text-yellow-500" />
+          Leaderboard
+        </CardTitle>
+        <CardDescription>Every category has its own rating</CardDescription>
+      </CardHeader>
+      <CardContent>
+        <div className="flex gap-2 mb-4 flex-wrap">
+          {RATING_CATEGORIES.map((option) => (
+            <Button
+              key={option.value}
+              size="sm"
+              variant={category === option.value ? 'default' : 'outline'}
+              onClick={() => setCategory(option.value)}
+            >
+              {option.label}
+            </Button>
+          ))}
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="h-6 w-6 animate-spin text-[hsl(var(--color-muted-foreground))]" />
+          </div>
+        ) : (
+          <div className="space-y-2">
+            {leaders.map((player, index) => (
+              <div
+                key={player._id}
+                className={`px-4 py-2 rounded-lg border flex items-center justify-between ${
+                  player._id === user?.id
+                    ? 'border-[hsl(var(--color-primary))] bg-[hsl(var(--color-primary)/0.1)]'
+                    : 'border-[hsl(var(--color-border))]'
+                }`}
+              >
+                <div className="flex items-center gap-3">
+                  <span className="w-6 text-right font-bold text-[hsl(var(--color-muted-foreground))]">
+                    {index + 1}
+                  </span>
+                  <Link to={`/profile/${player.username}`} className="font-semibold hover:underline">
+                    {player.username}
+                  </Link>
+                </div>
+                <div className="flex items-center gap-3 text-sm">
+                  <span className="text-[hsl(var(--color-muted-foreground))]">
+                    {player.ratings?.[category]?.gamesPlayed || 0} games
+                  </span>
+                  <strong>{formatPlayerRating(player, category)}</strong>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+// Rating category a time control option plays in ("3+2" -> blitz)
+const getTimeControlCategory = (value) => {
+  if (!value) return getRatingCategory(null);
+  const [minutes, increment] = value.split('+').map(Number);
+  return getRatingCategory({ initial: minutes * 60000, increment: increment * 1000 });
+};
+
+// Time controls offered for human games (null = untimed)
+const TIME_CONTROLS = [
+  { value: '1+0', label: '1+0', category: 'Bullet' },
+  { value: '3+2', label: '3+2', category: 'Blitz' },
+  { value: '5+0', label: '5+0', category: 'Blitz' },
+  { value: '10+0', label: '10+0', category: 'Rapid' },
+  { value: '15+10', label: '15+10', category: 'Rapid' },
+  { value: '30+0', label: '30+0', category: 'Classical' },
+  { value: null, label: '∞', category: 'Untimed' },
+];
+
+const COLOR_OPTIONS = [
+  { value: 'white', label: '⚪ White' },
+  { value: 'random', label: '🎲 Random' },
+  { value: 'black', label: '⚫ Black' },
+];
+
+// ⚡ Matchmaking queue - paired automatically with a similar rating
+const QuickPairPanel = ({ navigate }) => {
+  const [timeControl, setTimeControl] = useState('5+0');
+  const [rated, setRated] = useState(true);
+  const [seek, setSeek] = useState(null);
+  const [joining, setJoining] = useState(false);
+  const [waited, setWaited] = useState(0);
+  const [error, setError] = useState(null);
+
+  const removeSeekListeners = () => {
+    socketService.removeListener('seek:matched');
+    socketService.removeListener('seek:cancelled');
+  };
+
+  useEffect(() => removeSeekListeners, []);
+
+  // Leave the queue when navigating away mid-search
+  useEffect(() => {
+    if (!seek) return;
+    return () => socketService.cancelSeek();
+  }, [seek]);
+
+  // Waiting time display
+  useEffect(() => {
+    if (!seek) return;
+
+    const interval = setInterval(() => {
+      setWaited(Math.floor((Date.now() - seek.createdAt) / 1000));
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [seek]);
+
+  const handleSeek = async () => {
+    setError(null);
+    setJoining(true);
+    setWaited(0);
+
+    // Listen before seeking - a match can arrive before the ack
+    removeSeekListeners();
+    socketService.onSeekMatched((data) => {
+      console.log('🎯 Matched:', data);
+      setSeek(null);
+      navigate(`/game/${data.gameId}`);
+    });
+    socketService.onSeekCancelled((data) => {
+      setSeek(null);
+      setError(data.message);
+    });
+
+    try {
+      const newSeek = await socketService.createSeek({ timeControl, rated });
+      // Use our own clock for the waiting time
+      setSeek({ ...newSeek, createdAt: Date.now() });
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setJoining(false);
+    }
+  };
+
+  const handleCancel = () => {
+    socketService.cancelSeek();
+    setSeek(null);
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Zap className="h-5 w-5 text-yellow-500" />
+          Quick Pair
+        </CardTitle>
+        <CardDescription>Get matched with a player of similar rating</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-3 sm:grid-cols-6 gap-2">
+          {TIME_CONTROLS.filter(tc => tc.value).map((tc) => (
+            <button
+              key={tc.label}
+              onClick={() => setTimeControl(tc.value)}
+              disabled={!!seek || joining}
+              className={`p-2 rounded-lg border-2 text-center transition ${
+                timeControl === tc.value
+                  ? 'border-[hsl(var(--color-primary))] bg-[hsl(var(--color-primary)/0.1)]'
+                  : 'border-[hsl(var(--color-border))] hover:border-[hsl(var(--color-primary)/0.5)]'
+              }`}
+            >
+              <div className="font-bold">{tc.label}</div>
+              <div className="text-xs text-[hsl(var(--color-muted-foreground))]">{tc.category}</div>
+            </button>
+          ))}
+        </div>
+
+        <div className="flex items-center justify-between gap-4 flex-wrap">
+          <label className="flex items-center gap-2 text-sm cursor-pointer">
+            <input
+              type="checkbox"
+              checked={rated}
+              onChange={(e) => setRated(e.target.checked)}
+              disabled={!!seek || joining}
+            />
+            Rated
+          </label>
+
+          {seek ? (
+            <div className="flex items-center gap-3">
+              <span className="text-sm text-[hsl(var(--color-muted-foreground))] flex items-center gap-2">
+                <Loader2 className="h-4 w-4 animate-spin" />
+                Searching {seek.timeControl} {seek.rated ? 'rated' : 'casual'}... {waited}s
+              </span>
+              <Button variant="outline" onClick={handleCancel}>
+                <X className="mr-2 h-4 w-4" />
+                Cancel
+              </Button>
+            </div>
+          ) : (
+            <Button onClick={handleSeek} disabled={joining}>
+              {joining ? (
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              ) : (
+                <Zap className="mr-2 h-4 w-4" />
+              )}
+              Find Opponent
+            </Button>
+          )}
+        </div>
+
+        {error && (
+          <div className="flex items-center gap-2 text-sm text-red-500">
+            <AlertCircle className="h-4 w-4" />
+            {error}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
 const isPlayerBusy = (opponent, games) => {
   return games.some(game => 
     game.status === 'active' && (
@@ -189,11 +627,31 @@ const Home = () => {
   const [gameMode, setGameMode] = useState('human');
   const [searchQuery, setSearchQuery] = useState('');
   const [creatingGame, setCreatingGame] = useState(false);
-  const [gameInvite, setGameInvite] = useState({
-    show: false,
-    challenger: '',
-    gameId: ''
-  });
+  const [timeControl, setTimeControl] = useState('10+0');
+  const [rated, setRated] = useState(true);
+  const [allowTakebacks, setAllowTakebacks] = useState(true);
+  const [botLevels, setBotLevels] = useState([]);
+  const [botLevel, setBotLevel] = useState(null);
+  const [botRated, setBotRated] = useState(false);
+  const [color, setColor] = useState('random');
+  const [startPosition, setStartPosition] = useState(''); // FEN or PGN, empty = standard start
+  const [challenges, setChallenges] = useState({ incoming: [], outgoing: [] });
+  const [challengeNotice, setChallengeNotice] = useState(null);
+  const [gameInvite, setGameInvite] = useState(null); // challenge shown in the toast
+
+  // ============================================
+  //  BOT LEVELS (loaded the first time bot mode is picked)
+  // ============================================
+  useEffect(() => {
+    if (gameMode !== 'bot' || botLevels.length > 0) return;
+
+    gameAPI.getBotLevels()
+      .then((response) => {
+        setBotLevels(response.data.levels);
+        setBotLevel(response.data.suggested);
+      })
+      .catch((error) => console.error('❌ Error fetching bot levels:', error));
+  }, [gameMode, botLevels.length]);
 
   // ============================================
   //  REFRESH DATA ON MOUNT AND AFTER NAVIGATION
@@ -205,6 +663,18 @@ const Home = () => {
     refreshUser();
   }, [location.pathname]); // Re-run when URL changes
 
+  // ============================================
+  //  "PLAY FROM THIS POSITION" (analysis board)
+  // ============================================
+  useEffect(() => {
+    const fen = location.state?.startPosition;
+    if (!fen) return;
+
+    setStartPosition(fen);
+    setShowNewGameModal(true);
+    navigate(location.pathname, { replace: true, state: null }); // not again on refresh
+  }, [location.state, location.pathname, navigate]);
+
   // ============================================
   //  REFRESH WHEN TAB BECOMES VISIBLE
   // ============================================
@@ -225,7 +695,7 @@ const Home = () => {
   }, []);
 
   // ============================================
-  //  LISTEN FOR GAME INVITES
+  //  LISTEN FOR CHALLENGES
   // ============================================
   useEffect(() => {
     const token = localStorage.getItem('token');
@@ -234,52 +704,96 @@ const Home = () => {
       socketService.connect(token);
     }
 
-    const socket = socketService.getSocket();
-    
-    if (socket) {
-      // Listen for game challenges
-      socket.on('game:new-challenge', (data) => {
-        console.log('🎮 Game challenge received:', data);
-        
-        // Only show if it's for this user
-        if (data.opponentId === user.id) {
-          setGameInvite({
-            show: true,
-            challenger: data.challenger,
-            gameId: data.gameId
-          });
-
-          // Browser notification (if permitted)
-          if ('Notification' in window && Notification.permission === 'granted') {
-            new Notification('Chess Challenge!', {
-              body: `${data.challenger} has challenged you to a game!`,
-              icon: '/chess-pawn.svg'
-            });
-          }
-
-          // Auto-dismiss after 15 seconds
-          setTimeout(() => {
-            setGameInvite(prev => ({ ...prev, show: false }));
-          }, 15000);
-        }
-      });
+    const removeChallenge = (challengeId) => {
+      setChallenges(prev => ({
+        incoming: prev.incoming.filter(c => c._id !== challengeId),
+        outgoing: prev.outgoing.filter(c => c._id !== challengeId)
+      }));
+      setGameInvite(prev => (prev?._id === challengeId ? null : prev));
+    };
 
-      return () => {
-        socket.off('game:new-challenge');
-      };
-    }
-  }, [user]);
+    socketService.onChallengeReceived(({ challenge }) => {
+      console.log('🎮 Game challenge received:', challenge);
+
+      setChallenges(prev => ({ ...prev, incoming: [challenge, ...prev.incoming] }));
+      setGameInvite(challenge);
+
+      // Browser notification (if permitted)
+      if ('Notification' in window && Notification.permission === 'granted') {
+        new Notification('Chess Challenge!', {
+          body: `${challenge.challenger.username} has challenged you to a game!`,
+          icon: '/chess-pawn.svg'
+        });
+      }
+
+      // Auto-hide the toast after 15 seconds (it stays in the Challenges list)
+      setTimeout(() => {
+        setGameInvite(prev => (prev?._id === challenge._id ? null : prev));
+      }, 15000);
+    });
+
+    // Both players go straight to the new game
+    socketService.onChallengeAccepted(({ challenge, gameId }) => {
+      removeChallenge(challenge._id);
+      navigate(`/game/${gameId}`);
+    });
+
+    socketService.onChallengeClosed(({ challenge, status, message }) => {
+      removeChallenge(challenge._id);
+
+      // Tell the challenger their invite went nowhere
+      if (challenge.challenger._id === user?.id && status !== 'cancelled') {
+        setChallengeNotice(message);
+        setTimeout(() => setChallengeNotice(null), 5000);
+      }
+    });
+
+    return () => {
+      socketService.removeChallengeListeners();
+    };
+  }, [user, navigate]);
 
   // ============================================
-  //  HANDLE INVITE ACTIONS
+  //  HANDLE CHALLENGE ACTIONS
   // ============================================
-  const handleAcceptInvite = () => {
-    navigate(`/game/${gameInvite.gameId}`);
-    setGameInvite({ show: false, challenger: '', gameId: '' });
+  const showChallengeError = (error) => {
+    setChallengeNotice(error.response?.data?.message || 'Something went wrong with that challenge');
+    setTimeout(() => setChallengeNotice(null), 5000);
+    fetchChallenges();
+  };
+
+  const handleAcceptChallenge = async (challengeId) => {
+    try {
+      const response = await challengeAPI.acceptChallenge(challengeId);
+      navigate(`/game/${response.data.game._id}`);
+    } catch (error) {
+      showChallengeError(error);
+    }
+  };
+
+  const handleDeclineChallenge = async (challengeId) => {
+    try {
+      await challengeAPI.declineChallenge(challengeId);
+    } catch (error) {
+      showChallengeError(error);
+    }
   };
 
-  const handleDismissInvite = () => {
-    setGameInvite({ show: false, challenger: '', gameId: '' });
+  const handleCancelChallenge = async (challengeId) => {
+    try {
+      await challengeAPI.cancelChallenge(challengeId);
+    } catch (error) {
+      showChallengeError(error);
+    }
+  };
+
+  const fetchChallenges = async () => {
+    try {
+      const response = await challengeAPI.getChallenges();
+      setChallenges({ incoming: response.data.incoming, outgoing: response.data.outgoing });
+    } catch (error) {
+      console.error('❌ Error fetching challenges:', error);
+    }
   };
 
   // ============================================
@@ -288,12 +802,14 @@ const Home = () => {
   const fetchData = async () => {
     try {
       setError(null);
-      const [gamesRes, usersRes] = await Promise.all([
+      const [gamesRes, usersRes, challengesRes] = await Promise.all([
         gameAPI.getMyGames(),
         userAPI.getAllUsers(),
+        challengeAPI.getChallenges(),
       ]);
       setGames(gamesRes.data.games);
       setUsers(usersRes.data.users);
+      setChallenges({ incoming: challengesRes.data.incoming, outgoing: challengesRes.data.outgoing });
       console.log('✅ Data refreshed successfully');
     } catch (error) {
       console.error('❌ Error fetching data:', error);
@@ -303,19 +819,25 @@ const Home = () => {
     }
   };
 
+  // Opponents are listed by their rating in the chosen time control's category
+  const opponentCategory = getTimeControlCategory(timeControl);
+  const mainCategory = getMainCategory(user);
+
   // ============================================
   // SEARCH FILTERING (Optimized with useMemo)
   // ============================================
   const filteredUsers = useMemo(() => {
-    if (!searchQuery.trim()) return users;
+    const ratingOf = (opponent) => opponent.ratings?.[opponentCategory]?.rating ?? 1200;
+    const sorted = [...users].sort((a, b) => ratingOf(b) - ratingOf(a));
+    if (!searchQuery.trim()) return sorted;
     
     const query = searchQuery.toLowerCase();
-    return users.filter(opponent => 
+    return sorted.filter(opponent => 
       opponent.username.toLowerCase().includes(query) ||
-      opponent.rating.toString().includes(query) ||
+      formatPlayerRating(opponent, opponentCategory).includes(query) ||
       opponent.gamesPlayed.toString().includes(query)
     );
-  }, [users, searchQuery]);
+  }, [users, searchQuery, opponentCategory]);
 
   // ============================================
   // GAME STATUS HELPER
@@ -365,6 +887,7 @@ const Home = () => {
     setSelectedOpponent(null);
     setSearchQuery('');
     setGameMode('human');
+    setStartPosition('');
     setError(null);
   }, []);
 
@@ -379,20 +902,32 @@ const Home = () => {
     setCreatingGame(true);
     setError(null);
 
-    let response;
+    // Games from a custom position are always casual (the server enforces it)
+    const positionOptions = startPosition.trim() ? toImportBody(startPosition) : {};
+
     if (gameMode === 'bot') {
-      response = await gameAPI.createBotGame();
-    } else {
-      response = await gameAPI.createGame(selectedOpponent);
+      const response = await gameAPI.createBotGame({
+        difficulty: botLevel,
+        rated: botRated,
+        allowTakebacks,
+        color,
+        ...positionOptions
+      });
+      navigate(`/game/${response.data.game._id}`);
+      return;
     }
-    
-    navigate(`/game/${response.data.game._id}`);
+
+    // Human games start once the opponent accepts (challenge:accepted)
+    const response = await challengeAPI.createChallenge(selectedOpponent, { timeControl, rated, color, ...positionOptions });
+    setChallenges(prev => ({ ...prev, outgoing: [response.data.challenge, ...prev.outgoing] }));
+    setCreatingGame(false);
+    handleCloseModal();
   } catch (error) {
     console.error('❌ Error creating game:', error);
     setError(error.response?.data?.message || 'Failed to create game. Please try again.');
     setCreatingGame(false);
   }
-}, [gameMode, selectedOpponent, navigate]);
+}, [gameMode, selectedOpponent, timeControl, rated, color, startPosition, botLevel, botRated, allowTakebacks, navigate, handleCloseModal]);
 
   // HANDLE KEYBOARD SHORTCUTS (✅ UPDATED DEPS)
   const handleKeyDown = useCallback((e) => {
@@ -464,11 +999,10 @@ const Home = () => {
     <div className="min-h-screen py-8 px-4 text-[hsl(var(--color-foreground))] bg-[hsl(var(--color-background))]">
       {/* ✅ RENDER TOAST NOTIFICATION */}
       <GameInviteToast
-        show={gameInvite.show}
-        challenger={gameInvite.challenger}
-        gameId={gameInvite.gameId}
-        onAccept={handleAcceptInvite}
-        onDismiss={handleDismissInvite}
+        challenge={gameInvite}
+        onAccept={() => handleAcceptChallenge(gameInvite._id)}
+        onDecline={() => handleDeclineChallenge(gameInvite._id)}
+        onDismiss={() => setGameInvite(null)}
       />
       <div className="max-w-7xl mx-auto space-y-8">
         
@@ -492,8 +1026,8 @@ const Home = () => {
             { 
               title: 'Rating', 
               icon: Target, 
-              value: user?.rating, 
-              label: 'ELO Rating' 
+              value: formatPlayerRating(user, mainCategory), 
+              label: `${getCategoryLabel(mainCategory)} rating${user?.ratings?.[mainCategory]?.provisional ? ' (provisional)' : ''}` 
             },
             { 
               title: 'Games Played', 
@@ -545,6 +1079,26 @@ const Home = () => {
           </Button>
         </div>
         
+        {challengeNotice && (
+          <div className="bg-[hsl(var(--color-muted)/0.5)] border border-[hsl(var(--color-border))] rounded-lg p-3 text-sm text-center">
+            {challengeNotice}
+          </div>
+        )}
+
+        <ChallengesSection
+          incoming={challenges.incoming}
+          outgoing={challenges.outgoing}
+          onAccept={handleAcceptChallenge}
+          onDecline={handleDeclineChallenge}
+          onCancel={handleCancelChallenge}
+        />
+
+        <QuickPairPanel navigate={navigate} />
+
+        <LiveGamesSection navigate={navigate} />
+
+        <LeaderboardSection user={user} />
+
         {/* Collapsible Recent Game Section */}
         <CollapsibleGamesSection 
           games={games}
@@ -635,6 +1189,24 @@ const Home = () => {
                 </Button>
               </div>
 
+              {/* ♟️ START POSITION (optional FEN or PGN) */}
+              <div className="mb-4">
+                <div className="text-sm font-medium mb-2">Start Position</div>
+                <textarea
+                  value={startPosition}
+                  onChange={(e) => setStartPosition(e.target.value)}
+                  placeholder="Standard start - or paste a FEN or PGN to play on from its final position"
+                  rows={2}
+                  className="w-full rounded-md border border-[hsl(var(--color-border))] bg-[hsl(var(--color-background))] p-2 font-mono text-xs"
+                  disabled={creatingGame}
+                />
+                {startPosition.trim() && (
+                  <p className="mt-1 text-xs text-[hsl(var(--color-muted-foreground))]">
+                    Games from a custom position are always casual
+                  </p>
+                )}
+              </div>
+
               {/* Bot Mode View */}
               {gameMode === 'bot' ? (
                 <div className="text-center py-8">
@@ -643,17 +1215,149 @@ const Home = () => {
                     Play against Stockfish Engine
                   </p>
                   <p className="text-[hsl(var(--color-muted-foreground))]">
-                    Difficulty adjusts based on your rating ({user?.rating})
+                    Your bot rating: {formatPlayerRating(user, 'bot')}
                   </p>
+
+                  {/* 🤖 BOT LEVEL - each has a fixed rating */}
+                  <div className="mt-4 grid grid-cols-2 sm:grid-cols-4 gap-2">
+                    {botLevels.map((level) => (
+                      <button
+                        key={level.level}
+                        onClick={() => setBotLevel(level.level)}
+                        disabled={creatingGame}
+                        className={`p-2 rounded-lg border-2 text-center transition ${
+                          botLevel === level.level
+                            ? 'border-[hsl(var(--color-primary))] bg-[hsl(var(--color-primary)/0.1)]'
+                            : 'border-[hsl(var(--color-border))] hover:border-[hsl(var(--color-primary)/0.5)]'
+                        }`}
+                      >
+                        <div className="font-bold">{level.name}</div>
+                        <div className="text-xs text-[hsl(var(--color-muted-foreground))]">{level.rating}</div>
+                      </button>
+                    ))}
+                  </div>
+
+                  <div className="mt-4 flex gap-2">
+                    {[
+                      { value: true, label: 'Rated', hint: 'Counts towards your bot rating' },
+                      { value: false, label: 'Casual', hint: 'No rating change' },
+                    ].map((mode) => (
+                      <button
+                        key={mode.label}
+                        onClick={() => setBotRated(mode.value)}
+                        disabled={creatingGame}
+                        className={`flex-1 p-2 rounded-lg border-2 text-center transition ${
+                          botRated === mode.value
+                            ? 'border-[hsl(var(--color-primary))] bg-[hsl(var(--color-primary)/0.1)]'
+                            : 'border-[hsl(var(--color-border))] hover:border-[hsl(var(--color-primary)/0.5)]'
+                        }`}
+                      >
+                        <div className="font-bold">{mode.label}</div>
+                        <div className="text-xs text-[hsl(var(--color-muted-foreground))]">{mode.hint}</div>
+                      </button>
+                    ))}
+                  </div>
+                  <div className="mt-4 grid grid-cols-3 gap-2">
+                    {COLOR_OPTIONS.map((option) => (
+                      <button
+                        key={option.value}
+                        onClick={() => setColor(option.value)}
+                        disabled={creatingGame}
+                        className={`p-2 rounded-lg border-2 text-center font-bold transition ${
+                          color === option.value
+                            ? 'border-[hsl(var(--color-primary))] bg-[hsl(var(--color-primary)/0.1)]'
+                            : 'border-[hsl(var(--color-border))] hover:border-[hsl(var(--color-primary)/0.5)]'
+                        }`}
+                      >
+                        {option.label}
+                      </button>
+                    ))}
+                  </div>
                   <div className="mt-4 p-3 rounded-lg bg-[hsl(var(--color-muted)/0.3)]">
                     <p className="text-sm text-[hsl(var(--color-muted-foreground))]">
                       💡 <strong>Tip:</strong> The AI thinks for 1-2 seconds before each move
                     </p>
                   </div>
+                  {!botRated && (
+                    <label className="mt-4 flex items-center justify-center gap-2 text-sm cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={allowTakebacks}
+                        onChange={(e) => setAllowTakebacks(e.target.checked)}
+                        disabled={creatingGame}
+                      />
+                      Allow takebacks
+                    </label>
+                  )}
                 </div>
               ) : (
                 /* Human Mode View */
                 <>
+                  {/* RATED / CASUAL */}
+                  <div className="mb-4 flex gap-2">
+                    {[
+                      { value: true, label: 'Rated', hint: 'Rating changes, no takebacks' },
+                      { value: false, label: 'Casual', hint: 'No rating change, takebacks allowed' },
+                    ].map((mode) => (
+                      <button
+                        key={mode.label}
+                        onClick={() => setRated(mode.value)}
+                        disabled={creatingGame}
+                        className={`flex-1 p-2 rounded-lg border-2 text-center transition ${
+                          rated === mode.value
+                            ? 'border-[hsl(var(--color-primary))] bg-[hsl(var(--color-primary)/0.1)]'
+                            : 'border-[hsl(var(--color-border))] hover:border-[hsl(var(--color-primary)/0.5)]'
+                        }`}
+                      >
+                        <div className="font-bold">{mode.label}</div>
+                        <div className="text-xs text-[hsl(var(--color-muted-foreground))]">{mode.hint}</div>
+                      </button>
+                    ))}
+                  </div>
+
+                  {/* ⏰ TIME CONTROL */}
+                  <div className="mb-4">
+                    <div className="text-sm font-medium mb-2">Time Control</div>
+                    <div className="grid grid-cols-4 sm:grid-cols-7 gap-2">
+                      {TIME_CONTROLS.map((tc) => (
+                        <button
+                          key={tc.label}
+                          onClick={() => setTimeControl(tc.value)}
+                          disabled={creatingGame}
+                          className={`p-2 rounded-lg border-2 text-center transition ${
+                            timeControl === tc.value
+                              ? 'border-[hsl(var(--color-primary))] bg-[hsl(var(--color-primary)/0.1)]'
+                              : 'border-[hsl(var(--color-border))] hover:border-[hsl(var(--color-primary)/0.5)]'
+                          }`}
+                        >
+                          <div className="font-bold">{tc.label}</div>
+                          <div className="text-xs text-[hsl(var(--color-muted-foreground))]">{tc.category}</div>
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+
+                  {/* ♟️ COLOR PREFERENCE */}
+                  <div className="mb-4">
+                    <div className="text-sm font-medium mb-2">Play As</div>
+                    <div className="grid grid-cols-3 gap-2">
+                      {COLOR_OPTIONS.map((option) => (
+                        <button
+                          key={option.value}
+                          onClick={() => setColor(option.value)}
+                          disabled={creatingGame}
+                          className={`p-2 rounded-lg border-2 text-center font-bold transition ${
+                            color === option.value
+                              ? 'border-[hsl(var(--color-primary))] bg-[hsl(var(--color-primary)/0.1)]'
+                              : 'border-[hsl(var(--color-border))] hover:border-[hsl(var(--color-primary)/0.5)]'
+                          }`}
+                        >
+                          {option.label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+
                   {/* ✅ SEARCH BAR */}
                   <div className="mb-4 relative">
                     <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-[hsl(var(--color-muted-foreground))]" />
@@ -755,7 +1459,7 @@ const Home = () => {
                                 </div>
                                 
                                 <div className="text-sm text-[hsl(var(--color-muted-foreground))] mt-1">
-                                  ⭐ Rating: <strong>{opponent.rating}</strong> • {opponent.gamesPlayed} games
+                                  ⭐ {getCategoryLabel(opponentCategory)}: <strong>{formatPlayerRating(opponent, opponentCategory)}</strong> • {opponent.gamesPlayed} games
                                 </div>
                                 
                                 {/* Busy message */}
@@ -811,12 +1515,12 @@ const Home = () => {
                   {creatingGame ? (
                     <>
                       <Loader2 className="mr-2 h-4 w-4 animate-spin" />
-                      Creating...
+                      {gameMode === 'bot' ? 'Creating...' : 'Sending...'}
                     </>
                   ) : (
                     <>
                       <Gamepad2 className="mr-2 h-4 w-4" />
-                      Start Game
+                      {gameMode === 'bot' ? 'Start Game' : 'Send Challenge'}
                     </>
                   )}
                 </Button>
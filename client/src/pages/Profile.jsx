@@ -0,0 +1,269 @@
+// client/src/pages/Profile.jsx - a player's ratings, stats, games and head-to-head records
+
+import { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { userAPI } from '../services/api';
+import RatingChart from '../components/profile/RatingChart';
+import GameRow from '../components/profile/GameRow';
+import HeadToHead from '../components/profile/HeadToHead';
+import { RATING_CATEGORIES, formatPlayerRating, getMainCategory } from '../lib/gameFormat';
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { AlertCircle, BookOpen, ChevronLeft, ChevronRight, History, Swords, TrendingUp, Trophy } from 'lucide-react';
+
+const GAMES_PER_PAGE = 15;
+
+const optionClass = (active) =>
+  `px-3 py-1 rounded-lg border-2 text-sm transition ${
+    active
+      ? 'border-[hsl(var(--color-primary))] bg-[hsl(var(--color-primary)/0.1)]'
+      : 'border-[hsl(var(--color-border))] hover:border-[hsl(var(--color-primary)/0.5)]'
+  }`;
+
+// Share of the points scored, e.g. 62%
+const scorePercent = (record) =>
+  record.games ? `${Math.round(((record.wins + record.draws / 2) / record.games) * 100)}%` : '–';
+
+// "14 min" / "1 h 5 min"
+const formatDuration = (ms) => {
+  if (ms == null) return '–';
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+const Stat = ({ label, value }) => (
+  <div className="text-center">
+    <div className="text-2xl font-bold">{value}</div>
+    <div className="text-xs text-[hsl(var(--color-muted-foreground))]">{label}</div>
+  </div>
+);
+
+const ResultBar = ({ record }) => (
+  <div className="flex h-2 rounded-full overflow-hidden bg-[hsl(var(--color-muted))]">
+    {record.games > 0 && (
+      <>
+        <div className="bg-green-500" style={{ width: `${(record.wins / record.games) * 100}%` }} />
+        <div className="bg-neutral-400" style={{ width: `${(record.draws / record.games) * 100}%` }} />
+        <div className="bg-red-500" style={{ width: `${(record.losses / record.games) * 100}%` }} />
+      </>
+    )}
+  </div>
+);
+
+const PlayerProfile = ({ username }) => {
+  const { user: currentUser } = useAuth();
+  const isOwnProfile = currentUser?.username === username;
+
+  const [profile, setProfile] = useState(null);
+  const [category, setCategory] = useState(null);
+  const [games, setGames] = useState(null);
+  const [page, setPage] = useState(1);
+  // Someone else's profile opens on your own record against them
+  const [opponent, setOpponent] = useState(isOwnProfile ? '' : currentUser?.username || '');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    userAPI.getProfile(username)
+      .then(response => {
+        setProfile(response.data);
+        setCategory(getMainCategory(response.data.user));
+      })
+      .catch(err => setError(err.response?.data?.message || 'Failed to load profile'));
+  }, [username]);
+
+  useEffect(() => {
+    userAPI.getProfileGames(username, { page, limit: GAMES_PER_PAGE })
+      .then(response => setGames(response.data))
+      .catch(err => console.error('Failed to load games:', err));
+  }, [username, page]);
+
+  if (error) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <p className="flex items-center gap-2 text-red-500">
+          <AlertCircle className="h-5 w-5" />
+          {error}
+        </p>
+      </div>
+    );
+  }
+
+  if (!profile) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-[hsl(var(--color-primary))]"></div>
+      </div>
+    );
+  }
+
+  const { user, stats, ratingHistory } = profile;
+  const { results } = stats;
+  const history = ratingHistory.filter(entry => entry.category === category);
+
+  return (
+    <div className="min-h-screen py-8 px-4">
+      <div className="max-w-6xl mx-auto space-y-6">
+        {/* 👤 HEADER */}
+        <div className="text-center space-y-2">
+          <h1 className="text-4xl font-bold">{user.username}</h1>
+          <p className="text-[hsl(var(--color-muted-foreground))]">
+            Member since {new Date(user.createdAt).toLocaleDateString()} • {user.gamesPlayed} games
+          </p>
+        </div>
+
+        <div className="grid grid-cols-2 sm:grid-cols-5 gap-3">
+          {RATING_CATEGORIES.map(({ value, label }) => (
+            <Card key={value}>
+              <CardContent className="p-4">
+                <Stat label={`${label} • ${user.ratings?.[value]?.gamesPlayed || 0} games`} value={formatPlayerRating(user, value)} />
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-2 space-y-6">
+            {/* 📈 RATING HISTORY */}
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <TrendingUp className="h-5 w-5" />
+                  Rating history
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <div className="flex flex-wrap gap-2">
+                  {RATING_CATEGORIES.map(({ value, label }) => (
+                    <button key={value} onClick={() => setCategory(value)} className={optionClass(category === value)}>
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                <RatingChart history={history} />
+              </CardContent>
+            </Card>
+
+            {/* 📜 RECENT GAMES */}
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <History className="h-5 w-5" />
+                  Recent games
+                  {games && (
+                    <span className="text-sm font-normal text-[hsl(var(--color-muted-foreground))]">({games.total})</span>
+                  )}
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-2">
+                {games?.games.length === 0 && (
+                  <p className="text-center py-8 text-[hsl(var(--color-muted-foreground))]">No finished games yet</p>
+                )}
+                {games?.games.map(game => (
+                  <GameRow key={game._id} game={game} onHeadToHead={setOpponent} />
+                ))}
+                {games?.totalPages > 1 && (
+                  <div className="flex items-center justify-center gap-2 pt-2">
+                    <Button size="sm" variant="outline" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+                      <ChevronLeft className="h-4 w-4" />
+                    </Button>
+                    <span className="text-sm">Page {page} of {games.totalPages}</span>
+                    <Button size="sm" variant="outline" disabled={page >= games.totalPages} onClick={() => setPage(page + 1)}>
+                      <ChevronRight className="h-4 w-4" />
+                    </Button>
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          </div>
+
+          <div className="space-y-6">
+            {/* 🏆 RESULTS */}
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <Trophy className="h-5 w-5" />
+                  Results
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                {[
+                  { label: 'All games', record: results.total },
+                  { label: '⚪ With White', record: results.white },
+                  { label: '⚫ With Black', record: results.black }
+                ].map(({ label, record }) => (
+                  <div key={label} className="space-y-1">
+                    <div className="flex items-center justify-between text-sm">
+                      <span className="font-medium">{label}</span>
+                      <span className="text-[hsl(var(--color-muted-foreground))]">
+                        +{record.wins} ={record.draws} -{record.losses} • {scorePercent(record)}
+                      </span>
+                    </div>
+                    <ResultBar record={record} />
+                  </div>
+                ))}
+
+                <div className="grid grid-cols-2 gap-4 pt-2">
+                  <Stat label="Average moves" value={stats.averageMoves ?? '–'} />
+                  <Stat label="Average length" value={formatDuration(stats.averageDurationMs)} />
+                  <Stat label="Longest win streak" value={stats.longestWinStreak} />
+                  <Stat label="Current win streak" value={stats.currentWinStreak} />
+                </div>
+              </CardContent>
+            </Card>
+
+            {/* 📖 OPENINGS */}
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <BookOpen className="h-5 w-5" />
+                  Openings
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                {stats.openings.length === 0 && (
+                  <p className="text-center text-sm text-[hsl(var(--color-muted-foreground))]">No games yet</p>
+                )}
+                {stats.openings.map(opening => (
+                  <div key={`${opening.color}:${opening.name}`} className="space-y-1">
+                    <div className="flex items-center justify-between gap-2 text-sm">
+                      <span className="truncate" title={opening.name}>
+                        {opening.color === 'white' ? '⚪' : '⚫'} {opening.name}
+                      </span>
+                      <span className="shrink-0 text-[hsl(var(--color-muted-foreground))]">
+                        {opening.games} • {scorePercent(opening)}
+                      </span>
+                    </div>
+                    <ResultBar record={opening} />
+                  </div>
+                ))}
+              </CardContent>
+            </Card>
+
+            {/* ⚔️ HEAD-TO-HEAD */}
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <Swords className="h-5 w-5" />
+                  Head-to-head
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                <HeadToHead username={username} opponent={opponent} onOpponentChange={setOpponent} />
+              </CardContent>
+            </Card>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Remount per player so page, filters and head-to-head start fresh
+const Profile = () => {
+  const { username } = useParams();
+  return <PlayerProfile key={username} username={username} />;
+};
+
+export default Profile;
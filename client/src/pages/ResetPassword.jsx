@@ -0,0 +1,143 @@
+import { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import { CheckCircle } from 'lucide-react';
+
+// Reached from the link in the password reset email (?token=...)
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [formData, setFormData] = useState({ password: '', confirmPassword: '' });
+  const [error, setError] = useState(token ? '' : 'This reset link is missing its token');
+  const [done, setDone] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) =>
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    if (formData.password.length < 6) {
+      setError('Password must be at least 6 characters');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await authAPI.resetPassword(token, formData.password);
+      setDone(true);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not reset your password');
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-[hsl(var(--color-background))] p-4">
+      <div className="w-full max-w-md">
+        <div className="text-center mb-8">
+          <h1 className="text-5xl font-bold mb-2">♟️ ChessMaster</h1>
+          <p className="text-[hsl(var(--color-muted-foreground))]">
+            Pick a new password and get back to the board
+          </p>
+        </div>
+
+        <Card>
+          {done ? (
+            <>
+              <CardHeader className="text-center">
+                <CheckCircle className="h-12 w-12 mx-auto text-green-500" />
+                <CardTitle>Password updated</CardTitle>
+                <CardDescription>
+                  Every device was signed out. Sign in again with your new password.
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                <Link to="/login">
+                  <Button className="w-full">Sign In</Button>
+                </Link>
+              </CardContent>
+            </>
+          ) : (
+            <>
+              <CardHeader>
+                <CardTitle>Reset Password</CardTitle>
+                <CardDescription>
+                  Choose a new password for your account
+                </CardDescription>
+              </CardHeader>
+
+              <CardContent>
+                {error && (
+                  <div className="mb-4 p-3 rounded-md text-sm text-[hsl(var(--color-destructive-foreground))] bg-[hsl(var(--color-destructive)/0.15)] border border-[hsl(var(--color-destructive))]">
+                    {error}
+                  </div>
+                )}
+
+                <form onSubmit={handleSubmit} className="space-y-4">
+                  <div className="space-y-2">
+                    <label htmlFor="password" className="text-sm font-medium">
+                      New Password
+                    </label>
+                    <Input
+                      id="password"
+                      name="password"
+                      type="password"
+                      required
+                      value={formData.password}
+                      onChange={handleChange}
+                      placeholder="••••••••"
+                      autoComplete="new-password"
+                    />
+                  </div>
+
+                  <div className="space-y-2">
+                    <label htmlFor="confirmPassword" className="text-sm font-medium">
+                      Confirm Password
+                    </label>
+                    <Input
+                      id="confirmPassword"
+                      name="confirmPassword"
+                      type="password"
+                      required
+                      value={formData.confirmPassword}
+                      onChange={handleChange}
+                      placeholder="••••••••"
+                      autoComplete="new-password"
+                    />
+                  </div>
+
+                  <Button type="submit" className="w-full" disabled={loading || !token}>
+                    {loading ? 'Saving...' : 'Set New Password'}
+                  </Button>
+                </form>
+
+                <div className="mt-6 text-center text-sm">
+                  <Link
+                    to="/forgot-password"
+                    className="text-[hsl(var(--color-primary))] hover:underline font-medium"
+                  >
+                    Need a new link?
+                  </Link>
+                </div>
+              </CardContent>
+            </>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,296 @@
+// client/src/pages/Settings.jsx - board look and play preferences
+
+import { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../services/api';
+import soundService from '../services/soundService';
+import ChessBoard from '../components/ChessBoard/ChessBoard';
+import Piece from '../components/ChessBoard/Piece';
+import { BOARD_THEMES, PIECE_SETS, ANIMATION_SPEEDS } from '../lib/preferences';
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Badge } from '../components/ui/badge';
+import { Palette, Gauge, Volume2, MonitorSmartphone, AlertCircle, Check, LogOut } from 'lucide-react';
+
+// A position with a bit of everything, for the preview board
+const PREVIEW_FEN = 'r1bqk2r/pppp1ppp/2n2n2/2b1p3/2B1P3/3P1N2/PPP2PPP/RNBQK2R w KQkq - 1 5';
+const PREVIEW_LAST_MOVE = { from: 'd2', to: 'd3' };
+
+const optionClass = (active) =>
+  `p-2 rounded-lg border-2 text-center transition ${
+    active
+      ? 'border-[hsl(var(--color-primary))] bg-[hsl(var(--color-primary)/0.1)]'
+      : 'border-[hsl(var(--color-border))] hover:border-[hsl(var(--color-primary)/0.5)]'
+  }`;
+
+// "Firefox on Windows" from a user-agent string - good enough to tell devices apart
+const describeDevice = (userAgent = '') => {
+  const browser = ['Edg', 'OPR', 'Firefox', 'Chrome', 'Safari'].find(name => userAgent.includes(name));
+  const os = ['Android', 'iPhone', 'iPad', 'Windows', 'Mac OS', 'Linux'].find(name => userAgent.includes(name));
+  const browserName = { Edg: 'Edge', OPR: 'Opera' }[browser] || browser || 'Unknown browser';
+  const osName = os === 'Mac OS' ? 'macOS' : os;
+  return osName ? `${browserName} on ${osName}` : browserName;
+};
+
+const Toggle = ({ label, hint, checked, onChange }) => (
+  <label className="flex items-start gap-3 cursor-pointer">
+    <input type="checkbox" className="mt-1" checked={checked} onChange={(e) => onChange(e.target.checked)} />
+    <span>
+      <span className="block text-sm font-medium">{label}</span>
+      {hint && <span className="block text-xs text-[hsl(var(--color-muted-foreground))]">{hint}</span>}
+    </span>
+  </label>
+);
+
+const Settings = () => {
+  const { preferences, updatePreferences, logout } = useAuth();
+  const [status, setStatus] = useState(null); // { saved } or { error }
+  const [volumeDraft, setVolumeDraft] = useState(null); // while the slider moves
+  const [sessions, setSessions] = useState(null);
+
+  useEffect(() => {
+    authAPI.getSessions()
+      .then(response => setSessions(response.data.sessions))
+      .catch(err => console.error('Failed to load sessions:', err));
+  }, []);
+
+  // Signing out this device is just a normal logout
+  const revokeSession = async (session) => {
+    if (session.current) {
+      logout();
+      return;
+    }
+
+    try {
+      await authAPI.revokeSession(session.id);
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+    } catch (err) {
+      setStatus({ error: err.response?.data?.message || 'Could not sign out that device' });
+    }
+  };
+
+  // Applied at once; the server copy follows
+  const change = async (changes) => {
+    setStatus(null);
+    const result = await updatePreferences(changes);
+    setStatus(result.success ? { saved: true } : { error: result.error });
+  };
+
+  // Save the volume once the slider is let go, then play a sample at it
+  const commitVolume = async () => {
+    if (volumeDraft === null) return;
+    await change({ soundVolume: volumeDraft });
+    setVolumeDraft(null);
+    soundService.play('move');
+  };
+
+  const volume = volumeDraft ?? preferences.soundVolume;
+
+  return (
+    <div className="min-h-screen py-8 px-4">
+      <div className="max-w-7xl mx-auto space-y-6">
+        <div className="text-center space-y-2">
+          <h1 className="text-4xl font-bold">Settings</h1>
+          <p className="text-[hsl(var(--color-muted-foreground))]">
+            Saved to your account, so every device gets the same board
+          </p>
+          {status?.saved && (
+            <p className="flex items-center justify-center gap-1 text-sm text-green-500">
+              <Check className="h-4 w-4" />
+              Saved
+            </p>
+          )}
+          {status?.error && (
+            <p className="flex items-center justify-center gap-1 text-sm text-red-500">
+              <AlertCircle className="h-4 w-4" />
+              {status.error}
+            </p>
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Preview */}
+          <div className="lg:col-span-2 flex justify-center">
+            <Card className="p-6">
+              <ChessBoard
+                position={PREVIEW_FEN}
+                playerColor="white"
+                isMyTurn={false}
+                interactive={false}
+                lastMove={PREVIEW_LAST_MOVE}
+              />
+            </Card>
+          </div>
+
+          <div className="space-y-4">
+            {/* 🎨 BOARD */}
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <Palette className="h-5 w-5" />
+                  Board
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <div>
+                  <div className="text-sm font-medium mb-2">Theme</div>
+                  <div className="grid grid-cols-5 gap-2">
+                    {BOARD_THEMES.map((theme) => (
+                      <button
+                        key={theme.value}
+                        onClick={() => change({ boardTheme: theme.value })}
+                        className={optionClass(preferences.boardTheme === theme.value)}
+                        title={theme.label}
+                      >
+                        <div className="grid grid-cols-2 w-8 h-8 mx-auto rounded overflow-hidden">
+                          <span style={{ background: theme.light }} />
+                          <span style={{ background: theme.dark }} />
+                          <span style={{ background: theme.dark }} />
+                          <span style={{ background: theme.light }} />
+                        </div>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
+                <div>
+                  <div className="text-sm font-medium mb-2">Pieces</div>
+                  <div className="grid grid-cols-3 gap-2">
+                    {PIECE_SETS.map((set) => (
+                      <button
+                        key={set.value}
+                        onClick={() => change({ pieceSet: set.value })}
+                        className={optionClass(preferences.pieceSet === set.value)}
+                      >
+                        <div className="flex justify-center">
+                          <span className="piece-preview"><Piece piece="N" set={set.value} /></span>
+                          <span className="piece-preview"><Piece piece="q" set={set.value} /></span>
+                        </div>
+                        <div className="text-xs font-bold mt-1">{set.label}</div>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
+                <Toggle
+                  label="Show coordinates"
+                  hint="Files and ranks along the board edges"
+                  checked={preferences.showCoordinates}
+                  onChange={(value) => change({ showCoordinates: value })}
+                />
+              </CardContent>
+            </Card>
+
+            {/* ⚙️ MOVES */}
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <Gauge className="h-5 w-5" />
+                  Moves
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <div>
+                  <div className="text-sm font-medium mb-2">Animation</div>
+                  <div className="grid grid-cols-4 gap-2">
+                    {ANIMATION_SPEEDS.map((speed) => (
+                      <button
+                        key={speed.value}
+                        onClick={() => change({ animationSpeed: speed.value })}
+                        className={`${optionClass(preferences.animationSpeed === speed.value)} text-sm font-bold`}
+                      >
+                        {speed.label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
+                <Toggle
+                  label="Auto-queen"
+                  hint="Promote straight to a queen - no piece picker"
+                  checked={preferences.autoQueen}
+                  onChange={(value) => change({ autoQueen: value })}
+                />
+              </CardContent>
+            </Card>
+
+            {/* 🔊 SOUND */}
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <Volume2 className="h-5 w-5" />
+                  Sound
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <Toggle
+                  label="Game sounds"
+                  hint="Moves, captures, checks, low time and challenges"
+                  checked={preferences.soundEnabled}
+                  onChange={(value) => change({ soundEnabled: value })}
+                />
+
+                <div className={preferences.soundEnabled ? '' : 'opacity-50'}>
+                  <div className="flex justify-between text-sm font-medium mb-2">
+                    <span>Volume</span>
+                    <span className="tabular-nums">{volume}%</span>
+                  </div>
+                  <input
+                    type="range"
+                    min="0"
+                    max="100"
+                    step="5"
+                    value={volume}
+                    disabled={!preferences.soundEnabled}
+                    onChange={(e) => setVolumeDraft(Number(e.target.value))}
+                    onPointerUp={commitVolume}
+                    onKeyUp={commitVolume}
+                    className="w-full accent-[hsl(var(--color-primary))]"
+                  />
+                </div>
+              </CardContent>
+            </Card>
+
+            {/* 📱 DEVICES */}
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <MonitorSmartphone className="h-5 w-5" />
+                  Devices
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                {!sessions && (
+                  <p className="text-sm text-[hsl(var(--color-muted-foreground))]">Loading...</p>
+                )}
+                {sessions?.map((session) => (
+                  <div key={session.id} className="flex items-center justify-between gap-2">
+                    <div className="min-w-0">
+                      <div className="flex items-center gap-2 text-sm font-medium">
+                        <span className="truncate">{describeDevice(session.userAgent)}</span>
+                        {session.current && <Badge variant="secondary">This device</Badge>}
+                      </div>
+                      <div className="text-xs text-[hsl(var(--color-muted-foreground))]">
+                        Last active {new Date(session.lastUsedAt).toLocaleString()}
+                      </div>
+                    </div>
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => revokeSession(session)}
+                      title="Sign out this device"
+                    >
+                      <LogOut className="h-4 w-4" />
+                    </Button>
+                  </div>
+                ))}
+              </CardContent>
+            </Card>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Settings;
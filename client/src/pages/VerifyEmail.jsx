@@ -0,0 +1,79 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { CheckCircle, XCircle, Loader2 } from 'lucide-react';
+
+// Reached from the link in the verification email (?token=...)
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { isAuthenticated, refreshUser } = useAuth();
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is missing its token');
+
+  // Tokens are single-use - don't let StrictMode's double effect spend it twice
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    authAPI.verifyEmail(token)
+      .then(() => {
+        setStatus('verified');
+        // Drop the "confirm your email" banner if this browser is signed in
+        if (localStorage.getItem('token')) refreshUser();
+      })
+      .catch((err) => {
+        setStatus('error');
+        setMessage(err.response?.data?.message || 'Could not verify your email');
+      });
+  }, [token, refreshUser]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-[hsl(var(--color-background))] p-4">
+      <div className="w-full max-w-md">
+        <Card>
+          <CardHeader className="text-center">
+            {status === 'verifying' && (
+              <>
+                <Loader2 className="h-12 w-12 mx-auto animate-spin text-[hsl(var(--color-primary))]" />
+                <CardTitle>Confirming your email...</CardTitle>
+              </>
+            )}
+            {status === 'verified' && (
+              <>
+                <CheckCircle className="h-12 w-12 mx-auto text-green-500" />
+                <CardTitle>Email confirmed</CardTitle>
+                <CardDescription>Thanks! Your account is all set.</CardDescription>
+              </>
+            )}
+            {status === 'error' && (
+              <>
+                <XCircle className="h-12 w-12 mx-auto text-red-500" />
+                <CardTitle>Verification failed</CardTitle>
+                <CardDescription>
+                  {message}. {isAuthenticated ? 'You can ask for a new link from the banner at the top.' : 'Sign in to ask for a new link.'}
+                </CardDescription>
+              </>
+            )}
+          </CardHeader>
+
+          {status !== 'verifying' && (
+            <CardContent>
+              <Link to={isAuthenticated ? '/' : '/login'}>
+                <Button className="w-full">{isAuthenticated ? 'Play Chess' : 'Sign In'}</Button>
+              </Link>
+            </CardContent>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
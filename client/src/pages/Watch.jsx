@@ -0,0 +1,329 @@
+// client/src/pages/Watch.jsx - read-only spectator view of a live game
+
+import { useState, useEffect, useMemo } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import socketService from '../services/socketService';
+import ChessBoard from '../components/ChessBoard/ChessBoard';
+import ChatPanel from '../components/game/ChatPanel';
+import ChessClock from '../components/game/ChessClock';
+import { DRAW_REASONS, formatTimeControl, formatPlayerRating, getGameCategory, getMoveNumber, formatMoveNumber, getLastMove } from '../lib/gameFormat';
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Badge } from '../components/ui/badge';
+import { Trophy, Clock, Target, User, AlertCircle, Eye, Radio, RefreshCw } from 'lucide-react';
+
+// Human-readable result for a finished game
+const describeResult = (game) => {
+  if (game.status === 'abandoned') return 'Game aborted';
+  if (game.result === '1/2-1/2') return DRAW_REASONS[game.drawReason] || 'Draw';
+  if (game.result === '1-0') return `${game.players.white?.username} wins`;
+  if (game.result === '0-1') return `${game.players.black?.username} wins`;
+  return 'Game over';
+};
+
+const Watch = () => {
+  const { gameId } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+
+  const [game, setGame] = useState(null);
+  const [clock, setClock] = useState(null);
+  const [spectators, setSpectators] = useState(0);
+  const [orientation, setOrientation] = useState('white');
+  const [resultMessage, setResultMessage] = useState(null);
+  const [socketConnected, setSocketConnected] = useState(false);
+  const [error, setError] = useState(null);
+
+  // ⏰ Store a server clock snapshot with the local time it arrived
+  const syncClock = (snapshot) => {
+    setClock(snapshot ? { ...snapshot, syncedAt: Date.now() } : null);
+  };
+
+  // Socket connection
+  useEffect(() => {
+    const token = localStorage.getItem('token');
+    if (!token) {
+      navigate('/login');
+      return;
+    }
+
+    if (!socketService.isConnected()) {
+      socketService.connect(token);
+    }
+
+    const socket = socketService.getSocket();
+    if (!socket) return;
+
+    const handleConnect = () => setSocketConnected(true);
+    const handleDisconnect = () => setSocketConnected(false);
+
+    setSocketConnected(socket.connected);
+    socket.on('connect', handleConnect);
+    socket.on('disconnect', handleDisconnect);
+
+    return () => {
+      socket.off('connect', handleConnect);
+      socket.off('disconnect', handleDisconnect);
+    };
+  }, [navigate]);
+
+  // Join the game room as a spectator
+  useEffect(() => {
+    if (!gameId || !socketConnected) return;
+
+    const socket = socketService.getSocket();
+
+    // Players get sent to their own board
+    socketService.onGameState((gameData) => {
+      const isPlayer =
+        gameData.players.white?._id === user?.id ||
+        gameData.players.black?._id === user?.id;
+
+      if (isPlayer) {
+        navigate(`/game/${gameId}`, { replace: true });
+        return;
+      }
+
+      setGame(gameData);
+      setError(null);
+    });
+
+    socketService.onClockUpdate(syncClock);
+    socketService.onSpectatorCount(({ count }) => setSpectators(count));
+
+    socketService.onMoveMade((data) => {
+      setGame(data.game);
+    });
+
+    socketService.onTakebackAccepted((data) => {
+      setGame(data.game);
+    });
+
+    socketService.onDraw((data) => {
+      setGame(data.game);
+      setResultMessage(data.message);
+    });
+
+    // Resignations and aborts
+    socketService.onGameStateUpdate((gameData) => {
+      setGame(gameData);
+    });
+
+    socketService.onGameTimeout((data) => {
+      if (data.clock) syncClock(data.clock);
+      setGame(prev => prev && { ...prev, status: 'completed' });
+      setResultMessage(data.message);
+    });
+
+    const handleError = (data) => setError(data?.message || 'Unable to watch this game');
+    socket.on('error', handleError);
+
+    socketService.joinGame(gameId);
+
+    return () => {
+      socketService.leaveGame(gameId);
+      socket.off('error', handleError);
+      ['game:state', 'game:clock', 'game:spectators', 'game:move-made', 'game:takeback-accepted',
+        'game:draw', 'game:state-update', 'game:timeout'].forEach(event => socketService.removeListener(event));
+    };
+  }, [gameId, socketConnected, navigate, user?.id]);
+
+  const lastMove = useMemo(() => getLastMove(game?.moves, game?.initialFen), [game?.moves, game?.initialFen]);
+
+  // Error state (game not found / no longer live)
+  if (error && !game) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <Card className="max-w-md w-full border-red-500/50">
+          <CardContent className="p-6 text-center space-y-4">
+            <AlertCircle className="h-12 w-12 mx-auto text-red-500" />
+            <p className="text-red-500">{error}</p>
+            <Button onClick={() => navigate('/')} className="w-full">
+              Return to Home
+            </Button>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  // Loading state
+  if (!game) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-16 w-16 border-b-2 mx-auto border-[hsl(var(--color-primary))]"></div>
+          <p className="mt-4 text-[hsl(var(--color-muted-foreground))]">Joining game...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const isLive = game.status === 'active';
+  const topColor = orientation === 'white' ? 'black' : 'white';
+
+  const renderPlayer = (color) => {
+    const player = game.players[color];
+    const toMove = isLive && game.currentTurn === color;
+
+    return (
+      <div
+        className={`p-3 rounded-lg border-2 transition ${
+          toMove
+            ? 'border-green-500 bg-green-500/10'
+            : 'border-transparent bg-[hsl(var(--color-muted)/0.5)]'
+        }`}
+      >
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <User className="h-4 w-4" />
+            <div>
+              <div className="font-bold">
+                {color === 'white' ? '⚪' : '⚫'} {player?.username || 'Stockfish'}
+              </div>
+              <div className="text-sm text-[hsl(var(--color-muted-foreground))]">
+                ⭐ {player ? formatPlayerRating(player, getGameCategory(game)) : 'AI'}
+              </div>
+            </div>
+          </div>
+          <ChessClock clock={clock} color={color} />
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="min-h-screen py-8 px-4 text-[hsl(var(--color-foreground))] bg-[hsl(var(--color-background))]">
+      <div className="max-w-7xl mx-auto space-y-6">
+
+        {/* Status Bar */}
+        <div className="flex justify-between items-center flex-wrap gap-2">
+          <div className="flex gap-2">
+            {isLive ? (
+              <Badge variant="destructive">
+                <Radio className="mr-1 h-3 w-3 animate-pulse" />
+                Live
+              </Badge>
+            ) : (
+              <Badge variant="secondary">⚔️ Game Over</Badge>
+            )}
+
+            <Badge variant="outline">
+              <Eye className="mr-1 h-3 w-3" />
+              {spectators} watching
+            </Badge>
+
+            <Badge variant="outline">
+              {game.rated ? 'Rated' : 'Casual'}
+            </Badge>
+          </div>
+
+          <Button variant="outline" size="sm" onClick={() => setOrientation(topColor)}>
+            <RefreshCw className="mr-2 h-4 w-4" />
+            Flip Board
+          </Button>
+        </div>
+
+        {!isLive && (
+          <div className="bg-[hsl(var(--color-muted)/0.5)] border border-[hsl(var(--color-border))] rounded-lg p-4 text-center font-semibold">
+            {resultMessage || describeResult(game)}
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Chess Board */}
+          <div className="lg:col-span-2 flex justify-center">
+            <Card className="p-6 space-y-3">
+              {renderPlayer(topColor)}
+              <ChessBoard
+                position={game.fen}
+                playerColor={orientation}
+                isMyTurn={false}
+                interactive={false}
+                lastMove={lastMove}
+              />
+              {renderPlayer(orientation)}
+            </Card>
+          </div>
+
+          {/* Sidebar */}
+          <div className="space-y-4">
+            {/* Game Info */}
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <Target className="h-5 w-5" />
+                  Game Info
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                <div>
+                  <div className="text-sm text-[hsl(var(--color-muted-foreground))]">Time Control</div>
+                  <div className="font-semibold">{formatTimeControl(game.timeControl)}</div>
+                </div>
+                <div>
+                  <div className="text-sm text-[hsl(var(--color-muted-foreground))]">Moves</div>
+                  <div className="font-semibold">{game.moves.length}</div>
+                </div>
+                <div>
+                  <div className="text-sm text-[hsl(var(--color-muted-foreground))]">Average Rating</div>
+                  <div className="font-semibold flex items-center gap-1">
+                    <Trophy className="h-4 w-4" />
+                    {game.players.white && game.players.black
+                      ? Math.round(
+                          ((game.players.white.ratings?.[getGameCategory(game)]?.rating ?? 1200) +
+                            (game.players.black.ratings?.[getGameCategory(game)]?.rating ?? 1200)) / 2
+                        )
+                      : '—'}
+                  </div>
+                </div>
+              </CardContent>
+            </Card>
+
+            {/* Move History */}
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <Clock className="h-5 w-5" />
+                  Moves
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="max-h-60 overflow-y-auto">
+                {game.moves.length === 0 ? (
+                  <p className="text-sm italic text-[hsl(var(--color-muted-foreground))]">
+                    No moves yet...
+                  </p>
+                ) : (
+                  <div className="space-y-1">
+                    {game.moves.map((move, index) => (
+                      <div key={index} className="flex items-center text-sm">
+                        <span className="w-12 font-mono text-[hsl(var(--color-muted-foreground))]">
+                          {index === 0 || getMoveNumber(index, game.initialFen).color === 'white'
+                            ? formatMoveNumber(index, game.initialFen)
+                            : ''}
+                        </span>
+                        <span className="font-semibold">{move}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+
+            {/* Spectator Chat - players never see it */}
+            {isLive && (
+              <ChatPanel
+                gameId={gameId}
+                currentUser={user.username}
+                channel="spectators"
+              />
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Watch;
@@ -7,7 +7,9 @@ const api = axios.create({
   baseURL: API_URL,
   headers: {
     'Content-Type': 'application/json',
+    'X-Requested-With': 'XMLHttpRequest', // required by the refresh cookie routes
   },
+  withCredentials: true, // the refresh token travels as an httpOnly cookie
 });
 
 // Request interceptor to add token
@@ -24,17 +26,61 @@ api.interceptors.request.use(
   }
 );
 
+// 🔄 TOKEN REFRESH
+// Access tokens only last minutes. On a 401 we swap the refresh cookie for a
+// new one and replay the request, so nobody is thrown out mid-game.
+// Requests failing together share a single refresh.
+let refreshing = null;
+
+export const refreshAccessToken = () => {
+  if (!refreshing) {
+    refreshing = axios
+      .post(`${API_URL}/auth/refresh`, null, {
+        withCredentials: true,
+        headers: { 'X-Requested-With': 'XMLHttpRequest' }
+      })
+      .then((response) => {
+        localStorage.setItem('token', response.data.token);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
+// A 401 from these means bad credentials, not an expired token
+const NO_REFRESH_ROUTES = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout'];
+
+// Session is really over - clear token and redirect to login
+export const endSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('user');
+  window.location.href = '/login';
+};
+
 // Response interceptor for error handling
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Unauthorized - clear token and redirect to login
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+  async (error) => {
+    const { config, response } = error;
+
+    if (response?.status !== 401 || !config || config._retried || NO_REFRESH_ROUTES.includes(config.url)) {
+      return Promise.reject(error);
+    }
+
+    config._retried = true;
+
+    try {
+      const token = await refreshAccessToken();
+      config.headers.Authorization = `Bearer ${token}`;
+      return api(config);
+    } catch (refreshError) {
+      // Network trouble isn't a logout - let the caller retry later
+      if (refreshError.response?.status === 401) endSession();
+      return Promise.reject(error);
     }
-    return Promise.reject(error);
   }
 );
 
@@ -43,25 +89,80 @@ export const authAPI = {
   register: (userData) => api.post('/auth/register', userData),
   login: (credentials) => api.post('/auth/login', credentials),
   getMe: () => api.get('/auth/me'),
+  logout: () => api.post('/auth/logout'),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (sessionId) => api.delete(`/auth/sessions/${sessionId}`),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (token, password) => api.post('/auth/reset-password', { token, password }),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: () => api.post('/auth/resend-verification'),
 };
 
 // User API calls
 export const userAPI = {
-  getAllUsers: () => api.get('/users'),
+  getAllUsers: (params) => api.get('/users', { params }),
   getUserById: (id) => api.get(`/users/${id}`),
+  getRatingHistory: (id, limit) => api.get(`/users/${id}/rating-history`, { params: { limit } }),
+  getProfile: (username, category) =>
+    api.get(`/users/profile/${encodeURIComponent(username)}`, { params: { category } }),
+  getProfileGames: (username, params) =>
+    api.get(`/users/profile/${encodeURIComponent(username)}/games`, { params }),
+  getHeadToHead: (username, opponent) =>
+    api.get(`/users/profile/${encodeURIComponent(username)}/head-to-head/${encodeURIComponent(opponent)}`),
+  getPreferences: () => api.get('/users/me/preferences'),
+  updatePreferences: (changes) => api.put('/users/me/preferences', changes),
 };
 
 // Game API calls
 export const gameAPI = {
-  createGame: (opponentId) => api.post('/game/create', { opponentId }),
-  createBotGame: () => api.post('/game/create-bot'),
+  createBotGame: (options = {}) => api.post('/game/create-bot', options),
+  getBotLevels: () => api.get('/game/bot-levels'),
+  importPosition: (data) => api.post('/game/import', data),
   getGame: (gameId) => api.get(`/game/${gameId}`),
   makeMove: (gameId, move) => api.post(`/game/${gameId}/move`, { move }),
   makeBotMove: (gameId, move) => api.post(`/game/${gameId}/move-bot`, { move }),
   getMyGames: () => api.get('/game/my-games'),
+  exportMyGames: () => api.get('/game/my-games/export', { responseType: 'blob' }),
   getActiveGames: () => api.get('/game/active'),
+  getLiveGames: (limit) => api.get('/game/live', { params: { limit } }),
   resignGame: (gameId) => api.post(`/game/${gameId}/resign`),
   abortGame: (gameId) => api.post(`/game/${gameId}/abort`),  
+  offerDraw: (gameId) => api.post(`/game/${gameId}/offer-draw`),
+  acceptDraw: (gameId) => api.post(`/game/${gameId}/accept-draw`),
+  declineDraw: (gameId) => api.post(`/game/${gameId}/decline-draw`),
+  claimDraw: (gameId) => api.post(`/game/${gameId}/claim-draw`),
+  requestTakeback: (gameId) => api.post(`/game/${gameId}/takeback`),
+  acceptTakeback: (gameId) => api.post(`/game/${gameId}/accept-takeback`),
+  declineTakeback: (gameId) => api.post(`/game/${gameId}/decline-takeback`),
+  analyzeGame: (gameId) => api.post(`/game/${gameId}/analyze`),
+  getAnalysis: (gameId) => api.get(`/game/${gameId}/analysis`),
+  downloadPgn: (gameId) => api.get(`/game/${gameId}/pgn`, { responseType: 'blob' }),
+  getFen: (gameId, ply) => api.get(`/game/${gameId}/fen`, { params: { ply } }),
+};
+
+// Challenges - the game is created when the opponent accepts
+export const challengeAPI = {
+  createChallenge: (opponentId, options = {}) => api.post('/challenges', { opponentId, ...options }),
+  getChallenges: () => api.get('/challenges'),
+  acceptChallenge: (challengeId) => api.post(`/challenges/${challengeId}/accept`),
+  declineChallenge: (challengeId) => api.post(`/challenges/${challengeId}/decline`),
+  cancelChallenge: (challengeId) => api.post(`/challenges/${challengeId}/cancel`),
+};
+
+// Moderation - the server checks the caller's role on every route
+export const adminAPI = {
+  getStats: () => api.get('/admin/stats'),
+  getFeedback: (params) => api.get('/admin/feedback', { params }),
+  updateFeedback: (feedbackId, changes) => api.patch(`/admin/feedback/${feedbackId}`, changes),
+  getUsers: (params) => api.get('/admin/users', { params }),
+  banUser: (userId, data) => api.post(`/admin/users/${userId}/ban`, data),
+  unbanUser: (userId) => api.delete(`/admin/users/${userId}/ban`),
+  muteUser: (userId, data) => api.post(`/admin/users/${userId}/mute`, data),
+  unmuteUser: (userId) => api.delete(`/admin/users/${userId}/mute`),
+  setRole: (userId, role) => api.patch(`/admin/users/${userId}/role`, { role }),
+  annulGame: (gameId, reason) => api.post(`/admin/games/${gameId}/annul`, { reason }),
+  getGameMessages: (gameId) => api.get(`/admin/games/${gameId}/messages`),
+  removeMessage: (messageId) => api.delete(`/admin/messages/${messageId}`),
 };
 
 export default api;
\ No newline at end of file
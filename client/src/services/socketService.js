@@ -9,11 +9,14 @@
  */
 
 import { io } from 'socket.io-client';
+import soundService from './soundService';
+import { refreshAccessToken, endSession } from './api';
 
 class SocketService {
   constructor() {
     this.socket = null;
     this.connected = false;
+    this.authRetried = false;
   }
 
   // ADDED TIMEOUT EVENT LISTENERS
@@ -58,7 +61,8 @@ class SocketService {
     console.log('🔌 Connecting to Socket.IO:', SOCKET_URL);
 
     this.socket = io(SOCKET_URL, {
-      auth: { token },
+      // Read on every (re)connect so a refreshed access token is picked up
+      auth: (cb) => cb({ token: localStorage.getItem('token') || token }),
       transports: ['websocket', 'polling'],
       reconnection: true,
       reconnectionAttempts: 5,
@@ -71,6 +75,7 @@ class SocketService {
     this.socket.on('connect', () => {
       console.log('✅ Socket connected:', this.socket.id);
       this.connected = true;
+      this.authRetried = false;
     });
 
     this.socket.on('disconnect', (reason) => {
@@ -86,12 +91,46 @@ class SocketService {
     this.socket.on('connect_error', (error) => {
       console.error('Socket connection error:', error.message);
       this.connected = false;
+
+      // Rejected by the auth middleware - most likely an expired access token.
+      // Socket.IO won't retry on its own, so refresh once and reconnect.
+      if (error.message.startsWith('Authentication error') && !this.authRetried) {
+        this.authRetried = true;
+        refreshAccessToken()
+          .then(() => this.socket?.connect())
+          .catch((err) => {
+            console.error('Token refresh failed:', err.message);
+            // Signed out (e.g. from another device) - same as a failed REST refresh
+            if (err.response?.status === 401) endSession();
+          });
+      }
     });
 
     this.socket.on('error', (error) => {
       console.error('Socket error:', error);
     });
 
+    // 🔊 Sounds hang off onAny: pages clear their handlers with off(event),
+    // which would take a plain on() listener down with them
+    this.socket.onAny((event, data) => {
+      switch (event) {
+        case 'game:move-made':
+          soundService.playMove(data.move, data.gameStatus);
+          break;
+        case 'challenge:received':
+          soundService.play('challenge');
+          break;
+        case 'game:timeout-warning':
+          soundService.play('lowTime');
+          break;
+        case 'game:timeout':
+          soundService.play('gameEnd');
+          break;
+        default:
+          break;
+      }
+    });
+
     return this.socket;
   }
 
@@ -147,11 +186,30 @@ class SocketService {
   }
 
   /**
-   * Notify move made (actual validation happens via REST API)
+   * Send a move to the server for validation
+   * Resolves with the same payload as the REST move endpoint
+   * ({ game, clock, moveResult, gameStatus }); rejects in the axios
+   * error shape (error.response.data.message) so callers can share handling.
    */
-  notifyMove(gameId, move) {
-    if (!this.socket) return;
-    this.socket.emit('game:move', { gameId, move });
+  makeMove(gameId, move) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket?.connected) {
+        reject(new Error('Socket not connected'));
+        return;
+      }
+
+      this.socket.timeout(10000).emit('game:move', { gameId, move }, (err, response) => {
+        if (err) {
+          reject(new Error('Move timed out'));
+        } else if (!response?.success) {
+          const error = new Error(response?.message || 'Invalid move');
+          error.response = { data: response };
+          reject(error);
+        } else {
+          resolve(response);
+        }
+      });
+    });
   }
 
   /**
@@ -170,6 +228,62 @@ class SocketService {
     this.socket.on('game:state-update', callback);
   }
 
+  /**
+   * Listen for clock syncs (timed games)
+   */
+  onClockUpdate(callback) {
+    if (!this.socket) return;
+    this.socket.on('game:clock', callback);
+  }
+
+  /**
+   * Listen for draw offers from the opponent
+   */
+  onDrawOffered(callback) {
+    if (!this.socket) return;
+    this.socket.on('game:draw-offered', callback);
+  }
+
+  /**
+   * Listen for declined draw offers
+   */
+  onDrawDeclined(callback) {
+    if (!this.socket) return;
+    this.socket.on('game:draw-declined', callback);
+  }
+
+  /**
+   * Listen for games ending in a draw (agreement or claim)
+   */
+  onDraw(callback) {
+    if (!this.socket) return;
+    this.socket.on('game:draw', callback);
+  }
+
+  /**
+   * Listen for takeback requests from the opponent
+   */
+  onTakebackRequested(callback) {
+    if (!this.socket) return;
+    this.socket.on('game:takeback-requested', callback);
+  }
+
+  /**
+   * Listen for declined takeback requests
+   */
+  onTakebackDeclined(callback) {
+    if (!this.socket) return;
+    this.socket.on('game:takeback-declined', callback);
+  }
+
+  /**
+   * Listen for accepted takebacks (payload carries the rewound game)
+   */
+  onTakebackAccepted(callback) {
+    if (!this.socket) return;
+    this.socket.on('game:takeback-accepted', callback);
+  }
+
   /**
    * Listen for player joined
    */
@@ -194,6 +308,117 @@ class SocketService {
     this.socket.on('game:player-disconnected', callback);
   }
 
+  /**
+   * Listen for the full game state (sent on joining a game room)
+   */
+  onGameState(callback) {
+    if (!this.socket) return;
+    this.socket.on('game:state', callback);
+  }
+
+  /**
+   * Listen for live spectator count ({ gameId, count })
+   */
+  onSpectatorCount(callback) {
+    if (!this.socket) return;
+    this.socket.on('game:spectators', callback);
+  }
+
+  // ============================================
+  // CHALLENGE EVENTS
+  // ============================================
+  // Payloads carry { challenge, message } (+ gameId when accepted)
+
+  /**
+   * Listen for incoming challenges
+   */
+  onChallengeReceived(callback) {
+    if (!this.socket) return;
+    this.socket.on('challenge:received', callback);
+  }
+
+  /**
+   * Listen for accepted challenges (both players - navigate to gameId)
+   */
+  onChallengeAccepted(callback) {
+    if (!this.socket) return;
+    this.socket.on('challenge:accepted', callback);
+  }
+
+  /**
+   * Listen for challenges that closed without a game
+   * (declined, cancelled by the challenger, or expired)
+   */
+  onChallengeClosed(callback) {
+    if (!this.socket) return;
+    ['challenge:declined', 'challenge:cancelled', 'challenge:expired'].forEach((event) => {
+      this.socket.on(event, (data) => callback({ ...data, status: event.split(':')[1] }));
+    });
+  }
+
+  /**
+   * Remove challenge listeners
+   */
+  removeChallengeListeners() {
+    if (!this.socket) return;
+    ['challenge:received', 'challenge:accepted', 'challenge:declined', 'challenge:cancelled', 'challenge:expired']
+      .forEach((event) => this.socket.off(event));
+  }
+
+  // ============================================
+  // MATCHMAKING EVENTS
+  // ============================================
+
+  /**
+   * Join the matchmaking queue
+   * Resolves with the seek ({ timeControl, rated, rating, createdAt, queueSize }),
+   * rejects in the axios error shape like makeMove
+   */
+  createSeek({ timeControl, rated }) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket?.connected) {
+        reject(new Error('Socket not connected'));
+        return;
+      }
+
+      this.socket.timeout(10000).emit('seek:create', { timeControl, rated }, (err, response) => {
+        if (err) {
+          reject(new Error('Matchmaking request timed out'));
+        } else if (!response?.success) {
+          const error = new Error(response?.message || 'Could not join the queue');
+          error.response = { data: response };
+          reject(error);
+        } else {
+          resolve(response.seek);
+        }
+      });
+    });
+  }
+
+  /**
+   * Leave the matchmaking queue
+   */
+  cancelSeek() {
+    if (!this.socket) return;
+    this.socket.emit('seek:cancel');
+  }
+
+  /**
+   * Listen for a match ({ gameId, color, opponent, message })
+   */
+  onSeekMatched(callback) {
+    if (!this.socket) return;
+    this.socket.on('seek:matched', callback);
+  }
+
+  /**
+   * Listen for the server dropping our seek ({ reason, message })
+   */
+  onSeekCancelled(callback) {
+    if (!this.socket) return;
+    this.socket.on('seek:cancelled', callback);
+  }
+
   // ============================================
   // CHAT EVENTS
   // ============================================
@@ -238,6 +463,44 @@ class SocketService {
     this.socket.on('chat:message-deleted', callback);
   }
 
+  // ============================================
+  // ANALYSIS EVENTS
+  // ============================================
+  // Sent to both players while a finished game is analysed
+
+  /**
+   * Listen for analysis progress ({ gameId, analysisId, done, total })
+   */
+  onAnalysisProgress(callback) {
+    if (!this.socket) return;
+    this.socket.on('analysis:progress', callback);
+  }
+
+  /**
+   * Listen for finished analyses ({ gameId, analysis })
+   */
+  onAnalysisCompleted(callback) {
+    if (!this.socket) return;
+    this.socket.on('analysis:completed', callback);
+  }
+
+  /**
+   * Listen for failed analyses ({ gameId, analysisId, message })
+   */
+  onAnalysisFailed(callback) {
+    if (!this.socket) return;
+    this.socket.on('analysis:failed', callback);
+  }
+
+  /**
+   * Remove analysis listeners
+   */
+  removeAnalysisListeners() {
+    if (!this.socket) return;
+    ['analysis:progress', 'analysis:completed', 'analysis:failed']
+      .forEach((event) => this.socket.off(event));
+  }
+
   // ============================================
   // USER EVENTS
   // ============================================
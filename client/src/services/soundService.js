@@ -0,0 +1,189 @@
+/**
+ * Sound Service
+ * Singleton that plays move and notification sounds
+ *
+ * Design Decision:
+ * - Every sound is synthesized with the Web Audio API, so there are no
+ *   audio files to ship or preload
+ * - Browsers keep audio locked until the user interacts with the page;
+ *   the first click or key press unlocks it
+ * - Volume and muting come from the user's preferences (AuthContext calls
+ *   setPreferences whenever they change)
+ */
+
+// Ignore a repeat of the same sound this soon after the last one
+// (e.g. a mating move and the game-over modal both asking for gameEnd)
+const REPEAT_GAP_MS = 250;
+
+class SoundService {
+  constructor() {
+    this.context = null;
+    this.enabled = true;
+    this.volume = 0.7;
+    this.lastPlayed = {};
+
+    if (typeof window !== 'undefined') {
+      const unlock = () => {
+        this.getContext()?.resume();
+        window.removeEventListener('pointerdown', unlock);
+        window.removeEventListener('keydown', unlock);
+      };
+      window.addEventListener('pointerdown', unlock);
+      window.addEventListener('keydown', unlock);
+    }
+  }
+
+  getContext() {
+    if (!this.context) {
+      const AudioContext = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContext) return null;
+      this.context = new AudioContext();
+    }
+    return this.context;
+  }
+
+  /**
+   * Apply the user's sound preferences
+   * @param {{ enabled: boolean, volume: number }} prefs - volume is 0-100
+   */
+  setPreferences({ enabled, volume }) {
+    this.enabled = enabled;
+    this.volume = Math.min(100, Math.max(0, volume)) / 100;
+  }
+
+  // ============================================
+  // SYNTHESIS
+  // ============================================
+
+  /**
+   * One enveloped oscillator note
+   */
+  tone(ctx, { freq, endFreq, start = 0, duration, type = 'sine', gain = 1 }) {
+    const t = ctx.currentTime + start;
+    const osc = ctx.createOscillator();
+    const amp = ctx.createGain();
+
+    osc.type = type;
+    osc.frequency.setValueAtTime(freq, t);
+    if (endFreq) osc.frequency.exponentialRampToValueAtTime(endFreq, t + duration);
+
+    amp.gain.setValueAtTime(0.0001, t);
+    amp.gain.exponentialRampToValueAtTime(gain * this.volume, t + 0.005);
+    amp.gain.exponentialRampToValueAtTime(0.0001, t + duration);
+
+    osc.connect(amp).connect(ctx.destination);
+    osc.start(t);
+    osc.stop(t + duration + 0.02);
+  }
+
+  /**
+   * A short filtered noise burst - the "knock" of a piece being taken
+   */
+  noise(ctx, { start = 0, duration, frequency, gain = 1 }) {
+    const t = ctx.currentTime + start;
+    const buffer = ctx.createBuffer(1, Math.ceil(ctx.sampleRate * duration), ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = (Math.random() * 2 - 1) * (1 - i / data.length);
+    }
+
+    const source = ctx.createBufferSource();
+    const filter = ctx.createBiquadFilter();
+    const amp = ctx.createGain();
+
+    source.buffer = buffer;
+    filter.type = 'bandpass';
+    filter.frequency.value = frequency;
+    amp.gain.value = gain * this.volume;
+
+    source.connect(filter).connect(amp).connect(ctx.destination);
+    source.start(t);
+  }
+
+  // Note recipes per sound name
+  sounds = {
+    move: (ctx) => {
+      this.tone(ctx, { freq: 520, endFreq: 260, duration: 0.07, type: 'triangle', gain: 0.6 });
+    },
+    capture: (ctx) => {
+      this.noise(ctx, { duration: 0.09, frequency: 1400, gain: 0.9 });
+      this.tone(ctx, { freq: 380, endFreq: 180, duration: 0.1, type: 'triangle', gain: 0.6 });
+    },
+    castle: (ctx) => {
+      this.tone(ctx, { freq: 520, endFreq: 260, duration: 0.07, type: 'triangle', gain: 0.6 });
+      this.tone(ctx, { freq: 520, endFreq: 260, start: 0.1, duration: 0.07, type: 'triangle', gain: 0.6 });
+    },
+    check: (ctx) => {
+      this.tone(ctx, { freq: 880, duration: 0.12, type: 'square', gain: 0.25 });
+      this.tone(ctx, { freq: 660, start: 0.12, duration: 0.16, type: 'square', gain: 0.25 });
+    },
+    gameStart: (ctx) => {
+      [523, 659, 784].forEach((freq, i) =>
+        this.tone(ctx, { freq, start: i * 0.1, duration: 0.25, gain: 0.5 })
+      );
+    },
+    gameEnd: (ctx) => {
+      [784, 659, 523].forEach((freq, i) =>
+        this.tone(ctx, { freq, start: i * 0.14, duration: i === 2 ? 0.6 : 0.3, gain: 0.5 })
+      );
+    },
+    lowTime: (ctx) => {
+      [0, 0.15, 0.3].forEach((start) =>
+        this.tone(ctx, { freq: 1000, start, duration: 0.08, type: 'square', gain: 0.2 })
+      );
+    },
+    challenge: (ctx) => {
+      this.tone(ctx, { freq: 1320, duration: 0.9, gain: 0.4 });
+      this.tone(ctx, { freq: 1760, start: 0.12, duration: 0.9, gain: 0.3 });
+    }
+  };
+
+  // ============================================
+  // PLAYBACK
+  // ============================================
+
+  /**
+   * Play a sound by name
+   * @param {'move'|'capture'|'castle'|'check'|'gameStart'|'gameEnd'|'lowTime'|'challenge'} name
+   */
+  play(name) {
+    if (!this.enabled || this.volume === 0 || !this.sounds[name]) return;
+
+    const now = Date.now();
+    if (now - (this.lastPlayed[name] || 0) < REPEAT_GAP_MS) return;
+    this.lastPlayed[name] = now;
+
+    try {
+      const ctx = this.getContext();
+      // Still locked - no gesture yet on this page
+      if (!ctx || ctx.state !== 'running') return;
+      this.sounds[name](ctx);
+    } catch (error) {
+      console.error('Sound playback failed:', error);
+    }
+  }
+
+  /**
+   * Play the sound that fits a move
+   * @param {string|Object} move - SAN, or a move object with `san` (and maybe `captured`)
+   * @param {Object} [gameStatus] - the server's status after the move
+   */
+  playMove(move, gameStatus) {
+    const san = typeof move === 'string' ? move : move?.san || '';
+
+    if (gameStatus?.isGameOver) {
+      this.play('gameEnd');
+    } else if (san.includes('+') || san.includes('#')) {
+      this.play('check');
+    } else if (san.startsWith('O-O')) {
+      this.play('castle');
+    } else if (san.includes('x') || move?.captured) {
+      this.play('capture');
+    } else {
+      this.play('move');
+    }
+  }
+}
+
+// Export singleton instance
+export default new SoundService();
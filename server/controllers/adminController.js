@@ -0,0 +1,428 @@
+/**
+ * Admin Controller
+ * Moderation API behind /api/admin - see routes/admin.js for who may call what
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Game = require('../models/Game');
+const Message = require('../models/Message');
+const Feedback = require('../models/Feedback');
+const Session = require('../models/Session');
+const { revertGameResult } = require('../services/gameResultService');
+const { httpError, sendServiceError } = require('../utils/httpError');
+const { ROLES, isStaff } = require('../utils/roles');
+const { userRoom, chatRoom } = require('../socket/rooms');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_LIMIT = 100;
+
+const USER_FIELDS = 'username email role emailVerified gamesPlayed bannedAt bannedUntil banReason mutedUntil muteReason createdAt';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parsePaging = (query) => {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || 20));
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * Load the user a moderation action targets
+ * @throws 404 if missing, 400 for yourself or (optionally) staff
+ */
+async function loadTargetUser(req, { allowStaff = false } = {}) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw httpError(404, 'User not found');
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    throw httpError(404, 'User not found');
+  }
+
+  if (user._id.equals(req.user._id)) {
+    throw httpError(400, 'You cannot moderate your own account');
+  }
+
+  if (!allowStaff && isStaff(user)) {
+    throw httpError(400, 'Staff accounts cannot be banned or muted - change their role first');
+  }
+
+  return user;
+}
+
+// Optional positive duration from the body; undefined = no end
+const parseDuration = (value, unitMs, label) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw httpError(400, `${label} must be a positive number`);
+  }
+  return new Date(Date.now() + amount * unitMs);
+};
+
+const parseReason = (reason) => (typeof reason === 'string' ? reason.trim().slice(0, 500) : '');
+
+// ============================================
+// 📊 DASHBOARD
+// ============================================
+
+// @desc    Counts for the dashboard header
+// @route   GET /api/admin/stats
+// @access  Private (moderator, admin)
+exports.getStats = async (req, res) => {
+  try {
+    const now = new Date();
+
+    const [users, bannedUsers, mutedUsers, activeGames, newFeedback] = await Promise.all([
+      User.countDocuments(),
+      User.countDocuments({ bannedAt: { $ne: null }, $or: [{ bannedUntil: null }, { bannedUntil: { $gt: now } }] }),
+      User.countDocuments({ mutedUntil: { $gt: now } }),
+      Game.countDocuments({ status: 'active' }),
+      Feedback.countDocuments({ status: 'new' })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      stats: { users, bannedUsers, mutedUsers, activeGames, newFeedback }
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+// ============================================
+// 📝 FEEDBACK TRIAGE
+// ============================================
+
+// @desc    List feedback, newest first
+// @route   GET /api/admin/feedback?status=new&type=bug&page=1&limit=20
+// @access  Private (moderator, admin)
+exports.getFeedback = async (req, res) => {
+  try {
+    const { status, type, priority } = req.query;
+    const { page, limit, skip } = parsePaging(req.query);
+
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (priority) query.priority = priority;
+
+    const [feedback, total] = await Promise.all([
+      Feedback.find(query)
+        .populate('userId', 'username email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Feedback.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      feedback,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+// @desc    Update a feedback entry's status, priority or notes
+// @route   PATCH /api/admin/feedback/:id
+// @access  Private (moderator, admin)
+exports.updateFeedback = async (req, res) => {
+  try {
+    const changes = {};
+    for (const key of ['status', 'priority', 'adminNotes']) {
+      if (req.body[key] !== undefined) changes[key] = req.body[key];
+    }
+
+    if (Object.keys(changes).length === 0) {
+      throw httpError(400, 'Nothing to update - send status, priority or adminNotes');
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      throw httpError(404, 'Feedback not found');
+    }
+
+    const feedback = await Feedback.findByIdAndUpdate(
+      req.params.id,
+      { $set: changes },
+      { new: true, runValidators: true }
+    ).populate('userId', 'username email');
+
+    if (!feedback) {
+      throw httpError(404, 'Feedback not found');
+    }
+
+    res.status(200).json({
+      success: true,
+      feedback
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendServiceError(res, httpError(400, error.message));
+    }
+    sendServiceError(res, error);
+  }
+};
+
+// ============================================
+// 👥 USERS
+// ============================================
+
+// @desc    Find users by name or email
+// @route   GET /api/admin/users?search=magnus&page=1
+// @access  Private (moderator, admin)
+exports.getUsers = async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePaging(req.query);
+    const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+
+    const query = search
+      ? { $or: [
+        { username: new RegExp(escapeRegex(search), 'i') },
+        { email: new RegExp(escapeRegex(search), 'i') }
+      ] }
+      : {};
+
+    const [users, total] = await Promise.all([
+      User.find(query).select(USER_FIELDS).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      User.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      users,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+// @desc    Ban a user (signs them out everywhere)
+// @route   POST /api/admin/users/:id/ban   { reason, days? } - no days = permanent
+// @access  Private (admin)
+exports.banUser = async (req, res) => {
+  try {
+    const user = await loadTargetUser(req);
+
+    user.bannedAt = new Date();
+    user.bannedUntil = parseDuration(req.body.days, DAY_MS, 'days');
+    user.banReason = parseReason(req.body.reason);
+    await user.save({ validateBeforeSave: false });
+
+    await Session.deleteMany({ user: user._id });
+    req.app.get('io')?.in(userRoom(user._id.toString())).disconnectSockets(true);
+
+    console.log(`🔨 ${req.user.username} banned ${user.username}`);
+
+    res.status(200).json({
+      success: true,
+      user: await User.findById(user._id).select(USER_FIELDS)
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+// @desc    Lift a ban
+// @route   DELETE /api/admin/users/:id/ban
+// @access  Private (admin)
+exports.unbanUser = async (req, res) => {
+  try {
+    const user = await loadTargetUser(req);
+
+    user.bannedAt = null;
+    user.bannedUntil = null;
+    user.banReason = '';
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      user: await User.findById(user._id).select(USER_FIELDS)
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+// @desc    Mute a user in chat
+// @route   POST /api/admin/users/:id/mute   { reason, hours? } - default 24 hours
+// @access  Private (moderator, admin)
+exports.muteUser = async (req, res) => {
+  try {
+    const user = await loadTargetUser(req);
+
+    user.mutedUntil = parseDuration(req.body.hours ?? 24, HOUR_MS, 'hours');
+    user.muteReason = parseReason(req.body.reason);
+    await user.save({ validateBeforeSave: false });
+
+    console.log(`🔇 ${req.user.username} muted ${user.username}`);
+
+    res.status(200).json({
+      success: true,
+      user: await User.findById(user._id).select(USER_FIELDS)
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+// @desc    Lift a mute
+// @route   DELETE /api/admin/users/:id/mute
+// @access  Private (moderator, admin)
+exports.unmuteUser = async (req, res) => {
+  try {
+    const user = await loadTargetUser(req);
+
+    user.mutedUntil = null;
+    user.muteReason = '';
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      user: await User.findById(user._id).select(USER_FIELDS)
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+// @desc    Change a user's role
+// @route   PATCH /api/admin/users/:id/role   { role }
+// @access  Private (admin)
+exports.setRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      throw httpError(400, `Role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    const user = await loadTargetUser(req, { allowStaff: true });
+
+    user.role = role;
+    await user.save({ validateBeforeSave: false });
+
+    console.log(`🛡️ ${req.user.username} made ${user.username} ${role}`);
+
+    res.status(200).json({
+      success: true,
+      user: await User.findById(user._id).select(USER_FIELDS)
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+// ============================================
+// ♟️ GAMES
+// ============================================
+
+// @desc    Annul a finished game and roll back its rating changes
+// @route   POST /api/admin/games/:id/annul   { reason }
+// @access  Private (admin)
+exports.annulGame = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      throw httpError(404, 'Game not found');
+    }
+
+    const game = await Game.findById(req.params.id);
+    if (!game) {
+      throw httpError(404, 'Game not found');
+    }
+
+    if (game.status !== 'completed') {
+      throw httpError(400, 'Only finished games can be annulled');
+    }
+
+    if (game.annulledAt) {
+      throw httpError(400, 'This game is already annulled');
+    }
+
+    // Mark first so a second request can't roll the ratings back twice
+    const claimed = await Game.findOneAndUpdate(
+      { _id: game._id, annulledAt: null },
+      { $set: { annulledAt: new Date(), annulledBy: req.user._id, annulReason: parseReason(req.body.reason) } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw httpError(400, 'This game is already annulled');
+    }
+
+    const ratings = await revertGameResult(claimed);
+
+    console.log(`🚫 ${req.user.username} annulled game ${game._id}`);
+
+    res.status(200).json({
+      success: true,
+      game: claimed,
+      ratings
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+// ============================================
+// 💬 CHAT
+// ============================================
+
+// @desc    Both chat channels of a game, for review
+// @route   GET /api/admin/games/:id/messages
+// @access  Private (moderator, admin)
+exports.getGameMessages = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      throw httpError(404, 'Game not found');
+    }
+
+    const messages = await Message.find({ gameId: req.params.id })
+      .sort({ timestamp: 1 })
+      .limit(500);
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      messages
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+// @desc    Remove a chat message (it disappears from open chat panels too)
+// @route   DELETE /api/admin/messages/:id
+// @access  Private (moderator, admin)
+exports.removeMessage = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      throw httpError(404, 'Message not found');
+    }
+
+    const message = await Message.findByIdAndDelete(req.params.id);
+    if (!message) {
+      throw httpError(404, 'Message not found');
+    }
+
+    req.app.get('io')?.to(chatRoom(message.gameId.toString(), message.channel)).emit('chat:message-deleted', {
+      messageId: req.params.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Message removed'
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
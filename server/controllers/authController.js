@@ -1,13 +1,78 @@
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const sessionService = require('../services/sessionService');
+const mailService = require('../services/mailService');
+const { sendServiceError } = require('../utils/httpError');
+const { userRoom, sessionRoom } = require('../socket/rooms');
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
+// 🍪 REFRESH TOKEN COOKIE
+// httpOnly so page scripts never see it; scoped to the auth routes.
+// Production serves the client from another site, which needs SameSite=None -
+// so the routes reading it also require X-Requested-With (see routes/auth.js).
+const REFRESH_COOKIE = 'refreshToken';
+const production = process.env.NODE_ENV === 'production';
+
+const cookieOptions = {
+  httpOnly: true,
+  secure: production,
+  sameSite: production ? 'none' : 'lax',
+  path: '/api/auth'
+};
+
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie(REFRESH_COOKIE, refreshToken, { ...cookieOptions, maxAge: sessionService.refreshTokenMs() });
+};
+
+const readRefreshCookie = (req) => {
+  const cookies = req.headers.cookie?.split(';') || [];
+  for (const cookie of cookies) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === REFRESH_COOKIE) return decodeURIComponent(value.join('='));
+  }
+  return null;
+};
+
+// Start a session and send the access token (the refresh token goes in the cookie)
+const sendAuthResponse = async (req, res, status, user) => {
+  const { accessToken, refreshToken } = await sessionService.createSession(user, req);
+  setRefreshCookie(res, refreshToken);
+
+  res.status(status).json({
+    success: true,
+    token: accessToken,
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      role: user.role,
+      ratings: user.ratings,
+      gamesPlayed: user.gamesPlayed,
+      preferences: user.preferences
+    }
   });
 };
 
+// 📧 Mail a fresh verification link. A mail failure shouldn't fail the request
+// that triggered it - the user can ask for another link.
+const sendVerification = async (user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await mailService.sendVerificationEmail(user, token);
+  } catch (error) {
+    console.error('Failed to send verification email:', error);
+  }
+};
+
+const MIN_PASSWORD_LENGTH = 6;
+
+// Ended sessions lose their live sockets too, not just future requests
+const disconnectSockets = (req, room) => {
+  req.app.get('io')?.in(room).disconnectSockets(true);
+};
+
 // @desc    Register new user
 // @route   POST /api/auth/register
 // @access  Public
@@ -32,20 +97,8 @@ exports.register = async (req, res) => {
       password
     });
 
-    // Generate token
-    const token = generateToken(user._id);
-
-    res.status(201).json({
-      success: true,
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        rating: user.rating,
-        gamesPlayed: user.gamesPlayed
-      }
-    });
+    await sendVerification(user);
+    await sendAuthResponse(req, res, 201, user);
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -89,20 +142,16 @@ exports.login = async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (user.isBanned()) {
+      const until = user.bannedUntil ? ` until ${user.bannedUntil.toUTCString()}` : '';
+      return res.status(403).json({
+        success: false,
+        message: `Your account is suspended${until}${user.banReason ? `: ${user.banReason}` : ''}`,
+        errorCode: 'ACCOUNT_BANNED'
+      });
+    }
 
-    res.status(200).json({
-      success: true,
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        rating: user.rating,
-        gamesPlayed: user.gamesPlayed
-      }
-    });
+    await sendAuthResponse(req, res, 200, user);
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -124,11 +173,14 @@ exports.getMe = async (req, res) => {
         id: user._id,
         username: user.username,
         email: user.email,
-        rating: user.rating,
+        emailVerified: user.emailVerified,
+        role: user.role,
+        ratings: user.ratings,
         gamesPlayed: user.gamesPlayed,
         wins: user.wins,
         losses: user.losses,
-        draws: user.draws
+        draws: user.draws,
+        preferences: user.preferences
       }
     });
   } catch (error) {
@@ -137,4 +189,256 @@ exports.getMe = async (req, res) => {
       message: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Swap the refresh cookie for a new access token (rotates the cookie)
+// @route   POST /api/auth/refresh
+// @access  Public (refresh cookie)
+exports.refresh = async (req, res) => {
+  try {
+    const { accessToken, refreshToken } = await sessionService.refreshSession(readRefreshCookie(req), req);
+    if (refreshToken) setRefreshCookie(res, refreshToken);
+
+    res.status(200).json({
+      success: true,
+      token: accessToken
+    });
+  } catch (error) {
+    if (error.status === 401) res.clearCookie(REFRESH_COOKIE, cookieOptions);
+    sendServiceError(res, error);
+  }
+};
+
+// @desc    End this device's session
+// @route   POST /api/auth/logout
+// @access  Public (refresh cookie) - works after the access token has expired
+exports.logout = async (req, res) => {
+  try {
+    const sessionId = await sessionService.endSession(readRefreshCookie(req));
+    if (sessionId) disconnectSockets(req, sessionRoom(sessionId));
+    res.clearCookie(REFRESH_COOKIE, cookieOptions);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+// @desc    List the devices signed in to this account
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id, req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      sessions
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+// @desc    Sign out another device (or this one)
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.user.id, req.params.id);
+    disconnectSockets(req, sessionRoom(req.params.id));
+
+    if (req.params.id === req.sessionId) {
+      res.clearCookie(REFRESH_COOKIE, cookieOptions);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session ended'
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your email'
+      });
+    }
+
+    // Same answer whether or not the account exists - no probing for emails
+    const response = {
+      success: true,
+      message: 'If an account uses that email, a reset link is on its way'
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user) {
+      return res.status(200).json(response);
+    }
+
+    const token = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await mailService.sendPasswordResetEmail(user, token);
+    } catch (error) {
+      console.error('Failed to send password reset email:', error);
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      return res.status(500).json({
+        success: false,
+        message: 'Could not send the reset email, please try again later'
+      });
+    }
+
+    res.status(200).json(response);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Set a new password with an emailed reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || typeof token !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the reset token and a new password'
+      });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: User.hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'This reset link is invalid or has expired',
+        errorCode: 'INVALID_TOKEN'
+      });
+    }
+
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    // They read the email, so the address works
+    user.emailVerified = true;
+    await user.save();
+
+    // Whoever knew the old password is signed out everywhere
+    await Session.deleteMany({ user: user._id });
+    disconnectSockets(req, userRoom(user._id.toString()));
+
+    res.status(200).json({
+      success: true,
+      message: 'Password updated - sign in with your new password'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Confirm an email address with the token from the verification email
+// @route   POST /api/auth/verify-email
+// @access  Public
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the verification token'
+      });
+    }
+
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'This verification link is invalid or has expired',
+        errorCode: 'INVALID_TOKEN'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email confirmed'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Send another verification email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+exports.resendVerification = async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your email is already confirmed'
+      });
+    }
+
+    await sendVerification(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: `Verification email sent to ${req.user.email}`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
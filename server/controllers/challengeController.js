@@ -0,0 +1,98 @@
+const challengeService = require('../services/challengeService');
+const { sendServiceError } = require('../utils/httpError');
+
+// ============================================
+// 🎮 CHALLENGES
+// ============================================
+// Logic lives in challengeService so Socket.IO events behave identically
+
+// @desc    Challenge another player (the game starts when they accept)
+// @route   POST /api/challenges
+// @access  Private
+exports.createChallenge = async (req, res) => {
+  try {
+    const { opponentId, color, timeControl, rated, fen, pgn } = req.body;
+    const challenge = await challengeService.createChallenge(
+      req.user.id,
+      { opponentId, color, timeControl, rated, fen, pgn },
+      req.app.get('io')
+    );
+
+    res.status(201).json({
+      success: true,
+      challenge,
+      message: `Challenge sent to ${challenge.opponent.username}`
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+// @desc    Get my pending challenges (incoming and outgoing)
+// @route   GET /api/challenges
+// @access  Private
+exports.getChallenges = async (req, res) => {
+  try {
+    const { incoming, outgoing } = await challengeService.getPendingChallenges(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      incoming,
+      outgoing
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+// @desc    Accept a challenge and start the game
+// @route   POST /api/challenges/:id/accept
+// @access  Private
+exports.acceptChallenge = async (req, res) => {
+  try {
+    const { challenge, game } = await challengeService.acceptChallenge(req.params.id, req.user.id, req.app.get('io'));
+
+    res.status(200).json({
+      success: true,
+      challenge,
+      game,
+      message: 'Challenge accepted - game started!'
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+// @desc    Decline a challenge
+// @route   POST /api/challenges/:id/decline
+// @access  Private
+exports.declineChallenge = async (req, res) => {
+  try {
+    const challenge = await challengeService.declineChallenge(req.params.id, req.user.id, req.app.get('io'));
+
+    res.status(200).json({
+      success: true,
+      challenge,
+      message: 'Challenge declined'
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+// @desc    Withdraw a challenge you sent
+// @route   POST /api/challenges/:id/cancel
+// @access  Private
+exports.cancelChallenge = async (req, res) => {
+  try {
+    const challenge = await challengeService.cancelChallenge(req.params.id, req.user.id, req.app.get('io'));
+
+    res.status(200).json({
+      success: true,
+      challenge,
+      message: 'Challenge cancelled'
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
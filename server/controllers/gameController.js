@@ -1,49 +1,26 @@
 const Game = require('../models/Game');
-const User = require('../models/User');
 const { Chess } = require('chess.js');
-const { updateRatings } = require('../utils/elo');
-const simpleAI = require('../services/simpleAI');
+const { getBotMove } = require('../services/engineService');
+const { getClockSnapshot } = require('../utils/clock');
+const { replayGame, playPlayerMove, getDrawClaim, getPlayerColor, getStartFen } = require('../utils/gameRules');
+const { buildPgn, getPgnFilename } = require('../utils/pgn');
+const { getRating, getRatingCategory } = require('../utils/ratingCategory');
+const { BOT_LEVELS, getBotLevel, getLevelForRating } = require('../utils/botLevels');
+const { applyGameResult } = require('../services/gameResultService');
+const drawService = require('../services/drawService');
+const takebackService = require('../services/takebackService');
+const moveService = require('../services/moveService');
+const { isUserBusy } = require('../services/gameService');
+const { getSpectatorCount } = require('../socket/rooms');
+const { sendServiceError } = require('../utils/httpError');
+const { parsePosition, getPlayableFen } = require('../utils/positionImport');
 
-// ============================================
-// 🎯 HELPER: CHECK IF USER IS IN ACTIVE GAME
-// ============================================
-async function isUserBusy(userId) {
-  const activeGame = await Game.findOne({
-    $or: [
-      { 'players.white': userId },
-      { 'players.black': userId }
-    ],
-    status: 'active'
-  });
-  
-  return !!activeGame; // Returns true if user has an active game
-}
-
-// @desc    Create a new game (with busy check)
-// @route   POST /api/game/create
+// @desc    Create a game against AI bot (with busy check)
+// @route   POST /api/game/create-bot
 // @access  Private
-exports.createGame = async (req, res) => {
+exports.createBotGame = async (req, res) => {
   try {
-    const { opponentId } = req.body;
-
-    // ✅ VALIDATION: Opponent exists
-    const opponent = await User.findById(opponentId);
-    if (!opponent) {
-      return res.status(404).json({
-        success: false,
-        message: 'Opponent not found'
-      });
-    }
-
-    // ✅ VALIDATION: Can't play yourself
-    if (req.user.id === opponentId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot create game with yourself'
-      });
-    }
-
-    // ✅ VALIDATION: Check if YOU are already in a game
+    // ✅ VALIDATION: Check if user is already in a game
     const userBusy = await isUserBusy(req.user.id);
     if (userBusy) {
       return res.status(400).json({
@@ -53,76 +30,33 @@ exports.createGame = async (req, res) => {
       });
     }
 
-    // ✅ VALIDATION: Check if OPPONENT is already in a game
-    const opponentBusy = await isUserBusy(opponentId);
-    if (opponentBusy) {
-      return res.status(400).json({
-        success: false,
-        message: `⚠️ ${opponent.username} is currently in another game. Please wait until they finish.`,
-        errorCode: 'OPPONENT_BUSY'
-      });
-    }
+    // Bot games are casual with takebacks unless asked otherwise
+    const { rated = false, allowTakebacks = true, difficulty, color = 'random' } = req.body || {};
 
-    // ✅ ALL CHECKS PASSED - Create game
-    const isUserWhite = Math.random() < 0.5;
+    // Optional imported start position ({ fen } or { pgn }) - always casual
+    const initialFen = getPlayableFen(req.body);
+    const isRated = !!rated && !initialFen;
 
-    const game = await Game.create({
-      players: {
-        white: isUserWhite ? req.user.id : opponentId,
-        black: isUserWhite ? opponentId : req.user.id
-      },
-      status: 'active'
-    });
-
-    await game.populate('players.white players.black', 'username rating');
+    // Default level: the one closest to the user's bot rating
+    const botLevel = difficulty == null
+      ? getLevelForRating(getRating(req.user, 'bot'))
+      : getBotLevel(difficulty);
 
-    console.log(`✅ Game created: ${game._id} | ${game.players.white.username} vs ${game.players.black.username}`);
-
-    // ============================================
-    // NOTIFY OPPONENT VIA SOCKET.IO
-    // ============================================
-    const io = req.app.get('io');
-    if (io) {
-      io.emit('game:new-challenge', {
-        opponentId: opponentId,
-        gameId: game._id,
-        challenger: req.user.username,
-        message: `${req.user.username} has challenged you to a game!`
+    if (!botLevel) {
+      return res.status(400).json({
+        success: false,
+        message: `Difficulty must be a level from 1 to ${BOT_LEVELS.length}`
       });
-      
-      console.log(`📢 Challenge notification sent to ${opponent.username}`);
     }
 
-    res.status(201).json({
-      success: true,
-      game,
-      message: `Game started! You play as ${isUserWhite ? 'White' : 'Black'}.`
-    });
-  } catch (error) {
-    console.error('Create game error:', error);
-    res.status(500).json({
-      success: false,
-      message: error.message
-    });
-  }
-};
-
-// @desc    Create a game against AI bot (with busy check)
-// @route   POST /api/game/create-bot
-// @access  Private
-exports.createBotGame = async (req, res) => {
-  try {
-    // ✅ VALIDATION: Check if user is already in a game
-    const userBusy = await isUserBusy(req.user.id);
-    if (userBusy) {
+    if (!['white', 'black', 'random'].includes(color)) {
       return res.status(400).json({
         success: false,
-        message: '⚠️ You are already in an active game! Finish it before starting a new one.',
-        errorCode: 'USER_BUSY'
+        message: 'Color must be white, black or random'
       });
     }
 
-    const isUserWhite = Math.random() < 0.5;
+    const isUserWhite = color === 'random' ? Math.random() < 0.5 : color === 'white';
 
     const game = await Game.create({
       players: {
@@ -130,17 +64,27 @@ exports.createBotGame = async (req, res) => {
         black: isUserWhite ? null : req.user.id
       },
       isBot: true,
-      botDifficulty: Math.max(5, Math.min(20, Math.floor(req.user.rating / 150))),
+      rated: isRated,
+      allowTakebacks: !isRated && allowTakebacks !== false,
+      initialFen,
+      botDifficulty: botLevel.level,
+      botRating: botLevel.rating,
+      playerRatings: {
+        white: isUserWhite ? getRating(req.user, 'bot') : botLevel.rating,
+        black: isUserWhite ? botLevel.rating : getRating(req.user, 'bot')
+      },
       status: 'active'
     });
 
-    // If bot plays White, make first move immediately
-    if (!isUserWhite) {
+    // If the bot is to move (it plays White, or Black in an imported
+    // position), make its first move immediately
+    const botToMove = game.currentTurn !== (isUserWhite ? 'white' : 'black');
+    if (botToMove) {
       const chess = new Chess(game.fen);
       
       await new Promise(resolve => setTimeout(resolve, 800));
       
-      const botMoveData = simpleAI.getSmartMove(game.fen);
+      const botMoveData = await getBotMove(game.fen, game.botDifficulty, { gameId: game._id.toString() });
       
       if (botMoveData) {
         let move;
@@ -159,7 +103,7 @@ exports.createBotGame = async (req, res) => {
           game.moves.push(move.san);
           game.fen = chess.fen();
           game.pgn = chess.pgn();
-          game.currentTurn = 'black';
+          game.currentTurn = game.currentTurn === 'white' ? 'black' : 'white';
           game.lastMoveTime = new Date();
           await game.save();
         }
@@ -167,21 +111,64 @@ exports.createBotGame = async (req, res) => {
     }
 
     if (game.players.white) {
-      await game.populate('players.white', 'username rating');
+      await game.populate('players.white', 'username ratings');
     }
     if (game.players.black) {
-      await game.populate('players.black', 'username rating');
+      await game.populate('players.black', 'username ratings');
     }
 
-    console.log(`✅ Bot game created: ${game._id} | User plays as ${isUserWhite ? 'White' : 'Black'}`);
+    console.log(`✅ Bot game created: ${game._id} | User plays as ${isUserWhite ? 'White' : 'Black'} | Bot level ${botLevel.level} (${botLevel.rating})`);
 
     res.status(201).json({
       success: true,
       game,
-      message: isUserWhite ? 'You play as White. Make your move!' : 'Bot played first move as White.'
+      message: botToMove
+        ? `You play as ${isUserWhite ? 'White' : 'Black'}. The bot has made its first move.`
+        : `You play as ${isUserWhite ? 'White' : 'Black'}. Make your move!`
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+// @desc    Import a PGN or FEN as an analysis board
+// @route   POST /api/game/import
+// @access  Private
+// Body: { pgn } or { fen }. Nothing is stored - the board lives in the client.
+// To play the position out, pass the same { pgn } / { fen } to
+// POST /api/game/create-bot or POST /api/challenges.
+exports.importPosition = async (req, res) => {
+  try {
+    const { pgn, fen } = req.body || {};
+    if (!pgn && !fen) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a PGN or a FEN'
+      });
+    }
+
+    const board = parsePosition({ pgn, fen });
+
+    res.status(200).json({
+      success: true,
+      board
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+// @desc    Get bot difficulty levels and the one suggested for the user
+// @route   GET /api/game/bot-levels
+// @access  Private
+exports.getBotLevels = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      levels: BOT_LEVELS,
+      suggested: getLevelForRating(getRating(req.user, 'bot')).level
     });
   } catch (error) {
-    console.error('Create bot game error:', error);
     res.status(500).json({
       success: false,
       message: error.message
@@ -195,7 +182,7 @@ exports.createBotGame = async (req, res) => {
 exports.getGame = async (req, res) => {
   try {
     const game = await Game.findById(req.params.id)
-      .populate('players.white players.black', 'username rating')
+      .populate('players.white players.black', 'username ratings')
       .populate('winner', 'username');
 
     if (!game) {
@@ -218,7 +205,9 @@ exports.getGame = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      game
+      game,
+      clock: getClockSnapshot(game),
+      drawClaim: game.status === 'active' && !game.isBot ? getDrawClaim(replayGame(game)) : null
     });
   } catch (error) {
     res.status(500).json({
@@ -231,151 +220,50 @@ exports.getGame = async (req, res) => {
 // @desc    Make a move in a human vs human game
 // @route   POST /api/game/:id/move
 // @access  Private
+// Note: the `game:move` socket event runs the same pipeline (moveService)
 exports.makeMove = async (req, res) => {
   try {
-    const { move } = req.body;
-
-    const game = await Game.findById(req.params.id)
-      .populate('players.white players.black', 'username rating');
-
-    if (!game) {
-      return res.status(404).json({
-        success: false,
-        message: 'Game not found'
-      });
-    }
-
-    if (game.status !== 'active') {
-      return res.status(400).json({
-        success: false,
-        message: 'Game is not active'
-      });
-    }
-
-    const userColor = game.players.white._id.toString() === req.user.id ? 'white' : 'black';
-    
-    if (game.currentTurn !== userColor) {
-      return res.status(400).json({
-        success: false,
-        message: 'Not your turn'
-      });
-    }
-
-    const chess = new Chess(game.fen);
-    
-    let moveResult;
-    try {
-      moveResult = chess.move(move);
-    } catch (err) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid move'
-      });
-    }
-
-    if (!moveResult) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid move'
-      });
-    }
-
-    game.moves.push(moveResult.san);
-    game.fen = chess.fen();
-    game.pgn = chess.pgn();
-    game.currentTurn = game.currentTurn === 'white' ? 'black' : 'white';
-    game.lastMoveTime = new Date();
-    game.timeoutWarnings.white = false;
-    game.timeoutWarnings.black = false;
-
-    if (chess.isGameOver()) {
-      game.status = 'completed';
-      game.endedAt = new Date();
-
-      if (chess.isCheckmate()) {
-        game.winner = req.user.id;
-        game.result = userColor === 'white' ? '1-0' : '0-1';
-
-        const ratingChanges = updateRatings(
-          game.players.white.rating,
-          game.players.black.rating,
-          game.result
-        );
-
-        await User.findByIdAndUpdate(game.players.white._id, {
-          $inc: { 
-            wins: userColor === 'white' ? 1 : 0,
-            losses: userColor === 'white' ? 0 : 1,
-            gamesPlayed: 1 
-          },
-          $set: { rating: ratingChanges.whiteRating }
-        });
-
-        await User.findByIdAndUpdate(game.players.black._id, {
-          $inc: { 
-            wins: userColor === 'black' ? 1 : 0,
-            losses: userColor === 'black' ? 0 : 1,
-            gamesPlayed: 1 
-          },
-          $set: { rating: ratingChanges.blackRating }
-        });
-
-      } else if (chess.isDraw()) {
-        game.result = '1/2-1/2';
-        
-        const ratingChanges = updateRatings(
-          game.players.white.rating,
-          game.players.black.rating,
-          game.result
-        );
-
-        await User.findByIdAndUpdate(game.players.white._id, {
-          $inc: { draws: 1, gamesPlayed: 1 },
-          $set: { rating: ratingChanges.whiteRating }
-        });
-
-        await User.findByIdAndUpdate(game.players.black._id, {
-          $inc: { draws: 1, gamesPlayed: 1 },
-          $set: { rating: ratingChanges.blackRating }
-        });
-      }
-    }
-
-    await game.save();
-    
-    const io = req.app.get('io');
-    io.to(game._id.toString()).emit('game:timeout-warning-cleared');
-    
-    await game.populate('players.white players.black', 'username rating');
+    const result = await moveService.makeMove(req.params.id, req.user.id, req.body.move, {
+      io: req.app.get('io'),
+      timeoutService: req.app.get('timeoutService')
+    });
 
     res.status(200).json({
       success: true,
-      game,
-      moveResult: {
-        from: moveResult.from,
-        to: moveResult.to,
-        piece: moveResult.piece,
-        captured: moveResult.captured,
-        promotion: moveResult.promotion,
-        san: moveResult.san
-      },
-      gameStatus: {
-        isCheck: chess.isCheck(),
-        isCheckmate: chess.isCheckmate(),
-        isDraw: chess.isDraw(),
-        isStalemate: chess.isStalemate(),
-        isGameOver: chess.isGameOver()
-      }
+      ...result
     });
   } catch (error) {
-    console.error('Move error:', error);
-    res.status(500).json({
-      success: false,
-      message: error.message
-    });
+    sendServiceError(res, error);
   }
 };
 
+/**
+ * Save the bot's reply (or the draw when it has none) onto the position it
+ * was computed for. A takeback, resign or flag during the think changes the
+ * game, and then the reply is dropped.
+ * @returns {Promise<boolean>} Whether the game was still as the bot left it
+ */
+async function saveBotReply(game, pliesBefore) {
+  const { matchedCount } = await Game.updateOne(
+    { _id: game._id, status: 'active', moves: { $size: pliesBefore } },
+    {
+      $set: {
+        moves: game.moves,
+        fen: game.fen,
+        pgn: game.pgn,
+        currentTurn: game.currentTurn,
+        lastMoveTime: game.lastMoveTime,
+        'timeoutWarnings.white': false,
+        'timeoutWarnings.black': false,
+        status: game.status,
+        result: game.result,
+        endedAt: game.endedAt
+      }
+    }
+  );
+  return matchedCount > 0;
+}
+
 // @desc    Make a move in a bot game
 // @route   POST /api/game/:id/move-bot
 // @access  Private
@@ -392,32 +280,37 @@ exports.makeBotMove = async (req, res) => {
       });
     }
 
-    if (game.status !== 'active') {
-      return res.status(400).json({
+    const userColor = getPlayerColor(game, req.user.id);
+    if (!userColor) {
+      return res.status(403).json({
         success: false,
-        message: 'Game is not active'
+        message: 'You are not a player in this game'
       });
     }
 
-    const chess = new Chess(game.fen);
-
-    let moveResult;
-    try {
-      moveResult = chess.move(move);
-    } catch (err) {
+    if (game.status !== 'active') {
       return res.status(400).json({
         success: false,
-        message: 'Invalid move'
+        message: 'Game is not active'
       });
     }
 
-    if (!moveResult) {
+    if (game.currentTurn !== userColor) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid move'
+        message: 'Not your turn'
       });
     }
 
+    const chess = new Chess(game.fen);
+
+    let moveResult;
+    try {
+      moveResult = playPlayerMove(chess, move);
+    } catch (error) {
+      return sendServiceError(res, error);
+    }
+
     game.moves.push(moveResult.san);
     game.fen = chess.fen();
     game.pgn = chess.pgn();
@@ -432,26 +325,19 @@ exports.makeBotMove = async (req, res) => {
 
       if (chess.isCheckmate()) {
         game.winner = req.user.id;
-        const userIsWhite = game.players.white && game.players.white.toString() === req.user.id;
-        game.result = userIsWhite ? '1-0' : '0-1';
-        
-        await User.findByIdAndUpdate(req.user.id, {
-          $inc: { wins: 1, gamesPlayed: 1, rating: 10 }
-        });
-      } else if (chess.isDraw()) {
+        game.result = userColor === 'white' ? '1-0' : '0-1';
+      } else {
         game.result = '1/2-1/2';
-        await User.findByIdAndUpdate(req.user.id, {
-          $inc: { draws: 1, gamesPlayed: 1 }
-        });
       }
 
       await game.save();
+      await applyGameResult(game);
       
       if (game.players.white) {
-        await game.populate('players.white', 'username rating');
+        await game.populate('players.white', 'username ratings');
       }
       if (game.players.black) {
-        await game.populate('players.black', 'username rating');
+        await game.populate('players.black', 'username ratings');
       }
 
       return res.status(200).json({
@@ -460,6 +346,7 @@ exports.makeBotMove = async (req, res) => {
         moveResult: {
           from: moveResult.from,
           to: moveResult.to,
+          promotion: moveResult.promotion,
           san: moveResult.san
         },
         gameStatus: {
@@ -472,19 +359,47 @@ exports.makeBotMove = async (req, res) => {
     }
 
     await game.save();
+    const pliesBeforeReply = game.moves.length;
     
     const io = req.app.get('io');
     io.to(game._id.toString()).emit('game:timeout-warning-cleared');
 
+    // 🛑 Someone else changed the game mid-think - show them its current state
+    const sendChangedGame = async () => {
+      const current = await Game.findById(game._id)
+        .populate('players.white players.black', 'username ratings');
+
+      return res.status(200).json({
+        success: true,
+        game: current,
+        userMove: {
+          from: moveResult.from,
+          to: moveResult.to,
+          promotion: moveResult.promotion,
+          san: moveResult.san
+        },
+        botMove: null,
+        gameStatus: { isGameOver: current.status !== 'active' }
+      });
+    };
+
+    // The bot always "thinks" a little - engine time counts towards it
     const thinkingTime = 1500 + Math.random() * 1000;
-    await new Promise(resolve => setTimeout(resolve, thinkingTime));
+    const thinkingStarted = Date.now();
+
+    const botMoveData = await getBotMove(game.fen, game.botDifficulty, { gameId: game._id.toString() });
 
-    const botMoveData = simpleAI.getSmartMove(game.fen);
+    const remainingThinkingTime = thinkingTime - (Date.now() - thinkingStarted);
+    if (remainingThinkingTime > 0) {
+      await new Promise(resolve => setTimeout(resolve, remainingThinkingTime));
+    }
     
     if (!botMoveData) {
       game.status = 'completed';
       game.result = '1/2-1/2';
-      await game.save();
+      game.endedAt = new Date();
+      if (!await saveBotReply(game, pliesBeforeReply)) return sendChangedGame();
+      await applyGameResult(game);
       
       return res.status(200).json({
         success: true,
@@ -503,7 +418,9 @@ exports.makeBotMove = async (req, res) => {
       } catch (err2) {
         game.status = 'completed';
         game.result = '1/2-1/2';
-        await game.save();
+        game.endedAt = new Date();
+        if (!await saveBotReply(game, pliesBeforeReply)) return sendChangedGame();
+        await applyGameResult(game);
         
         return res.status(200).json({
           success: true,
@@ -526,28 +443,24 @@ exports.makeBotMove = async (req, res) => {
         game.status = 'completed';
         game.endedAt = new Date();
 
-        if (chess.isCheckmate()) {
-          game.result = (game.players.white && game.players.white.toString()) ? '1-0' : '0-1';
-          
-          await User.findByIdAndUpdate(req.user.id, {
-            $inc: { losses: 1, gamesPlayed: 1, rating: -10 }
-          });
-        } else if (chess.isDraw()) {
-          game.result = '1/2-1/2';
-          await User.findByIdAndUpdate(req.user.id, {
-            $inc: { draws: 1, gamesPlayed: 1 }
-          });
-        }
+        // The bot delivered mate - it wins with whichever color the user isn't
+        game.result = chess.isCheckmate()
+          ? (game.players.white ? '0-1' : '1-0')
+          : '1/2-1/2';
       }
 
-      await game.save();
+      if (!await saveBotReply(game, pliesBeforeReply)) return sendChangedGame();
+
+      if (game.status === 'completed') {
+        await applyGameResult(game);
+      }
     }
 
     if (game.players.white) {
-      await game.populate('players.white', 'username rating');
+      await game.populate('players.white', 'username ratings');
     }
     if (game.players.black) {
-      await game.populate('players.black', 'username rating');
+      await game.populate('players.black', 'username ratings');
     }
 
     res.status(200).json({
@@ -556,11 +469,13 @@ exports.makeBotMove = async (req, res) => {
       userMove: {
         from: moveResult.from,
         to: moveResult.to,
+        promotion: moveResult.promotion,
         san: moveResult.san
       },
       botMove: botMove ? {
         from: botMove.from,
         to: botMove.to,
+        promotion: botMove.promotion,
         san: botMove.san
       } : null,
       gameStatus: {
@@ -590,7 +505,7 @@ exports.getMyGames = async (req, res) => {
         { 'players.black': req.user.id }
       ]
     })
-    .populate('players.white players.black', 'username rating')
+    .populate('players.white players.black', 'username ratings')
     .populate('winner', 'username')
     .sort({ startedAt: -1 });
 
@@ -607,6 +522,69 @@ exports.getMyGames = async (req, res) => {
   }
 };
 
+// Settles when the response can take more data - or never will, because the
+// client disconnected ('drain' alone would then wait forever)
+const waitForDrain = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    res.off('error', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+  res.on('error', done);
+});
+
+// @desc    Download all of the user's finished games as one PGN file
+// @route   GET /api/game/my-games/export
+// @access  Private
+// Streams game by game from a cursor - long histories never sit in memory
+exports.exportMyGames = async (req, res) => {
+  const cursor = Game.find({
+    status: 'completed',
+    $or: [
+      { 'players.white': req.user.id },
+      { 'players.black': req.user.id }
+    ]
+  })
+    .populate('players.white players.black', 'username')
+    .sort({ startedAt: 1 })
+    .cursor();
+
+  try {
+    res.set({
+      'Content-Type': 'application/x-chess-pgn; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${req.user.username.replace(/[^\w.-]+/g, '_')}_games.pgn"`
+    });
+
+    for await (const game of cursor) {
+      if (res.destroyed) break;
+
+      // Respect backpressure on slow connections
+      if (!res.write(buildPgn(game))) {
+        await waitForDrain(res);
+        if (res.destroyed) break;
+      }
+    }
+
+    if (!res.destroyed) res.end();
+  } catch (error) {
+    console.error('❌ PGN export failed:', error);
+
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.destroy(error);
+  } finally {
+    // Also when the client went away mid-download
+    await cursor.close().catch(() => {});
+  }
+};
+
 // @desc    Get active games
 // @route   GET /api/game/active
 // @access  Private
@@ -619,7 +597,7 @@ exports.getActiveGames = async (req, res) => {
         { 'players.black': req.user.id }
       ]
     })
-    .populate('players.white players.black', 'username rating')
+    .populate('players.white players.black', 'username ratings')
     .sort({ startedAt: -1 });
 
     res.status(200).json({
@@ -635,13 +613,55 @@ exports.getActiveGames = async (req, res) => {
   }
 };
 
+// @desc    Get ongoing games anyone can watch, strongest first
+// @route   GET /api/game/live
+// @access  Private
+exports.getLiveGames = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const io = req.app.get('io');
+
+    const games = await Game.find({ status: 'active', isBot: false })
+      .populate('players.white players.black', 'username ratings')
+      .select('-pgn')
+      .lean();
+
+    const liveGames = games
+      .filter(game => game.players.white && game.players.black)
+      .map(game => {
+        const ratingCategory = game.ratingCategory || getRatingCategory(game.timeControl);
+        return {
+          ...game,
+          ratingCategory,
+          averageRating: Math.round(
+            (getRating(game.players.white, ratingCategory) + getRating(game.players.black, ratingCategory)) / 2
+          ),
+          spectators: getSpectatorCount(io, game._id)
+        };
+      })
+      .sort((a, b) => b.averageRating - a.averageRating)
+      .slice(0, limit);
+
+    res.status(200).json({
+      success: true,
+      count: liveGames.length,
+      games: liveGames
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 // @desc    Abort game
 // @route   POST /api/game/:id/abort
 // @access  Private
 exports.abortGame = async (req, res) => {
   try {
     const game = await Game.findById(req.params.id)
-      .populate('players.white players.black', 'username rating');
+      .populate('players.white players.black', 'username ratings');
 
     if (!game) {
       return res.status(404).json({
@@ -668,6 +688,9 @@ exports.abortGame = async (req, res) => {
     game.endedAt = new Date();
     await game.save();
 
+    // Opponent and spectators learn the game is over
+    req.app.get('io').to(game._id.toString()).emit('game:state-update', game);
+
     res.status(200).json({
       success: true,
       message: 'Game aborted successfully',
@@ -688,7 +711,7 @@ exports.abortGame = async (req, res) => {
 exports.resignGame = async (req, res) => {
   try {
     const game = await Game.findById(req.params.id)
-      .populate('players.white players.black', 'username rating');
+      .populate('players.white players.black', 'username ratings');
 
     if (!game) {
       return res.status(404).json({
@@ -697,6 +720,14 @@ exports.resignGame = async (req, res) => {
       });
     }
 
+    const userColor = getPlayerColor(game, req.user.id);
+    if (!userColor) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a player in this game'
+      });
+    }
+
     if (game.status !== 'active') {
       return res.status(400).json({
         success: false,
@@ -708,14 +739,10 @@ exports.resignGame = async (req, res) => {
       game.status = 'completed';
       game.endedAt = new Date();
       
-      const userColor = (game.players.white && game.players.white._id.toString() === req.user.id) ? 'white' : 'black';
       game.result = userColor === 'white' ? '0-1' : '1-0';
       
       await game.save();
-      
-      await User.findByIdAndUpdate(req.user.id, {
-        $inc: { losses: 1, gamesPlayed: 1, rating: -5 }
-      });
+      await applyGameResult(game);
 
       return res.status(200).json({
         success: true,
@@ -724,50 +751,288 @@ exports.resignGame = async (req, res) => {
       });
     }
 
-    const userColor = game.players.white._id.toString() === req.user.id ? 'white' : 'black';
     const winnerId = userColor === 'white' ? game.players.black._id : game.players.white._id;
 
     game.status = 'completed';
     game.result = userColor === 'white' ? '0-1' : '1-0';
     game.winner = winnerId;
+    game.drawOffer = null;
     game.endedAt = new Date();
 
-    const ratingChanges = updateRatings(
-      game.players.white.rating,
-      game.players.black.rating,
-      game.result
+    await applyGameResult(game);
+
+    await game.save();
+
+    req.app.get('io').to(game._id.toString()).emit('game:state-update', game);
+
+    res.status(200).json({
+      success: true,
+      message: 'You have resigned from the game',
+      game
+    });
+  } catch (error) {
+    console.error('Resign error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// ============================================
+// 🤝 DRAW OFFERS & CLAIMS
+// ============================================
+// Logic lives in drawService so Socket.IO events behave identically
+
+// @desc    Offer a draw (accepts if the opponent already offered)
+// @route   POST /api/game/:id/offer-draw
+// @access  Private
+exports.offerDraw = async (req, res) => {
+  try {
+    const { game, accepted } = await drawService.offerDraw(req.params.id, req.user.id, req.app.get('io'));
+
+    res.status(200).json({
+      success: true,
+      message: accepted ? 'Draw agreed' : 'Draw offered',
+      game
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+// @desc    Accept the opponent's draw offer
+// @route   POST /api/game/:id/accept-draw
+// @access  Private
+exports.acceptDraw = async (req, res) => {
+  try {
+    const { game } = await drawService.respondToDraw(req.params.id, req.user.id, true, req.app.get('io'));
+
+    res.status(200).json({
+      success: true,
+      message: 'Draw agreed',
+      game
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+// @desc    Decline the opponent's draw offer
+// @route   POST /api/game/:id/decline-draw
+// @access  Private
+exports.declineDraw = async (req, res) => {
+  try {
+    const { game } = await drawService.respondToDraw(req.params.id, req.user.id, false, req.app.get('io'));
+
+    res.status(200).json({
+      success: true,
+      message: 'Draw declined',
+      game
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+// @desc    Claim a draw (threefold repetition / 50-move rule)
+// @route   POST /api/game/:id/claim-draw
+// @access  Private
+exports.claimDraw = async (req, res) => {
+  try {
+    const { game, reason } = await drawService.claimDraw(req.params.id, req.user.id, req.app.get('io'));
+
+    res.status(200).json({
+      success: true,
+      message: 'Draw claimed',
+      reason,
+      game
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+// ============================================
+// ↩️ TAKEBACKS (casual games only)
+// ============================================
+
+// @desc    Request a takeback (granted immediately in bot games)
+// @route   POST /api/game/:id/takeback
+// @access  Private
+exports.requestTakeback = async (req, res) => {
+  try {
+    const { game, accepted, clock } = await takebackService.requestTakeback(
+      req.params.id, req.user.id, req.app.get('io'), req.app.get('timeoutService')
     );
 
-    await User.findByIdAndUpdate(game.players.white._id, {
-      $inc: { 
-        wins: userColor === 'black' ? 1 : 0,
-        losses: userColor === 'white' ? 1 : 0,
-        gamesPlayed: 1 
-      },
-      $set: { rating: ratingChanges.whiteRating }
+    res.status(200).json({
+      success: true,
+      message: accepted ? 'Move taken back' : 'Takeback requested',
+      accepted,
+      game,
+      clock
     });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
 
-    await User.findByIdAndUpdate(game.players.black._id, {
-      $inc: { 
-        wins: userColor === 'white' ? 1 : 0,
-        losses: userColor === 'black' ? 1 : 0,
-        gamesPlayed: 1 
-      },
-      $set: { rating: ratingChanges.blackRating }
+// @desc    Accept the opponent's takeback request
+// @route   POST /api/game/:id/accept-takeback
+// @access  Private
+exports.acceptTakeback = async (req, res) => {
+  try {
+    const { game, clock } = await takebackService.respondToTakeback(
+      req.params.id, req.user.id, true, req.app.get('io'), req.app.get('timeoutService')
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Takeback accepted',
+      game,
+      clock
     });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
 
-    await game.save();
+// @desc    Decline the opponent's takeback request
+// @route   POST /api/game/:id/decline-takeback
+// @access  Private
+exports.declineTakeback = async (req, res) => {
+  try {
+    const { game } = await takebackService.respondToTakeback(req.params.id, req.user.id, false, req.app.get('io'));
 
     res.status(200).json({
       success: true,
-      message: 'You have resigned from the game',
+      message: 'Takeback declined',
       game
     });
   } catch (error) {
-    console.error('Resign error:', error);
+    sendServiceError(res, error);
+  }
+};
+
+// @desc    Run engine analysis on a finished game (background job)
+// @route   POST /api/game/:id/analyze
+// @access  Private (players only)
+// Progress arrives over Socket.IO: analysis:progress / analysis:completed / analysis:failed
+exports.analyzeGame = async (req, res) => {
+  try {
+    const { analysis, queued } = await req.app.get('analysisService').requestAnalysis(req.params.id, req.user.id);
+
+    res.status(queued ? 202 : 200).json({
+      success: true,
+      analysis
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+// @desc    Get a game's analysis (null if none was requested)
+// @route   GET /api/game/:id/analysis
+// @access  Private (players only)
+exports.getGameAnalysis = async (req, res) => {
+  try {
+    const analysis = await req.app.get('analysisService').getAnalysis(req.params.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      analysis
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+};
+
+// @desc    Download a game as PGN (full headers, clock comments)
+// @route   GET /api/game/:id/pgn
+// @access  Private (players only)
+exports.getGamePgn = async (req, res) => {
+  try {
+    const game = await Game.findById(req.params.id)
+      .populate('players.white players.black', 'username');
+
+    if (!game) {
+      return res.status(404).json({
+        success: false,
+        message: 'Game not found'
+      });
+    }
+
+    if (!getPlayerColor(game, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a player in this game'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'application/x-chess-pgn; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${getPgnFilename(game)}"`
+    });
+    res.status(200).send(buildPgn(game));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get the FEN of a position in a game
+// @route   GET /api/game/:id/fen?ply=<n>
+// @access  Private (players only)
+// ply 0 = start position, default = current position
+exports.getGameFen = async (req, res) => {
+  try {
+    const game = await Game.findById(req.params.id).select('players moves fen initialFen');
+
+    if (!game) {
+      return res.status(404).json({
+        success: false,
+        message: 'Game not found'
+      });
+    }
+
+    if (!getPlayerColor(game, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a player in this game'
+      });
+    }
+
+    if (req.query.ply == null) {
+      return res.status(200).json({
+        success: true,
+        ply: game.moves.length,
+        fen: game.fen
+      });
+    }
+
+    const ply = Number(req.query.ply);
+    if (!Number.isInteger(ply) || ply < 0 || ply > game.moves.length) {
+      return res.status(400).json({
+        success: false,
+        message: `ply must be a whole number from 0 to ${game.moves.length}`
+      });
+    }
+
+    const history = replayGame(game).history({ verbose: true });
+    const fen = ply === 0 ? getStartFen(game) : history[ply - 1].after;
+
+    res.status(200).json({
+      success: true,
+      ply,
+      fen
+    });
+  } catch (error) {
     res.status(500).json({
       success: false,
       message: error.message
     });
   }
-};
\ No newline at end of file
+};
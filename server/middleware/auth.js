@@ -1,5 +1,43 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { httpError } = require('../utils/httpError');
+
+/**
+ * Resolve an access token to its user and session
+ * Shared by `protect` (REST) and the Socket.IO middleware so both accept
+ * exactly the same tokens.
+ * @throws 401 if the token is missing, invalid, expired or its session has ended
+ */
+exports.authenticateToken = async (token) => {
+  // Make sure token exists
+  if (!token) {
+    throw httpError(401, 'Not authorized to access this route');
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw httpError(401, 'Not authorized to access this route');
+  }
+
+  // The session must still exist - revoking it signs the device out at once
+  if (!decoded.sid || !(await Session.exists({ _id: decoded.sid, user: decoded.id }))) {
+    throw httpError(401, 'Session has ended');
+  }
+
+  const user = await User.findById(decoded.id);
+  if (!user) {
+    throw httpError(401, 'User not found');
+  }
+
+  if (user.isBanned()) {
+    throw httpError(403, 'Your account is suspended', 'ACCOUNT_BANNED');
+  }
+
+  return { user, sessionId: decoded.sid };
+};
 
 // Protect routes - verify JWT token
 exports.protect = async (req, res, next) => {
@@ -13,33 +51,47 @@ exports.protect = async (req, res, next) => {
     token = req.headers.authorization.split(' ')[1];
   }
 
-  // Make sure token exists
-  if (!token) {
-    return res.status(401).json({
+  try {
+    const { user, sessionId } = await exports.authenticateToken(token);
+
+    // Add user to request object
+    req.user = user;
+    req.sessionId = sessionId;
+    next();
+  } catch (error) {
+    return res.status(error.status || 401).json({
       success: false,
-      message: 'Not authorized to access this route'
+      message: error.status ? error.message : 'Not authorized to access this route',
+      errorCode: error.errorCode
     });
   }
+};
 
-  try {
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Add user to request object
-    req.user = await User.findById(decoded.id);
+// Restrict routes to some roles - use after protect
+// e.g. router.patch('/feedback/:id', protect, authorize('moderator', 'admin'), ...)
+exports.authorize = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user?.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to do that'
+    });
+  }
 
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
+  next();
+};
 
-    next();
-  } catch (error) {
-    return res.status(401).json({
+// Routes that act on the refresh cookie alone (refresh, logout) - in
+// production the cookie is SameSite=None, so any site could POST there.
+// A plain form can't set this header, and a cross-site fetch that sets it
+// needs a CORS preflight, which only CLIENT_URL passes.
+exports.requireRequestedWith = (req, res, next) => {
+  if (req.get('X-Requested-With') !== 'XMLHttpRequest') {
+    return res.status(403).json({
       success: false,
-      message: 'Not authorized to access this route'
+      message: 'Missing X-Requested-With header',
+      errorCode: 'CSRF_CHECK_FAILED'
     });
   }
-};
\ No newline at end of file
+
+  next();
+};
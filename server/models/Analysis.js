@@ -0,0 +1,99 @@
+/**
+ * Analysis Model
+ * Engine review of one completed game
+ *
+ * Design Decision:
+ * - Separate collection (not fields on Game) - only reviewed games pay for
+ *   per-move evaluations, and game lists stay light
+ * - One analysis per game, shared by both players
+ * - Written by AnalysisService in the background; status/progress let a
+ *   reload pick up where the socket updates left off
+ */
+
+const mongoose = require('mongoose');
+const { MOVE_CLASSIFICATIONS } = require('../utils/analysis');
+
+// White's point of view - see utils/analysis.js
+const evalSchema = new mongoose.Schema({
+  cp: { type: Number, required: true },
+  mate: { type: Number, default: null }
+}, { _id: false });
+
+const moveAnalysisSchema = new mongoose.Schema({
+  ply: { type: Number, required: true }, // 1 = White's first move
+  san: { type: String, required: true },
+  color: { type: String, enum: ['white', 'black'], required: true },
+  eval: { type: evalSchema, required: true }, // after the move
+  bestMove: { type: String, default: null }, // engine's choice (SAN) in the position before
+  cpLoss: { type: Number, required: true },
+  accuracy: { type: Number, required: true },
+  classification: { type: String, enum: MOVE_CLASSIFICATIONS, required: true }
+}, { _id: false });
+
+const playerSummarySchema = new mongoose.Schema({
+  accuracy: { type: Number, default: null },
+  averageCpLoss: { type: Number, default: null },
+  best: { type: Number, default: 0 },
+  good: { type: Number, default: 0 },
+  inaccuracies: { type: Number, default: 0 },
+  mistakes: { type: Number, default: 0 },
+  blunders: { type: Number, default: 0 }
+}, { _id: false });
+
+const analysisSchema = new mongoose.Schema({
+  game: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Game',
+    required: true,
+    unique: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  // Positions evaluated so far (moves + 1 in total)
+  progress: {
+    done: { type: Number, default: 0 },
+    total: { type: Number, default: 0 }
+  },
+  engine: {
+    depth: { type: Number },
+    movetime: { type: Number }
+  },
+  initialEval: {
+    type: evalSchema,
+    default: null
+  },
+  moves: [moveAnalysisSchema],
+  summary: {
+    white: { type: playerSummarySchema, default: null },
+    black: { type: playerSummarySchema, default: null }
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Restart recovery: analyses interrupted by a shutdown
+analysisSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Analysis', analysisSchema);
@@ -0,0 +1,95 @@
+/**
+ * Challenge Model
+ * A game invite from one player to another
+ *
+ * Design Decision:
+ * - The Game is only created when the opponent accepts, so an ignored
+ *   invite doesn't mark either player as busy (see gameService.isUserBusy)
+ * - Lifecycle: pending -> accepted | declined | cancelled | expired
+ * - Expiry is enforced by ChallengeExpiryService, not a TTL index, so both
+ *   players are notified when an invite lapses
+ */
+
+const mongoose = require('mongoose');
+const { RATING_CATEGORIES } = require('../utils/ratingCategory');
+
+const challengeSchema = new mongoose.Schema({
+  challenger: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  opponent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'expired', 'cancelled'],
+    default: 'pending'
+  },
+  // Color the challenger wants to play
+  color: {
+    type: String,
+    enum: ['white', 'black', 'random'],
+    default: 'random'
+  },
+  // Same shape as Game.timeControl (ms, initial: null = untimed)
+  timeControl: {
+    initial: {
+      type: Number,
+      default: null
+    },
+    increment: {
+      type: Number,
+      default: 0
+    },
+    delay: {
+      type: Number,
+      default: 0
+    }
+  },
+  rated: {
+    type: Boolean,
+    default: true
+  },
+  // Imported start position (FEN); null = standard start position
+  initialFen: {
+    type: String,
+    default: null
+  },
+  // Category the resulting game will be rated in (from the time control)
+  ratingCategory: {
+    type: String,
+    enum: RATING_CATEGORIES,
+    default: 'classical'
+  },
+  // Set once accepted
+  game: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Game',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Incoming / outgoing pending challenges for a user
+challengeSchema.index({ opponent: 1, status: 1, createdAt: -1 });
+challengeSchema.index({ challenger: 1, status: 1, createdAt: -1 });
+
+// Expiry job
+challengeSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('Challenge', challengeSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { isClockRunning, getRemainingTime } = require('../utils/clock');
+const { RATING_CATEGORIES, getRatingCategory } = require('../utils/ratingCategory');
 
 const gameSchema = new mongoose.Schema({
   players: {
@@ -21,13 +23,55 @@ const gameSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Rated games change ratings and forbid takebacks; casual games don't
+  rated: {
+    type: Boolean,
+    default: true
+  },
+  // Which of the players' ratings this game counts towards (set on create)
+  ratingCategory: {
+    type: String,
+    enum: RATING_CATEGORIES
+  },
+  // Casual games only - lets bot games turn takebacks off
+  allowTakebacks: {
+    type: Boolean,
+    default: true
+  },
+  // Bot level and its nominal rating at game start (see utils/botLevels.js)
   botDifficulty: {
     type: Number,
-    default: 10
+    default: null
+  },
+  botRating: {
+    type: Number,
+    default: null
+  },
+  // Both players' ratings in ratingCategory when the game started
+  // (the bot side gets botRating) - PGN WhiteElo/BlackElo
+  playerRatings: {
+    white: {
+      type: Number,
+      default: null
+    },
+    black: {
+      type: Number,
+      default: null
+    }
+  },
+  // Imported start position (FEN); null = standard start position
+  initialFen: {
+    type: String,
+    default: null
   },
   moves: [{
     type: String
   }],
+  // Timed games: the mover's remaining time (ms) after each move, parallel
+  // to `moves` - PGN [%clk] comments
+  clockHistory: [{
+    type: Number
+  }],
   pgn: {
     type: String,
     default: ''
@@ -83,6 +127,107 @@ const gameSchema = new mongoose.Schema({
     type: String,
     enum: ['white', 'black', null],
     default: null
+  },
+  // Time control in ms (initial: null = untimed, inactivity timeout applies)
+  timeControl: {
+    initial: {
+      type: Number,
+      default: null
+    },
+    increment: {
+      type: Number,
+      default: 0
+    },
+    delay: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Remaining time per side as of lastMoveTime (see utils/clock.js)
+  clock: {
+    white: {
+      type: Number,
+      default: null
+    },
+    black: {
+      type: Number,
+      default: null
+    }
+  },
+  flaggedBy: {
+    type: String,
+    enum: ['white', 'black', null],
+    default: null
+  },
+  // Pending draw offer (color of the player who offered)
+  drawOffer: {
+    type: String,
+    enum: ['white', 'black', null],
+    default: null
+  },
+  // Ply of each side's last offer - one offer per move
+  drawOfferPly: {
+    white: {
+      type: Number,
+      default: -1
+    },
+    black: {
+      type: Number,
+      default: -1
+    }
+  },
+  // Pending takeback request (color of the player asking)
+  takebackRequest: {
+    type: String,
+    enum: ['white', 'black', null],
+    default: null
+  },
+  takebackCount: {
+    type: Number,
+    default: 0
+  },
+  // Set when an admin annuls a finished game (its rating changes are undone)
+  annulledAt: {
+    type: Date,
+    default: null
+  },
+  annulledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  annulReason: {
+    type: String,
+    default: ''
+  },
+  drawReason: {
+    type: String,
+    enum: [
+      'agreement',
+      'stalemate',
+      'insufficient-material',
+      'threefold-repetition',
+      'fifty-move-rule',
+      'fivefold-repetition',
+      'seventy-five-move-rule',
+      null
+    ],
+    default: null
+  }
+});
+
+// Derive the rating category from the time control when not given
+gameSchema.pre('validate', function() {
+  if (!this.ratingCategory) {
+    this.ratingCategory = getRatingCategory(this.timeControl, { isBot: this.isBot });
+  }
+
+  // Imported positions: start there, with the right side to move.
+  // Ratings only compare games from the standard start, so these are casual.
+  if (this.isNew && this.initialFen) {
+    this.fen = this.initialFen;
+    this.currentTurn = this.initialFen.split(' ')[1] === 'b' ? 'black' : 'white';
+    this.rated = false;
   }
 });
 
@@ -91,7 +236,7 @@ const gameSchema = new mongoose.Schema({
 // ============================================
 
 // 1. Query: Find active games by player
-// Used by: isUserBusy() in gameController.js
+// Used by: isUserBusy() in services/gameService.js
 gameSchema.index({ status: 1, 'players.white': 1 });
 gameSchema.index({ status: 1, 'players.black': 1 });
 
@@ -110,6 +255,8 @@ gameSchema.index({ status: 1, startedAt: -1 });
 // ============================================
 gameSchema.methods.shouldTimeout = function(timeoutDuration = 90000) {
   if (this.status !== 'active') return false;
+  // A running chess clock replaces the inactivity timeout
+  if (isClockRunning(this)) return false;
   
   const timeSinceLastMove = Date.now() - this.lastMoveTime;
   return timeSinceLastMove >= timeoutDuration;
@@ -117,6 +264,7 @@ gameSchema.methods.shouldTimeout = function(timeoutDuration = 90000) {
 
 gameSchema.methods.shouldWarn = function(warningTime = 60000) {
   if (this.status !== 'active') return false;
+  if (isClockRunning(this)) return false;
   
   const timeSinceLastMove = Date.now() - this.lastMoveTime;
   const currentPlayer = this.currentTurn;
@@ -125,4 +273,14 @@ gameSchema.methods.shouldWarn = function(warningTime = 60000) {
   return timeSinceLastMove >= warningTime && !hasBeenWarned;
 };
 
+gameSchema.methods.canTakeBack = function() {
+  return !this.rated && this.allowTakebacks;
+};
+
+gameSchema.methods.hasFlagged = function(now = Date.now()) {
+  if (!isClockRunning(this)) return false;
+
+  return getRemainingTime(this, this.currentTurn, now) <= 0;
+};
+
 module.exports = mongoose.model('Game', gameSchema);
\ No newline at end of file
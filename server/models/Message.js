@@ -32,6 +32,13 @@ const messageSchema = new mongoose.Schema({
     required: true,
     maxlength: 500
   },
+  // Players and spectators chat in separate channels
+  // (messages saved before spectator mode have no channel = players)
+  channel: {
+    type: String,
+    enum: ['players', 'spectators'],
+    default: 'players'
+  },
   timestamp: {
     type: Date,
     default: Date.now,
@@ -40,7 +47,7 @@ const messageSchema = new mongoose.Schema({
 });
 
 // Compound index for efficient game-specific message queries
-messageSchema.index({ gameId: 1, timestamp: -1 });
+messageSchema.index({ gameId: 1, channel: 1, timestamp: -1 });
 
 // TTL index - auto-delete messages older than 30 days
 // Why? Chat history doesn't need to be stored forever
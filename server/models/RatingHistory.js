@@ -0,0 +1,88 @@
+/**
+ * RatingHistory Model
+ * One entry per player per rated game - the data behind rating charts
+ *
+ * Design Decision:
+ * - Separate collection (not an array on User) so history can grow
+ *   without bloating every user lookup
+ * - Written by gameResultService.applyGameResult, the single place
+ *   ratings change
+ */
+
+const mongoose = require('mongoose');
+const { RATING_CATEGORIES } = require('../utils/ratingCategory');
+
+const ratingHistorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  game: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Game',
+    required: true
+  },
+  category: {
+    type: String,
+    enum: RATING_CATEGORIES,
+    required: true
+  },
+  // Rating after the game
+  rating: {
+    type: Number,
+    required: true
+  },
+  ratingDeviation: {
+    type: Number,
+    required: true
+  },
+  volatility: {
+    type: Number,
+    required: true
+  },
+  change: {
+    type: Number,
+    required: true
+  },
+  // Rating state before the game, so an annulment can restore it exactly.
+  // Entries written before these existed fall back to rating - change.
+  before: {
+    rating: Number,
+    ratingDeviation: Number,
+    volatility: Number,
+    lastRatedGameAt: Date
+  },
+  opponent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  opponentRating: {
+    type: Number,
+    default: null
+  },
+  color: {
+    type: String,
+    enum: ['white', 'black'],
+    required: true
+  },
+  result: {
+    type: String,
+    enum: ['win', 'loss', 'draw'],
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Chart query: a user's history in time order (optionally one category)
+ratingHistorySchema.index({ user: 1, createdAt: 1 });
+ratingHistorySchema.index({ user: 1, category: 1, createdAt: 1 });
+
+// Per-game lookups: profile rating charts and undoing an annulled game
+ratingHistorySchema.index({ game: 1, user: 1 });
+
+module.exports = mongoose.model('RatingHistory', ratingHistorySchema);
@@ -0,0 +1,56 @@
+/**
+ * Session Model
+ * One signed-in device: holds the hash of its current refresh token
+ *
+ * Design Decision:
+ * - Access tokens are short-lived JWTs carrying the session id (`sid`);
+ *   the refresh token lives in an httpOnly cookie and is rotated on every use
+ * - Only SHA-256 hashes are stored, so a database leak exposes no live tokens
+ * - `previousTokenHash` catches a stolen token being replayed after rotation:
+ *   seeing it again revokes the whole session
+ * - TTL Index: sessions disappear once their refresh token expires
+ */
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true // "My devices" lists sessions by user
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  previousTokenHash: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: '',
+    maxlength: 300
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
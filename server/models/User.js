@@ -1,5 +1,77 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { RATING_CATEGORIES } = require('../utils/ratingCategory');
+const { BOARD_THEMES, PIECE_SETS, ANIMATION_SPEEDS, SOUND_VOLUME, DEFAULT_PREFERENCES } = require('../utils/preferences');
+const { ROLES } = require('../utils/roles');
+
+// Glicko-2 rating in one category (see utils/glicko2.js)
+const categoryRatingSchema = new mongoose.Schema({
+  rating: {
+    type: Number,
+    default: 1200 // Starting rating
+  },
+  ratingDeviation: {
+    type: Number,
+    default: 350 // Maximum uncertainty for new accounts
+  },
+  volatility: {
+    type: Number,
+    default: 0.06
+  },
+  // True while the deviation is too wide to trust the rating
+  provisional: {
+    type: Boolean,
+    default: true
+  },
+  lastRatedGameAt: {
+    type: Date,
+    default: null
+  },
+  // Rated games in this category
+  gamesPlayed: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Board look and play options (see utils/preferences.js)
+const preferencesSchema = new mongoose.Schema({
+  boardTheme: {
+    type: String,
+    enum: BOARD_THEMES,
+    default: DEFAULT_PREFERENCES.boardTheme
+  },
+  pieceSet: {
+    type: String,
+    enum: PIECE_SETS,
+    default: DEFAULT_PREFERENCES.pieceSet
+  },
+  showCoordinates: {
+    type: Boolean,
+    default: DEFAULT_PREFERENCES.showCoordinates
+  },
+  animationSpeed: {
+    type: String,
+    enum: ANIMATION_SPEEDS,
+    default: DEFAULT_PREFERENCES.animationSpeed
+  },
+  soundEnabled: {
+    type: Boolean,
+    default: DEFAULT_PREFERENCES.soundEnabled
+  },
+  soundVolume: {
+    type: Number,
+    min: SOUND_VOLUME.min,
+    max: SOUND_VOLUME.max,
+    default: DEFAULT_PREFERENCES.soundVolume
+  },
+  // Promote straight to a queen instead of showing the piece picker
+  autoQueen: {
+    type: Boolean,
+    default: DEFAULT_PREFERENCES.autoQueen
+  }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -26,9 +98,62 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters'],
     select: false // Don't return password in queries by default
   },
-  rating: {
-    type: Number,
-    default: 1200 // Standard starting ELO rating
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'user'
+  },
+  // 🔨 Moderation - a ban blocks sign-in, a mute blocks chat.
+  // `bannedAt` set with no `bannedUntil` is a permanent ban.
+  bannedAt: {
+    type: Date,
+    default: null
+  },
+  bannedUntil: {
+    type: Date,
+    default: null
+  },
+  banReason: {
+    type: String,
+    default: ''
+  },
+  mutedUntil: {
+    type: Date,
+    default: null
+  },
+  muteReason: {
+    type: String,
+    default: ''
+  },
+  // 📧 Set once the user follows the link mailed at registration
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Emailed one-time tokens - only the SHA-256 hash is stored
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // One independent Glicko-2 rating per category (see utils/ratingCategory.js)
+  ratings: {
+    bullet: { type: categoryRatingSchema, default: () => ({}) },
+    blitz: { type: categoryRatingSchema, default: () => ({}) },
+    rapid: { type: categoryRatingSchema, default: () => ({}) },
+    classical: { type: categoryRatingSchema, default: () => ({}) },
+    bot: { type: categoryRatingSchema, default: () => ({}) }
   },
   gamesPlayed: {
     type: Number,
@@ -46,17 +171,26 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  preferences: {
+    type: preferencesSchema,
+    default: () => ({})
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Leaderboard: GET /api/users sorts by one category's rating
+for (const category of RATING_CATEGORIES) {
+  userSchema.index({ [`ratings.${category}.rating`]: -1 });
+}
+
 // Encrypt password before saving
 userSchema.pre('save', async function(next) {
   // Only hash if password is modified
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   
   const salt = await bcrypt.genSalt(10);
@@ -68,4 +202,35 @@ userSchema.methods.comparePassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+userSchema.methods.isBanned = function() {
+  return !!this.bannedAt && (!this.bannedUntil || this.bannedUntil > new Date());
+};
+
+userSchema.methods.isMuted = function() {
+  return !!this.mutedUntil && this.mutedUntil > new Date();
+};
+
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const PASSWORD_RESET_TTL = 60 * 60 * 1000; // 1 hour
+
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Issue a verification token - returns the raw token for the email (save afterwards)
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = this.constructor.hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL);
+  return token;
+};
+
+// Issue a password reset token - returns the raw token for the email (save afterwards)
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = this.constructor.hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL);
+  return token;
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
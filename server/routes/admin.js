@@ -0,0 +1,50 @@
+/**
+ * Admin API Routes
+ * Moderators triage feedback, mute users and remove chat messages;
+ * bans, game annulment and role changes are admin-only.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getStats,
+  getFeedback,
+  updateFeedback,
+  getUsers,
+  banUser,
+  unbanUser,
+  muteUser,
+  unmuteUser,
+  setRole,
+  annulGame,
+  getGameMessages,
+  removeMessage
+} = require('../controllers/adminController');
+const { protect, authorize } = require('../middleware/auth');
+
+const staff = authorize('moderator', 'admin');
+const admin = authorize('admin');
+
+// Every admin route needs a signed-in user
+router.use(protect);
+
+router.get('/stats', staff, getStats);
+
+// Feedback triage
+router.get('/feedback', staff, getFeedback);
+router.patch('/feedback/:id', staff, updateFeedback);
+
+// Users
+router.get('/users', staff, getUsers);
+router.post('/users/:id/mute', staff, muteUser);
+router.delete('/users/:id/mute', staff, unmuteUser);
+router.post('/users/:id/ban', admin, banUser);
+router.delete('/users/:id/ban', admin, unbanUser);
+router.patch('/users/:id/role', admin, setRole);
+
+// Games and chat
+router.post('/games/:id/annul', admin, annulGame);
+router.get('/games/:id/messages', staff, getGameMessages);
+router.delete('/messages/:id', staff, removeMessage);
+
+module.exports = router;
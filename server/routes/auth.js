@@ -1,13 +1,35 @@
 const express = require('express');
 const router = express.Router();
-const { register, login, getMe } = require('../controllers/authController');
-const { protect } = require('../middleware/auth');
+const {
+  register,
+  login,
+  getMe,
+  refresh,
+  logout,
+  getSessions,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
+} = require('../controllers/authController');
+const { protect, requireRequestedWith } = require('../middleware/auth');
 
 // Public routes
 router.post('/register', register);
 router.post('/login', login);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/verify-email', verifyEmail);
+
+// Refresh cookie routes (the access token may already have expired)
+router.post('/refresh', requireRequestedWith, refresh);
+router.post('/logout', requireRequestedWith, logout);
 
 // Protected routes
 router.get('/me', protect, getMe);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, revokeSession);
+router.post('/resend-verification', protect, resendVerification);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createChallenge,
+  getChallenges,
+  acceptChallenge,
+  declineChallenge,
+  cancelChallenge
+} = require('../controllers/challengeController');
+const { protect } = require('../middleware/auth');
+
+router.use(protect);
+
+router.get('/', getChallenges);
+router.post('/', createChallenge);
+router.post('/:id/accept', acceptChallenge);
+router.post('/:id/decline', declineChallenge);
+router.post('/:id/cancel', cancelChallenge);
+
+module.exports = router;
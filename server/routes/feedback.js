@@ -5,7 +5,6 @@
 const express = require('express');
 const router = express.Router();
 const Feedback = require('../models/Feedback');
-const { protect } = require('../middleware/auth');
 
 /**
  * @desc    Submit feedback
@@ -72,41 +71,4 @@ router.post('/', async (req, res) => {
   }
 });
 
-/**
- * @desc    Get all feedback (Admin only - future feature)
- * @route   GET /api/feedback
- * @access  Private
- */
-router.get('/', protect, async (req, res) => {
-  try {
-    const { status, type, page = 1, limit = 20 } = req.query;
-    
-    const query = {};
-    if (status) query.status = status;
-    if (type) query.type = type;
-
-    const feedback = await Feedback.find(query)
-      .populate('userId', 'username email')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const count = await Feedback.countDocuments(query);
-
-    res.status(200).json({
-      success: true,
-      feedback,
-      totalPages: Math.ceil(count / limit),
-      currentPage: page,
-      total: count
-    });
-  } catch (error) {
-    console.error('Get feedback error:', error);
-    res.status(500).json({
-      success: false,
-      message: error.message
-    });
-  }
-});
-
 module.exports = router;
\ No newline at end of file
@@ -1,29 +1,57 @@
 const express = require('express');
 const router = express.Router();
 const {
-  createGame,
   getGame,
   makeMove,
   getMyGames,
   getActiveGames,
+  getLiveGames,
   resignGame,
   abortGame,        
   createBotGame,
-  makeBotMove
+  getBotLevels,
+  makeBotMove,
+  offerDraw,
+  acceptDraw,
+  declineDraw,
+  claimDraw,
+  requestTakeback,
+  acceptTakeback,
+  declineTakeback,
+  analyzeGame,
+  getGameAnalysis,
+  exportMyGames,
+  getGamePgn,
+  getGameFen,
+  importPosition
 } = require('../controllers/gameController');
 const { protect } = require('../middleware/auth');
 
 router.use(protect);
 
-router.post('/create', createGame);
 router.post('/create-bot', createBotGame);
+router.get('/bot-levels', getBotLevels);
+router.post('/import', importPosition);
 router.get('/my-games', getMyGames);
+router.get('/my-games/export', exportMyGames);
 router.get('/active', getActiveGames);
+router.get('/live', getLiveGames);
 
 router.get('/:id', getGame);
 router.post('/:id/move', makeMove);
 router.post('/:id/move-bot', makeBotMove);
 router.post('/:id/resign', resignGame);
 router.post('/:id/abort', abortGame);
+router.post('/:id/offer-draw', offerDraw);
+router.post('/:id/accept-draw', acceptDraw);
+router.post('/:id/decline-draw', declineDraw);
+router.post('/:id/claim-draw', claimDraw);
+router.post('/:id/takeback', requestTakeback);
+router.post('/:id/accept-takeback', acceptTakeback);
+router.post('/:id/decline-takeback', declineTakeback);
+router.post('/:id/analyze', analyzeGame);
+router.get('/:id/analysis', getGameAnalysis);
+router.get('/:id/pgn', getGamePgn);
+router.get('/:id/fen', getGameFen);
 
 module.exports = router;
\ No newline at end of file
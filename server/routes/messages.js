@@ -8,6 +8,7 @@ const router = express.Router();
 const Message = require('../models/Message');
 const Game = require('../models/Game');
 const { protect } = require('../middleware/auth');
+const { chatRoom } = require('../socket/rooms');
 
 /**
  * @desc    Get chat history for a game
@@ -24,7 +25,6 @@ router.get('/:gameId', protect, async (req, res) => {
     const limit = Math.min(parseInt(req.query.limit) || 50, 100);
     const before = req.query.before ? new Date(req.query.before) : new Date();
 
-    // Verify user is part of this game
     const game = await Game.findById(gameId);
     if (!game) {
       return res.status(404).json({
@@ -33,11 +33,12 @@ router.get('/:gameId', protect, async (req, res) => {
       });
     }
 
+    // Players read the player channel, spectators of live games their own
     const isPlayer = 
       game.players.white?.toString() === req.user.id ||
       game.players.black?.toString() === req.user.id;
 
-    if (!isPlayer && !game.isBot) {
+    if (!isPlayer && game.status !== 'active') {
       return res.status(403).json({
         success: false,
         message: 'You are not a player in this game'
@@ -47,6 +48,7 @@ router.get('/:gameId', protect, async (req, res) => {
     // Fetch messages
     const messages = await Message.find({
       gameId,
+      channel: isPlayer ? { $ne: 'spectators' } : 'spectators',
       timestamp: { $lt: before }
     })
       .sort({ timestamp: -1 })
@@ -98,7 +100,7 @@ router.delete('/:messageId', protect, async (req, res) => {
 
     // Notify via Socket.IO
     const io = req.app.get('io');
-    io.to(message.gameId.toString()).emit('chat:message-deleted', {
+    io.to(chatRoom(message.gameId.toString(), message.channel)).emit('chat:message-deleted', {
       messageId: req.params.messageId
     });
 
@@ -1,21 +1,51 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const RatingHistory = require('../models/RatingHistory');
 const { protect } = require('../middleware/auth');
+const { RATING_CATEGORIES } = require('../utils/ratingCategory');
+const { parsePreferencesUpdate } = require('../utils/preferences');
+const { httpError, sendServiceError } = require('../utils/httpError');
+const { getProfileStats, getRatingHistory, getRecentGames, getHeadToHead } = require('../services/profileService');
 
-// @desc    Get all users (for finding opponents)
-// @route   GET /api/users
+const DEFAULT_SORT = 'blitz';
+const MAX_GAMES_PAGE = 50;
+
+// Profile URLs use the username, not the id
+async function findByUsername(username) {
+  const user = await User.findOne({ username })
+    .select('username ratings gamesPlayed wins losses draws createdAt');
+
+  if (!user) {
+    throw httpError(404, 'User not found');
+  }
+  return user;
+}
+
+// @desc    Get all users (for finding opponents and the leaderboard)
+// @route   GET /api/users?sort=blitz&includeSelf=true
 // @access  Private
 router.get('/', protect, async (req, res) => {
   try {
-    // Exclude current user from list
-    const users = await User.find({ _id: { $ne: req.user.id } })
-      .select('username rating gamesPlayed wins losses draws')
-      .sort({ rating: -1 }); // Sort by rating
+    const sort = req.query.sort || DEFAULT_SORT;
+    if (!RATING_CATEGORIES.includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        message: `Sort must be one of: ${RATING_CATEGORIES.join(', ')}`
+      });
+    }
+
+    // Opponent lists leave the current user out, the leaderboard doesn't
+    const filter = req.query.includeSelf === 'true' ? {} : { _id: { $ne: req.user.id } };
+
+    const users = await User.find(filter)
+      .select('username ratings gamesPlayed wins losses draws')
+      .sort({ [`ratings.${sort}.rating`]: -1 }); // Highest rated first in that category
 
     res.status(200).json({
       success: true,
       count: users.length,
+      sort,
       users
     });
   } catch (error) {
@@ -26,13 +56,180 @@ router.get('/', protect, async (req, res) => {
   }
 });
 
+// @desc    Get my board and game preferences
+// @route   GET /api/users/me/preferences
+// @access  Private
+router.get('/me/preferences', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('preferences');
+
+    res.status(200).json({
+      success: true,
+      preferences: user.preferences
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @desc    Update some of my preferences (only the keys sent change)
+// @route   PUT /api/users/me/preferences
+// @access  Private
+router.put('/me/preferences', protect, async (req, res) => {
+  try {
+    const changes = parsePreferencesUpdate(req.body);
+
+    const update = {};
+    for (const [key, value] of Object.entries(changes)) {
+      update[`preferences.${key}`] = value;
+    }
+
+    const user = await User.findByIdAndUpdate(req.user.id, { $set: update }, { new: true, runValidators: true })
+      .select('preferences');
+
+    res.status(200).json({
+      success: true,
+      preferences: user.preferences
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+});
+
+// @desc    Full profile: ratings, rating history and stats from finished games
+// @route   GET /api/users/profile/:username?category=blitz
+// @access  Private
+router.get('/profile/:username', protect, async (req, res) => {
+  try {
+    const { category } = req.query;
+    if (category && !RATING_CATEGORIES.includes(category)) {
+      throw httpError(400, `Category must be one of: ${RATING_CATEGORIES.join(', ')}`);
+    }
+
+    const user = await findByUsername(req.params.username);
+
+    const [stats, ratingHistory] = await Promise.all([
+      getProfileStats(user._id),
+      getRatingHistory(user._id, { category })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      user,
+      stats,
+      ratingHistory
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+});
+
+// @desc    A player's finished games, newest first
+// @route   GET /api/users/profile/:username/games?page=1&limit=20
+// @access  Private
+router.get('/profile/:username/games', protect, async (req, res) => {
+  try {
+    const user = await findByUsername(req.params.username);
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(MAX_GAMES_PAGE, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const { games, total } = await getRecentGames(user._id, { skip: (page - 1) * limit, limit });
+
+    res.status(200).json({
+      success: true,
+      games,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+});
+
+// @desc    A player's record against one opponent
+// @route   GET /api/users/profile/:username/head-to-head/:opponent
+// @access  Private
+router.get('/profile/:username/head-to-head/:opponent', protect, async (req, res) => {
+  try {
+    if (req.params.username === req.params.opponent) {
+      throw httpError(400, 'Pick a different opponent');
+    }
+
+    const [user, opponent] = await Promise.all([
+      findByUsername(req.params.username),
+      findByUsername(req.params.opponent)
+    ]);
+
+    const headToHead = await getHeadToHead(user._id, opponent._id);
+
+    res.status(200).json({
+      success: true,
+      opponent: { _id: opponent._id, username: opponent.username },
+      ...headToHead
+    });
+  } catch (error) {
+    sendServiceError(res, error);
+  }
+});
+
+// @desc    Get a user's rating after every rated game (oldest first)
+// @route   GET /api/users/:id/rating-history?category=blitz&limit=100
+// @access  Private
+router.get('/:id/rating-history', protect, async (req, res) => {
+  try {
+    const { category } = req.query;
+    if (category && !RATING_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        message: `Category must be one of: ${RATING_CATEGORIES.join(', ')}`
+      });
+    }
+
+    const user = await User.findById(req.params.id)
+      .select('username ratings');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+    // Newest `limit` entries, returned in chronological order for charting
+    const history = await RatingHistory.find({ user: user._id, ...(category && { category }) })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate('opponent', 'username')
+      .select('-user -__v');
+
+    res.status(200).json({
+      success: true,
+      user,
+      count: history.length,
+      history: history.reverse()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // @desc    Get user profile
 // @route   GET /api/users/:id
 // @access  Private
 router.get('/:id', protect, async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
-      .select('username rating gamesPlayed wins losses draws createdAt');
+      .select('username ratings gamesPlayed wins losses draws createdAt');
 
     if (!user) {
       return res.status(404).json({
@@ -0,0 +1,104 @@
+/**
+ * One-off migration from the single rating to per-category ratings
+ *
+ * Accounts created before ratings were split still carry the old top-level
+ * rating / ratingDeviation / volatility / provisional / lastRatedGameAt.
+ * Each category that has no rated games yet starts from that old rating
+ * (so nobody drops back to a provisional 1200), then the old fields are
+ * removed. Safe to run again - migrated accounts no longer match.
+ *
+ * Usage: npm run migrate-ratings [-- --dry-run]
+ */
+
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+const { RATING_CATEGORIES } = require('../utils/ratingCategory');
+const { isProvisional, DEFAULT_RATING, DEFAULT_RD, DEFAULT_VOLATILITY } = require('../utils/glicko2');
+
+dotenv.config();
+
+const LEGACY_FIELDS = ['rating', 'ratingDeviation', 'volatility', 'provisional', 'lastRatedGameAt'];
+const BATCH_SIZE = 500;
+
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Update for one raw user document: seed untouched categories, drop the old fields
+ * @returns {Object} { update, seededCategories }
+ */
+function buildUpdate(user) {
+  const ratingDeviation = user.ratingDeviation ?? DEFAULT_RD;
+  const seeded = {
+    rating: user.rating ?? DEFAULT_RATING,
+    ratingDeviation,
+    volatility: user.volatility ?? DEFAULT_VOLATILITY,
+    provisional: isProvisional(ratingDeviation),
+    lastRatedGameAt: user.lastRatedGameAt ?? null
+  };
+
+  const $set = {};
+  const seededCategories = [];
+  for (const category of RATING_CATEGORIES) {
+    const current = user.ratings?.[category];
+    // Rated games since the split already moved this one - keep it
+    if (current?.gamesPlayed > 0) continue;
+
+    for (const [key, value] of Object.entries(seeded)) {
+      $set[`ratings.${category}.${key}`] = value;
+    }
+    $set[`ratings.${category}.gamesPlayed`] = 0;
+    seededCategories.push(category);
+  }
+
+  const $unset = Object.fromEntries(LEGACY_FIELDS.map(field => [field, '']));
+
+  return {
+    update: seededCategories.length ? { $set, $unset } : { $unset },
+    seededCategories
+  };
+}
+
+const run = async () => {
+  await connectDB();
+
+  // Raw collection: the model no longer knows the old fields
+  const cursor = User.collection.find(
+    { rating: { $exists: true } },
+    { projection: { username: 1, ratings: 1, ...Object.fromEntries(LEGACY_FIELDS.map(field => [field, 1])) } }
+  );
+
+  let batch = [];
+  let migrated = 0;
+
+  const flush = async () => {
+    if (batch.length && !dryRun) {
+      await User.collection.bulkWrite(batch, { ordered: false });
+    }
+    migrated += batch.length;
+    batch = [];
+  };
+
+  for await (const user of cursor) {
+    const { update, seededCategories } = buildUpdate(user);
+    if (dryRun) {
+      console.log(`${user.username}: ${user.rating} -> ${seededCategories.join(', ') || 'no categories (all played)'}`);
+    }
+
+    batch.push({ updateOne: { filter: { _id: user._id }, update } });
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`${dryRun ? '🔍 Would migrate' : '✅ Migrated'} ${migrated} account${migrated === 1 ? '' : 's'}`);
+
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+run().catch(async (error) => {
+  console.error('❌ Rating migration failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
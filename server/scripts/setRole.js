@@ -0,0 +1,41 @@
+/**
+ * Give an account a role from the command line - how the first admin is made
+ *
+ * Usage: npm run set-role -- <email> <user|moderator|admin>
+ */
+
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+const { ROLES } = require('../utils/roles');
+
+dotenv.config();
+
+const [email, role] = process.argv.slice(2);
+
+const run = async () => {
+  if (!email || !ROLES.includes(role)) {
+    console.error(`Usage: npm run set-role -- <email> <${ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { $set: { role } },
+    { new: true }
+  );
+
+  if (!user) {
+    console.error(`❌ No user with email ${email}`);
+  } else {
+    console.log(`✅ ${user.username} is now ${role}`);
+  }
+
+  await mongoose.disconnect();
+  process.exit(user ? 0 : 1);
+};
+
+run();
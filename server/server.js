@@ -6,10 +6,23 @@ const cors = require('cors');
 const connectDB = require('./config/db');
 const socketHandler = require('./socket/socketHandler');
 const TimeoutService = require('./services/timeoutService');
+const MatchmakingService = require('./services/matchmakingService');
+const ChallengeExpiryService = require('./services/challengeExpiryService');
+const AnalysisService = require('./services/analysisService');
+const { stopStockfishPool, getEngineMetrics } = require('./services/stockfishPool');
+const { checkMailConfig } = require('./services/mailService');
 
 // Load env vars
 dotenv.config();
 
+// Reset and verification emails fail until mail is set up - say so loudly,
+// but keep serving everything else
+try {
+  checkMailConfig();
+} catch (error) {
+  console.warn(`⚠️⚠️⚠️ Mail is not configured: ${error.message}. Password resets and email verification will fail.`);
+}
+
 // Connect to database
 connectDB();
 
@@ -40,14 +53,30 @@ const io = new Server(server, {
 // Make io accessible in routes (for emitting from REST endpoints)
 app.set('io', io);
 
-// Initialize Socket.IO event handlers
-socketHandler(io);
-console.log('✅ Socket.IO initialized');
-
 // INITIALIZE TIMEOUT SERVICE
 const timeoutService = new TimeoutService(io);
 timeoutService.start();
 
+// Controllers and socket moves arm per-game flag timers in timed games
+app.set('timeoutService', timeoutService);
+
+// INITIALIZE MATCHMAKING (seek pool)
+const matchmakingService = new MatchmakingService(io);
+matchmakingService.start();
+
+// INITIALIZE CHALLENGE EXPIRY JOB
+const challengeExpiryService = new ChallengeExpiryService(io);
+challengeExpiryService.start();
+
+// INITIALIZE ANALYSIS JOBS (post-game engine review)
+const analysisService = new AnalysisService(io);
+analysisService.start();
+app.set('analysisService', analysisService);
+
+// Initialize Socket.IO event handlers
+socketHandler(io, { timeoutService, matchmakingService });
+console.log('✅ Socket.IO initialized');
+
 // EXPRESS MIDDLEWARE
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -60,16 +89,19 @@ app.use(cors({
 // REST API ROUTES
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/game', require('./routes/game'));
+app.use('/api/challenges', require('./routes/challenge'));
 app.use('/api/users', require('./routes/user'));
 app.use('/api/messages', require('./routes/messages')); 
 app.use('/api/feedback', require('./routes/feedback'));
+app.use('/api/admin', require('./routes/admin'));
 
 // Health check
 app.get('/api/health', (req, res) => {
   res.status(200).json({ 
     success: true, 
     message: 'Server is running!',
-    socket: io.engine.clientsCount + ' clients connected'
+    socket: io.engine.clientsCount + ' clients connected',
+    engine: getEngineMetrics() // null until the first bot move
   });
 });
 
@@ -102,6 +134,10 @@ server.listen(PORT, () => {
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
   timeoutService.stop();
+  matchmakingService.stop();
+  challengeExpiryService.stop();
+  analysisService.stop();
+  stopStockfishPool();
   server.close(() => {
     console.log('HTTP server closed');
   });
@@ -110,6 +146,10 @@ process.on('SIGTERM', () => {
 process.on('SIGINT', () => {
   console.log('SIGINT signal received: closing HTTP server');
   timeoutService.stop();
+  matchmakingService.stop();
+  challengeExpiryService.stop();
+  analysisService.stop();
+  stopStockfishPool();
   server.close(() => {
     console.log('HTTP server closed');
     process.exit(0);
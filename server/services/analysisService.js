@@ -0,0 +1,316 @@
+/**
+ * Analysis Service
+ * Background job that runs completed games through the engine.
+ *
+ * Architecture Decision:
+ * - Requests return at once; games are analysed one at a time from an
+ *   in-memory FIFO, position by position through the shared Stockfish pool
+ *   (bot moves queue between positions, so they never wait long)
+ * - Progress is stored on the Analysis document and pushed to both players'
+ *   user rooms, so any open tab can follow along
+ * - Analyses cut short by a shutdown go back to "queued" and are picked up
+ *   again on the next start
+ */
+
+const { Chess } = require('chess.js');
+const Game = require('../models/Game');
+const Analysis = require('../models/Analysis');
+const { evaluatePosition } = require('./engineService');
+const { httpError } = require('../utils/httpError');
+const { replayGame, getPlayerColor, getStartFen } = require('../utils/gameRules');
+const { userRoom } = require('../socket/rooms');
+const {
+  toWhiteEval,
+  terminalEval,
+  moveAccuracy,
+  centipawnLoss,
+  classifyMove,
+  summarizeMoves
+} = require('../utils/analysis');
+
+class AnalysisService {
+  constructor(io) {
+    this.io = io; // Socket.IO instance
+    this.queue = []; // analysis ids waiting (oldest first)
+    this.current = null; // { analysisId, controller } being analysed
+    this.stopped = false;
+    this.DEPTH = parseInt(process.env.ANALYSIS_DEPTH, 10) || 14;
+    this.MOVETIME = parseInt(process.env.ANALYSIS_MOVETIME, 10) || 1000; // ms per position (cap)
+    this.MAX_QUEUE = 20;
+  }
+
+  /**
+   * Start processing and resume analyses interrupted by a restart
+   */
+  start() {
+    console.log('🔬 Analysis service started');
+    this.stopped = false;
+    this.resumeInterrupted();
+  }
+
+  /**
+   * Stop processing - the running analysis is re-queued for the next start
+   */
+  stop() {
+    this.stopped = true;
+    this.queue = [];
+    if (this.current) {
+      this.current.controller.abort();
+    }
+    console.log('🔬 Analysis service stopped');
+  }
+
+  async resumeInterrupted() {
+    try {
+      const pending = await Analysis.find({ status: { $in: ['queued', 'running'] } })
+        .sort({ createdAt: 1 })
+        .select('_id');
+
+      for (const { _id } of pending) {
+        this.enqueue(_id.toString());
+      }
+
+      if (pending.length > 0) {
+        console.log(`🔬 Resuming ${pending.length} analysis job(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Error resuming analyses:', error);
+    }
+  }
+
+  isPending(analysisId) {
+    return this.queue.includes(analysisId) || this.current?.analysisId === analysisId;
+  }
+
+  /**
+   * Ask for a game to be analysed
+   * A finished analysis is returned as is; a failed one is retried.
+   * @returns {Promise<Object>} { analysis, queued } - queued: a job was started
+   */
+  async requestAnalysis(gameId, userId) {
+    const game = await loadAnalysableGame(gameId, userId);
+
+    if (game.moves.length === 0) {
+      throw httpError(400, 'There are no moves to analyse');
+    }
+
+    let analysis = await Analysis.findOne({ game: game._id });
+
+    if (analysis) {
+      if (analysis.status === 'completed' || this.isPending(analysis._id.toString())) {
+        return { analysis, queued: false };
+      }
+
+      // Failed, or orphaned by a crash - start over
+      analysis.set({
+        requestedBy: userId,
+        status: 'queued',
+        progress: { done: 0, total: game.moves.length + 1 },
+        moves: [],
+        summary: { white: null, black: null },
+        initialEval: null,
+        error: null,
+        startedAt: null,
+        completedAt: null
+      });
+    } else {
+      analysis = new Analysis({
+        game: game._id,
+        requestedBy: userId,
+        progress: { done: 0, total: game.moves.length + 1 }
+      });
+    }
+
+    if (this.queue.length >= this.MAX_QUEUE) {
+      throw httpError(503, 'The analysis queue is full, please try again in a few minutes');
+    }
+
+    await analysis.save();
+    this.enqueue(analysis._id.toString());
+
+    console.log(`🔬 Analysis queued for game ${game._id}`);
+    return { analysis, queued: true };
+  }
+
+  /**
+   * A game's analysis (null if never requested)
+   */
+  async getAnalysis(gameId, userId) {
+    const game = await loadAnalysableGame(gameId, userId, { requireCompleted: false });
+    return Analysis.findOne({ game: game._id });
+  }
+
+  enqueue(analysisId) {
+    if (this.stopped || this.isPending(analysisId)) return;
+    this.queue.push(analysisId);
+    this.processQueue().catch(error => console.error('❌ Analysis queue error:', error));
+  }
+
+  // Never rejects - it runs un-awaited, and an unhandled rejection would end the process
+  async processQueue() {
+    if (this.current || this.stopped || this.queue.length === 0) return;
+
+    const analysisId = this.queue.shift();
+    this.current = { analysisId, controller: new AbortController() };
+
+    try {
+      await this.runAnalysis(analysisId, this.current.controller.signal);
+    } catch (error) {
+      // Failures outside runAnalysis' own handling (e.g. the database went away)
+      console.error(`❌ Analysis ${analysisId} failed:`, error.message);
+      await Analysis.updateOne({ _id: analysisId }, { status: 'failed', error: error.message })
+        .catch(updateError => console.error('❌ Could not mark analysis as failed:', updateError.message));
+    } finally {
+      this.current = null;
+      this.processQueue().catch(error => console.error('❌ Analysis queue error:', error));
+    }
+  }
+
+  async runAnalysis(analysisId, signal) {
+    const analysis = await Analysis.findById(analysisId);
+    if (!analysis) return;
+
+    const game = await Game.findById(analysis.game).select('players moves initialFen');
+    if (!game) {
+      await Analysis.deleteOne({ _id: analysisId });
+      return;
+    }
+
+    try {
+      // Every position from the start to the final one
+      const history = replayGame(game).history({ verbose: true });
+      const fens = [getStartFen(game), ...history.map(move => move.after)];
+
+      analysis.set({
+        status: 'running',
+        startedAt: new Date(),
+        progress: { done: 0, total: fens.length },
+        engine: { depth: this.DEPTH, movetime: this.MOVETIME }
+      });
+      await analysis.save();
+
+      const positions = [];
+      for (const fen of fens) {
+        positions.push(await this.evaluate(fen, analysisId, signal));
+
+        await Analysis.updateOne({ _id: analysisId }, { 'progress.done': positions.length });
+        this.emit(game, 'analysis:progress', {
+          gameId: game._id,
+          analysisId,
+          done: positions.length,
+          total: fens.length
+        });
+      }
+
+      const moves = history.map((move, i) => {
+        const color = move.color === 'w' ? 'white' : 'black';
+        const before = positions[i].eval.cp;
+        const after = positions[i + 1].eval.cp;
+        const cpLoss = centipawnLoss(before, after, color);
+
+        return {
+          ply: i + 1,
+          san: move.san,
+          color,
+          eval: positions[i + 1].eval,
+          bestMove: positions[i].bestMove,
+          cpLoss,
+          accuracy: Math.round(moveAccuracy(before, after, color) * 10) / 10,
+          classification: classifyMove(cpLoss, positions[i].bestLan === move.lan)
+        };
+      });
+
+      analysis.set({
+        status: 'completed',
+        initialEval: positions[0].eval,
+        moves,
+        summary: {
+          white: summarizeMoves(moves.filter(move => move.color === 'white')),
+          black: summarizeMoves(moves.filter(move => move.color === 'black'))
+        },
+        completedAt: new Date()
+      });
+      await analysis.save();
+
+      console.log(`🔬 Analysis completed for game ${game._id}`);
+      this.emit(game, 'analysis:completed', { gameId: game._id, analysis });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        // Shutting down - pick it up again next start
+        await Analysis.updateOne({ _id: analysisId }, { status: 'queued', 'progress.done': 0 });
+        return;
+      }
+
+      console.error(`❌ Analysis failed for game ${game._id}:`, error.message);
+      await Analysis.updateOne({ _id: analysisId }, { status: 'failed', error: error.message });
+      this.emit(game, 'analysis:failed', {
+        gameId: game._id,
+        analysisId,
+        message: 'Analysis failed, please try again later'
+      });
+    }
+  }
+
+  /**
+   * One position: { eval (White's view), bestMove (SAN), bestLan (UCI) }
+   */
+  async evaluate(fen, analysisId, signal) {
+    const chess = new Chess(fen);
+
+    // Engines may never answer a position without moves
+    if (chess.moves().length === 0) {
+      return { eval: terminalEval(chess), bestMove: null, bestLan: null };
+    }
+
+    const { bestMove, score } = await evaluatePosition(fen, {
+      depth: this.DEPTH,
+      movetime: this.MOVETIME,
+      gameId: `analysis:${analysisId}`,
+      signal
+    });
+
+    let san = null;
+    try {
+      san = chess.move(bestMove).san;
+    } catch (err) {
+      // Illegal engine move - keep the evaluation, skip the suggestion
+    }
+
+    return { eval: toWhiteEval(score, fen.split(' ')[1]), bestMove: san, bestLan: bestMove };
+  }
+
+  /**
+   * Notify both players (the bot has no room)
+   */
+  emit(game, event, payload) {
+    for (const color of ['white', 'black']) {
+      const player = game.players[color];
+      if (player) {
+        this.io.to(userRoom((player._id || player).toString())).emit(event, payload);
+      }
+    }
+  }
+}
+
+/**
+ * Load a game the user may review (players only, like GET /api/game/:id)
+ */
+async function loadAnalysableGame(gameId, userId, { requireCompleted = true } = {}) {
+  const game = await Game.findById(gameId).select('players moves status');
+
+  if (!game) {
+    throw httpError(404, 'Game not found');
+  }
+
+  if (!getPlayerColor(game, userId)) {
+    throw httpError(403, 'You are not a player in this game');
+  }
+
+  if (requireCompleted && game.status !== 'completed') {
+    throw httpError(400, 'Only finished games can be analysed');
+  }
+
+  return game;
+}
+
+module.exports = AnalysisService;
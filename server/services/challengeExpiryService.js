@@ -0,0 +1,52 @@
+/**
+ * Challenge Expiry Service
+ * Background job that expires unanswered challenges and notifies both players
+ */
+
+const { expireChallenges } = require('./challengeService');
+
+class ChallengeExpiryService {
+  constructor(io) {
+    this.io = io; // Socket.IO instance
+    this.checkInterval = null;
+    this.CHECK_INTERVAL = 15000; // 15 seconds
+  }
+
+  /**
+   * Start the expiry checker
+   */
+  start() {
+    console.log('📨 Challenge expiry service started');
+
+    // Catch up on challenges that lapsed while the server was down
+    this.checkExpired();
+
+    this.checkInterval = setInterval(() => {
+      this.checkExpired();
+    }, this.CHECK_INTERVAL);
+  }
+
+  /**
+   * Stop the expiry checker
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+      console.log('📨 Challenge expiry service stopped');
+    }
+  }
+
+  async checkExpired() {
+    try {
+      const expired = await expireChallenges(this.io);
+      if (expired > 0) {
+        console.log(`📨 Expired ${expired} challenge(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Error expiring challenges:', error);
+    }
+  }
+}
+
+module.exports = ChallengeExpiryService;
@@ -0,0 +1,291 @@
+/**
+ * Challenge Service
+ * Invite lifecycle for human vs human games.
+ *
+ * Architecture Decision:
+ * - Used by both REST (/api/challenges) and Socket.IO (`challenge:*` events)
+ * - Each transition is an atomic findOneAndUpdate on `status: 'pending'`,
+ *   so accept/decline/cancel/expire can't race each other
+ * - Accepting claims the challenge first, then checks both players are free
+ *   and starts the game with them reserved (gameService.withPlayersReserved)
+ * - Both players are notified in their personal `user:<id>` room
+ */
+
+const Challenge = require('../models/Challenge');
+const User = require('../models/User');
+const { httpError } = require('../utils/httpError');
+const { parseTimeControl } = require('../utils/clock');
+const { getRatingCategory } = require('../utils/ratingCategory');
+const { userRoom } = require('../socket/rooms');
+const { isUserBusy, withPlayersReserved, startGame } = require('./gameService');
+const { getPlayableFen } = require('../utils/positionImport');
+
+const CHALLENGE_TTL = 5 * 60 * 1000; // 5 minutes
+const COLORS = ['white', 'black', 'random'];
+
+const populateChallenge = (query) =>
+  query.populate('challenger opponent', 'username ratings');
+
+/**
+ * Notify both players of a challenge event
+ */
+function notify(io, challenge, event, extra = {}) {
+  if (!io) return;
+
+  const payload = { challenge, ...extra };
+  io.to(userRoom(challenge.challenger._id.toString())).emit(event, payload);
+  io.to(userRoom(challenge.opponent._id.toString())).emit(event, payload);
+}
+
+/**
+ * Move a pending challenge to a new status
+ * @param {Object} filter - extra conditions (who may make the transition)
+ * @returns {Document|null} the updated challenge, null if it wasn't pending
+ */
+function transition(challengeId, filter, status) {
+  return populateChallenge(
+    Challenge.findOneAndUpdate(
+      { _id: challengeId, status: 'pending', ...filter },
+      { status, respondedAt: new Date() },
+      { new: true }
+    )
+  );
+}
+
+/**
+ * Explain why a transition didn't happen
+ */
+async function assertTransitionFailed(challengeId, userId) {
+  const challenge = await Challenge.findById(challengeId);
+
+  if (!challenge) {
+    throw httpError(404, 'Challenge not found');
+  }
+
+  const isInvolved =
+    challenge.challenger.toString() === userId ||
+    challenge.opponent.toString() === userId;
+
+  if (!isInvolved) {
+    throw httpError(403, 'This challenge is not yours');
+  }
+
+  if (challenge.status !== 'pending') {
+    throw httpError(400, `Challenge is already ${challenge.status}`, 'CHALLENGE_CLOSED');
+  }
+
+  throw httpError(403, 'You cannot do that with this challenge');
+}
+
+/**
+ * Send a challenge
+ * @param {Object} options - { opponentId, color, timeControl, rated, fen, pgn }
+ *   fen / pgn: play from an imported position (always casual)
+ */
+async function createChallenge(challengerId, { opponentId, color = 'random', timeControl: timeControlInput = null, rated = true, fen, pgn } = {}, io) {
+  const initialFen = getPlayableFen({ fen, pgn });
+
+  const timeControl = timeControlInput ? parseTimeControl(timeControlInput) : null;
+  if (timeControlInput && !timeControl) {
+    throw httpError(400, 'Invalid time control. Use e.g. "3+2" (minutes + increment seconds).');
+  }
+
+  if (!COLORS.includes(color)) {
+    throw httpError(400, 'Color must be white, black or random');
+  }
+
+  if (!opponentId) {
+    throw httpError(400, 'Please select an opponent');
+  }
+
+  if (challengerId === opponentId.toString()) {
+    throw httpError(400, 'Cannot challenge yourself');
+  }
+
+  const opponent = await User.findById(opponentId);
+  if (!opponent) {
+    throw httpError(404, 'Opponent not found');
+  }
+
+  if (await isUserBusy(challengerId)) {
+    throw httpError(400, '⚠️ You are already in an active game! Finish it before starting a new one.', 'USER_BUSY');
+  }
+
+  if (await isUserBusy(opponentId)) {
+    throw httpError(400, `⚠️ ${opponent.username} is currently in another game. Please wait until they finish.`, 'OPPONENT_BUSY');
+  }
+
+  const existing = await Challenge.findOne({
+    challenger: challengerId,
+    opponent: opponentId,
+    status: 'pending'
+  });
+  if (existing) {
+    throw httpError(400, `You already have a pending challenge to ${opponent.username}`, 'CHALLENGE_PENDING');
+  }
+
+  const created = await Challenge.create({
+    challenger: challengerId,
+    opponent: opponentId,
+    color,
+    rated: !!rated && !initialFen,
+    initialFen,
+    ratingCategory: getRatingCategory(timeControl),
+    ...(timeControl && { timeControl }),
+    expiresAt: new Date(Date.now() + CHALLENGE_TTL)
+  });
+
+  const challenge = await populateChallenge(Challenge.findById(created._id));
+
+  console.log(`🎮 Challenge ${challenge._id}: ${challenge.challenger.username} -> ${challenge.opponent.username}`);
+
+  if (io) {
+    io.to(userRoom(opponentId.toString())).emit('challenge:received', {
+      challenge,
+      message: `${challenge.challenger.username} has challenged you to a game!`
+    });
+  }
+
+  return challenge;
+}
+
+/**
+ * Accept a challenge (opponent only) and start the game
+ */
+async function acceptChallenge(challengeId, userId, io) {
+  // Claim it first - a second accept (or a decline/cancel) now finds nothing pending
+  const challenge = await transition(challengeId, { opponent: userId, expiresAt: { $gt: new Date() } }, 'accepted');
+  if (!challenge) {
+    // Overdue but not yet swept by the expiry job
+    if (await Challenge.exists({ _id: challengeId, opponent: userId, status: 'pending' })) {
+      await expireChallenges(io);
+      throw httpError(400, 'Challenge has expired', 'CHALLENGE_CLOSED');
+    }
+    await assertTransitionFailed(challengeId, userId);
+  }
+
+  const challengerId = challenge.challenger._id;
+  let game;
+
+  try {
+    game = await withPlayersReserved([userId, challengerId], async () => {
+      // Either player may have started another game since the invite was sent
+      if (await isUserBusy(userId)) {
+        throw httpError(400, '⚠️ You are already in an active game! Finish it before starting a new one.', 'USER_BUSY');
+      }
+
+      if (await isUserBusy(challengerId)) {
+        throw httpError(400, '⚠️ Your challenger is currently in another game.', 'OPPONENT_BUSY');
+      }
+
+      const challengerColor = challenge.color === 'random'
+        ? (Math.random() < 0.5 ? 'white' : 'black')
+        : challenge.color;
+
+      return startGame({
+        whiteId: challengerColor === 'white' ? challengerId : userId,
+        blackId: challengerColor === 'white' ? userId : challengerId,
+        timeControl: challenge.timeControl.initial ? challenge.timeControl : null,
+        rated: challenge.rated,
+        initialFen: challenge.initialFen
+      });
+    });
+  } catch (error) {
+    // No game came of it - the invite stays open, as if never accepted
+    await Challenge.updateOne(
+      { _id: challenge._id, status: 'accepted', game: null },
+      { status: 'pending', respondedAt: null }
+    );
+    throw error;
+  }
+
+  challenge.game = game._id;
+  await challenge.save();
+
+  notify(io, challenge, 'challenge:accepted', {
+    gameId: game._id,
+    message: `${challenge.opponent.username} accepted the challenge!`
+  });
+
+  return { challenge, game };
+}
+
+/**
+ * Decline a challenge (opponent only)
+ */
+async function declineChallenge(challengeId, userId, io) {
+  const challenge = await transition(challengeId, { opponent: userId }, 'declined');
+  if (!challenge) {
+    await assertTransitionFailed(challengeId, userId);
+  }
+
+  notify(io, challenge, 'challenge:declined', {
+    message: `${challenge.opponent.username} declined the challenge`
+  });
+
+  return challenge;
+}
+
+/**
+ * Withdraw a challenge (challenger only)
+ */
+async function cancelChallenge(challengeId, userId, io) {
+  const challenge = await transition(challengeId, { challenger: userId }, 'cancelled');
+  if (!challenge) {
+    await assertTransitionFailed(challengeId, userId);
+  }
+
+  notify(io, challenge, 'challenge:cancelled', {
+    message: `${challenge.challenger.username} withdrew the challenge`
+  });
+
+  return challenge;
+}
+
+/**
+ * Pending challenges for a user, split by direction
+ */
+async function getPendingChallenges(userId) {
+  const now = new Date();
+
+  const [incoming, outgoing] = await Promise.all([
+    populateChallenge(Challenge.find({ opponent: userId, status: 'pending', expiresAt: { $gt: now } }))
+      .sort({ createdAt: -1 }),
+    populateChallenge(Challenge.find({ challenger: userId, status: 'pending', expiresAt: { $gt: now } }))
+      .sort({ createdAt: -1 })
+  ]);
+
+  return { incoming, outgoing };
+}
+
+/**
+ * Expire every overdue pending challenge (background job)
+ * @returns {number} how many challenges expired
+ */
+async function expireChallenges(io) {
+  const overdue = await Challenge.find({ status: 'pending', expiresAt: { $lte: new Date() } })
+    .select('_id');
+
+  let expired = 0;
+  for (const { _id } of overdue) {
+    const challenge = await transition(_id, {}, 'expired');
+    if (!challenge) continue; // answered in the meantime
+
+    expired++;
+    notify(io, challenge, 'challenge:expired', {
+      message: `Challenge between ${challenge.challenger.username} and ${challenge.opponent.username} expired`
+    });
+  }
+
+  return expired;
+}
+
+module.exports = {
+  CHALLENGE_TTL,
+  createChallenge,
+  acceptChallenge,
+  declineChallenge,
+  cancelChallenge,
+  getPendingChallenges,
+  expireChallenges
+};
@@ -0,0 +1,153 @@
+/**
+ * Draw Service
+ * Draw offers, responses and claims for human games.
+ * Shared by the REST endpoints (gameController) and Socket.IO events,
+ * and broadcasts the outcome to the game room either way.
+ */
+
+const Game = require('../models/Game');
+const { httpError } = require('../utils/httpError');
+const { DRAW_MESSAGES, replayGame, getPlayerColor, getDrawClaim } = require('../utils/gameRules');
+const { applyGameResult } = require('./gameResultService');
+
+const opposite = (color) => (color === 'white' ? 'black' : 'white');
+
+async function loadActiveGame(gameId, userId) {
+  const game = await Game.findById(gameId)
+    .populate('players.white players.black', 'username ratings');
+
+  if (!game) {
+    throw httpError(404, 'Game not found');
+  }
+
+  if (game.status !== 'active') {
+    throw httpError(400, 'Game is not active');
+  }
+
+  if (game.isBot) {
+    throw httpError(400, 'Draws are not available in bot games');
+  }
+
+  const color = getPlayerColor(game, userId);
+  if (!color) {
+    throw httpError(403, 'You are not a player in this game');
+  }
+
+  return { game, color };
+}
+
+/**
+ * End the game as a draw, rate it and notify the room
+ */
+async function endInDraw(game, reason, io) {
+  game.status = 'completed';
+  game.result = '1/2-1/2';
+  game.drawReason = reason;
+  game.drawOffer = null;
+  game.winner = null;
+  game.endedAt = new Date();
+
+  await applyGameResult(game);
+  await game.save();
+
+  console.log(`🤝 Game ${game._id} drawn (${reason})`);
+
+  if (io) {
+    io.to(game._id.toString()).emit('game:draw', {
+      gameId: game._id,
+      reason,
+      message: DRAW_MESSAGES[reason],
+      game
+    });
+  }
+
+  return game;
+}
+
+/**
+ * Offer a draw
+ * Offering while the opponent's offer is pending accepts it.
+ */
+async function offerDraw(gameId, userId, io) {
+  const { game, color } = await loadActiveGame(gameId, userId);
+
+  if (game.drawOffer === opposite(color)) {
+    await endInDraw(game, 'agreement', io);
+    return { game, accepted: true };
+  }
+
+  if (game.drawOffer === color) {
+    throw httpError(400, 'You already have a pending draw offer');
+  }
+
+  if (game.drawOfferPly[color] === game.moves.length) {
+    throw httpError(400, 'You can only offer one draw per move', 'DRAW_OFFER_LIMIT');
+  }
+
+  game.drawOffer = color;
+  game.drawOfferPly[color] = game.moves.length;
+  await game.save();
+
+  const username = game.players[color].username;
+
+  if (io) {
+    io.to(game._id.toString()).emit('game:draw-offered', {
+      gameId: game._id,
+      by: color,
+      username,
+      message: `${username} offers a draw`
+    });
+  }
+
+  return { game, accepted: false };
+}
+
+/**
+ * Accept or decline the opponent's pending offer
+ */
+async function respondToDraw(gameId, userId, accept, io) {
+  const { game, color } = await loadActiveGame(gameId, userId);
+
+  if (game.drawOffer !== opposite(color)) {
+    throw httpError(400, 'There is no draw offer to respond to');
+  }
+
+  if (accept) {
+    await endInDraw(game, 'agreement', io);
+    return { game, accepted: true };
+  }
+
+  game.drawOffer = null;
+  await game.save();
+
+  if (io) {
+    io.to(game._id.toString()).emit('game:draw-declined', {
+      gameId: game._id,
+      by: color,
+      username: game.players[color].username
+    });
+  }
+
+  return { game, accepted: false };
+}
+
+/**
+ * Claim a draw by threefold repetition or the 50-move rule
+ */
+async function claimDraw(gameId, userId, io) {
+  const { game } = await loadActiveGame(gameId, userId);
+
+  const reason = getDrawClaim(replayGame(game));
+  if (!reason) {
+    throw httpError(400, 'No draw can be claimed in this position', 'NO_DRAW_CLAIM');
+  }
+
+  await endInDraw(game, reason, io);
+  return { game, reason };
+}
+
+module.exports = {
+  offerDraw,
+  respondToDraw,
+  claimDraw
+};
@@ -0,0 +1,96 @@
+/**
+ * Engine Service
+ * Picks bot moves through interchangeable engine providers, and scores
+ * positions for post-game analysis (Stockfish only).
+ *
+ * Architecture Decision:
+ * - A provider is { name, getMove(fen, level, context) } returning a
+ *   chess.js move object ({ from, to, promotion })
+ * - Providers are tried in order: Stockfish first, simpleAI as the fallback
+ *   when the engine process is missing, crashes or times out
+ * - ENGINE_PROVIDER=simple skips Stockfish entirely (e.g. tiny servers)
+ */
+
+const { Chess } = require('chess.js');
+const simpleAI = require('./simpleAI');
+const { getStockfishPool } = require('./stockfishPool');
+const { getBotLevel, DEFAULT_BOT_LEVEL } = require('../utils/botLevels');
+
+// "e7e8q" -> { from: 'e7', to: 'e8', promotion: 'q' }
+const parseUciMove = (uci) => ({
+  from: uci.slice(0, 2),
+  to: uci.slice(2, 4),
+  ...(uci[4] && { promotion: uci[4] })
+});
+
+const stockfishProvider = {
+  name: 'stockfish',
+  async getMove(fen, level, { gameId, signal }) {
+    const pool = await getStockfishPool();
+    const uci = await pool.getBestMove(fen, {
+      skillLevel: level.skillLevel,
+      elo: level.elo,
+      movetime: level.movetime,
+      gameId
+    }, { signal });
+    return parseUciMove(uci);
+  }
+};
+
+const simpleProvider = {
+  name: 'simple',
+  async getMove(fen) {
+    return simpleAI.getSmartMove(fen);
+  }
+};
+
+const getProviders = () =>
+  process.env.ENGINE_PROVIDER === 'simple'
+    ? [simpleProvider]
+    : [stockfishProvider, simpleProvider];
+
+/**
+ * Move for the bot at a difficulty level
+ * @param {string} fen
+ * @param {number} difficulty - level from utils/botLevels.js
+ * @param {Object} context - { gameId, signal } (signal cancels the search)
+ * @returns {Promise<Object|null>} { from, to, promotion? } or null (no legal moves)
+ */
+async function getBotMove(fen, difficulty, { gameId = null, signal = null } = {}) {
+  // Engines may never answer a position without moves
+  if (new Chess(fen).moves().length === 0) return null;
+
+  const level = getBotLevel(difficulty) || getBotLevel(DEFAULT_BOT_LEVEL);
+
+  for (const provider of getProviders()) {
+    try {
+      const move = await provider.getMove(fen, level, { gameId, signal });
+      if (move) return move;
+    } catch (error) {
+      // Nobody is waiting for the move any more
+      if (error.name === 'AbortError') throw error;
+
+      console.error(`❌ ${provider.name} engine failed, falling back:`, error.message);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Full-strength evaluation of a position for analysis
+ * There is no fallback - simpleAI can't score positions.
+ * @param {string} fen - must have legal moves
+ * @param {Object} options - { depth, movetime, gameId, signal }
+ * @returns {Promise<Object>} { bestMove (UCI), score: { cp } | { mate }, depth } - side to move's view
+ */
+async function evaluatePosition(fen, { depth, movetime, gameId = null, signal = null } = {}) {
+  if (process.env.ENGINE_PROVIDER === 'simple') {
+    throw new Error('Engine analysis is disabled on this server');
+  }
+
+  const pool = await getStockfishPool();
+  return pool.evaluate(fen, { depth, movetime, gameId }, { signal });
+}
+
+module.exports = { getBotMove, evaluatePosition, parseUciMove };
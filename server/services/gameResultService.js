@@ -0,0 +1,259 @@
+/**
+ * Game Result Service
+ * Applies stats and rating changes when a game ends - human vs human and
+ * user vs bot alike.
+ *
+ * Why a service? makeMove, makeBotMove, resignGame, draw endpoints and
+ * TimeoutService all finish games - keeping the rating math in one place
+ * keeps them in sync.
+ */
+
+const User = require('../models/User');
+const RatingHistory = require('../models/RatingHistory');
+const {
+  updateRatings,
+  ratePlayer,
+  inflateDeviation,
+  isProvisional,
+  DEFAULT_VOLATILITY,
+  MIN_RATING
+} = require('../utils/glicko2');
+const { getRatingCategory } = require('../utils/ratingCategory');
+const { BOT_RATING_DEVIATION, getBotLevel } = require('../utils/botLevels');
+
+const SCORES = {
+  '1-0': { white: 1, black: 0 },
+  '0-1': { white: 0, black: 1 },
+  '1/2-1/2': { white: 0.5, black: 0.5 }
+};
+
+const statsForScore = (score, step = 1) => {
+  if (score === 1) return { wins: step };
+  if (score === 0) return { losses: step };
+  return { draws: step };
+};
+
+const opposite = (color) => (color === 'white' ? 'black' : 'white');
+
+// Player refs may be populated documents or plain ids
+const idOf = (player) => player._id || player;
+
+/**
+ * The bot as a rating opponent - its nominal rating never changes
+ */
+function botOpponent(game) {
+  const rating = game.botRating ?? getBotLevel(game.botDifficulty)?.rating;
+  if (rating == null) return null;
+
+  return {
+    _id: null,
+    rating,
+    ratingDeviation: BOT_RATING_DEVIATION,
+    volatility: DEFAULT_VOLATILITY
+  };
+}
+
+/**
+ * Update the players after a finished game
+ * Casual games count towards stats but leave ratings untouched.
+ * Rated games go through Glicko-2 in the game's rating category and add a
+ * RatingHistory entry per human player. In bot games only the user is rated,
+ * against the bot's nominal rating.
+ * @param {Game} game - `result` already set
+ * @param {Object} options
+ * @param {Object} options.penalty - { color, points } extra rating loss (e.g. abandonment)
+ * @returns {Object|null} { category, white?, black? } - sides: { rating, ratingDeviation, volatility, change }
+ */
+async function applyGameResult(game, { penalty = null } = {}) {
+  const scores = SCORES[game.result];
+  if (!scores) return null;
+
+  // Human sides only - the bot has no account
+  const colors = ['white', 'black'].filter(color => game.players[color]);
+
+  if (!game.rated) {
+    for (const color of colors) {
+      await User.findByIdAndUpdate(idOf(game.players[color]), {
+        $inc: { ...statsForScore(scores[color]), gamesPlayed: 1 }
+      });
+    }
+    return null;
+  }
+
+  const category = game.ratingCategory || getRatingCategory(game.timeControl, { isBot: game.isBot });
+
+  const users = await Promise.all(
+    colors.map(color => User.findById(idOf(game.players[color])).select('ratings'))
+  );
+  if (users.some(user => !user)) return null;
+
+  // Plain { _id, rating, ratingDeviation, volatility, lastRatedGameAt } per side
+  const sides = {};
+  colors.forEach((color, i) => {
+    const { rating, ratingDeviation, volatility, lastRatedGameAt } = users[i].ratings[category];
+    sides[color] = { _id: users[i]._id, rating, ratingDeviation, volatility, lastRatedGameAt };
+  });
+
+  const now = new Date();
+  let updated;
+
+  if (game.isBot) {
+    const [color] = colors;
+    sides[opposite(color)] = botOpponent(game);
+    if (!sides[opposite(color)]) return null;
+
+    const before = { ...sides[color], ratingDeviation: inflateDeviation(sides[color], now) };
+    updated = { [color]: ratePlayer(before, sides[opposite(color)], scores[color]) };
+  } else {
+    updated = updateRatings(sides.white, sides.black, game.result, now);
+  }
+
+  const results = { category };
+
+  for (const color of colors) {
+    const opponent = sides[opposite(color)];
+    const next = updated[color];
+
+    if (penalty && penalty.color === color) {
+      next.rating = Math.max(MIN_RATING, next.rating - penalty.points);
+    }
+
+    const change = next.rating - sides[color].rating;
+    results[color] = { ...next, change };
+
+    await User.findByIdAndUpdate(sides[color]._id, {
+      $inc: {
+        ...statsForScore(scores[color]),
+        gamesPlayed: 1,
+        [`ratings.${category}.gamesPlayed`]: 1
+      },
+      $set: {
+        [`ratings.${category}.rating`]: next.rating,
+        [`ratings.${category}.ratingDeviation`]: next.ratingDeviation,
+        [`ratings.${category}.volatility`]: next.volatility,
+        [`ratings.${category}.provisional`]: isProvisional(next.ratingDeviation),
+        [`ratings.${category}.lastRatedGameAt`]: now
+      }
+    });
+
+    await RatingHistory.create({
+      user: sides[color]._id,
+      game: game._id,
+      category,
+      rating: next.rating,
+      ratingDeviation: next.ratingDeviation,
+      volatility: next.volatility,
+      change,
+      before: {
+        rating: sides[color].rating,
+        ratingDeviation: sides[color].ratingDeviation,
+        volatility: sides[color].volatility,
+        lastRatedGameAt: sides[color].lastRatedGameAt ?? null
+      },
+      opponent: opponent._id, // null for the bot
+      opponentRating: opponent.rating,
+      color,
+      result: scores[color] === 1 ? 'win' : scores[color] === 0 ? 'loss' : 'draw',
+      createdAt: now
+    });
+  }
+
+  return results;
+}
+
+/**
+ * A player's rating state in a category just before a rated game
+ * Recorded on the entry itself; older entries use the previous history
+ * entry, or take the change back off the current rating. (Seeded and
+ * migrated ratings have no history, so the defaults would be wrong.)
+ */
+async function ratingBefore(entry, current) {
+  if (entry.before?.rating != null) {
+    const { rating, ratingDeviation, volatility, lastRatedGameAt } = entry.before;
+    return { rating, ratingDeviation, volatility, lastRatedGameAt: lastRatedGameAt ?? null };
+  }
+
+  const previous = await RatingHistory.findOne({
+    user: entry.user,
+    category: entry.category,
+    createdAt: { $lt: entry.createdAt }
+  }).sort({ createdAt: -1 });
+
+  if (!previous) {
+    return {
+      rating: Math.max(MIN_RATING, current.rating - entry.change),
+      ratingDeviation: current.ratingDeviation,
+      volatility: current.volatility,
+      lastRatedGameAt: null
+    };
+  }
+
+  const { rating, ratingDeviation, volatility, createdAt } = previous;
+  return { rating, ratingDeviation, volatility, lastRatedGameAt: createdAt };
+}
+
+/**
+ * Undo applyGameResult for a game (admin annulment)
+ * Stats always come off. If the game is still the player's latest rated game
+ * in its category, the rating state from before it is restored exactly;
+ * otherwise later games were rated on top of it, so only its rating change
+ * is taken back. The game's RatingHistory entries are removed.
+ * @returns {Object} { white?, black? } - sides: { category, rating, change }
+ */
+async function revertGameResult(game) {
+  const scores = SCORES[game.result];
+  if (!scores) return {};
+
+  const colors = ['white', 'black'].filter(color => game.players[color]);
+  const entries = game.rated ? await RatingHistory.find({ game: game._id }) : [];
+  const results = {};
+
+  for (const color of colors) {
+    const userId = idOf(game.players[color]);
+    const entry = entries.find(e => e.user.equals(userId));
+    const update = { $inc: { ...statsForScore(scores[color], -1), gamesPlayed: -1 } };
+
+    if (entry) {
+      const { category } = entry;
+      const user = await User.findById(userId).select('ratings');
+      if (!user) continue;
+
+      const current = user.ratings[category];
+      const ratedSince = await RatingHistory.exists({
+        user: userId,
+        category,
+        createdAt: { $gt: entry.createdAt }
+      });
+
+      const restored = ratedSince
+        ? {
+          rating: Math.max(MIN_RATING, current.rating - entry.change),
+          ratingDeviation: current.ratingDeviation,
+          volatility: current.volatility,
+          lastRatedGameAt: current.lastRatedGameAt
+        }
+        : await ratingBefore(entry, current);
+
+      update.$inc[`ratings.${category}.gamesPlayed`] = -1;
+      update.$set = {
+        [`ratings.${category}.rating`]: restored.rating,
+        [`ratings.${category}.ratingDeviation`]: restored.ratingDeviation,
+        [`ratings.${category}.volatility`]: restored.volatility,
+        [`ratings.${category}.provisional`]: isProvisional(restored.ratingDeviation),
+        [`ratings.${category}.lastRatedGameAt`]: restored.lastRatedGameAt
+      };
+
+      results[color] = { category, rating: restored.rating, change: restored.rating - current.rating };
+    }
+
+    await User.findByIdAndUpdate(userId, update);
+  }
+
+  if (entries.length) {
+    await RatingHistory.deleteMany({ game: game._id });
+  }
+
+  return results;
+}
+
+module.exports = { applyGameResult, revertGameResult };
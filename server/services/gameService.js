@@ -0,0 +1,95 @@
+/**
+ * Game Service
+ * Starting human vs human games, shared by every way players get paired
+ * (direct challenge from the users list, matchmaking queue)
+ */
+
+const Game = require('../models/Game');
+const User = require('../models/User');
+const { httpError } = require('../utils/httpError');
+const { getRatingCategory, getRating } = require('../utils/ratingCategory');
+
+// Users a game is being started for right now (see withPlayersReserved)
+const startingPlayers = new Set();
+
+/**
+ * Is the user already playing an active game?
+ */
+async function isUserBusy(userId) {
+  const activeGame = await Game.findOne({
+    $or: [
+      { 'players.white': userId },
+      { 'players.black': userId }
+    ],
+    status: 'active'
+  });
+
+  return !!activeGame; // Returns true if user has an active game
+}
+
+/**
+ * Run `fn` while no other game can be started for these users
+ * The "is anyone busy?" check and Game.create are separate awaits, so two
+ * starts for one user (two challenges accepted at once, or a challenge and
+ * a matchmaking pair) must not interleave. Games are started by this one
+ * process - flag timers and seek queues live in memory too.
+ * @throws 409 GAME_STARTING if a game is already being started for one of them
+ */
+async function withPlayersReserved(userIds, fn) {
+  const ids = userIds.map(id => id.toString());
+  if (ids.some(id => startingPlayers.has(id))) {
+    throw httpError(409, '⚠️ A game is already being started for this player. Try again in a moment.', 'GAME_STARTING');
+  }
+
+  ids.forEach(id => startingPlayers.add(id));
+  try {
+    return await fn();
+  } finally {
+    ids.forEach(id => startingPlayers.delete(id));
+  }
+}
+
+/**
+ * Create an active game between two users
+ * @param {Object} options
+ * @param {string} options.whiteId
+ * @param {string} options.blackId
+ * @param {Object|null} options.timeControl - parsed (ms) time control, null = untimed
+ * @param {boolean} options.rated
+ * @param {string|null} options.initialFen - imported start position (forces casual)
+ * @returns {Document} game with players populated
+ */
+async function startGame({ whiteId, blackId, timeControl = null, rated = true, initialFen = null }) {
+  const category = getRatingCategory(timeControl);
+  const [white, black] = await Promise.all([
+    User.findById(whiteId).select('ratings'),
+    User.findById(blackId).select('ratings')
+  ]);
+
+  const game = await Game.create({
+    players: {
+      white: whiteId,
+      black: blackId
+    },
+    status: 'active',
+    rated: !!rated,
+    initialFen,
+    ratingCategory: category,
+    playerRatings: {
+      white: getRating(white, category),
+      black: getRating(black, category)
+    },
+    ...(timeControl && {
+      timeControl,
+      clock: { white: timeControl.initial, black: timeControl.initial }
+    })
+  });
+
+  await game.populate('players.white players.black', 'username ratings');
+
+  console.log(`✅ Game created: ${game._id} | ${game.players.white.username} vs ${game.players.black.username}`);
+
+  return game;
+}
+
+module.exports = { isUserBusy, withPlayersReserved, startGame };
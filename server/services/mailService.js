@@ -0,0 +1,140 @@
+/**
+ * Mail Service
+ * Account emails (verification, password reset) sent through a pluggable
+ * transport - see mailTransports.js for the interface.
+ *
+ * Environment:
+ * - MAIL_TRANSPORT: 'smtp' (default in production), 'console' (default
+ *   otherwise) or 'file' - production only accepts smtp
+ * - SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ('true' for port 465),
+ *   SMTP_USER, SMTP_PASS: the smtp transport's server
+ * - MAIL_DIR: where the file transport writes (default server/mail-outbox)
+ * - MAIL_FROM: sender address
+ * - CLIENT_URL: base for the links in each email
+ */
+
+const path = require('path');
+const { createSmtpTransport, createConsoleTransport, createFileTransport } = require('./mailTransports');
+
+let transport = null;
+
+const transportName = () =>
+  process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+
+/**
+ * Throw unless mail can really be delivered in production
+ * Sending checks this, so a missing SMTP setup fails the request instead of
+ * silently dropping the email; server.js also runs it at startup to warn.
+ */
+function checkMailConfig() {
+  const name = transportName();
+
+  if (!['smtp', 'console', 'file'].includes(name)) {
+    throw new Error(`MAIL_TRANSPORT must be smtp, console or file (got "${name}")`);
+  }
+
+  if (process.env.NODE_ENV === 'production' && name !== 'smtp') {
+    throw new Error(`MAIL_TRANSPORT=${name} never delivers mail - use smtp in production`);
+  }
+
+  if (name === 'smtp' && !process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is required for the smtp mail transport');
+  }
+}
+
+// Picked on first use - this module can load before dotenv has run
+function getTransport() {
+  if (!transport) {
+    checkMailConfig();
+
+    const name = transportName();
+    if (name === 'smtp') {
+      transport = createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      });
+    } else if (name === 'file') {
+      transport = createFileTransport(process.env.MAIL_DIR || path.join(__dirname, '..', 'mail-outbox'));
+    } else {
+      transport = createConsoleTransport();
+    }
+  }
+  return transport;
+}
+
+/**
+ * Replace the transport (real delivery in production, a stub in tests)
+ */
+function setTransport(newTransport) {
+  transport = newTransport;
+}
+
+async function sendMail({ to, subject, text, html }) {
+  await getTransport().send({
+    from: process.env.MAIL_FROM || 'ChessMaster <no-reply@chessmaster.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+}
+
+const clientLink = (pathname, token) =>
+  `${process.env.CLIENT_URL || 'http://localhost:5173'}${pathname}?token=${token}`;
+
+const escapeHtml = (value) =>
+  value.replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+// Plain text plus a minimal HTML version of the same lines
+const buildEmail = ({ greeting, lines, link, linkLabel, footer }) => ({
+  text: [greeting, '', ...lines, '', link, '', footer].join('\n'),
+  html: [
+    `<p>${escapeHtml(greeting)}</p>`,
+    ...lines.map(line => `<p>${escapeHtml(line)}</p>`),
+    `<p><a href="${link}">${linkLabel}</a></p>`,
+    `<p style="color:#888">${footer}</p>`
+  ].join('\n')
+});
+
+// ============================================
+// ACCOUNT EMAILS
+// ============================================
+
+async function sendVerificationEmail(user, token) {
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your ChessMaster email',
+    ...buildEmail({
+      greeting: `Hi ${user.username},`,
+      lines: ['Welcome to ChessMaster! Confirm your email address with the link below.'],
+      link: clientLink('/verify-email', token),
+      linkLabel: 'Confirm email',
+      footer: 'The link works for 24 hours. If you did not sign up, ignore this email.'
+    })
+  });
+}
+
+async function sendPasswordResetEmail(user, token) {
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your ChessMaster password',
+    ...buildEmail({
+      greeting: `Hi ${user.username},`,
+      lines: ['Someone (hopefully you) asked to reset your password. Choose a new one here:'],
+      link: clientLink('/reset-password', token),
+      linkLabel: 'Reset password',
+      footer: 'The link works for 1 hour. If you did not ask for this, your password is unchanged.'
+    })
+  });
+}
+
+module.exports = {
+  checkMailConfig,
+  setTransport,
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
@@ -0,0 +1,77 @@
+/**
+ * Mail Transports
+ * Everything mailService needs from a transport is `send(message)`:
+ *
+ *   message = { from, to, subject, text, html }
+ *   send(message) => Promise
+ *
+ * SMTP delivers for real. The console and file transports never leave the
+ * machine, for development and tests. Other providers: hand
+ * mailService.setTransport() an adapter, e.g. `{ send: (message) => api.send(message) }`.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Links in account emails carry tokens that sign the reader in
+const hideTokens = (text) => text.replace(/token=[^\s&"]+/g, 'token=[hidden]');
+
+/**
+ * Deliver through an SMTP server (MAIL_TRANSPORT=smtp, the production default)
+ * @param {Object} options - { host, port, secure, user, pass }
+ */
+function createSmtpTransport({ host, port = 587, secure = false, user, pass }) {
+  const smtp = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user && { auth: { user, pass } })
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      await smtp.sendMail(message);
+    }
+  };
+}
+
+/**
+ * Print each message to the server log (MAIL_TRANSPORT=console, the
+ * development default). Tokens are masked - logs get read by more people
+ * than inboxes; use the file transport to follow the links locally.
+ */
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log(
+        `📧 Mail to ${message.to}: ${message.subject}\n` +
+        `${hideTokens(message.text).split('\n').map(line => `   ${line}`).join('\n')}`
+      );
+    }
+  };
+}
+
+/**
+ * Write each message to a JSON file (MAIL_TRANSPORT=file, in MAIL_DIR)
+ * Handy for tests: read the newest file to pick up a token.
+ */
+function createFileTransport(dir) {
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+
+      const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`);
+      await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+    }
+  };
+}
+
+module.exports = {
+  createSmtpTransport,
+  createConsoleTransport,
+  createFileTransport
+};
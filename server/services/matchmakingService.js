@@ -0,0 +1,320 @@
+/**
+ * Matchmaking Service
+ * Public seek pool: players queue for a time control and get paired
+ * automatically with someone of similar rating.
+ *
+ * Architecture Decision:
+ * - In-memory, like activeUsers in socketHandler (one server process)
+ * - Queues keyed by time control + rated/casual; only seeks in the same
+ *   queue can be paired
+ * - The acceptable rating gap starts small and widens the longer a seek
+ *   waits, so nobody sits in the queue forever
+ * - Both players must accept the gap (it has to fit both windows)
+ */
+
+const User = require('../models/User');
+const { httpError } = require('../utils/httpError');
+const { parseTimeControl, formatTimeControl } = require('../utils/clock');
+const { getRatingCategory, getRating } = require('../utils/ratingCategory');
+const { isUserBusy, withPlayersReserved, startGame } = require('./gameService');
+
+class MatchmakingService {
+  constructor(io) {
+    this.io = io; // Socket.IO instance
+    this.queues = new Map(); // queueKey -> [seek] (oldest first)
+    this.seeks = new Map(); // userId -> seek
+    this.matching = new Map(); // userId -> seek whose game is being started
+    this.sweepInterval = null;
+    this.pairing = false;
+
+    this.INITIAL_RANGE = 100; // ± rating points
+    this.RANGE_STEP = 50; // widened by this much...
+    this.RANGE_STEP_INTERVAL = 5000; // ...every 5 seconds
+    this.MAX_RANGE = 600;
+    this.SWEEP_INTERVAL = 2000;
+  }
+
+  /**
+   * Start the periodic pairing sweep (picks up widened windows)
+   */
+  start() {
+    console.log('🎯 Matchmaking service started');
+
+    this.sweepInterval = setInterval(() => {
+      this.pairAll();
+    }, this.SWEEP_INTERVAL);
+  }
+
+  /**
+   * Stop the sweep and drop every seek
+   */
+  stop() {
+    if (this.sweepInterval) {
+      clearInterval(this.sweepInterval);
+      this.sweepInterval = null;
+      console.log('🎯 Matchmaking service stopped');
+    }
+
+    this.queues.clear();
+    this.seeks.clear();
+    this.matching.clear();
+  }
+
+  /**
+   * Put a user in the queue (replaces any seek they already have)
+   * @param {Object} user - { userId, username, socketId }
+   * @param {Object} options - { timeControl, rated } (timeControl: "3+2" etc., null = untimed)
+   * @returns {Object} public seek info
+   */
+  async createSeek({ userId, username, socketId }, { timeControl: timeControlInput = null, rated = true } = {}) {
+    const timeControl = timeControlInput ? parseTimeControl(timeControlInput) : null;
+    if (timeControlInput && !timeControl) {
+      throw httpError(400, 'Invalid time control. Use e.g. "3+2" (minutes + increment seconds).');
+    }
+
+    if (await isUserBusy(userId)) {
+      throw httpError(400, '⚠️ You are already in an active game! Finish it before starting a new one.', 'USER_BUSY');
+    }
+
+    const user = await User.findById(userId).select('ratings');
+    if (!user) {
+      throw httpError(404, 'User not found');
+    }
+
+    this.removeSeek(userId);
+
+    // Paired on the rating the game will actually count towards
+    const ratingCategory = getRatingCategory(timeControl);
+
+    const seek = {
+      userId,
+      username,
+      socketId,
+      rating: getRating(user, ratingCategory),
+      ratingCategory,
+      timeControl,
+      rated: !!rated,
+      queueKey: `${formatTimeControl(timeControl) || 'untimed'}|${rated ? 'rated' : 'casual'}`,
+      createdAt: Date.now()
+    };
+
+    if (!this.queues.has(seek.queueKey)) {
+      this.queues.set(seek.queueKey, []);
+    }
+    this.queues.get(seek.queueKey).push(seek);
+    this.seeks.set(userId, seek);
+
+    console.log(`🎯 ${username} (${seek.rating}) seeking ${seek.queueKey}`);
+
+    // Try right away instead of waiting for the next sweep
+    this.pairAll();
+
+    return this.toPublic(seek);
+  }
+
+  /**
+   * Remove a user's seek
+   * A seek whose game is still being started is marked cancelled, so it
+   * isn't put back in the queue if that game falls through.
+   * @param {string} socketId - only remove if the seek belongs to this socket
+   * (a reconnect on another socket keeps its seek)
+   * @returns {boolean} whether a seek was removed
+   */
+  removeSeek(userId, socketId = null) {
+    const starting = this.matching.get(userId);
+    if (starting && (!socketId || starting.socketId === socketId)) {
+      starting.cancelled = true;
+      return true;
+    }
+
+    const seek = this.seeks.get(userId);
+    if (!seek || (socketId && seek.socketId !== socketId)) return false;
+
+    this.seeks.delete(userId);
+
+    const queue = this.queues.get(seek.queueKey) || [];
+    const remaining = queue.filter(s => s.userId !== userId);
+    if (remaining.length > 0) {
+      this.queues.set(seek.queueKey, remaining);
+    } else {
+      this.queues.delete(seek.queueKey);
+    }
+
+    return true;
+  }
+
+  /**
+   * Current acceptable rating gap for a seek
+   */
+  getRatingRange(seek, now = Date.now()) {
+    const steps = Math.floor((now - seek.createdAt) / this.RANGE_STEP_INTERVAL);
+    return Math.min(this.INITIAL_RANGE + steps * this.RANGE_STEP, this.MAX_RANGE);
+  }
+
+  /**
+   * Find compatible pairs in every queue and start their games
+   */
+  async pairAll() {
+    // A sweep may still be creating games from the previous run
+    if (this.pairing) return;
+    this.pairing = true;
+
+    try {
+      for (const queue of [...this.queues.values()]) {
+        for (const [seekA, seekB] of this.findPairs(queue)) {
+          await this.createMatch(seekA, seekB);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Matchmaking error:', error);
+    } finally {
+      this.pairing = false;
+    }
+  }
+
+  /**
+   * Greedy pairing: oldest seek first, with the closest-rated partner
+   * whose gap fits both rating windows
+   */
+  findPairs(queue) {
+    const now = Date.now();
+    const available = [...queue];
+    const pairs = [];
+
+    while (available.length > 1) {
+      const seek = available.shift();
+      const range = this.getRatingRange(seek, now);
+
+      let best = null;
+      for (const candidate of available) {
+        const gap = Math.abs(seek.rating - candidate.rating);
+        if (gap > range || gap > this.getRatingRange(candidate, now)) continue;
+
+        if (!best || gap < Math.abs(seek.rating - best.rating)) {
+          best = candidate;
+        }
+      }
+
+      if (best) {
+        available.splice(available.indexOf(best), 1);
+        pairs.push([seek, best]);
+      }
+    }
+
+    return pairs;
+  }
+
+  /**
+   * Start a game for two seeks and tell both players
+   */
+  async createMatch(seekA, seekB) {
+    // An earlier pair in this sweep may have outlasted a cancel or a new seek
+    if (this.seeks.get(seekA.userId) !== seekA || this.seeks.get(seekB.userId) !== seekB) return;
+
+    // Out of the queue before any await so no other sweep can pair them
+    this.removeSeek(seekA.userId);
+    this.removeSeek(seekB.userId);
+    this.matching.set(seekA.userId, seekA);
+    this.matching.set(seekB.userId, seekB);
+
+    const aIsWhite = Math.random() < 0.5;
+    const white = aIsWhite ? seekA : seekB;
+    const black = aIsWhite ? seekB : seekA;
+
+    let game;
+    try {
+      game = await withPlayersReserved([seekA.userId, seekB.userId], async () => {
+        // Either player may have started another game since seeking
+        const [busyA, busyB] = await Promise.all([
+          isUserBusy(seekA.userId),
+          isUserBusy(seekB.userId)
+        ]);
+
+        if (busyA || busyB) {
+          for (const [seek, busy] of [[seekA, busyA], [seekB, busyB]]) {
+            if (busy) {
+              this.io.to(seek.socketId).emit('seek:cancelled', {
+                reason: 'busy',
+                message: 'Seek cancelled - you are already in an active game'
+              });
+            } else {
+              this.requeue(seek);
+            }
+          }
+          return null;
+        }
+
+        return startGame({
+          whiteId: white.userId,
+          blackId: black.userId,
+          timeControl: seekA.timeControl,
+          rated: seekA.rated
+        });
+      });
+    } catch (error) {
+      // A challenge is being accepted for one of them - try again next sweep
+      if (error.errorCode === 'GAME_STARTING') {
+        this.requeue(seekA);
+        this.requeue(seekB);
+        return;
+      }
+
+      console.error(`❌ Could not start ${seekA.username} vs ${seekB.username}:`, error);
+      for (const seek of [seekA, seekB]) {
+        this.io.to(seek.socketId).emit('seek:cancelled', {
+          reason: 'error',
+          message: 'Seek cancelled - the game could not be started. Please try again.'
+        });
+      }
+      return;
+    } finally {
+      this.matching.delete(seekA.userId);
+      this.matching.delete(seekB.userId);
+    }
+
+    if (!game) return;
+
+    console.log(`🎯 Matched ${white.username} vs ${black.username} (${seekA.queueKey})`);
+
+    for (const [seek, color, opponent] of [[white, 'white', black], [black, 'black', white]]) {
+      this.io.to(seek.socketId).emit('seek:matched', {
+        gameId: game._id,
+        color,
+        opponent: { username: opponent.username, rating: opponent.rating },
+        message: `Matched with ${opponent.username}! You play as ${color === 'white' ? 'White' : 'Black'}.`
+      });
+    }
+  }
+
+  /**
+   * Put a seek back in its queue, keeping its original wait time
+   * Not if the user cancelled it or has seeked again meanwhile.
+   */
+  requeue(seek) {
+    if (seek.cancelled || this.seeks.has(seek.userId)) return;
+
+    if (!this.queues.has(seek.queueKey)) {
+      this.queues.set(seek.queueKey, []);
+    }
+    const queue = this.queues.get(seek.queueKey);
+    queue.push(seek);
+    queue.sort((a, b) => a.createdAt - b.createdAt);
+    this.seeks.set(seek.userId, seek);
+  }
+
+  /**
+   * Seek info safe to send to clients
+   */
+  toPublic(seek) {
+    return {
+      timeControl: formatTimeControl(seek.timeControl),
+      rated: seek.rated,
+      ratingCategory: seek.ratingCategory,
+      rating: seek.rating,
+      createdAt: seek.createdAt,
+      queueSize: this.queues.get(seek.queueKey)?.length || 0
+    };
+  }
+}
+
+module.exports = MatchmakingService;
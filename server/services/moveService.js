@@ -0,0 +1,189 @@
+/**
+ * Move Service
+ * The single authoritative pipeline for human vs human moves.
+ *
+ * Architecture Decision:
+ * - Used by both REST (POST /api/game/:id/move) and the `game:move` socket event
+ * - Validates against the stored game, persists, then broadcasts the
+ *   canonical SAN/FEN to the room - clients never relay moves to each other
+ */
+
+const Game = require('../models/Game');
+const { httpError } = require('../utils/httpError');
+const { applyMoveToClock, getClockSnapshot, isTimed } = require('../utils/clock');
+const { replayGame, playPlayerMove, getPlayerColor, getAutomaticDraw, getDrawClaim } = require('../utils/gameRules');
+const { applyGameResult } = require('./gameResultService');
+
+/**
+ * Validate and play a move for a user
+ * @param {string} gameId
+ * @param {string} userId - authenticated user (never taken from the client payload)
+ * @param {Object|string} move - { from, to, promotion } or SAN
+ * @param {Object} options - { io, timeoutService } for broadcasts and flag timers
+ * @returns {Object} { game, clock, moveResult, gameStatus }
+ */
+async function makeMove(gameId, userId, move, { io, timeoutService } = {}) {
+  const game = await Game.findById(gameId)
+    .populate('players.white players.black', 'username ratings');
+
+  if (!game) {
+    throw httpError(404, 'Game not found');
+  }
+
+  if (game.isBot) {
+    throw httpError(400, 'Use the bot move endpoint for bot games');
+  }
+
+  if (game.status !== 'active') {
+    throw httpError(400, 'Game is not active');
+  }
+
+  const userColor = getPlayerColor(game, userId);
+  if (!userColor) {
+    throw httpError(403, 'You are not a player in this game');
+  }
+
+  if (game.currentTurn !== userColor) {
+    throw httpError(400, 'Not your turn');
+  }
+
+  // ⏰ Flagged players can't move - TimeoutService ends the game
+  if (game.hasFlagged()) {
+    throw httpError(400, 'Your time has run out', 'FLAGGED');
+  }
+
+  // Replay from the move list so repetitions are known
+  const chess = replayGame(game);
+  const moveResult = playPlayerMove(chess, move);
+
+  // Charge the mover's clock before the move is recorded
+  const moveTime = new Date();
+  applyMoveToClock(game, userColor, moveTime.getTime());
+
+  game.moves.push(moveResult.san);
+  if (isTimed(game)) {
+    game.clockHistory.push(game.clock[userColor]);
+  }
+  game.fen = chess.fen();
+  game.pgn = chess.pgn();
+  game.currentTurn = game.currentTurn === 'white' ? 'black' : 'white';
+  game.lastMoveTime = moveTime;
+  game.timeoutWarnings.white = false;
+  game.timeoutWarnings.black = false;
+
+  // Moving instead of answering declines the opponent's draw offer
+  const declinedDrawOffer = game.drawOffer && game.drawOffer !== userColor;
+  if (declinedDrawOffer) {
+    game.drawOffer = null;
+  }
+
+  // Any move invalidates a pending takeback request
+  const cancelledTakeback = game.takebackRequest;
+  game.takebackRequest = null;
+
+  // Threefold / 50-move are claims (see drawService.claimDraw), not automatic
+  const drawReason = getAutomaticDraw(chess);
+
+  if (chess.isCheckmate()) {
+    game.status = 'completed';
+    game.endedAt = new Date();
+    game.winner = userId;
+    game.result = userColor === 'white' ? '1-0' : '0-1';
+    game.drawOffer = null;
+
+    await applyGameResult(game);
+  } else if (drawReason) {
+    game.status = 'completed';
+    game.endedAt = new Date();
+    game.result = '1/2-1/2';
+    game.drawReason = drawReason;
+    game.drawOffer = null;
+
+    await applyGameResult(game);
+  }
+
+  await game.save();
+
+  const clock = getClockSnapshot(game);
+
+  // ⏰ Re-arm the flag timer for the side to move
+  if (isTimed(game) && timeoutService) {
+    if (game.status === 'active') {
+      timeoutService.scheduleFlag(game);
+    } else {
+      timeoutService.clearFlagTimer(game._id);
+    }
+  }
+
+  const result = {
+    game,
+    clock,
+    moveResult: {
+      from: moveResult.from,
+      to: moveResult.to,
+      piece: moveResult.piece,
+      captured: moveResult.captured,
+      promotion: moveResult.promotion,
+      san: moveResult.san
+    },
+    gameStatus: {
+      isCheck: chess.isCheck(),
+      isCheckmate: chess.isCheckmate(),
+      isDraw: !!drawReason,
+      isStalemate: chess.isStalemate(),
+      isGameOver: game.status === 'completed',
+      drawReason,
+      drawClaim: game.status === 'active' ? getDrawClaim(chess) : null
+    }
+  };
+
+  if (io) {
+    broadcastMove(io, game, userColor, result, { declinedDrawOffer, cancelledTakeback });
+  }
+
+  return result;
+}
+
+/**
+ * Tell everyone in the room about the move (sender included - clients
+ * skip their own move by `playerId`)
+ */
+function broadcastMove(io, game, userColor, result, { declinedDrawOffer, cancelledTakeback }) {
+  const room = game._id.toString();
+  const player = game.players[userColor];
+
+  io.to(room).emit('game:timeout-warning-cleared');
+
+  if (declinedDrawOffer) {
+    io.to(room).emit('game:draw-declined', {
+      gameId: game._id,
+      by: userColor,
+      username: player.username
+    });
+  }
+
+  if (cancelledTakeback) {
+    io.to(room).emit('game:takeback-declined', {
+      gameId: game._id,
+      by: userColor,
+      username: player.username
+    });
+  }
+
+  if (result.clock) {
+    io.to(room).emit('game:clock', result.clock);
+  }
+
+  io.to(room).emit('game:move-made', {
+    gameId: game._id,
+    move: result.moveResult,
+    fen: game.fen,
+    playerId: player._id.toString(),
+    username: player.username,
+    timestamp: game.lastMoveTime,
+    game: result.game,
+    gameStatus: result.gameStatus
+  });
+}
+
+module.exports = { makeMove };
@@ -0,0 +1,349 @@
+/**
+ * Profile Service
+ * Player statistics for the profile page, computed from the Game collection
+ * with aggregation pipelines.
+ *
+ * Design Decision:
+ * - Finished, non-annulled games only (aborted games never happened)
+ * - Every pipeline first adds the player's point of view to each game -
+ *   `color`, `outcome` (win/loss/draw), `opponent` - so grouping by result
+ *   or color is a plain $group afterwards
+ * - Nothing is cached or denormalised onto User: the indexes on
+ *   players.white / players.black keep the $match cheap, and the numbers
+ *   can never drift from the games themselves
+ */
+
+const Game = require('../models/Game');
+const User = require('../models/User');
+const RatingHistory = require('../models/RatingHistory');
+const { OPENING_PLIES, identifyOpening } = require('../utils/openings');
+
+const DECISIVE_RESULTS = ['1-0', '0-1', '1/2-1/2'];
+const OUTCOMES = ['wins', 'losses', 'draws'];
+const MAX_OPENINGS = 15;
+const HEAD_TO_HEAD_GAMES = 10;
+
+// Games that count for stats (`annulledAt: null` also matches older games without the field)
+const finishedGames = (extra = {}) => ({
+  status: 'completed',
+  annulledAt: null,
+  result: { $in: DECISIVE_RESULTS },
+  ...extra
+});
+
+const playedBy = (userId) => ({
+  $or: [{ 'players.white': userId }, { 'players.black': userId }]
+});
+
+/**
+ * Stages adding `color`, `outcome`, `opponent` and `plies` for one player
+ * @param {ObjectId} userId - must be an ObjectId, aggregation doesn't cast
+ */
+const fromPlayersView = (userId) => [
+  {
+    $addFields: {
+      color: { $cond: [{ $eq: ['$players.white', userId] }, 'white', 'black'] }
+    }
+  },
+  {
+    $addFields: {
+      outcome: {
+        $switch: {
+          branches: [
+            { case: { $eq: ['$result', '1/2-1/2'] }, then: 'draw' },
+            { case: { $eq: ['$result', { $cond: [{ $eq: ['$color', 'white'] }, '1-0', '0-1'] }] }, then: 'win' }
+          ],
+          default: 'loss'
+        }
+      },
+      opponent: { $cond: [{ $eq: ['$color', 'white'] }, '$players.black', '$players.white'] },
+      plies: { $size: '$moves' }
+    }
+  }
+];
+
+// $group accumulators: games, wins, losses, draws
+const resultCounts = {
+  games: { $sum: 1 },
+  wins: { $sum: { $cond: [{ $eq: ['$outcome', 'win'] }, 1, 0] } },
+  losses: { $sum: { $cond: [{ $eq: ['$outcome', 'loss'] }, 1, 0] } },
+  draws: { $sum: { $cond: [{ $eq: ['$outcome', 'draw'] }, 1, 0] } }
+};
+
+// What a game looks like in a list - opening and names are filled in afterwards
+const gameSummaryFields = {
+  color: 1,
+  outcome: 1,
+  result: 1,
+  rated: 1,
+  isBot: 1,
+  botDifficulty: 1,
+  ratingCategory: 1,
+  timeControl: 1,
+  playerRatings: 1,
+  drawReason: 1,
+  flaggedBy: 1,
+  abandonedBy: 1,
+  startedAt: 1,
+  endedAt: 1,
+  plies: 1,
+  opponent: 1,
+  initialFen: 1,
+  openingMoves: { $slice: ['$moves', OPENING_PLIES] }
+};
+
+const emptyRecord = () => ({ games: 0, wins: 0, losses: 0, draws: 0 });
+
+const addRecord = (target, source) => {
+  target.games += source.games;
+  for (const key of OUTCOMES) target[key] += source[key];
+};
+
+/**
+ * { white, black, total } records from $group output keyed by color
+ */
+function recordsByColor(groups) {
+  const records = { white: emptyRecord(), black: emptyRecord(), total: emptyRecord() };
+
+  for (const { _id: color, ...counts } of groups) {
+    addRecord(records[color], counts);
+    addRecord(records.total, counts);
+  }
+
+  return records;
+}
+
+// Swap the raw opening moves for a name
+const finishSummary = ({ openingMoves, initialFen, ...game }) => ({
+  ...game,
+  opening: initialFen ? null : identifyOpening(openingMoves)
+});
+
+/**
+ * Results by color, average game length, performance by opening and streaks
+ * @param {ObjectId} userId
+ */
+async function getProfileStats(userId) {
+  const [facets] = await Game.aggregate([
+    { $match: finishedGames(playedBy(userId)) },
+    ...fromPlayersView(userId),
+    {
+      $facet: {
+        byColor: [
+          { $group: { _id: '$color', ...resultCounts } }
+        ],
+        length: [
+          {
+            $group: {
+              _id: null,
+              averagePlies: { $avg: '$plies' },
+              // $avg skips the nulls - games without an end time
+              averageDurationMs: {
+                $avg: {
+                  $cond: [{ $and: ['$endedAt', '$startedAt'] }, { $subtract: ['$endedAt', '$startedAt'] }, null]
+                }
+              }
+            }
+          }
+        ],
+        // Grouped by the opening moves here, named (and merged) below
+        openings: [
+          { $match: { initialFen: null } },
+          { $group: { _id: { color: '$color', moves: { $slice: ['$moves', OPENING_PLIES] } }, ...resultCounts } }
+        ],
+        streaks: [
+          { $sort: { startedAt: 1, _id: 1 } },
+          { $group: { _id: null, outcomes: { $push: '$outcome' } } },
+          {
+            $project: {
+              _id: 0,
+              streaks: {
+                $reduce: {
+                  input: '$outcomes',
+                  initialValue: { current: 0, longest: 0 },
+                  in: {
+                    $let: {
+                      vars: {
+                        current: { $cond: [{ $eq: ['$$this', 'win'] }, { $add: ['$$value.current', 1] }, 0] }
+                      },
+                      in: {
+                        current: '$$current',
+                        longest: { $max: ['$$value.longest', '$$current'] }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const openings = new Map();
+  for (const { _id, ...counts } of facets.openings) {
+    const name = identifyOpening(_id.moves);
+    const key = `${_id.color}:${name}`;
+    if (!openings.has(key)) openings.set(key, { name, color: _id.color, ...emptyRecord() });
+    addRecord(openings.get(key), counts);
+  }
+
+  const length = facets.length[0];
+  const streaks = facets.streaks[0]?.streaks;
+
+  return {
+    results: recordsByColor(facets.byColor),
+    averageMoves: length ? Math.round(length.averagePlies / 2) : null,
+    averageDurationMs: length?.averageDurationMs != null ? Math.round(length.averageDurationMs) : null,
+    longestWinStreak: streaks?.longest || 0,
+    currentWinStreak: streaks?.current || 0,
+    openings: [...openings.values()]
+      .sort((a, b) => b.games - a.games)
+      .slice(0, MAX_OPENINGS)
+  };
+}
+
+/**
+ * The player's rating after each rated game, oldest first
+ * Rated games are read from Game; the rating itself comes from the game's
+ * RatingHistory entry, so annulled games drop out of the chart too.
+ * @param {ObjectId} userId
+ * @param {Object} options
+ * @param {string} options.category - only this rating category
+ * @param {number} options.limit - newest games to include
+ */
+async function getRatingHistory(userId, { category = null, limit = 200 } = {}) {
+  return Game.aggregate([
+    { $match: finishedGames({ ...playedBy(userId), rated: true }) },
+    { $sort: { startedAt: -1 } },
+    {
+      $lookup: {
+        from: RatingHistory.collection.name,
+        let: { gameId: '$_id' },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ['$game', '$$gameId'] },
+                  { $eq: ['$user', userId] },
+                  ...(category ? [{ $eq: ['$category', category] }] : [])
+                ]
+              }
+            }
+          },
+          { $project: { category: 1, rating: 1, change: 1 } }
+        ],
+        as: 'entry'
+      }
+    },
+    { $unwind: '$entry' },
+    { $limit: limit },
+    { $sort: { startedAt: 1 } },
+    {
+      $project: {
+        _id: 0,
+        game: '$_id',
+        category: '$entry.category',
+        rating: '$entry.rating',
+        change: '$entry.change',
+        date: { $ifNull: ['$endedAt', '$startedAt'] }
+      }
+    }
+  ]);
+}
+
+/**
+ * Finished games, newest first, with the opponent's username
+ * @param {ObjectId} userId
+ * @param {Object} paging - { skip, limit }
+ * @returns {Object} { games, total }
+ */
+async function getRecentGames(userId, { skip = 0, limit = 20 } = {}) {
+  const [result] = await Game.aggregate([
+    { $match: finishedGames(playedBy(userId)) },
+    { $sort: { startedAt: -1 } },
+    {
+      $facet: {
+        games: [
+          { $skip: skip },
+          { $limit: limit },
+          ...fromPlayersView(userId),
+          {
+            $lookup: {
+              from: User.collection.name,
+              localField: 'opponent',
+              foreignField: '_id',
+              as: 'opponentUser'
+            }
+          },
+          {
+            $project: {
+              ...gameSummaryFields,
+              opponent: {
+                _id: '$opponent',
+                username: { $arrayElemAt: ['$opponentUser.username', 0] }
+              }
+            }
+          }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  return {
+    games: result.games.map(finishSummary),
+    total: result.total[0]?.count || 0
+  };
+}
+
+/**
+ * The player's record against one opponent, plus their latest games
+ * @param {ObjectId} userId
+ * @param {ObjectId} opponentId
+ */
+async function getHeadToHead(userId, opponentId) {
+  const [facets] = await Game.aggregate([
+    {
+      $match: finishedGames({
+        $or: [
+          { 'players.white': userId, 'players.black': opponentId },
+          { 'players.white': opponentId, 'players.black': userId }
+        ]
+      })
+    },
+    ...fromPlayersView(userId),
+    {
+      $facet: {
+        byColor: [
+          { $group: { _id: '$color', ...resultCounts, lastPlayedAt: { $max: '$startedAt' } } }
+        ],
+        games: [
+          { $sort: { startedAt: -1 } },
+          { $limit: HEAD_TO_HEAD_GAMES },
+          { $project: gameSummaryFields }
+        ]
+      }
+    }
+  ]);
+
+  const lastPlayedAt = facets.byColor.reduce(
+    (latest, { lastPlayedAt: date }) => (!latest || date > latest ? date : latest),
+    null
+  );
+
+  return {
+    results: recordsByColor(facets.byColor),
+    lastPlayedAt,
+    games: facets.games.map(finishSummary)
+  };
+}
+
+module.exports = {
+  getProfileStats,
+  getRatingHistory,
+  getRecentGames,
+  getHeadToHead
+};
@@ -0,0 +1,183 @@
+/**
+ * Session Service
+ * Access/refresh token pairs and the sessions (devices) behind them.
+ *
+ * - Access token: JWT `{ id, sid }`, short-lived (ACCESS_TOKEN_EXPIRE, default 15m)
+ * - Refresh token: `<sessionId>.<random>`, sent only as an httpOnly cookie
+ *   and replaced on every refresh (REFRESH_TOKEN_DAYS, default 30)
+ *
+ * `refreshToken` is null when a refresh is answered without rotating
+ * (see ROTATION_GRACE_MS) - the browser already holds the newest cookie.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { httpError } = require('../utils/httpError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Read when used - this module can load before dotenv has run
+const refreshTokenMs = () => (Number(process.env.REFRESH_TOKEN_DAYS) || 30) * DAY_MS;
+
+// Two tabs refreshing at once both send the same cookie; the loser arrives
+// with the just-rotated token and must not be taken for a thief
+const ROTATION_GRACE_MS = 10 * 1000;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('hex');
+
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRE || '15m'
+  });
+
+const clientInfo = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 300),
+  ip: req.ip || ''
+});
+
+/**
+ * Give a session a fresh refresh token and matching access token
+ */
+async function issueTokens(session) {
+  const secret = newSecret();
+
+  session.previousTokenHash = session.tokenHash || null;
+  session.tokenHash = hashToken(secret);
+  session.lastUsedAt = new Date();
+  session.expiresAt = new Date(Date.now() + refreshTokenMs());
+  await session.save();
+
+  return {
+    accessToken: signAccessToken(session.user.toString(), session._id.toString()),
+    refreshToken: `${session._id}.${secret}`,
+    session
+  };
+}
+
+/**
+ * Start a session for a user who just registered or logged in
+ */
+async function createSession(user, req) {
+  const session = new Session({ user: user._id, ...clientInfo(req) });
+  return issueTokens(session);
+}
+
+/**
+ * Swap a refresh token for a new pair (the old refresh token stops working)
+ * @throws 401 if the token is missing, unknown, expired or replayed
+ */
+async function refreshSession(refreshToken, req) {
+  const [sessionId, secret] = (refreshToken || '').split('.');
+
+  if (!secret || !mongoose.isValidObjectId(sessionId)) {
+    throw httpError(401, 'No valid session', 'SESSION_INVALID');
+  }
+
+  const hash = hashToken(secret);
+  const now = new Date();
+  const nextSecret = newSecret();
+
+  // Rotate only while this is still the current token, in one update -
+  // of two refreshes sent with the same cookie, exactly one rotates
+  const rotated = await Session.findOneAndUpdate(
+    { _id: sessionId, tokenHash: hash, expiresAt: { $gt: now } },
+    {
+      $set: {
+        previousTokenHash: hash,
+        tokenHash: hashToken(nextSecret),
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + refreshTokenMs()),
+        ...clientInfo(req)
+      }
+    },
+    { new: true }
+  );
+
+  if (rotated) {
+    return {
+      accessToken: signAccessToken(rotated.user.toString(), rotated._id.toString()),
+      refreshToken: `${rotated._id}.${nextSecret}`,
+      session: rotated
+    };
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.expiresAt < now) {
+    throw httpError(401, 'Session expired, please log in again', 'SESSION_EXPIRED');
+  }
+
+  if (hash === session.previousTokenHash) {
+    if (Date.now() - session.lastUsedAt < ROTATION_GRACE_MS) {
+      return {
+        accessToken: signAccessToken(session.user.toString(), session._id.toString()),
+        refreshToken: null,
+        session
+      };
+    }
+
+    // An already-rotated token: someone else has been using this session
+    await session.deleteOne();
+    console.warn(`🚨 Refresh token reuse - revoked session ${session._id}`);
+  }
+
+  throw httpError(401, 'No valid session', 'SESSION_INVALID');
+}
+
+/**
+ * End the session a refresh token belongs to (logout); unknown tokens are ignored
+ * @returns {string|null} the ended session's id
+ */
+async function endSession(refreshToken) {
+  const [sessionId, secret] = (refreshToken || '').split('.');
+  if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+
+  const { deletedCount } = await Session.deleteOne({ _id: sessionId, tokenHash: hashToken(secret) });
+  return deletedCount ? sessionId : null;
+}
+
+/**
+ * Active sessions for the "devices" list, newest activity first
+ */
+async function listSessions(userId, currentSessionId) {
+  const sessions = await Session.find({ user: userId, expiresAt: { $gt: new Date() } })
+    .select('userAgent ip createdAt lastUsedAt')
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  return sessions.map((session) => ({
+    id: session._id,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    current: session._id.toString() === currentSessionId
+  }));
+}
+
+/**
+ * Sign a user out of one of their devices
+ * @throws 404 if the session isn't theirs or is already gone
+ */
+async function revokeSession(userId, sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) {
+    throw httpError(404, 'Session not found');
+  }
+
+  const { deletedCount } = await Session.deleteOne({ _id: sessionId, user: userId });
+  if (!deletedCount) {
+    throw httpError(404, 'Session not found');
+  }
+}
+
+module.exports = {
+  refreshTokenMs,
+  createSession,
+  refreshSession,
+  endSession,
+  listSessions,
+  revokeSession
+};
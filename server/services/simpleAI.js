@@ -56,7 +56,7 @@ class SimpleAI {
     return {
       from: randomMove.from,
       to: randomMove.to,
-      promotion: randomMove.promotion || 'q'
+      ...(randomMove.promotion && { promotion: randomMove.promotion })
     };
   }
 
@@ -101,7 +101,7 @@ class SimpleAI {
     return {
       from: selectedMove.from,
       to: selectedMove.to,
-      promotion: selectedMove.promotion || 'q'
+      ...(selectedMove.promotion && { promotion: selectedMove.promotion })
     };
   }
 
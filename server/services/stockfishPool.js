@@ -0,0 +1,371 @@
+/**
+ * Stockfish Pool
+ * Several engine processes shared by every bot game.
+ *
+ * Architecture Decision:
+ * - One search per engine at a time; extra requests wait in a FIFO queue
+ *   (bounded - a full queue fails fast so engineService can fall back)
+ * - Every request has a deadline covering queue wait + search, and can be
+ *   cancelled with an AbortSignal (e.g. the player left)
+ * - A timed-out or cancelled search gets `stop`; an engine that doesn't
+ *   answer within the grace period is killed and replaced
+ * - Crashed engines are respawned with exponential backoff
+ */
+
+const StockfishService = require('./stockfishService');
+
+class StockfishPool {
+  constructor({
+    size = parseInt(process.env.STOCKFISH_POOL_SIZE, 10) || 2,
+    maxQueue = parseInt(process.env.STOCKFISH_MAX_QUEUE, 10) || 50
+  } = {}) {
+    this.size = size;
+    this.maxQueue = maxQueue;
+    this.slots = []; // { id, engine, starting, failures, job, respawnTimer, graceTimer }
+    this.queue = []; // jobs waiting for an engine (oldest first)
+    this.stopped = false;
+    this.nextJobId = 1;
+
+    this.REQUEST_TIMEOUT = 10000; // on top of the search's movetime
+    this.STOP_GRACE = 2000;
+    this.RESPAWN_DELAY = 1000;
+    this.MAX_RESPAWN_DELAY = 60000;
+
+    this.stats = {
+      requests: 0,
+      completed: 0,
+      failed: 0,
+      timedOut: 0,
+      cancelled: 0,
+      rejected: 0,
+      started: 0,
+      crashes: 0,
+      restarts: 0,
+      maxQueueDepth: 0,
+      totalWaitMs: 0
+    };
+  }
+
+  /**
+   * Spawn every engine (resolves once each has started or failed)
+   */
+  async start() {
+    this.slots = Array.from({ length: this.size }, (_, id) => ({
+      id,
+      engine: null,
+      starting: false,
+      failures: 0,
+      job: null,
+      respawnTimer: null,
+      graceTimer: null
+    }));
+
+    await Promise.all(this.slots.map(slot => this.spawnEngine(slot)));
+
+    const alive = this.slots.filter(slot => slot.engine?.ready).length;
+    console.log(`♟️ Stockfish pool started (${alive}/${this.size} engines)`);
+  }
+
+  /**
+   * Kill every engine and fail whatever is still waiting
+   */
+  stop() {
+    this.stopped = true;
+
+    for (const job of [...this.queue]) {
+      this.settle(job, new Error('Engine pool stopped'));
+    }
+
+    for (const slot of this.slots) {
+      clearTimeout(slot.respawnTimer);
+      clearTimeout(slot.graceTimer);
+      if (slot.engine) {
+        slot.engine.stop();
+        slot.engine = null;
+      }
+    }
+
+    console.log('♟️ Stockfish pool stopped');
+  }
+
+  async spawnEngine(slot) {
+    if (this.stopped) return;
+
+    slot.starting = true;
+    const engine = new StockfishService({
+      onExit: (code) => this.handleCrash(slot, engine, code)
+    });
+    slot.engine = engine;
+
+    try {
+      await engine.start();
+      slot.failures = 0;
+    } catch (error) {
+      engine.stop();
+      slot.engine = null;
+      if (this.stopped) return; // killed by stop() while starting
+
+      console.error(`❌ Stockfish engine ${slot.id} failed to start:`, error.message);
+      slot.failures++;
+      this.scheduleRespawn(slot);
+      this.failQueueIfNoEngines();
+    } finally {
+      slot.starting = false;
+      this.dispatch();
+    }
+  }
+
+  handleCrash(slot, engine, code) {
+    if (slot.engine !== engine) return; // already replaced
+
+    this.stats.crashes++;
+    console.error(`❌ Stockfish engine ${slot.id} crashed (code ${code}), respawning`);
+
+    clearTimeout(slot.graceTimer);
+    slot.engine = null;
+    slot.failures++;
+    this.scheduleRespawn(slot);
+  }
+
+  scheduleRespawn(slot) {
+    if (this.stopped) return;
+
+    const delay = Math.min(this.RESPAWN_DELAY * 2 ** (slot.failures - 1), this.MAX_RESPAWN_DELAY);
+    clearTimeout(slot.respawnTimer);
+    slot.respawnTimer = setTimeout(() => {
+      this.stats.restarts++;
+      this.spawnEngine(slot);
+    }, delay);
+  }
+
+  /**
+   * Engines that are running or about to be
+   */
+  hasEngines() {
+    return this.slots.some(slot => slot.starting || slot.engine?.ready);
+  }
+
+  /**
+   * With every engine down, waiting only delays the fallback
+   */
+  failQueueIfNoEngines() {
+    if (this.hasEngines()) return;
+
+    for (const job of [...this.queue]) {
+      this.settle(job, new Error('No Stockfish engine available'));
+    }
+  }
+
+  /**
+   * Best move for a position
+   * @param {string} fen
+   * @param {Object} settings - { skillLevel, elo, movetime, gameId } (see StockfishService.search)
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - cancels the request
+   * @param {number} options.timeout - ms on top of movetime, queue wait included
+   * @returns {Promise<string>} UCI move
+   */
+  getBestMove(fen, settings = {}, options = {}) {
+    return this.request('search', fen, settings, options);
+  }
+
+  /**
+   * Full-strength evaluation of a position
+   * @param {string} fen
+   * @param {Object} settings - { depth, movetime, gameId } (see StockfishService.evaluate)
+   * @param {Object} options - same as getBestMove
+   * @returns {Promise<Object>} { bestMove, score, depth }
+   */
+  evaluate(fen, settings = {}, options = {}) {
+    return this.request('evaluate', fen, settings, options);
+  }
+
+  /**
+   * Queue a call to one of StockfishService's search methods
+   */
+  request(method, fen, settings, { signal = null, timeout = this.REQUEST_TIMEOUT } = {}) {
+    return new Promise((resolve, reject) => {
+      this.stats.requests++;
+
+      if (this.stopped || !this.hasEngines()) {
+        this.stats.rejected++;
+        return reject(new Error('No Stockfish engine available'));
+      }
+
+      if (signal?.aborted) {
+        this.stats.cancelled++;
+        return reject(abortError());
+      }
+
+      if (this.queue.length >= this.maxQueue) {
+        this.stats.rejected++;
+        return reject(new Error('Engine queue is full'));
+      }
+
+      const job = {
+        id: this.nextJobId++,
+        method,
+        fen,
+        settings,
+        resolve,
+        reject,
+        enqueuedAt: Date.now(),
+        slot: null,
+        done: false,
+        signal,
+        onAbort: null,
+        timer: null
+      };
+
+      job.timer = setTimeout(() => {
+        this.stats.timedOut++;
+        this.interrupt(job);
+        this.settle(job, new Error('Engine request timed out'));
+      }, timeout + (settings.movetime || 0));
+
+      if (signal) {
+        job.onAbort = () => {
+          this.stats.cancelled++;
+          this.interrupt(job);
+          this.settle(job, abortError());
+        };
+        signal.addEventListener('abort', job.onAbort, { once: true });
+      }
+
+      this.queue.push(job);
+      this.stats.maxQueueDepth = Math.max(this.stats.maxQueueDepth, this.queue.length);
+
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Hand queued jobs to idle engines
+   */
+  dispatch() {
+    for (const slot of this.slots) {
+      if (this.queue.length === 0) return;
+      if (slot.job || !slot.engine?.ready) continue;
+
+      this.runJob(slot, this.queue.shift());
+    }
+  }
+
+  runJob(slot, job) {
+    slot.job = job;
+    job.slot = slot;
+    this.stats.started++;
+    this.stats.totalWaitMs += Date.now() - job.enqueuedAt;
+
+    slot.engine[job.method](job.fen, job.settings)
+      .then(result => this.settle(job, null, result))
+      .catch(error => this.settle(job, error))
+      .finally(() => {
+        // The engine only frees up once its search is over, even if the
+        // job was settled earlier (timeout / cancel)
+        clearTimeout(slot.graceTimer);
+        slot.job = null;
+        this.dispatch();
+      });
+  }
+
+  /**
+   * Stop a running job's search; replace the engine if it won't stop
+   */
+  interrupt(job) {
+    const slot = job.slot;
+    if (!slot || slot.job !== job || !slot.engine) return;
+
+    slot.engine.stopSearch();
+
+    slot.graceTimer = setTimeout(() => {
+      if (slot.job !== job || !slot.engine) return;
+
+      console.error(`❌ Stockfish engine ${slot.id} ignored stop, replacing it`);
+      slot.engine.stop(); // rejects the search -> slot.job cleared
+      slot.engine = null;
+      this.stats.restarts++;
+      this.spawnEngine(slot);
+    }, this.STOP_GRACE);
+  }
+
+  /**
+   * Finish a job exactly once
+   */
+  settle(job, error, result) {
+    if (job.done) return;
+    job.done = true;
+
+    clearTimeout(job.timer);
+    if (job.signal && job.onAbort) {
+      job.signal.removeEventListener('abort', job.onAbort);
+    }
+
+    const queued = this.queue.indexOf(job);
+    if (queued !== -1) {
+      this.queue.splice(queued, 1);
+    }
+
+    if (error) {
+      this.stats.failed++;
+      job.reject(error);
+    } else {
+      this.stats.completed++;
+      job.resolve(result);
+    }
+  }
+
+  /**
+   * Pool health for /api/health
+   */
+  getMetrics() {
+    const { started } = this.stats;
+
+    return {
+      size: this.size,
+      alive: this.slots.filter(slot => slot.engine?.ready).length,
+      busy: this.slots.filter(slot => slot.job).length,
+      queueDepth: this.queue.length,
+      maxQueueDepth: this.stats.maxQueueDepth,
+      requests: this.stats.requests,
+      completed: this.stats.completed,
+      failed: this.stats.failed,
+      timedOut: this.stats.timedOut,
+      cancelled: this.stats.cancelled,
+      rejected: this.stats.rejected,
+      crashes: this.stats.crashes,
+      restarts: this.stats.restarts,
+      averageWaitMs: started > 0 ? Math.round(this.stats.totalWaitMs / started) : 0
+    };
+  }
+}
+
+const abortError = () => {
+  const error = new Error('Engine request cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+// Shared pool, started on first use
+let poolPromise = null;
+let poolInstance = null;
+
+const getStockfishPool = () => {
+  if (!poolPromise) {
+    poolInstance = new StockfishPool();
+    poolPromise = poolInstance.start().then(() => poolInstance);
+  }
+  return poolPromise;
+};
+
+const stopStockfishPool = () => {
+  if (poolInstance) {
+    poolInstance.stop();
+    poolInstance = null;
+    poolPromise = null;
+  }
+};
+
+const getEngineMetrics = () => (poolInstance ? poolInstance.getMetrics() : null);
+
+module.exports = { StockfishPool, getStockfishPool, stopStockfishPool, getEngineMetrics };
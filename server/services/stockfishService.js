@@ -1,122 +1,232 @@
 const { spawn } = require('child_process');
 const path = require('path');
-
+const readline = require('readline');
+
+/**
+ * Stockfish Service
+ * One UCI engine process, running one search at a time.
+ * StockfishPool (services/stockfishPool.js) owns several of these and
+ * decides who searches when.
+ *
+ * - Runs the bundled stockfish.js through stockfishWorker.js, or a native
+ *   binary when STOCKFISH_PATH is set
+ * - Only sends options the engine advertised after `uci` (the bundled build
+ *   has no UCI_LimitStrength / UCI_Elo; native binaries do)
+ * - `search` plays a move at a strength, `evaluate` scores a position at
+ *   full strength (post-game analysis)
+ */
 class StockfishService {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onExit - (code) called when the process dies on its own
+   */
+  constructor({ onExit = null } = {}) {
     this.engine = null;
     this.ready = false;
-    this.currentCallback = null;
+    this.stopping = false;
+    this.options = new Set(); // option names from the `uci` handshake
+    this.currentSearch = null; // { resolve, reject, score, depth }
+    this.currentGameId = null; // last game searched - `ucinewgame` only on change
+    this.onExit = onExit;
+    this.READY_TIMEOUT = 10000;
   }
 
   async start() {
     return new Promise((resolve, reject) => {
-      try {
-        // Use stockfish binary via spawn
-        const stockfishPath = path.join(__dirname, '../node_modules/stockfish.js/stockfish.js');
-        
-        // Spawn stockfish as a Node.js process
-        this.engine = spawn('node', [stockfishPath]);
-
-        this.engine.stdout.on('data', (data) => {
-          const output = data.toString();
-          console.log('Stockfish:', output);
-
-          if (output.includes('readyok')) {
-            this.ready = true;
-            resolve();
-          }
-
-          if (this.currentCallback) {
-            this.currentCallback(output);
-          }
-        });
-
-        this.engine.stderr.on('data', (data) => {
-          console.error('Stockfish error:', data.toString());
-        });
-
-        this.engine.on('close', (code) => {
-          console.log('Stockfish process exited with code', code);
-        });
-
-        // Initialize
-        this.sendCommand('uci');
-        this.sendCommand('isready');
-
-      } catch (error) {
-        console.error('Failed to start Stockfish:', error);
+      const binary = process.env.STOCKFISH_PATH;
+      const [command, args] = binary
+        ? [binary, []]
+        : [process.execPath, [path.join(__dirname, 'stockfishWorker.js')]];
+
+      this.engine = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+
+      const startTimeout = setTimeout(() => {
+        this.stop();
+        reject(new Error('Stockfish did not start in time'));
+      }, this.READY_TIMEOUT);
+
+      // Output can arrive split across chunks - read whole lines
+      readline.createInterface({ input: this.engine.stdout }).on('line', (line) => {
+        if (line.startsWith('option name ')) {
+          this.options.add(line.slice('option name '.length).split(' type ')[0]);
+        }
+
+        if (!this.ready && line === 'readyok') {
+          this.ready = true;
+          clearTimeout(startTimeout);
+          resolve();
+        }
+
+        if (line.startsWith('info ') && this.currentSearch) {
+          this.handleInfo(line);
+        }
+
+        if (line.startsWith('bestmove')) {
+          this.handleBestMove(line);
+        }
+      });
+
+      this.engine.stderr.on('data', (data) => {
+        console.error('Stockfish error:', data.toString().slice(0, 500));
+      });
+
+      // stdin closes with the process - a late write must not crash the server
+      this.engine.stdin.on('error', () => {});
+
+      this.engine.on('error', (error) => {
+        clearTimeout(startTimeout);
+        this.ready = false;
         reject(error);
-      }
+      });
+
+      this.engine.on('close', (code) => {
+        clearTimeout(startTimeout);
+        const expected = this.stopping;
+        const wasReady = this.ready;
+        this.ready = false;
+        this.engine = null;
+
+        // Died during the handshake - that's a failed start, not a crash
+        if (!wasReady) {
+          reject(new Error(`Stockfish exited during startup (code ${code})`));
+          return;
+        }
+
+        if (this.currentSearch) {
+          this.currentSearch.reject(new Error(`Stockfish exited during search (code ${code})`));
+          this.currentSearch = null;
+        }
+
+        if (!expected && this.onExit) {
+          this.onExit(code);
+        }
+      });
+
+      this.sendCommand('uci');
+      this.sendCommand('isready');
     });
   }
 
   sendCommand(command) {
     if (this.engine && !this.engine.killed) {
-      console.log('Sending to Stockfish:', command);
       this.engine.stdin.write(command + '\n');
     }
   }
 
-  getBestMove(fen, depth = 10, playerRating = 1200) {
+  /**
+   * Set a UCI option if this engine supports it
+   */
+  setOption(name, value) {
+    if (this.options.has(name)) {
+      this.sendCommand(`setoption name ${name} value ${value}`);
+    }
+  }
+
+  /**
+   * Remember the latest score of the main line
+   * e.g. "info depth 12 seldepth 18 multipv 1 score cp -35 nodes ..."
+   */
+  handleInfo(line) {
+    const match = line.match(/ score (cp|mate) (-?\d+)/);
+    if (!match || / multipv (?!1 )/.test(line)) return;
+
+    this.currentSearch.score = { [match[1]]: parseInt(match[2], 10) };
+
+    const depth = line.match(/ depth (\d+)/);
+    if (depth) this.currentSearch.depth = parseInt(depth[1], 10);
+  }
+
+  handleBestMove(line) {
+    const search = this.currentSearch;
+    if (!search) return;
+    this.currentSearch = null;
+
+    const move = line.split(' ')[1];
+    if (!move || move === '(none)') {
+      search.reject(new Error('Stockfish found no move'));
+    } else {
+      search.resolve({ move, score: search.score, depth: search.depth });
+    }
+  }
+
+  /**
+   * Run one `go` and collect the best move with its score
+   */
+  runSearch(fen, goCommand, { skillLevel, elo, gameId }) {
     return new Promise((resolve, reject) => {
-      if (!this.engine || this.engine.killed) {
+      if (!this.engine || !this.ready) {
         return reject(new Error('Stockfish not running'));
       }
 
-      // Adjust depth based on rating (easier for lower ratings)
-      const adjustedDepth = Math.max(3, Math.min(15, Math.floor(playerRating / 150)));
-      
-      let bestMove = null;
-      let timeout;
-
-      this.currentCallback = (output) => {
-        if (output.includes('bestmove')) {
-          const match = output.match(/bestmove (\w+)/);
-          if (match) {
-            bestMove = match[1];
-            clearTimeout(timeout);
-            this.currentCallback = null;
-            resolve(bestMove);
-          }
-        }
-      };
+      if (this.currentSearch) {
+        return reject(new Error('Stockfish is already searching'));
+      }
+
+      this.currentSearch = { resolve, reject, score: null, depth: null };
+
+      this.setOption('Skill Level', skillLevel);
+      this.setOption('UCI_LimitStrength', elo ? 'true' : 'false');
+      if (elo) this.setOption('UCI_Elo', elo);
+
+      // Keep the hash table between moves of the same game
+      if (!gameId || gameId !== this.currentGameId) {
+        this.sendCommand('ucinewgame');
+        this.currentGameId = gameId;
+      }
 
-      this.sendCommand('ucinewgame');
       this.sendCommand(`position fen ${fen}`);
-      this.sendCommand(`go depth ${adjustedDepth}`);
+      this.sendCommand(goCommand);
+    });
+  }
+
+  /**
+   * Search a position at a given strength
+   * @param {string} fen
+   * @param {Object} settings - { skillLevel (0-20), elo (null = full strength), movetime (ms), gameId }
+   * @returns {Promise<string>} UCI move, e.g. "e2e4" or "e7e8q"
+   */
+  async search(fen, { skillLevel = 20, elo = null, movetime = 1000, gameId = null } = {}) {
+    const { move } = await this.runSearch(fen, `go movetime ${movetime}`, { skillLevel, elo, gameId });
+    return move;
+  }
 
-      // Timeout after 15 seconds
-      timeout = setTimeout(() => {
-        this.currentCallback = null;
-        reject(new Error('Stockfish timeout'));
-      }, 15000);
+  /**
+   * Score a position at full strength
+   * Stops at `depth` or after `movetime`, whichever comes first.
+   * @param {string} fen - must have legal moves
+   * @param {Object} settings - { depth, movetime (ms), gameId }
+   * @returns {Promise<Object>} { bestMove (UCI), score: { cp } | { mate }, depth }
+   *   score is from the side to move's point of view, as UCI reports it
+   */
+  async evaluate(fen, { depth = 14, movetime = 1000, gameId = null } = {}) {
+    const result = await this.runSearch(fen, `go depth ${depth} movetime ${movetime}`, {
+      skillLevel: 20,
+      elo: null,
+      gameId
     });
+
+    if (!result.score) {
+      throw new Error('Stockfish returned no score');
+    }
+
+    return { bestMove: result.move, score: result.score, depth: result.depth };
+  }
+
+  /**
+   * Ask the running search to finish now (it still answers with bestmove)
+   */
+  stopSearch() {
+    this.sendCommand('stop');
   }
 
   stop() {
+    this.stopping = true;
     if (this.engine && !this.engine.killed) {
       this.sendCommand('quit');
       this.engine.kill();
-      this.engine = null;
     }
+    this.ready = false;
   }
 }
 
-// Singleton instance
-let stockfishInstance = null;
-
-const getStockfish = async () => {
-  if (!stockfishInstance) {
-    stockfishInstance = new StockfishService();
-    try {
-      await stockfishInstance.start();
-    } catch (error) {
-      console.error('Failed to initialize Stockfish:', error);
-      stockfishInstance = null;
-      throw error;
-    }
-  }
-  return stockfishInstance;
-};
-
-module.exports = { getStockfish };
\ No newline at end of file
+module.exports = StockfishService;
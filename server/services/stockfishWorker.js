@@ -0,0 +1,21 @@
+/**
+ * Stockfish child process
+ * The stockfish.js package is built as a Web Worker (global onmessage /
+ * postMessage). This script bridges it to stdin/stdout so StockfishService
+ * can talk plain UCI to it, exactly like a native Stockfish binary.
+ *
+ * Usage: node stockfishWorker.js
+ */
+
+const readline = require('readline');
+
+// Worker globals the engine expects
+global.postMessage = (line) => process.stdout.write(`${line}\n`);
+global.close = () => process.exit(0);
+
+// Plain asm.js build - the package's default (wasm) entry needs a browser fetch
+require('stockfish.js/stockfish.js');
+
+const input = readline.createInterface({ input: process.stdin });
+input.on('line', (line) => global.onmessage({ data: line }));
+input.on('close', () => process.exit(0));
@@ -0,0 +1,215 @@
+/**
+ * Takeback Service
+ * Undo requests for casual games.
+ *
+ * - Human games: request/accept handshake between opponents
+ * - Bot games: granted immediately on your turn (unless turned off for the game)
+ * - Rated games: never
+ *
+ * Shared by the REST endpoints (gameController) and Socket.IO events.
+ */
+
+const Game = require('../models/Game');
+const { httpError } = require('../utils/httpError');
+const { replayGame, getPlayerColor, getMoverColor } = require('../utils/gameRules');
+const { isTimed, getClockSnapshot } = require('../utils/clock');
+
+const opposite = (color) => (color === 'white' ? 'black' : 'white');
+
+async function loadActiveGame(gameId, userId) {
+  const game = await Game.findById(gameId)
+    .populate('players.white players.black', 'username ratings');
+
+  if (!game) {
+    throw httpError(404, 'Game not found');
+  }
+
+  if (game.status !== 'active') {
+    throw httpError(400, 'Game is not active');
+  }
+
+  const color = getPlayerColor(game, userId);
+  if (!color) {
+    throw httpError(403, 'You are not a player in this game');
+  }
+
+  if (!game.canTakeBack()) {
+    throw httpError(400,
+      game.rated ? 'Takebacks are not allowed in rated games' : 'Takebacks are turned off for this game',
+      'TAKEBACKS_DISABLED');
+  }
+
+  return { game, color };
+}
+
+/**
+ * How many plies to undo so `color` gets their last move back
+ * (their own move, plus the opponent's reply if there was one)
+ */
+function pliesToUndo(game, color) {
+  const plies = game.currentTurn === color ? 2 : 1;
+
+  // Colour of the move `plies` back from the end must be ours
+  const firstUndone = game.moves.length - plies;
+  if (firstUndone < 0 || getMoverColor(game, firstUndone) !== color) return 0;
+  return plies;
+}
+
+/**
+ * Each side's time after its last remaining move (or the initial time)
+ * clockHistory is parallel to moves, so it says exactly what the clocks
+ * showed in the position we return to.
+ */
+function restoreClocks(game) {
+  for (const color of ['white', 'black']) {
+    let remaining = game.timeControl.initial;
+    for (let i = game.clockHistory.length - 1; i >= 0; i--) {
+      if (getMoverColor(game, i) === color) {
+        remaining = game.clockHistory[i];
+        break;
+      }
+    }
+    game.clock[color] = remaining;
+  }
+}
+
+/**
+ * Remove the last `plies` moves and rebuild fen/pgn/turn/clocks with chess.js
+ */
+function undoMoves(game, plies) {
+  game.moves.splice(game.moves.length - plies, plies);
+  game.clockHistory.splice(game.moves.length);
+  if (isTimed(game)) {
+    restoreClocks(game);
+  }
+
+  const chess = replayGame(game);
+  game.fen = chess.fen();
+  game.pgn = chess.pgn();
+  game.currentTurn = chess.turn() === 'w' ? 'white' : 'black';
+  game.lastMoveTime = new Date();
+  game.timeoutWarnings.white = false;
+  game.timeoutWarnings.black = false;
+  game.takebackRequest = null;
+  game.drawOffer = null;
+  game.takebackCount += 1;
+}
+
+// ⏰ The old flag timer was for the other side and the old deadline
+function rescheduleFlag(game, timeoutService) {
+  if (isTimed(game) && timeoutService) {
+    timeoutService.scheduleFlag(game);
+  }
+}
+
+function broadcastTakeback(io, game, by, clock) {
+  if (!io) return;
+
+  io.to(game._id.toString()).emit('game:takeback-accepted', {
+    gameId: game._id,
+    by,
+    game,
+    clock
+  });
+}
+
+/**
+ * Ask to take back the last move
+ * Bot games are granted on the spot; human games wait for the opponent.
+ */
+async function requestTakeback(gameId, userId, io, timeoutService) {
+  const { game, color } = await loadActiveGame(gameId, userId);
+
+  const plies = pliesToUndo(game, color);
+  if (plies === 0) {
+    throw httpError(400, 'You have no move to take back');
+  }
+
+  if (game.isBot) {
+    // The bot is thinking on the current position - its reply would land
+    // on a rewound game
+    if (game.currentTurn !== color) {
+      throw httpError(400, 'Wait for the bot to move before taking back', 'BOT_THINKING');
+    }
+
+    undoMoves(game, plies);
+    await game.save();
+    rescheduleFlag(game, timeoutService);
+    return { game, accepted: true, clock: getClockSnapshot(game) };
+  }
+
+  // Opponent asked first - treat our request as agreement to theirs
+  if (game.takebackRequest === opposite(color)) {
+    return respondToTakeback(gameId, userId, true, io, timeoutService);
+  }
+
+  if (game.takebackRequest === color) {
+    throw httpError(400, 'You already have a pending takeback request');
+  }
+
+  game.takebackRequest = color;
+  await game.save();
+
+  const username = game.players[color].username;
+
+  if (io) {
+    io.to(game._id.toString()).emit('game:takeback-requested', {
+      gameId: game._id,
+      by: color,
+      username,
+      message: `${username} asks to take back their last move`
+    });
+  }
+
+  return { game, accepted: false };
+}
+
+/**
+ * Accept or decline the opponent's takeback request
+ */
+async function respondToTakeback(gameId, userId, accept, io, timeoutService) {
+  const { game, color } = await loadActiveGame(gameId, userId);
+  const requester = opposite(color);
+
+  if (game.takebackRequest !== requester) {
+    throw httpError(400, 'There is no takeback request to respond to');
+  }
+
+  if (!accept) {
+    game.takebackRequest = null;
+    await game.save();
+
+    if (io) {
+      io.to(game._id.toString()).emit('game:takeback-declined', {
+        gameId: game._id,
+        by: color,
+        username: game.players[color].username
+      });
+    }
+
+    return { game, accepted: false };
+  }
+
+  const plies = pliesToUndo(game, requester);
+  if (plies === 0) {
+    game.takebackRequest = null;
+    await game.save();
+    throw httpError(400, 'There is no move left to take back');
+  }
+
+  undoMoves(game, plies);
+  await game.save();
+  rescheduleFlag(game, timeoutService);
+
+  console.log(`↩️ Takeback in game ${game._id} (${plies} ${plies === 1 ? 'ply' : 'plies'})`);
+
+  const clock = getClockSnapshot(game);
+  broadcastTakeback(io, game, requester, clock);
+
+  return { game, accepted: true, clock };
+}
+
+module.exports = {
+  requestTakeback,
+  respondToTakeback
+};
@@ -1,11 +1,12 @@
 const Game = require('../models/Game');
-const User = require('../models/User');
-const { updateRatings } = require('../utils/elo');
+const { applyGameResult } = require('./gameResultService');
+const { isClockRunning, getClockSnapshot } = require('../utils/clock');
 
 class TimeoutService {
   constructor(io) {
     this.io = io; // Socket.IO instance
     this.checkInterval = null;
+    this.flagTimers = new Map(); // gameId -> timer for timed games
     this.WARNING_TIME = 60000; // 60 seconds
     this.TIMEOUT_DURATION = 90000; // 90 seconds (1.5 minutes)
   }
@@ -35,6 +36,57 @@ class TimeoutService {
       this.checkInterval = null;
       console.log('⏰ Timeout service stopped');
     }
+
+    for (const timer of this.flagTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.flagTimers.clear();
+  }
+
+  /**
+   * Arm a timer for the exact moment the side to move runs out of time
+   * Why? The 10 second sweep is far too coarse for blitz and bullet.
+   * Called after every move in a timed game.
+   */
+  scheduleFlag(game) {
+    const gameId = game._id.toString();
+    this.clearFlagTimer(gameId);
+
+    if (!isClockRunning(game)) return;
+
+    const clock = getClockSnapshot(game);
+    const timeLeft = clock[clock.turn] + clock.delayLeft;
+
+    const timer = setTimeout(() => {
+      this.flagTimers.delete(gameId);
+      this.checkFlag(gameId);
+    }, timeLeft + 50); // Small grace period for clock rounding
+
+    this.flagTimers.set(gameId, timer);
+  }
+
+  clearFlagTimer(gameId) {
+    const timer = this.flagTimers.get(gameId.toString());
+    if (timer) {
+      clearTimeout(timer);
+      this.flagTimers.delete(gameId.toString());
+    }
+  }
+
+  /**
+   * Re-check a single timed game when its flag timer fires
+   */
+  async checkFlag(gameId) {
+    try {
+      const game = await Game.findById(gameId)
+        .populate('players.white players.black', 'username ratings');
+
+      if (game && game.hasFlagged()) {
+        await this.handleTimeout(game, 'flag');
+      }
+    } catch (error) {
+      console.error('❌ Flag check error:', error);
+    }
   }
 
   /**
@@ -47,7 +99,7 @@ class TimeoutService {
         status: 'active',
         lastMoveTime: { $exists: true }
       })
-      .populate('players.white players.black', 'username rating');
+      .populate('players.white players.black', 'username ratings');
 
       //console.log(`⏰ Checking ${activeGames.length} active games for timeouts`);
       let warningsSent = 0;
@@ -57,6 +109,14 @@ class TimeoutService {
         // Skip bot games (they respond instantly)
         if (game.isBot) continue;
 
+        // Timed games: flag when the clock hits zero
+        // (catches games whose timer was lost, e.g. after a restart)
+        if (game.hasFlagged()) {
+          await this.handleTimeout(game, 'flag');
+          gamesTimedOut++;
+          continue;
+        }
+
         // Check if warning should be sent
         if (game.shouldWarn(this.WARNING_TIME)) {
           await this.sendWarning(game);
@@ -113,74 +173,79 @@ class TimeoutService {
 
   /**
    * Handle game timeout - award win to opponent
+   * @param {string} reason - 'abandonment' (inactivity) or 'flag' (clock ran out)
    */
-  async handleTimeout(game) {
+  async handleTimeout(game, reason = 'abandonment') {
     try {
       const abandonedPlayer = game.currentTurn; // Player whose turn it is
       const winningPlayer = abandonedPlayer === 'white' ? 'black' : 'white';
+      const flagged = reason === 'flag';
 
-      console.log(`⏰ Game ${game._id} timed out - ${abandonedPlayer} abandoned`);
+      this.clearFlagTimer(game._id);
+
+      console.log(`⏰ Game ${game._id} timed out - ${abandonedPlayer} ${flagged ? 'flagged' : 'abandoned'}`);
 
       // Determine winner and loser IDs
       const winnerId = game.players[winningPlayer]._id;
-      const loserId = game.players[abandonedPlayer]._id;
 
       // Update game status
       game.status = 'completed';
       game.result = winningPlayer === 'white' ? '1-0' : '0-1';
       game.winner = winnerId;
-      game.abandonedBy = abandonedPlayer;
       game.endedAt = new Date();
 
-      // Calculate ELO changes
-      const ratingChanges = updateRatings(
-        game.players.white.rating,
-        game.players.black.rating,
-        game.result
-      );
+      const completion = {
+        status: game.status,
+        result: game.result,
+        winner: game.winner,
+        endedAt: game.endedAt,
+        drawOffer: null
+      };
 
-      // Update winner stats
-      await User.findByIdAndUpdate(winnerId, {
-        $inc: {
-          wins: 1,
-          gamesPlayed: 1
-        },
-        $set: {
-          rating: winningPlayer === 'white' 
-            ? ratingChanges.whiteRating 
-            : ratingChanges.blackRating
-        }
-      });
+      if (flagged) {
+        game.flaggedBy = abandonedPlayer;
+        game.clock[abandonedPlayer] = 0;
+        completion.flaggedBy = abandonedPlayer;
+        completion[`clock.${abandonedPlayer}`] = 0;
+      } else {
+        game.abandonedBy = abandonedPlayer;
+        completion.abandonedBy = abandonedPlayer;
+      }
 
-      // Update loser stats (with abandonment penalty)
-      const loserRating = abandonedPlayer === 'white' 
-        ? ratingChanges.whiteRating 
-        : ratingChanges.blackRating;
+      game.drawOffer = null;
 
-      await User.findByIdAndUpdate(loserId, {
-        $inc: {
-          losses: 1,
-          gamesPlayed: 1
-        },
-        $set: {
-          rating: Math.max(100, loserRating - 10) // Extra -10 penalty for abandoning
-        }
-      });
+      // A move, resign or draw may have landed since this game was loaded -
+      // then it isn't ours to finish (and must not be rated twice)
+      const finished = await Game.findOneAndUpdate(
+        { _id: game._id, status: 'active', moves: { $size: game.moves.length } },
+        { $set: completion }
+      );
+      if (!finished) {
+        console.log(`⏰ Game ${game._id} changed before its timeout - skipped`);
+        return;
+      }
 
-      await game.save();
+      // Update stats and ratings (extra -10 penalty for abandoning, none for losing on the clock)
+      await applyGameResult(game, {
+        penalty: flagged ? null : { color: abandonedPlayer, points: 10 }
+      });
 
       // Notify all players in game room via Socket.IO
       this.io.to(game._id.toString()).emit('game:timeout', {
         gameId: game._id,
         abandonedPlayer,
         winner: winningPlayer,
-        message: `⏰ ${abandonedPlayer.toUpperCase()} ran out of time! ${winningPlayer.toUpperCase()} wins!`,
+        reason,
+        message: flagged
+          ? `⏰ ${abandonedPlayer.toUpperCase()}'s clock ran out! ${winningPlayer.toUpperCase()} wins on time!`
+          : `⏰ ${abandonedPlayer.toUpperCase()} ran out of time! ${winningPlayer.toUpperCase()} wins!`,
         game: {
           status: game.status,
           result: game.result,
           winner: game.winner,
           endedAt: game.endedAt
-        }
+        },
+        clock: getClockSnapshot(game)
       });
 
       console.log(`✅ Game ${game._id} ended by timeout - ${winningPlayer} wins`);
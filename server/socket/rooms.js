@@ -0,0 +1,39 @@
+/**
+ * Socket.IO room names
+ *
+ * Design Decision:
+ * - `<gameId>`              everyone watching the board (players + spectators):
+ *                           moves, clocks, draws, game end
+ * - `players:<gameId>`      player chat - spectators never join it
+ * - `spectators:<gameId>`   spectator chat - players never join it
+ * - `user:<userId>`         every socket of one user (personal notifications
+ *                           such as challenges, whichever tab is open)
+ * - `session:<sessionId>`   every socket of one signed-in device, so
+ *                           revoking the session can disconnect them
+ */
+
+const playersRoom = (gameId) => `players:${gameId}`;
+const spectatorsRoom = (gameId) => `spectators:${gameId}`;
+const userRoom = (userId) => `user:${userId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+/**
+ * Chat room for a message channel
+ */
+const chatRoom = (gameId, channel) =>
+  channel === 'spectators' ? spectatorsRoom(gameId) : playersRoom(gameId);
+
+/**
+ * Number of sockets currently spectating a game
+ */
+const getSpectatorCount = (io, gameId) =>
+  io.sockets.adapter.rooms.get(spectatorsRoom(gameId.toString()))?.size || 0;
+
+module.exports = {
+  playersRoom,
+  spectatorsRoom,
+  userRoom,
+  sessionRoom,
+  chatRoom,
+  getSpectatorCount
+};
@@ -0,0 +1,37 @@
+/**
+ * Socket.IO authentication middleware
+ *
+ * Design Decision:
+ * - Verifies the handshake's access token exactly like `protect` does for
+ *   REST (see middleware/auth.js), including the session check
+ * - The identity lives on `socket.user` and is the only identity handlers
+ *   use - payloads can't name a different player
+ * - Rejections start with "Authentication error" so the client knows to
+ *   refresh its access token and reconnect
+ */
+
+const { authenticateToken } = require('../middleware/auth');
+
+const socketAuth = async (socket, next) => {
+  try {
+    const { user, sessionId } = await authenticateToken(socket.handshake.auth?.token);
+
+    // Attach user to socket for later use
+    socket.user = {
+      id: user._id.toString(),
+      username: user.username
+    };
+    socket.sessionId = sessionId;
+
+    console.log(`✅ User authenticated: ${user.username} (${socket.id})`);
+    next();
+  } catch (error) {
+    console.error('Socket auth error:', error.message);
+
+    const authError = new Error(`Authentication error: ${error.status ? error.message : 'Invalid token'}`);
+    authError.data = { status: 401 };
+    next(authError);
+  }
+};
+
+module.exports = socketAuth;
@@ -8,107 +8,129 @@
  * - Stateless: Game state stored in DB, socket only for communication
  */
 
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Game = require('../models/Game');
 const Message = require('../models/Message');
+const { getClockSnapshot, isTimed } = require('../utils/clock');
+const drawService = require('../services/drawService');
+const takebackService = require('../services/takebackService');
+const moveService = require('../services/moveService');
+const challengeService = require('../services/challengeService');
+const socketAuth = require('./socketAuth');
+const { playersRoom, spectatorsRoom, userRoom, sessionRoom, chatRoom, getSpectatorCount } = require('./rooms');
 
 // In-memory store for active users (could move to Redis for scaling)
 const activeUsers = new Map(); // userId -> { socketId, gameId, username }
 
-const socketHandler = (io) => {
+const socketHandler = (io, { timeoutService, matchmakingService }) => {
   
   // ============================================
   // AUTHENTICATION MIDDLEWARE
   // ============================================
-  // Why: Verify JWT before allowing socket connection
-  io.use(async (socket, next) => {
-    try {
-      const token = socket.handshake.auth.token;
-      
-      if (!token) {
-        return next(new Error('Authentication error: No token provided'));
-      }
-
-      // Verify JWT
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id);
-      
-      if (!user) {
-        return next(new Error('Authentication error: User not found'));
-      }
-
-      // Attach user to socket for later use
-      socket.userId = user._id.toString();
-      socket.username = user.username;
-      
-      console.log(`✅ User authenticated: ${user.username} (${socket.id})`);
-      next();
-    } catch (error) {
-      console.error('Socket auth error:', error.message);
-      next(new Error('Authentication error: Invalid token'));
-    }
-  });
+  // Why: Verify JWT before allowing socket connection (see ./socketAuth.js)
+  io.use(socketAuth);
 
   // ============================================
   // CONNECTION HANDLER
   // ============================================
   io.on('connection', (socket) => {
-    console.log(`🔌 New connection: ${socket.username} (${socket.id})`);
+    console.log(`🔌 New connection: ${socket.user.username} (${socket.id})`);
 
     // Track active user
-    activeUsers.set(socket.userId, {
+    activeUsers.set(socket.user.id, {
       socketId: socket.id,
-      username: socket.username,
+      username: socket.user.username,
       gameId: null
     });
 
     // Broadcast online users count
     io.emit('users:count', activeUsers.size);
 
-    // ============================================
-    // ✅ NEW: GAME INVITE NOTIFICATION
-    // ============================================
-    
+    // Personal room - challenges reach every tab this user has open
+    socket.join(userRoom(socket.user.id));
+    // Session room - signing this device out disconnects it
+    socket.join(sessionRoom(socket.sessionId));
+
     /**
-     * Notify a user they've been challenged
-     * Called from gameController.js after game creation
+     * Report a failed action to the sender: through the ack when the client
+     * sent one, otherwise as a generic `error` event
      */
-    socket.on('game:notify-challenge', ({ opponentId, gameId, challenger }) => {
-      console.log(`🎮 Notifying ${opponentId} about challenge from ${challenger}`);
-      
-      // Find opponent's socket
-      const opponent = activeUsers.get(opponentId);
-      
-      if (opponent) {
-        io.to(opponent.socketId).emit('game:challenge-received', {
-          gameId,
-          challenger,
-          message: `${challenger} has challenged you to a game!`
-        });
-        
-        console.log(`✅ Challenge notification sent to ${opponentId}`);
+    const replyWithError = (ack, error, event) => {
+      if (!error.status) console.error(`Error handling ${event}:`, error);
+
+      const payload = { success: false, message: error.message, errorCode: error.errorCode };
+      if (typeof ack === 'function') {
+        ack(payload);
       } else {
-        console.log(`⚠️ Opponent ${opponentId} not connected`);
+        socket.emit('error', payload);
+      }
+    };
+
+    // ============================================
+    // 🎮 CHALLENGES
+    // ============================================
+    // Same rules as /api/challenges - challengeService notifies both players
+    // (challenge:received, challenge:accepted, challenge:declined...)
+
+    socket.on('challenge:create', async ({ opponentId, color, timeControl, rated, fen, pgn } = {}, ack) => {
+      try {
+        const challenge = await challengeService.createChallenge(
+          socket.user.id,
+          { opponentId, color, timeControl, rated, fen, pgn },
+          io
+        );
+        if (typeof ack === 'function') ack({ success: true, challenge });
+      } catch (error) {
+        replyWithError(ack, error, 'challenge:create');
       }
     });
 
+    const challengeActions = {
+      'challenge:accept': (challengeId) => challengeService.acceptChallenge(challengeId, socket.user.id, io),
+      'challenge:decline': (challengeId) => challengeService.declineChallenge(challengeId, socket.user.id, io),
+      'challenge:cancel': (challengeId) => challengeService.cancelChallenge(challengeId, socket.user.id, io)
+    };
+
+    Object.entries(challengeActions).forEach(([event, action]) => {
+      socket.on(event, async ({ challengeId } = {}, ack) => {
+        try {
+          await action(challengeId);
+          if (typeof ack === 'function') ack({ success: true });
+        } catch (error) {
+          replyWithError(ack, error, event);
+        }
+      });
+    });
+
     // ============================================
     // GAME EVENTS
     // ============================================
 
+    /**
+     * Broadcast the live spectator count to everyone in the game room
+     */
+    const emitSpectatorCount = (gameId) => {
+      io.to(gameId).emit('game:spectators', {
+        gameId,
+        count: getSpectatorCount(io, gameId)
+      });
+    };
+
     /**
      * JOIN GAME ROOM
      * When a player opens a game page, they join that game's room
      * Why rooms? Allows targeted broadcasts to only players in that game
+     *
+     * Anyone else joins as a read-only spectator of an active game: they get
+     * the same board broadcasts but their own chat channel (see ./rooms.js)
      */
     socket.on('game:join', async (gameId) => {
       try {
-        console.log(`🎮 ${socket.username} joining game ${gameId}`);
+        console.log(`🎮 ${socket.user.username} joining game ${gameId}`);
 
         // Validate game exists
         const game = await Game.findById(gameId)
-          .populate('players.white players.black', 'username rating');
+          .populate('players.white players.black', 'username ratings');
         
         if (!game) {
           socket.emit('error', { message: 'Game not found' });
@@ -117,34 +139,49 @@ const socketHandler = (io) => {
 
         // Check if user is a player in this game
         const isPlayer = 
-          game.players.white?._id.toString() === socket.userId ||
-          game.players.black?._id.toString() === socket.userId;
+          game.players.white?._id.toString() === socket.user.id ||
+          game.players.black?._id.toString() === socket.user.id;
 
-        if (!isPlayer && !game.isBot) {
-          socket.emit('error', { message: 'You are not a player in this game' });
+        if (!isPlayer && game.status !== 'active') {
+          socket.emit('error', { message: 'Only active games can be watched' });
           return;
         }
 
         // Join the room
         socket.join(gameId);
-        socket.currentGame = gameId;
 
-        // Update active users map
-        const userData = activeUsers.get(socket.userId);
-        if (userData) {
-          userData.gameId = gameId;
+        if (isPlayer) {
+          socket.join(playersRoom(gameId));
+          socket.currentGame = gameId;
+
+          // Update active users map
+          const userData = activeUsers.get(socket.user.id);
+          if (userData) {
+            userData.gameId = gameId;
+          }
+
+          // Notify others in the room
+          socket.to(gameId).emit('game:player-joined', {
+            username: socket.user.username,
+            userId: socket.user.id
+          });
+        } else {
+          // 👀 Spectators don't count as busy and can't see player chat
+          socket.join(spectatorsRoom(gameId));
+          socket.spectating = gameId;
         }
 
-        // Notify others in the room
-        socket.to(gameId).emit('game:player-joined', {
-          username: socket.username,
-          userId: socket.userId
-        });
-
         // Send current game state to joining player
         socket.emit('game:state', game);
 
-        console.log(`✅ ${socket.username} joined game ${gameId}`);
+        // Sync clocks so the joining player starts from server time
+        if (isTimed(game)) {
+          socket.emit('game:clock', getClockSnapshot(game));
+        }
+
+        emitSpectatorCount(gameId);
+
+        console.log(`✅ ${socket.user.username} joined game ${gameId}${isPlayer ? '' : ' as spectator'}`);
       } catch (error) {
         console.error('Error joining game:', error);
         socket.emit('error', { message: 'Failed to join game' });
@@ -153,58 +190,129 @@ const socketHandler = (io) => {
 
     /**
      * MAKE MOVE
-     * When a player makes a move, broadcast to opponent immediately
+     * The server validates and persists the move, then broadcasts the
+     * canonical move/FEN to the whole room (see moveService).
+     * The player is always the authenticated socket user, never the payload.
      */
-    socket.on('game:move', async ({ gameId, move }) => {
+    socket.on('game:move', async ({ gameId, move } = {}, ack) => {
       try {
-        console.log(`♟️ ${socket.username} made move in ${gameId}:`, move);
+        const result = await moveService.makeMove(gameId, socket.user.id, move, { io, timeoutService });
+        console.log(`♟️ ${socket.user.username} played ${result.moveResult.san} in ${gameId}`);
 
-        // Broadcast to OTHER players in the room (not sender)
-        socket.to(gameId).emit('game:move-made', {
-          move,
-          playerId: socket.userId,
-          username: socket.username,
-          timestamp: new Date()
-        });
-
-        console.log(`✅ Move broadcast to opponents in game ${gameId}`);
+        if (typeof ack === 'function') ack({ success: true, ...result });
       } catch (error) {
-        console.error('Error broadcasting move:', error);
+        replyWithError(ack, error, 'game:move');
       }
     });
 
+    /**
+     * DRAW OFFERS, CLAIMS & TAKEBACKS
+     * Same rules as the REST endpoints - the services persist the change
+     * and broadcast the outcome (game:draw-offered, game:takeback-accepted...).
+     * The optional ack reports errors back to the sender only.
+     */
+    const gameActions = {
+      'game:offer-draw': (gameId) => drawService.offerDraw(gameId, socket.user.id, io),
+      'game:accept-draw': (gameId) => drawService.respondToDraw(gameId, socket.user.id, true, io),
+      'game:decline-draw': (gameId) => drawService.respondToDraw(gameId, socket.user.id, false, io),
+      'game:claim-draw': (gameId) => drawService.claimDraw(gameId, socket.user.id, io),
+      'game:request-takeback': (gameId) => takebackService.requestTakeback(gameId, socket.user.id, io, timeoutService),
+      'game:accept-takeback': (gameId) => takebackService.respondToTakeback(gameId, socket.user.id, true, io, timeoutService),
+      'game:decline-takeback': (gameId) => takebackService.respondToTakeback(gameId, socket.user.id, false, io)
+    };
+
+    Object.entries(gameActions).forEach(([event, action]) => {
+      socket.on(event, async ({ gameId } = {}, ack) => {
+        try {
+          await action(gameId);
+          if (typeof ack === 'function') ack({ success: true });
+        } catch (error) {
+          replyWithError(ack, error, event);
+        }
+      });
+    });
+
     /**
      * LEAVE GAME ROOM
      */
     socket.on('game:leave', (gameId) => {
-      console.log(`👋 ${socket.username} leaving game ${gameId}`);
+      console.log(`👋 ${socket.user.username} leaving game ${gameId}`);
       socket.leave(gameId);
+
+      if (socket.spectating === gameId) {
+        socket.leave(spectatorsRoom(gameId));
+        socket.spectating = null;
+        emitSpectatorCount(gameId);
+        return;
+      }
+
+      socket.leave(playersRoom(gameId));
       socket.to(gameId).emit('game:player-left', {
-        username: socket.username,
-        userId: socket.userId
+        username: socket.user.username,
+        userId: socket.user.id
       });
 
       // Update active users map
-      const userData = activeUsers.get(socket.userId);
+      const userData = activeUsers.get(socket.user.id);
       if (userData) {
         userData.gameId = null;
       }
     });
 
+    // ============================================
+    // MATCHMAKING EVENTS
+    // ============================================
+
+    /**
+     * SEEK AN OPPONENT
+     * Join the public queue for a time control. When paired, both players
+     * receive `seek:matched` with the new gameId.
+     */
+    socket.on('seek:create', async ({ timeControl, rated } = {}, ack) => {
+      try {
+        const seek = await matchmakingService.createSeek(
+          { userId: socket.user.id, username: socket.user.username, socketId: socket.id },
+          { timeControl, rated }
+        );
+
+        if (typeof ack === 'function') ack({ success: true, seek });
+      } catch (error) {
+        replyWithError(ack, error, 'seek:create');
+      }
+    });
+
+    /**
+     * CANCEL SEEK
+     */
+    socket.on('seek:cancel', (ack) => {
+      const removed = matchmakingService.removeSeek(socket.user.id);
+      if (typeof ack === 'function') ack({ success: true, removed });
+    });
+
     // ============================================
     // CHAT EVENTS
     // ============================================
 
+    /**
+     * Chat channel for this socket in a game: spectators of the game talk
+     * among themselves, only joined players reach the player channel
+     */
+    const getChatChannel = (gameId) => {
+      if (socket.spectating === gameId) return 'spectators';
+      if (socket.rooms.has(playersRoom(gameId))) return 'players';
+      return null;
+    };
+
     /**
      * SEND MESSAGE
-     * Store in DB and broadcast to game room
+     * Store in DB and broadcast to the sender's chat channel
      */
-    socket.on('chat:message', async ({ gameId, message }) => {
+    socket.on('chat:message', async ({ gameId, message } = {}) => {
       try {
-        console.log(`💬 ${socket.username} in game ${gameId}: ${message}`);
+        console.log(`💬 ${socket.user.username} in game ${gameId}: ${message}`);
 
         // Validate message
-        if (!message || message.trim().length === 0) {
+        if (typeof message !== 'string' || message.trim().length === 0) {
           return;
         }
 
@@ -213,21 +321,36 @@ const socketHandler = (io) => {
           return;
         }
 
+        const channel = getChatChannel(gameId);
+        if (!channel) {
+          socket.emit('error', { message: 'Join the game before chatting' });
+          return;
+        }
+
+        // Read fresh - a mute applies to sockets that were already connected
+        const sender = await User.findById(socket.user.id).select('mutedUntil');
+        if (sender?.isMuted()) {
+          socket.emit('error', { message: `You are muted until ${sender.mutedUntil.toUTCString()}` });
+          return;
+        }
+
         // Save message to DB
         const newMessage = await Message.create({
           gameId,
-          userId: socket.userId,
-          username: socket.username,
+          userId: socket.user.id,
+          username: socket.user.username,
           message: message.trim(),
+          channel,
           timestamp: new Date()
         });
 
-        // Broadcast to all players in game room
-        io.to(gameId).emit('chat:message', {
+        // Broadcast to everyone on the same channel
+        io.to(chatRoom(gameId, channel)).emit('chat:message', {
           _id: newMessage._id,
-          userId: socket.userId,
-          username: socket.username,
+          userId: socket.user.id,
+          username: socket.user.username,
           message: message.trim(),
+          channel,
           timestamp: newMessage.timestamp
         });
 
@@ -242,10 +365,13 @@ const socketHandler = (io) => {
      * TYPING INDICATOR
      * Show when opponent is typing (not persisted)
      */
-    socket.on('chat:typing', ({ gameId, isTyping }) => {
-      socket.to(gameId).emit('chat:user-typing', {
-        username: socket.username,
-        isTyping
+    socket.on('chat:typing', ({ gameId, isTyping } = {}) => {
+      const channel = getChatChannel(gameId);
+      if (!channel) return;
+
+      socket.to(chatRoom(gameId, channel)).emit('chat:user-typing', {
+        username: socket.user.username,
+        isTyping: !!isTyping
       });
     });
 
@@ -253,16 +379,24 @@ const socketHandler = (io) => {
     // DISCONNECTION
     // ============================================
     socket.on('disconnect', (reason) => {
-      console.log(`❌ ${socket.username} disconnected (${reason})`);
+      console.log(`❌ ${socket.user.username} disconnected (${reason})`);
 
       // Remove from active users
-      activeUsers.delete(socket.userId);
+      activeUsers.delete(socket.user.id);
+
+      // Disconnected seekers can't be notified of a match
+      matchmakingService.removeSeek(socket.user.id, socket.id);
+
+      // Rooms are already left by now, so the count is up to date
+      if (socket.spectating) {
+        emitSpectatorCount(socket.spectating);
+      }
 
       // Notify game room if in a game
       if (socket.currentGame) {
         socket.to(socket.currentGame).emit('game:player-disconnected', {
-          username: socket.username,
-          userId: socket.userId
+          username: socket.user.username,
+          userId: socket.user.id
         });
       }
 
@@ -274,7 +408,7 @@ const socketHandler = (io) => {
     // ERROR HANDLING
     // ============================================
     socket.on('error', (error) => {
-      console.error(`Socket error for ${socket.username}:`, error);
+      console.error(`Socket error for ${socket.user.username}:`, error);
     });
   });
 };
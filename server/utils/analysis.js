@@ -0,0 +1,118 @@
+// Post-game analysis math
+//
+// Design Decision:
+// - Evaluations are stored from White's point of view as { cp, mate }:
+//   cp is always set (clamped to ±EVAL_CAP, ±EVAL_CAP for forced mates) so
+//   graphs and centipawn loss never special-case mates; mate is the signed
+//   number of moves to mate (positive = White mates, 0 = checkmate on the board)
+// - Move quality comes from centipawn loss with the usual thresholds
+// - Accuracy uses win-probability drops rather than raw centipawns, so a
+//   slip at +8 costs less than the same slip at 0.0
+
+const EVAL_CAP = 1000;
+
+// Centipawn loss thresholds (upper bounds, exclusive)
+const CLASSIFICATION_THRESHOLDS = [
+  { classification: 'best', maxLoss: 10 },
+  { classification: 'good', maxLoss: 50 },
+  { classification: 'inaccuracy', maxLoss: 100 },
+  { classification: 'mistake', maxLoss: 300 }
+];
+const MOVE_CLASSIFICATIONS = ['best', 'good', 'inaccuracy', 'mistake', 'blunder'];
+
+const clampCp = (cp) => Math.max(-EVAL_CAP, Math.min(EVAL_CAP, cp));
+
+/**
+ * Engine score (side to move's view) -> stored evaluation (White's view)
+ * @param {Object} score - { cp } | { mate }
+ * @param {string} turn - 'w' | 'b'
+ */
+function toWhiteEval(score, turn) {
+  const sign = turn === 'w' ? 1 : -1;
+
+  if (score.mate != null) {
+    const mate = sign * score.mate;
+    return { cp: mate > 0 ? EVAL_CAP : -EVAL_CAP, mate };
+  }
+
+  return { cp: clampCp(sign * score.cp), mate: null };
+}
+
+/**
+ * Evaluation of a finished position (no engine needed - or possible)
+ * @param {Chess} chess - position without legal moves
+ */
+function terminalEval(chess) {
+  if (chess.isCheckmate()) {
+    // The side to move is mated
+    return { cp: chess.turn() === 'w' ? -EVAL_CAP : EVAL_CAP, mate: 0 };
+  }
+  return { cp: 0, mate: null };
+}
+
+/**
+ * Winning chances (0-100) for White at an evaluation
+ */
+const winPercent = (cp) => 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * cp)) - 1);
+
+/**
+ * Accuracy (0-100) of a single move, from the mover's point of view
+ * @param {number} before - White-view cp before the move
+ * @param {number} after - White-view cp after the move
+ * @param {string} color - 'white' | 'black'
+ */
+function moveAccuracy(before, after, color) {
+  const sign = color === 'white' ? 1 : -1;
+  const drop = Math.max(0, winPercent(sign * before) - winPercent(sign * after));
+  const accuracy = 103.1668 * Math.exp(-0.04354 * drop) - 3.1669;
+  return Math.max(0, Math.min(100, accuracy));
+}
+
+/**
+ * Centipawn loss of a move (never negative)
+ */
+const centipawnLoss = (before, after, color) =>
+  Math.max(0, Math.round((color === 'white' ? 1 : -1) * (before - after)));
+
+/**
+ * best / good / inaccuracy / mistake / blunder
+ * @param {number} cpLoss
+ * @param {boolean} isEngineMove - the engine's own choice is always "best"
+ */
+function classifyMove(cpLoss, isEngineMove = false) {
+  if (isEngineMove) return 'best';
+  const entry = CLASSIFICATION_THRESHOLDS.find(threshold => cpLoss < threshold.maxLoss);
+  return entry ? entry.classification : 'blunder';
+}
+
+/**
+ * Per-player totals for the analysed moves of one color
+ * @param {Array} moves - [{ classification, cpLoss, accuracy }]
+ * @returns {Object} { accuracy, averageCpLoss, best, good, inaccuracies, mistakes, blunders }
+ */
+function summarizeMoves(moves) {
+  const count = (classification) => moves.filter(move => move.classification === classification).length;
+  const average = (field) => moves.reduce((sum, move) => sum + move[field], 0) / moves.length;
+
+  return {
+    accuracy: moves.length ? Math.round(average('accuracy') * 10) / 10 : null,
+    averageCpLoss: moves.length ? Math.round(average('cpLoss')) : null,
+    best: count('best'),
+    good: count('good'),
+    inaccuracies: count('inaccuracy'),
+    mistakes: count('mistake'),
+    blunders: count('blunder')
+  };
+}
+
+module.exports = {
+  EVAL_CAP,
+  MOVE_CLASSIFICATIONS,
+  toWhiteEval,
+  terminalEval,
+  winPercent,
+  moveAccuracy,
+  centipawnLoss,
+  classifyMove,
+  summarizeMoves
+};
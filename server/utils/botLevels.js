@@ -0,0 +1,52 @@
+// Bot difficulty levels
+//
+// Design Decision:
+// - Each level has a fixed nominal rating, so rated bot games go through
+//   Glicko-2 like any other game (the bot is the "opponent" with that rating)
+// - The level and its rating are stored on the Game, so a result can always
+//   be traced back to the strength the user actually faced
+
+// Engine settings per level (see services/engineService.js):
+// - skillLevel: Stockfish "Skill Level" (0-20)
+// - elo: UCI_Elo with UCI_LimitStrength, where the engine supports it
+//   (null = Skill Level only - Stockfish can't play below ~1320 Elo)
+// - movetime: thinking time per move (ms)
+const BOT_LEVELS = [
+  { level: 1, name: 'Beginner', rating: 600, skillLevel: 0, elo: null, movetime: 50 },
+  { level: 2, name: 'Novice', rating: 900, skillLevel: 2, elo: null, movetime: 100 },
+  { level: 3, name: 'Casual', rating: 1100, skillLevel: 4, elo: null, movetime: 150 },
+  { level: 4, name: 'Intermediate', rating: 1300, skillLevel: 6, elo: null, movetime: 200 },
+  { level: 5, name: 'Club Player', rating: 1500, skillLevel: 9, elo: 1500, movetime: 300 },
+  { level: 6, name: 'Advanced', rating: 1700, skillLevel: 12, elo: 1700, movetime: 400 },
+  { level: 7, name: 'Expert', rating: 1900, skillLevel: 15, elo: 1900, movetime: 600 },
+  { level: 8, name: 'Master', rating: 2200, skillLevel: 20, elo: 2200, movetime: 1000 }
+];
+
+// A fixed rating is known precisely - rated games only move the user
+const BOT_RATING_DEVIATION = 50;
+
+// Used for games created before levels existed
+const DEFAULT_BOT_LEVEL = 4;
+
+/**
+ * Level entry, or null for an unknown level
+ */
+const getBotLevel = (level) =>
+  BOT_LEVELS.find(entry => entry.level === Number(level)) || null;
+
+/**
+ * Level whose nominal rating is closest to a user's rating
+ */
+function getLevelForRating(rating) {
+  return BOT_LEVELS.reduce((best, entry) =>
+    Math.abs(entry.rating - rating) < Math.abs(best.rating - rating) ? entry : best
+  );
+}
+
+module.exports = {
+  BOT_LEVELS,
+  BOT_RATING_DEVIATION,
+  DEFAULT_BOT_LEVEL,
+  getBotLevel,
+  getLevelForRating
+};
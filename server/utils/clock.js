@@ -0,0 +1,171 @@
+/**
+ * Chess clock helpers
+ * All clock values are stored in milliseconds.
+ *
+ * Design Decision:
+ * - Game.clock holds each side's remaining time as of `lastMoveTime`
+ * - The side to move is never ticked in the DB; its live time is derived
+ *   from `lastMoveTime`, so a server restart can't lose or gain time
+ * - Clocks start after each side's first move (same window as abort)
+ */
+
+// Common presets, keyed by "minutes+increment"
+const TIME_CONTROL_PRESETS = {
+  '1+0': { initial: 60000, increment: 0, delay: 0 },
+  '2+1': { initial: 120000, increment: 1000, delay: 0 },
+  '3+0': { initial: 180000, increment: 0, delay: 0 },
+  '3+2': { initial: 180000, increment: 2000, delay: 0 },
+  '5+0': { initial: 300000, increment: 0, delay: 0 },
+  '5+3': { initial: 300000, increment: 3000, delay: 0 },
+  '10+0': { initial: 600000, increment: 0, delay: 0 },
+  '10+5': { initial: 600000, increment: 5000, delay: 0 },
+  '15+10': { initial: 900000, increment: 10000, delay: 0 },
+  '30+0': { initial: 1800000, increment: 0, delay: 0 }
+};
+
+const LIMITS = {
+  minInitial: 15000, // 15 seconds
+  maxInitial: 10800000, // 3 hours
+  maxIncrement: 180000, // 3 minutes
+  maxDelay: 60000 // 1 minute
+};
+
+/**
+ * Parse a time control from a request body
+ * Accepts a preset/"M+I" string (e.g. "3+2", "5+0d3" for a 3s delay)
+ * or an object { minutes, increment, delay } with increment/delay in seconds.
+ * Returns { initial, increment, delay } in ms, or null if invalid.
+ */
+function parseTimeControl(input) {
+  if (!input) return null;
+
+  let minutes, increment, delay;
+
+  if (typeof input === 'string') {
+    if (TIME_CONTROL_PRESETS[input]) {
+      return { ...TIME_CONTROL_PRESETS[input] };
+    }
+
+    const match = input.trim().match(/^(\d+(?:\.\d+)?)\+(\d+)(?:d(\d+))?$/);
+    if (!match) return null;
+
+    minutes = parseFloat(match[1]);
+    increment = parseInt(match[2]);
+    delay = match[3] ? parseInt(match[3]) : 0;
+  } else if (typeof input === 'object') {
+    minutes = Number(input.minutes);
+    increment = Number(input.increment || 0);
+    delay = Number(input.delay || 0);
+  } else {
+    return null;
+  }
+
+  const timeControl = {
+    initial: Math.round(minutes * 60000),
+    increment: Math.round(increment * 1000),
+    delay: Math.round(delay * 1000)
+  };
+
+  const valid =
+    Number.isFinite(timeControl.initial) &&
+    Number.isFinite(timeControl.increment) &&
+    Number.isFinite(timeControl.delay) &&
+    timeControl.initial >= LIMITS.minInitial &&
+    timeControl.initial <= LIMITS.maxInitial &&
+    timeControl.increment >= 0 &&
+    timeControl.increment <= LIMITS.maxIncrement &&
+    timeControl.delay >= 0 &&
+    timeControl.delay <= LIMITS.maxDelay;
+
+  return valid ? timeControl : null;
+}
+
+/**
+ * Format a time control back to "M+I" (with "dN" suffix for delay)
+ */
+function formatTimeControl(timeControl) {
+  if (!timeControl || !timeControl.initial) return null;
+
+  const minutes = timeControl.initial / 60000;
+  let label = `${minutes}+${timeControl.increment / 1000}`;
+  if (timeControl.delay) label += `d${timeControl.delay / 1000}`;
+  return label;
+}
+
+/**
+ * Does this game have a clock at all?
+ */
+function isTimed(game) {
+  return !!(game.timeControl && game.timeControl.initial);
+}
+
+/**
+ * Is the clock of the side to move currently ticking?
+ */
+function isClockRunning(game) {
+  return isTimed(game) && game.status === 'active' && game.moves.length >= 2;
+}
+
+/**
+ * Live remaining time for one side
+ */
+function getRemainingTime(game, color, now = Date.now()) {
+  const stored = game.clock[color];
+
+  if (!isClockRunning(game) || game.currentTurn !== color) {
+    return stored;
+  }
+
+  const elapsed = now - new Date(game.lastMoveTime).getTime();
+  const charged = Math.max(0, elapsed - game.timeControl.delay);
+  return Math.max(0, stored - charged);
+}
+
+/**
+ * Snapshot sent to clients (REST responses and `game:clock` broadcasts)
+ * `delayLeft` lets the client hold the clock still during a delay period.
+ */
+function getClockSnapshot(game, now = Date.now()) {
+  if (!isTimed(game)) return null;
+
+  const running = isClockRunning(game);
+  const elapsed = now - new Date(game.lastMoveTime).getTime();
+
+  return {
+    white: getRemainingTime(game, 'white', now),
+    black: getRemainingTime(game, 'black', now),
+    turn: game.currentTurn,
+    running,
+    delayLeft: running ? Math.max(0, game.timeControl.delay - elapsed) : 0,
+    increment: game.timeControl.increment
+  };
+}
+
+/**
+ * Charge the mover's clock for the move they are about to make
+ * Must be called BEFORE the move is pushed to game.moves.
+ * Returns false if the mover had already flagged.
+ */
+function applyMoveToClock(game, color, now = Date.now()) {
+  if (!isClockRunning(game)) return true;
+
+  const remaining = getRemainingTime(game, color, now);
+  if (remaining <= 0) {
+    game.clock[color] = 0;
+    return false;
+  }
+
+  game.clock[color] = remaining + game.timeControl.increment;
+  return true;
+}
+
+module.exports = {
+  TIME_CONTROL_PRESETS,
+  parseTimeControl,
+  formatTimeControl,
+  isTimed,
+  isClockRunning,
+  getRemainingTime,
+  getClockSnapshot,
+  applyMoveToClock
+};
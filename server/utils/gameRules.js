@@ -0,0 +1,140 @@
+/**
+ * Game rule helpers built on chess.js
+ *
+ * Why replay? `new Chess(game.fen)` has no move history, so repetitions
+ * can't be detected from the FEN alone. Replaying Game.moves restores it.
+ */
+
+const { Chess, DEFAULT_POSITION } = require('chess.js');
+const { httpError } = require('./httpError');
+
+// Pieces a pawn may promote to (chess.js notation)
+const PROMOTION_PIECES = ['q', 'r', 'b', 'n'];
+
+const DRAW_MESSAGES = {
+  'agreement': 'Draw by agreement',
+  'stalemate': 'Draw by stalemate',
+  'insufficient-material': 'Draw by insufficient material',
+  'threefold-repetition': 'Draw claimed by threefold repetition',
+  'fifty-move-rule': 'Draw claimed by the 50-move rule',
+  'fivefold-repetition': 'Draw by fivefold repetition',
+  'seventy-five-move-rule': 'Draw by the 75-move rule'
+};
+
+/**
+ * Position the game started from (standard unless imported)
+ */
+const getStartFen = (game) => game.initialFen || DEFAULT_POSITION;
+
+/**
+ * Rebuild a chess.js instance with full history from the stored moves
+ */
+function replayGame(game) {
+  const chess = new Chess(getStartFen(game));
+  for (const san of game.moves) {
+    chess.move(san);
+  }
+  return chess;
+}
+
+/**
+ * Color that played game.moves[index] - Black moves first in some
+ * imported positions
+ */
+function getMoverColor(game, index) {
+  const whiteStarts = getStartFen(game).split(' ')[1] === 'w';
+  return (index % 2 === 0) === whiteStarts ? 'white' : 'black';
+}
+
+/**
+ * Which side a user plays in a game ('white' | 'black' | null)
+ * Works with populated and unpopulated players.
+ */
+function getPlayerColor(game, userId) {
+  const idOf = (player) => (player && (player._id || player)).toString();
+
+  if (game.players.white && idOf(game.players.white) === userId.toString()) return 'white';
+  if (game.players.black && idOf(game.players.black) === userId.toString()) return 'black';
+  return null;
+}
+
+const positionKey = (fen) => fen.split(' ').slice(0, 4).join(' ');
+
+/**
+ * How many times the current position has occurred
+ */
+function countRepetitions(chess) {
+  const history = chess.history({ verbose: true });
+  if (history.length === 0) return 1;
+
+  const current = positionKey(chess.fen());
+  const positions = [history[0].before, ...history.map(move => move.after)];
+  return positions.filter(fen => positionKey(fen) === current).length;
+}
+
+const halfmoveClock = (chess) => parseInt(chess.fen().split(' ')[4]);
+
+/**
+ * Draws that end the game immediately after a move
+ */
+function getAutomaticDraw(chess) {
+  if (chess.isStalemate()) return 'stalemate';
+  if (chess.isInsufficientMaterial()) return 'insufficient-material';
+  if (countRepetitions(chess) >= 5) return 'fivefold-repetition';
+  if (halfmoveClock(chess) >= 150) return 'seventy-five-move-rule';
+  return null;
+}
+
+/**
+ * Draws a player may claim in the current position (FIDE 9.2 / 9.3)
+ */
+function getDrawClaim(chess) {
+  if (countRepetitions(chess) >= 3) return 'threefold-repetition';
+  if (halfmoveClock(chess) >= 100) return 'fifty-move-rule';
+  return null;
+}
+
+/**
+ * Play a move submitted by a player ({ from, to, promotion } or SAN)
+ * Promotions are never assumed: a pawn reaching the last rank needs one of
+ * PROMOTION_PIECES, and chess.js checks the piece against the position.
+ * @returns {Object} chess.js move
+ * @throws 400 for a malformed or illegal move
+ */
+function playPlayerMove(chess, move) {
+  if (!move || (typeof move !== 'string' && typeof move !== 'object')) {
+    throw httpError(400, 'Invalid move');
+  }
+
+  if (typeof move === 'object' && move.promotion != null && !PROMOTION_PIECES.includes(move.promotion)) {
+    throw httpError(400, 'Invalid promotion piece', 'INVALID_PROMOTION');
+  }
+
+  try {
+    return chess.move(typeof move === 'string'
+      ? move
+      : { from: move.from, to: move.to, promotion: move.promotion });
+  } catch (err) {
+    const needsPromotion = typeof move === 'object' && !move.promotion && chess
+      .moves({ verbose: true })
+      .some(legal => legal.from === move.from && legal.to === move.to && legal.promotion);
+
+    if (needsPromotion) {
+      throw httpError(400, 'Choose a piece to promote to', 'PROMOTION_REQUIRED');
+    }
+    throw httpError(400, 'Invalid move');
+  }
+}
+
+module.exports = {
+  DRAW_MESSAGES,
+  PROMOTION_PIECES,
+  getStartFen,
+  replayGame,
+  playPlayerMove,
+  getMoverColor,
+  getPlayerColor,
+  countRepetitions,
+  getAutomaticDraw,
+  getDrawClaim
+};
@@ -0,0 +1,157 @@
+// Glicko-2 rating calculation
+// Reference: Mark Glickman, "Example of the Glicko-2 system" (2013)
+//
+// Design Decision:
+// - Every rated game is its own rating period (one opponent per update),
+//   the usual approach for online play
+// - Idle time still counts: RD grows by one "period" of volatility per
+//   day since the player's last rated game, so returning players move faster
+
+const SCALE = 173.7178; // Glicko <-> Glicko-2 scale conversion
+const CENTER = 1500;
+const TAU = 0.5; // Constrains volatility change
+const EPSILON = 0.000001; // Volatility iteration tolerance
+
+const DEFAULT_RATING = 1200;
+const DEFAULT_RD = 350;
+const DEFAULT_VOLATILITY = 0.06;
+const MIN_RD = 45;
+const MAX_RD = 350;
+const MIN_RATING = 100;
+const PROVISIONAL_RD = 110; // Ratings less certain than this show as provisional
+const RATING_PERIOD = 24 * 60 * 60 * 1000; // 1 day
+
+const g = (phi) => 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+
+const expectedScore = (mu, muJ, phiJ) => 1 / (1 + Math.exp(-g(phiJ) * (mu - muJ)));
+
+/**
+ * Is a rating deviation still too wide to trust the rating?
+ */
+function isProvisional(ratingDeviation) {
+  return ratingDeviation > PROVISIONAL_RD;
+}
+
+/**
+ * RD after a period of inactivity (no games since `lastRatedGameAt`)
+ */
+function inflateDeviation({ ratingDeviation, volatility, lastRatedGameAt }, now = Date.now()) {
+  if (!lastRatedGameAt) return ratingDeviation;
+
+  const periods = Math.floor((now - new Date(lastRatedGameAt).getTime()) / RATING_PERIOD);
+  if (periods <= 0) return ratingDeviation;
+
+  const phi = ratingDeviation / SCALE;
+  const inflated = Math.sqrt(phi * phi + periods * volatility * volatility) * SCALE;
+  return Math.min(MAX_RD, inflated);
+}
+
+/**
+ * New volatility (step 5 of the paper, Illinois algorithm)
+ */
+function computeVolatility(phi, sigma, v, delta) {
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const denom = phi * phi + v + ex;
+    return (ex * (delta * delta - phi * phi - v - ex)) / (2 * denom * denom) - (x - a) / (TAU * TAU);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) k++;
+    B = a - k * TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+
+  while (Math.abs(B - A) > EPSILON) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA = fA / 2;
+    }
+
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+}
+
+/**
+ * Rate one player against one opponent
+ * @param {Object} player - { rating, ratingDeviation, volatility }
+ * @param {Object} opponent - { rating, ratingDeviation }
+ * @param {number} score - 1 win, 0.5 draw, 0 loss
+ * @returns {Object} { rating, ratingDeviation, volatility }
+ */
+function ratePlayer(player, opponent, score) {
+  const mu = (player.rating - CENTER) / SCALE;
+  const phi = player.ratingDeviation / SCALE;
+  const sigma = player.volatility;
+  const muJ = (opponent.rating - CENTER) / SCALE;
+  const phiJ = opponent.ratingDeviation / SCALE;
+
+  const gJ = g(phiJ);
+  const E = expectedScore(mu, muJ, phiJ);
+
+  const v = 1 / (gJ * gJ * E * (1 - E));
+  const delta = v * gJ * (score - E);
+
+  const newSigma = computeVolatility(phi, sigma, v, delta);
+  const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const newMu = mu + newPhi * newPhi * gJ * (score - E);
+
+  return {
+    rating: Math.max(MIN_RATING, Math.round(CENTER + SCALE * newMu)),
+    ratingDeviation: Math.min(MAX_RD, Math.max(MIN_RD, SCALE * newPhi)),
+    volatility: newSigma
+  };
+}
+
+/**
+ * Update both players after a game
+ * @param {Object} white - { rating, ratingDeviation, volatility, lastRatedGameAt }
+ * @param {Object} black - same shape
+ * @param {string} result - '1-0', '0-1' or '1/2-1/2'
+ */
+function updateRatings(white, black, result, now = Date.now()) {
+  const whiteScore = result === '1-0' ? 1 : result === '0-1' ? 0 : 0.5;
+
+  // Account for time away before rating the game
+  const whiteBefore = { ...white, ratingDeviation: inflateDeviation(white, now) };
+  const blackBefore = { ...black, ratingDeviation: inflateDeviation(black, now) };
+
+  const newWhite = ratePlayer(whiteBefore, blackBefore, whiteScore);
+  const newBlack = ratePlayer(blackBefore, whiteBefore, 1 - whiteScore);
+
+  return {
+    white: newWhite,
+    black: newBlack,
+    whiteChange: newWhite.rating - white.rating,
+    blackChange: newBlack.rating - black.rating
+  };
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  DEFAULT_RD,
+  DEFAULT_VOLATILITY,
+  MIN_RATING,
+  PROVISIONAL_RD,
+  isProvisional,
+  inflateDeviation,
+  ratePlayer,
+  updateRatings
+};
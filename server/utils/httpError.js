@@ -0,0 +1,26 @@
+/**
+ * Build an Error that carries an HTTP status code
+ * Services throw these so REST controllers and socket acks can report
+ * the same message/status (the Express error handler reads `err.status`).
+ */
+function httpError(status, message, errorCode) {
+  const error = new Error(message);
+  error.status = status;
+  if (errorCode) error.errorCode = errorCode;
+  return error;
+}
+
+/**
+ * Send an error thrown by a service as a JSON response
+ * Errors without a status are unexpected and get logged.
+ */
+function sendServiceError(res, error) {
+  if (!error.status) console.error('Service error:', error);
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.message,
+    errorCode: error.errorCode
+  });
+}
+
+module.exports = { httpError, sendServiceError };
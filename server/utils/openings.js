@@ -0,0 +1,97 @@
+// Opening names for profile stats
+//
+// Design Decision:
+// - A short hand-picked list keyed by SAN move prefixes, not a full ECO
+//   database - enough to tell a player's main openings apart
+// - The longest matching prefix wins, so "Sicilian Defense: Najdorf" beats
+//   "Sicilian Defense" and both beat "King's Pawn Game"
+// - Games from an imported position have no opening
+
+const OPENINGS = [
+  // 1. e4
+  { name: "King's Pawn Game", moves: ['e4'] },
+  { name: 'Sicilian Defense', moves: ['e4', 'c5'] },
+  { name: 'Sicilian Defense: Open', moves: ['e4', 'c5', 'Nf3', 'd6', 'd4'] },
+  { name: 'Sicilian Defense: Najdorf', moves: ['e4', 'c5', 'Nf3', 'd6', 'd4', 'cxd4', 'Nxd4', 'Nf6', 'Nc3', 'a6'] },
+  { name: 'Sicilian Defense: Dragon', moves: ['e4', 'c5', 'Nf3', 'd6', 'd4', 'cxd4', 'Nxd4', 'Nf6', 'Nc3', 'g6'] },
+  { name: 'Sicilian Defense: Alapin', moves: ['e4', 'c5', 'c3'] },
+  { name: 'Sicilian Defense: Closed', moves: ['e4', 'c5', 'Nc3'] },
+  { name: 'French Defense', moves: ['e4', 'e6'] },
+  { name: 'French Defense: Advance', moves: ['e4', 'e6', 'd4', 'd5', 'e5'] },
+  { name: 'French Defense: Exchange', moves: ['e4', 'e6', 'd4', 'd5', 'exd5'] },
+  { name: 'Caro-Kann Defense', moves: ['e4', 'c6'] },
+  { name: 'Caro-Kann Defense: Advance', moves: ['e4', 'c6', 'd4', 'd5', 'e5'] },
+  { name: 'Scandinavian Defense', moves: ['e4', 'd5'] },
+  { name: 'Pirc Defense', moves: ['e4', 'd6'] },
+  { name: 'Modern Defense', moves: ['e4', 'g6'] },
+  { name: "Alekhine's Defense", moves: ['e4', 'Nf6'] },
+  { name: 'Open Game', moves: ['e4', 'e5'] },
+  { name: "King's Knight Opening", moves: ['e4', 'e5', 'Nf3'] },
+  { name: 'Petrov Defense', moves: ['e4', 'e5', 'Nf3', 'Nf6'] },
+  { name: 'Philidor Defense', moves: ['e4', 'e5', 'Nf3', 'd6'] },
+  { name: 'Italian Game', moves: ['e4', 'e5', 'Nf3', 'Nc6', 'Bc4'] },
+  { name: 'Italian Game: Giuoco Piano', moves: ['e4', 'e5', 'Nf3', 'Nc6', 'Bc4', 'Bc5'] },
+  { name: 'Italian Game: Two Knights Defense', moves: ['e4', 'e5', 'Nf3', 'Nc6', 'Bc4', 'Nf6'] },
+  { name: 'Ruy Lopez', moves: ['e4', 'e5', 'Nf3', 'Nc6', 'Bb5'] },
+  { name: 'Ruy Lopez: Berlin Defense', moves: ['e4', 'e5', 'Nf3', 'Nc6', 'Bb5', 'Nf6'] },
+  { name: 'Ruy Lopez: Morphy Defense', moves: ['e4', 'e5', 'Nf3', 'Nc6', 'Bb5', 'a6'] },
+  { name: 'Scotch Game', moves: ['e4', 'e5', 'Nf3', 'Nc6', 'd4'] },
+  { name: 'Four Knights Game', moves: ['e4', 'e5', 'Nf3', 'Nc6', 'Nc3', 'Nf6'] },
+  { name: 'Vienna Game', moves: ['e4', 'e5', 'Nc3'] },
+  { name: "King's Gambit", moves: ['e4', 'e5', 'f4'] },
+  { name: "Bishop's Opening", moves: ['e4', 'e5', 'Bc4'] },
+  { name: 'Center Game', moves: ['e4', 'e5', 'd4', 'exd4'] },
+
+  // 1. d4
+  { name: "Queen's Pawn Game", moves: ['d4'] },
+  { name: 'Closed Game', moves: ['d4', 'd5'] },
+  { name: "Queen's Gambit", moves: ['d4', 'd5', 'c4'] },
+  { name: "Queen's Gambit Accepted", moves: ['d4', 'd5', 'c4', 'dxc4'] },
+  { name: "Queen's Gambit Declined", moves: ['d4', 'd5', 'c4', 'e6'] },
+  { name: 'Slav Defense', moves: ['d4', 'd5', 'c4', 'c6'] },
+  { name: 'London System', moves: ['d4', 'd5', 'Bf4'] },
+  { name: 'London System', moves: ['d4', 'Nf6', 'Bf4'] },
+  { name: 'London System', moves: ['d4', 'd5', 'Nf3', 'Nf6', 'Bf4'] },
+  { name: 'Indian Defense', moves: ['d4', 'Nf6'] },
+  { name: "King's Indian Defense", moves: ['d4', 'Nf6', 'c4', 'g6'] },
+  { name: 'Grünfeld Defense', moves: ['d4', 'Nf6', 'c4', 'g6', 'Nc3', 'd5'] },
+  { name: 'Nimzo-Indian Defense', moves: ['d4', 'Nf6', 'c4', 'e6', 'Nc3', 'Bb4'] },
+  { name: "Queen's Indian Defense", moves: ['d4', 'Nf6', 'c4', 'e6', 'Nf3', 'b6'] },
+  { name: 'Benoni Defense', moves: ['d4', 'Nf6', 'c4', 'c5'] },
+  { name: 'Dutch Defense', moves: ['d4', 'f5'] },
+
+  // Flank openings
+  { name: 'English Opening', moves: ['c4'] },
+  { name: 'Réti Opening', moves: ['Nf3'] },
+  { name: "Bird's Opening", moves: ['f4'] },
+  { name: "Larsen's Opening", moves: ['b3'] },
+  { name: "King's Fianchetto Opening", moves: ['g3'] }
+];
+
+// How many plies ever matter for a name - profile stats group games by this prefix
+const OPENING_PLIES = Math.max(...OPENINGS.map(opening => opening.moves.length));
+
+/**
+ * Name the opening of a game from its SAN moves
+ * @param {string[]} moves
+ * @returns {string} 'Uncommon Opening' when nothing matches
+ */
+function identifyOpening(moves = []) {
+  let best = null;
+
+  for (const opening of OPENINGS) {
+    if (opening.moves.length > moves.length) continue;
+    if (best && opening.moves.length <= best.moves.length) continue;
+    if (opening.moves.every((move, i) => moves[i] === move)) {
+      best = opening;
+    }
+  }
+
+  return best ? best.name : 'Uncommon Opening';
+}
+
+module.exports = {
+  OPENINGS,
+  OPENING_PLIES,
+  identifyOpening
+};
@@ -0,0 +1,189 @@
+// PGN export
+//
+// Design Decision:
+// - Built from the stored SAN moves rather than Game.pgn, so every export
+//   gets the full Seven Tag Roster plus our own tags in a fixed order
+// - Clock comments use the common [%clk H:MM:SS] form read by desktop
+//   databases; they come from Game.clockHistory (timed games only)
+// - Movetext lines are wrapped below 80 characters, as the PGN export
+//   format asks
+
+const { getRatingCategory } = require('./ratingCategory');
+const { getStartFen } = require('./gameRules');
+
+const MAX_LINE_LENGTH = 79;
+
+const PGN_RESULTS = ['1-0', '0-1', '1/2-1/2'];
+
+const CATEGORY_NAMES = {
+  bullet: 'Bullet',
+  blitz: 'Blitz',
+  rapid: 'Rapid',
+  classical: 'Classical',
+  bot: 'Bot'
+};
+
+// Tag values are quoted strings - escape quotes and backslashes
+const escapeTag = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+const pad = (number) => String(number).padStart(2, '0');
+
+const formatDate = (date) =>
+  date ? `${date.getUTCFullYear()}.${pad(date.getUTCMonth() + 1)}.${pad(date.getUTCDate())}` : '????.??.??';
+
+const formatTime = (date) =>
+  date ? `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}` : '??:??:??';
+
+// 754321 ms -> "0:12:34"
+function formatClock(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  return `${Math.floor(seconds / 3600)}:${pad(Math.floor((seconds % 3600) / 60))}:${pad(seconds % 60)}`;
+}
+
+/**
+ * "Stockfish level 4" for the bot side, the username otherwise
+ */
+function playerName(game, color) {
+  const player = game.players[color];
+  if (player) return player.username || '?';
+  return game.isBot ? `Stockfish level ${game.botDifficulty || '?'}` : '?';
+}
+
+/**
+ * PGN Termination tag
+ */
+function getTermination(game) {
+  if (game.status === 'active' || game.status === 'waiting') return 'unterminated';
+  if (game.flaggedBy) return 'time forfeit';
+  if (game.abandonedBy || game.status === 'abandoned') return 'abandoned';
+  return 'normal';
+}
+
+/**
+ * "300+2" in seconds, "-" for untimed games
+ */
+function getTimeControlTag(timeControl) {
+  if (!timeControl?.initial) return '-';
+  return `${timeControl.initial / 1000}+${(timeControl.increment || 0) / 1000}`;
+}
+
+/**
+ * Tag pairs in export order (Seven Tag Roster first)
+ * @param {Game} game - players populated with username
+ */
+function getHeaders(game) {
+  const category = game.ratingCategory || getRatingCategory(game.timeControl, { isBot: game.isBot });
+  const result = PGN_RESULTS.includes(game.result) ? game.result : '*';
+  const date = game.startedAt;
+
+  const headers = [
+    ['Event', `${game.rated ? 'Rated' : 'Casual'} ${CATEGORY_NAMES[category]} game`],
+    ['Site', `${process.env.CLIENT_URL || 'http://localhost:5173'}/game/${game._id}`],
+    ['Date', formatDate(date)],
+    ['Round', '-'],
+    ['White', playerName(game, 'white')],
+    ['Black', playerName(game, 'black')],
+    ['Result', result],
+    ['UTCDate', formatDate(date)],
+    ['UTCTime', formatTime(date)]
+  ];
+
+  // Unknown for games created before ratings were recorded
+  for (const color of ['white', 'black']) {
+    const rating = game.playerRatings?.[color];
+    if (rating != null) {
+      headers.push([color === 'white' ? 'WhiteElo' : 'BlackElo', rating]);
+    }
+  }
+
+  headers.push(
+    ['TimeControl', getTimeControlTag(game.timeControl)],
+    ['Termination', getTermination(game)],
+    ['PlyCount', game.moves.length]
+  );
+
+  // Imported start position
+  if (game.initialFen) {
+    headers.push(['SetUp', '1'], ['FEN', game.initialFen]);
+  }
+
+  return headers;
+}
+
+/**
+ * Movetext tokens: "1." "e4" "{ [%clk 0:05:00] }" "e5" ...
+ * Numbering follows the start position (an imported FEN may begin with
+ * Black to move at any move number).
+ */
+function getMoveTokens(game) {
+  const tokens = [];
+  const clocks = game.clockHistory || [];
+
+  const [, turn, , , , fullmove] = getStartFen(game).split(' ');
+  const blackFirst = turn === 'b';
+  const firstNumber = parseInt(fullmove, 10) || 1;
+
+  game.moves.forEach((san, index) => {
+    const ply = index + (blackFirst ? 1 : 0); // 0 = White's move at firstNumber
+    const number = firstNumber + Math.floor(ply / 2);
+
+    if (ply % 2 === 0) {
+      tokens.push(`${number}.`);
+    } else if (index === 0 || clocks[index - 1] != null) {
+      // Black's move opening the game or after a comment needs its number
+      tokens.push(`${number}...`);
+    }
+
+    tokens.push(san);
+
+    if (clocks[index] != null) {
+      tokens.push(`{ [%clk ${formatClock(clocks[index])}] }`);
+    }
+  });
+
+  return tokens;
+}
+
+// Join tokens into lines of at most MAX_LINE_LENGTH characters
+function wrap(tokens) {
+  const lines = [];
+  let line = '';
+
+  for (const token of tokens) {
+    if (line && line.length + 1 + token.length > MAX_LINE_LENGTH) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  }
+
+  if (line) lines.push(line);
+  return lines.join('\n');
+}
+
+/**
+ * Full PGN for one game (ends with a blank line, ready to concatenate)
+ * @param {Game} game - players populated with username
+ * @returns {string}
+ */
+function buildPgn(game) {
+  const headers = getHeaders(game)
+    .map(([name, value]) => `[${name} "${escapeTag(value)}"]`)
+    .join('\n');
+
+  const result = PGN_RESULTS.includes(game.result) ? game.result : '*';
+  const movetext = wrap([...getMoveTokens(game), result]);
+
+  return `${headers}\n\n${movetext}\n\n`;
+}
+
+/**
+ * Safe file name for a download, e.g. "alice_vs_bob_2024.05.01.pgn"
+ */
+function getPgnFilename(game) {
+  const name = `${playerName(game, 'white')}_vs_${playerName(game, 'black')}_${formatDate(game.startedAt)}`;
+  return `${name.replace(/[^\w.-]+/g, '_')}.pgn`;
+}
+
+module.exports = { buildPgn, getPgnFilename };
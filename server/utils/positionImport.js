@@ -0,0 +1,99 @@
+// PGN / FEN import
+//
+// Design Decision:
+// - Everything goes through chess.js: a FEN must pass validateFen, a PGN
+//   must replay move by move - nothing half-valid is ever stored
+// - An imported PGN yields its start position (standard or [FEN] tag),
+//   its moves and its headers; games started from an import begin at the
+//   PGN's final position
+// - Game.initialFen stays null for the standard start position, so
+//   ordinary games are untouched
+
+const { Chess, DEFAULT_POSITION, validateFen } = require('chess.js');
+const { httpError } = require('./httpError');
+
+const MAX_PGN_LENGTH = 100000; // characters - one game, not a database
+
+/**
+ * Validate a FEN and return it normalised by chess.js
+ */
+function parseFen(fen) {
+  if (typeof fen !== 'string' || !fen.trim()) {
+    throw httpError(400, 'FEN is required');
+  }
+
+  const { ok, error } = validateFen(fen.trim());
+  if (!ok) {
+    throw httpError(400, error);
+  }
+
+  return new Chess(fen.trim()).fen();
+}
+
+/**
+ * Replay a PGN (single game)
+ * @returns {Object} { startFen, moves (SAN), headers }
+ */
+function parsePgn(pgn) {
+  if (typeof pgn !== 'string' || !pgn.trim()) {
+    throw httpError(400, 'PGN is required');
+  }
+
+  if (pgn.length > MAX_PGN_LENGTH) {
+    throw httpError(400, 'PGN is too long - import one game at a time');
+  }
+
+  const chess = new Chess();
+  try {
+    chess.loadPgn(pgn.trim());
+  } catch (error) {
+    throw httpError(400, `Invalid PGN: ${error.message}`);
+  }
+
+  const headers = chess.getHeaders();
+  const history = chess.history({ verbose: true });
+
+  return {
+    startFen: history.length ? history[0].before : chess.fen(),
+    moves: history.map(move => move.san),
+    headers
+  };
+}
+
+/**
+ * Parse an import request body ({ pgn } or { fen })
+ * @returns {Object} { startFen, moves, fen (final position), turn, headers }
+ */
+function parsePosition({ pgn, fen } = {}) {
+  const parsed = pgn
+    ? parsePgn(pgn)
+    : { startFen: parseFen(fen), moves: [], headers: {} };
+
+  const chess = new Chess(parsed.startFen);
+  parsed.moves.forEach(san => chess.move(san));
+
+  return {
+    ...parsed,
+    fen: chess.fen(),
+    turn: chess.turn() === 'w' ? 'white' : 'black'
+  };
+}
+
+/**
+ * FEN a new game can start from - throws if the position is already over
+ * @returns {string|null} null for the standard start position
+ */
+function getPlayableFen(body) {
+  if (!body?.pgn && !body?.fen) return null;
+
+  const { fen } = parsePosition(body);
+  const chess = new Chess(fen);
+
+  if (chess.isGameOver()) {
+    throw httpError(400, 'The game is already over in this position');
+  }
+
+  return fen === DEFAULT_POSITION ? null : fen;
+}
+
+module.exports = { parseFen, parsePgn, parsePosition, getPlayableFen };
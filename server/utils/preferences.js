@@ -0,0 +1,80 @@
+// Board and game preferences stored on User.preferences
+//
+// Design Decision:
+// - The option lists live here and in client/src/lib/preferences.js (which
+//   also holds the colours and labels); keep the two in step
+// - Updates are partial: only the keys sent are validated and changed
+
+const { httpError } = require('./httpError');
+
+const BOARD_THEMES = ['brown', 'blue', 'green', 'gray', 'purple'];
+const PIECE_SETS = ['classic', 'minimal', 'letters'];
+const ANIMATION_SPEEDS = ['none', 'fast', 'normal', 'slow'];
+const SOUND_VOLUME = { min: 0, max: 100 };
+
+const DEFAULT_PREFERENCES = {
+  boardTheme: 'brown',
+  pieceSet: 'classic',
+  showCoordinates: true,
+  animationSpeed: 'normal',
+  soundEnabled: true,
+  soundVolume: 70,
+  autoQueen: false
+};
+
+// Allowed values per key (true/false for toggles, { min, max } for integers)
+const OPTIONS = {
+  boardTheme: BOARD_THEMES,
+  pieceSet: PIECE_SETS,
+  showCoordinates: [true, false],
+  animationSpeed: ANIMATION_SPEEDS,
+  soundEnabled: [true, false],
+  soundVolume: SOUND_VOLUME,
+  autoQueen: [true, false]
+};
+
+/**
+ * Validate a partial preferences update
+ * @returns {Object} the changes, ready for `$set` under `preferences.`
+ * @throws 400 for unknown keys or values
+ */
+function parsePreferencesUpdate(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw httpError(400, 'Preferences must be an object');
+  }
+
+  const changes = {};
+
+  for (const [key, value] of Object.entries(body)) {
+    if (!OPTIONS[key]) {
+      throw httpError(400, `Unknown preference: ${key}`);
+    }
+
+    const allowed = OPTIONS[key];
+
+    if (Array.isArray(allowed)) {
+      if (!allowed.includes(value)) {
+        throw httpError(400, `${key} must be one of: ${allowed.join(', ')}`);
+      }
+    } else if (!Number.isInteger(value) || value < allowed.min || value > allowed.max) {
+      throw httpError(400, `${key} must be a whole number from ${allowed.min} to ${allowed.max}`);
+    }
+
+    changes[key] = value;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    throw httpError(400, 'No preferences to update');
+  }
+
+  return changes;
+}
+
+module.exports = {
+  BOARD_THEMES,
+  PIECE_SETS,
+  ANIMATION_SPEEDS,
+  SOUND_VOLUME,
+  DEFAULT_PREFERENCES,
+  parsePreferencesUpdate
+};
@@ -0,0 +1,44 @@
+// Rating categories - each has its own independent Glicko-2 rating
+//
+// Design Decision:
+// - Category comes from the estimated game length (initial + 40 × increment),
+//   the same split most chess servers use
+// - Untimed games count as classical; every bot game uses the bot rating
+
+const { DEFAULT_RATING } = require('./glicko2');
+
+const RATING_CATEGORIES = ['bullet', 'blitz', 'rapid', 'classical', 'bot'];
+
+// Upper bounds of estimated duration (ms)
+const BULLET_LIMIT = 3 * 60 * 1000;
+const BLITZ_LIMIT = 8 * 60 * 1000;
+const RAPID_LIMIT = 25 * 60 * 1000;
+
+/**
+ * Category for a game's (ms) time control
+ * @param {Object|null} timeControl - { initial, increment }
+ * @param {Object} options - { isBot }
+ */
+function getRatingCategory(timeControl, { isBot = false } = {}) {
+  if (isBot) return 'bot';
+  if (!timeControl?.initial) return 'classical';
+
+  const estimated = timeControl.initial + 40 * (timeControl.increment || 0);
+  if (estimated < BULLET_LIMIT) return 'bullet';
+  if (estimated < BLITZ_LIMIT) return 'blitz';
+  if (estimated < RAPID_LIMIT) return 'rapid';
+  return 'classical';
+}
+
+/**
+ * A user's rating in one category (users created before a category existed
+ * start at the default)
+ */
+const getRating = (user, category) =>
+  user?.ratings?.[category]?.rating ?? DEFAULT_RATING;
+
+module.exports = {
+  RATING_CATEGORIES,
+  getRatingCategory,
+  getRating
+};
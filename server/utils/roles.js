@@ -0,0 +1,17 @@
+// Account roles and what staff may do
+//
+// Design Decision:
+// - Moderators handle day-to-day moderation: feedback triage, mutes, chat
+// - Admins can also ban, annul games and change roles
+// - Staff accounts can't be banned or muted - demote them first
+
+const ROLES = ['user', 'moderator', 'admin'];
+const STAFF_ROLES = ['moderator', 'admin'];
+
+const isStaff = (user) => STAFF_ROLES.includes(user?.role);
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  isStaff
+};